@@ -0,0 +1,61 @@
+/**
+ * Rejection reason for client.request(). `code` mirrors the status the server
+ * sent in its ErrorMessage; 408 is used for local timeouts and 503 when the
+ * connection is not available or drops before a response arrives.
+ */
+export class RequestError extends Error {
+  readonly code: number;
+  readonly requestId: bigint;
+
+  constructor(code: number, message: string, requestId: bigint = 0n) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * A message the server refused for its size. Requests reject with it, and
+ * other messages emit it as an error; the connection stays open.
+ */
+export class MessageTooLargeError extends RequestError {
+  constructor(message: string, requestId: bigint = 0n) {
+    super(413, message, requestId);
+    this.name = 'MessageTooLargeError';
+  }
+}
+
+/**
+ * A sealed payload that could not be opened: wrong or retired key, tampered
+ * bytes, or plaintext on a session that agreed to encrypt. The client drops
+ * the socket and reconnects with a fresh key exchange.
+ */
+export class DecryptionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+/**
+ * A compressed payload that could not be inflated: corrupt, an unknown
+ * algorithm, or larger than `maxInflatedSize` once inflated. The message is dropped.
+ */
+export class CompressionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CompressionError';
+  }
+}
+
+/**
+ * A stream from client.createWriteStream() that ended early: refused or
+ * cancelled by the server, or cut off by the connection closing.
+ */
+export class StreamCancelledError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'StreamCancelledError';
+  }
+}
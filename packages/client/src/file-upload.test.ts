@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { FileUpload } from './file-upload'
+import { StreamCancelledError } from './errors'
+
+function createUpload(size: number, chunkSize: number) {
+  const chunks: [number, number][] = []
+  const ends: [number, string | undefined][] = []
+  const blob = new Blob([new Uint8Array(size).map((_, i) => i)])
+  const upload = new FileUpload(1, blob, chunkSize, {
+    sendChunk: (offset, chunk) => chunks.push([offset, chunk.length]),
+    sendEnd: (sent, error) => ends.push([sent, error])
+  }, () => {})
+  return { upload, chunks, ends }
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10))
+
+describe('FileUpload', () => {
+  it('should read the file a window at a time and end once it is all sent', async () => {
+    const { upload, chunks, ends } = createUpload(10, 4)
+
+    upload.acknowledge(0, 6)
+    await settle()
+    expect(chunks).toEqual([[0, 4], [4, 2]])
+
+    upload.acknowledge(6, 6)
+    await settle()
+    expect(chunks.slice(2)).toEqual([[6, 4]])
+    expect(ends).toEqual([[10, undefined]])
+
+    upload.acknowledge(10, 0)
+    await expect(upload.done).resolves.toBeUndefined()
+  })
+
+  it('should carry on from what the server stored after a reconnect', async () => {
+    const { upload, chunks, ends } = createUpload(10, 4)
+    upload.acknowledge(0, 8)
+    await settle()
+    expect(chunks).toEqual([[0, 4], [4, 4]])
+
+    // The server only stored the first chunk before the connection dropped
+    upload.suspend()
+    upload.acknowledge(4, 8)
+    await settle()
+    expect(chunks.slice(2)).toEqual([[4, 4], [8, 2]])
+    expect(ends).toEqual([[10, undefined]])
+  })
+
+  it('should reject when the server cancels it', async () => {
+    const { upload } = createUpload(10, 4)
+    upload.fail('Checksum mismatch')
+    await expect(upload.done).rejects.toEqual(new StreamCancelledError('Checksum mismatch'))
+  })
+})
@@ -0,0 +1,127 @@
+import { StreamCancelledError } from './errors';
+import type { StreamTransport } from './outgoing-stream';
+
+/**
+ * File Uploads
+ * The client's half of client.sendFile(): a stream that reads its chunks from
+ * the Blob as the server's window allows. Unlike a write stream it survives
+ * the connection dropping: it waits for the next socket, where the server
+ * answers the Reconnect with a StreamAck at the number of bytes it stored,
+ * and reads on from there.
+ */
+export class FileUpload {
+  readonly done: Promise<void>;
+  private sent = 0;
+  // Offset the server lets us send up to
+  private limit = 0;
+  private endSent = false;
+  // Set while the connection is down, until the server says where to carry on
+  private suspended = false;
+  // Bumped on every suspend, so a read that was under way is not sent on the next socket
+  private generation = 0;
+  private pumping = false;
+  private settled = false;
+  private resolve!: () => void;
+  private reject!: (error: Error) => void;
+
+  constructor(
+    readonly id: number,
+    private blob: Blob,
+    private chunkSize: number,
+    private transport: StreamTransport,
+    private onSettled: () => void,
+    private onProgress?: (bytesAcknowledged: number) => void
+  ) {
+    this.done = new Promise<void>((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+
+  /**
+   * The server has stored up to `offset` and takes `window` more bytes; a zero
+   * window confirms the file arrived and matched its hash
+   */
+  acknowledge(offset: number, window: number): void {
+    if (this.settled) {
+      return;
+    }
+    this.onProgress?.(offset);
+    if (window === 0) {
+      this.settle();
+      this.resolve();
+      return;
+    }
+    if (this.suspended) {
+      // Whatever was sent past `offset` on the old socket is sent again
+      this.suspended = false;
+      this.sent = offset;
+      this.limit = offset + window;
+      this.endSent = false;
+    } else {
+      this.limit = Math.max(this.limit, offset + window);
+    }
+    void this.pump();
+  }
+
+  // The connection dropped; the upload goes on once the client has reconnected
+  suspend(): void {
+    this.suspended = true;
+    this.generation++;
+  }
+
+  /**
+   * The server refused or cancelled the upload, or the session it belonged to is gone
+   */
+  fail(reason: string): void {
+    if (this.settled) {
+      return;
+    }
+    this.settle();
+    this.reject(new StreamCancelledError(reason));
+  }
+
+  private async pump(): Promise<void> {
+    if (this.pumping) {
+      return;
+    }
+    this.pumping = true;
+    const generation = this.generation;
+    const current = () => !this.settled && !this.suspended && this.generation === generation;
+    try {
+      while (current()) {
+        if (this.sent === this.blob.size) {
+          if (!this.endSent) {
+            this.endSent = true;
+            this.transport.sendEnd(this.sent);
+          }
+          break;
+        }
+        if (this.sent >= this.limit) {
+          break;
+        }
+        const end = Math.min(this.sent + this.chunkSize, this.limit, this.blob.size);
+        const chunk = new Uint8Array(await this.blob.slice(this.sent, end).arrayBuffer());
+        if (!current()) {
+          break;
+        }
+        this.transport.sendChunk(this.sent, chunk);
+        this.sent = end;
+      }
+    } catch (error) {
+      this.transport.sendEnd(this.sent, 'Cancelled');
+      this.fail(`Could not read the file: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      this.pumping = false;
+    }
+    // Resumed on a new socket while a read for the old one was under way
+    if (!this.settled && !this.suspended && this.generation !== generation) {
+      void this.pump();
+    }
+  }
+
+  private settle(): void {
+    this.settled = true;
+    this.onSettled();
+  }
+}
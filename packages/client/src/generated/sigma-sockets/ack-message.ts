@@ -0,0 +1,48 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class AckMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):AckMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsAckMessage(bb:flatbuffers.ByteBuffer, obj?:AckMessage):AckMessage {
+  return (obj || new AckMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsAckMessage(bb:flatbuffers.ByteBuffer, obj?:AckMessage):AckMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new AckMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+sequence():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+static startAckMessage(builder:flatbuffers.Builder) {
+  builder.startObject(1);
+}
+
+static addSequence(builder:flatbuffers.Builder, sequence:bigint) {
+  builder.addFieldInt64(0, sequence, BigInt('0'));
+}
+
+static endAckMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createAckMessage(builder:flatbuffers.Builder, sequence:bigint):flatbuffers.Offset {
+  AckMessage.startAckMessage(builder);
+  AckMessage.addSequence(builder, sequence);
+  return AckMessage.endAckMessage(builder);
+}
+}
@@ -9,5 +9,16 @@ export enum MessageData {
   DataMessage = 3,
   HeartbeatMessage = 4,
   ReconnectMessage = 5,
-  ErrorMessage = 6
+  ErrorMessage = 6,
+  RequestMessage = 7,
+  ResponseMessage = 8,
+  SubscribeMessage = 9,
+  UnsubscribeMessage = 10,
+  AckMessage = 11,
+  ResumeTokenMessage = 12,
+  KeyExchangeMessage = 13,
+  StreamOpenMessage = 14,
+  StreamChunkMessage = 15,
+  StreamEndMessage = 16,
+  StreamAckMessage = 17
 }
@@ -8,5 +8,16 @@ export enum MessageType {
   Data = 2,
   Heartbeat = 3,
   Reconnect = 4,
-  Error = 5
+  Error = 5,
+  Request = 6,
+  Response = 7,
+  Subscribe = 8,
+  Unsubscribe = 9,
+  Ack = 10,
+  ResumeToken = 11,
+  KeyExchange = 12,
+  StreamOpen = 13,
+  StreamChunk = 14,
+  StreamEnd = 15,
+  StreamAck = 16
 }
@@ -4,6 +4,9 @@
 
 import * as flatbuffers from 'flatbuffers';
 
+import { Compression } from './compression.js';
+
+
 export class ReconnectMessage {
   bb: flatbuffers.ByteBuffer|null = null;
   bb_pos = 0;
@@ -34,8 +37,69 @@ lastMessageId():bigint {
   return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
 }
 
+topics(index: number):string
+topics(index: number,optionalEncoding:flatbuffers.Encoding):string|Uint8Array
+topics(index: number,optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.__string(this.bb!.__vector(this.bb_pos + offset) + index * 4, optionalEncoding) : null;
+}
+
+topicsLength():number {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+authToken():string|null
+authToken(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+authToken(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+resumeToken():string|null
+resumeToken(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+resumeToken(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+publicKey(index: number):number|null {
+  const offset = this.bb!.__offset(this.bb_pos, 14);
+  return offset ? this.bb!.readUint8(this.bb!.__vector(this.bb_pos + offset) + index) : 0;
+}
+
+publicKeyLength():number {
+  const offset = this.bb!.__offset(this.bb_pos, 14);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+publicKeyArray():Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 14);
+  return offset ? new Uint8Array(this.bb!.bytes().buffer, this.bb!.bytes().byteOffset + this.bb!.__vector(this.bb_pos + offset), this.bb!.__vector_len(this.bb_pos + offset)) : null;
+}
+
+compression():Compression {
+  const offset = this.bb!.__offset(this.bb_pos, 16);
+  return offset ? this.bb!.readUint8(this.bb_pos + offset) : Compression.None;
+}
+
+uploads(index: number):number|null {
+  const offset = this.bb!.__offset(this.bb_pos, 18);
+  return offset ? this.bb!.readUint32(this.bb!.__vector(this.bb_pos + offset) + index * 4) : 0;
+}
+
+uploadsLength():number {
+  const offset = this.bb!.__offset(this.bb_pos, 18);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+uploadsArray():Uint32Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 18);
+  return offset ? new Uint32Array(this.bb!.bytes().buffer, this.bb!.bytes().byteOffset + this.bb!.__vector(this.bb_pos + offset), this.bb!.__vector_len(this.bb_pos + offset)) : null;
+}
+
 static startReconnectMessage(builder:flatbuffers.Builder) {
-  builder.startObject(2);
+  builder.startObject(8);
 }
 
 static addSessionId(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset) {
@@ -46,15 +110,86 @@ static addLastMessageId(builder:flatbuffers.Builder, lastMessageId:bigint) {
   builder.addFieldInt64(1, lastMessageId, BigInt('0'));
 }
 
+static addTopics(builder:flatbuffers.Builder, topicsOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(2, topicsOffset, 0);
+}
+
+static createTopicsVector(builder:flatbuffers.Builder, data:flatbuffers.Offset[]):flatbuffers.Offset {
+  builder.startVector(4, data.length, 4);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addOffset(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startTopicsVector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(4, numElems, 4);
+}
+
+static addAuthToken(builder:flatbuffers.Builder, authTokenOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(3, authTokenOffset, 0);
+}
+
+static addResumeToken(builder:flatbuffers.Builder, resumeTokenOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(4, resumeTokenOffset, 0);
+}
+
+static addPublicKey(builder:flatbuffers.Builder, publicKeyOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(5, publicKeyOffset, 0);
+}
+
+static createPublicKeyVector(builder:flatbuffers.Builder, data:number[]|Uint8Array):flatbuffers.Offset {
+  builder.startVector(1, data.length, 1);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addInt8(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startPublicKeyVector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(1, numElems, 1);
+}
+
+static addCompression(builder:flatbuffers.Builder, compression:Compression) {
+  builder.addFieldInt8(6, compression, Compression.None);
+}
+
+static addUploads(builder:flatbuffers.Builder, uploadsOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(7, uploadsOffset, 0);
+}
+
+static createUploadsVector(builder:flatbuffers.Builder, data:number[]|Uint32Array):flatbuffers.Offset;
+/**
+ * @deprecated This Uint8Array overload will be removed in the future.
+ */
+static createUploadsVector(builder:flatbuffers.Builder, data:number[]|Uint8Array):flatbuffers.Offset;
+static createUploadsVector(builder:flatbuffers.Builder, data:number[]|Uint32Array|Uint8Array):flatbuffers.Offset {
+  builder.startVector(4, data.length, 4);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addInt32(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startUploadsVector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(4, numElems, 4);
+}
+
 static endReconnectMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
   const offset = builder.endObject();
   return offset;
 }
 
-static createReconnectMessage(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset, lastMessageId:bigint):flatbuffers.Offset {
+static createReconnectMessage(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset, lastMessageId:bigint, topicsOffset:flatbuffers.Offset, authTokenOffset:flatbuffers.Offset, resumeTokenOffset:flatbuffers.Offset, publicKeyOffset:flatbuffers.Offset, compression:Compression, uploadsOffset:flatbuffers.Offset):flatbuffers.Offset {
   ReconnectMessage.startReconnectMessage(builder);
   ReconnectMessage.addSessionId(builder, sessionIdOffset);
   ReconnectMessage.addLastMessageId(builder, lastMessageId);
+  ReconnectMessage.addTopics(builder, topicsOffset);
+  ReconnectMessage.addAuthToken(builder, authTokenOffset);
+  ReconnectMessage.addResumeToken(builder, resumeTokenOffset);
+  ReconnectMessage.addPublicKey(builder, publicKeyOffset);
+  ReconnectMessage.addCompression(builder, compression);
+  ReconnectMessage.addUploads(builder, uploadsOffset);
   return ReconnectMessage.endReconnectMessage(builder);
 }
 }
@@ -0,0 +1,68 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class StreamAckMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):StreamAckMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsStreamAckMessage(bb:flatbuffers.ByteBuffer, obj?:StreamAckMessage):StreamAckMessage {
+  return (obj || new StreamAckMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsStreamAckMessage(bb:flatbuffers.ByteBuffer, obj?:StreamAckMessage):StreamAckMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new StreamAckMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+streamId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+offset():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 6);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+window():number {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+static startStreamAckMessage(builder:flatbuffers.Builder) {
+  builder.startObject(3);
+}
+
+static addStreamId(builder:flatbuffers.Builder, streamId:number) {
+  builder.addFieldInt32(0, streamId, 0);
+}
+
+static addOffset(builder:flatbuffers.Builder, offset:bigint) {
+  builder.addFieldInt64(1, offset, BigInt('0'));
+}
+
+static addWindow(builder:flatbuffers.Builder, window:number) {
+  builder.addFieldInt32(2, window, 0);
+}
+
+static endStreamAckMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createStreamAckMessage(builder:flatbuffers.Builder, streamId:number, offset:bigint, window:number):flatbuffers.Offset {
+  StreamAckMessage.startStreamAckMessage(builder);
+  StreamAckMessage.addStreamId(builder, streamId);
+  StreamAckMessage.addOffset(builder, offset);
+  StreamAckMessage.addWindow(builder, window);
+  return StreamAckMessage.endStreamAckMessage(builder);
+}
+}
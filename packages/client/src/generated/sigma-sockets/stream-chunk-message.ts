@@ -0,0 +1,100 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class StreamChunkMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):StreamChunkMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsStreamChunkMessage(bb:flatbuffers.ByteBuffer, obj?:StreamChunkMessage):StreamChunkMessage {
+  return (obj || new StreamChunkMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsStreamChunkMessage(bb:flatbuffers.ByteBuffer, obj?:StreamChunkMessage):StreamChunkMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new StreamChunkMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+streamId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+offset():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 6);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+payload(index: number):number|null {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.readUint8(this.bb!.__vector(this.bb_pos + offset) + index) : 0;
+}
+
+payloadLength():number {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+payloadArray():Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? new Uint8Array(this.bb!.bytes().buffer, this.bb!.bytes().byteOffset + this.bb!.__vector(this.bb_pos + offset), this.bb!.__vector_len(this.bb_pos + offset)) : null;
+}
+
+keyId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+static startStreamChunkMessage(builder:flatbuffers.Builder) {
+  builder.startObject(4);
+}
+
+static addStreamId(builder:flatbuffers.Builder, streamId:number) {
+  builder.addFieldInt32(0, streamId, 0);
+}
+
+static addOffset(builder:flatbuffers.Builder, offset:bigint) {
+  builder.addFieldInt64(1, offset, BigInt('0'));
+}
+
+static addPayload(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(2, payloadOffset, 0);
+}
+
+static createPayloadVector(builder:flatbuffers.Builder, data:number[]|Uint8Array):flatbuffers.Offset {
+  builder.startVector(1, data.length, 1);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addInt8(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startPayloadVector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(1, numElems, 1);
+}
+
+static addKeyId(builder:flatbuffers.Builder, keyId:number) {
+  builder.addFieldInt32(3, keyId, 0);
+}
+
+static endStreamChunkMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createStreamChunkMessage(builder:flatbuffers.Builder, streamId:number, offset:bigint, payloadOffset:flatbuffers.Offset, keyId:number):flatbuffers.Offset {
+  StreamChunkMessage.startStreamChunkMessage(builder);
+  StreamChunkMessage.addStreamId(builder, streamId);
+  StreamChunkMessage.addOffset(builder, offset);
+  StreamChunkMessage.addPayload(builder, payloadOffset);
+  StreamChunkMessage.addKeyId(builder, keyId);
+  return StreamChunkMessage.endStreamChunkMessage(builder);
+}
+}
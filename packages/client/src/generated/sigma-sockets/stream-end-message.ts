@@ -0,0 +1,70 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class StreamEndMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):StreamEndMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsStreamEndMessage(bb:flatbuffers.ByteBuffer, obj?:StreamEndMessage):StreamEndMessage {
+  return (obj || new StreamEndMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsStreamEndMessage(bb:flatbuffers.ByteBuffer, obj?:StreamEndMessage):StreamEndMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new StreamEndMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+streamId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+size():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 6);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+error():string|null
+error(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+error(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+static startStreamEndMessage(builder:flatbuffers.Builder) {
+  builder.startObject(3);
+}
+
+static addStreamId(builder:flatbuffers.Builder, streamId:number) {
+  builder.addFieldInt32(0, streamId, 0);
+}
+
+static addSize(builder:flatbuffers.Builder, size:bigint) {
+  builder.addFieldInt64(1, size, BigInt('0'));
+}
+
+static addError(builder:flatbuffers.Builder, errorOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(2, errorOffset, 0);
+}
+
+static endStreamEndMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createStreamEndMessage(builder:flatbuffers.Builder, streamId:number, size:bigint, errorOffset:flatbuffers.Offset):flatbuffers.Offset {
+  StreamEndMessage.startStreamEndMessage(builder);
+  StreamEndMessage.addStreamId(builder, streamId);
+  StreamEndMessage.addSize(builder, size);
+  StreamEndMessage.addError(builder, errorOffset);
+  return StreamEndMessage.endStreamEndMessage(builder);
+}
+}
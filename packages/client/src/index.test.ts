@@ -1,5 +1,12 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { SigmaSocketClient, ConnectionStatus } from './index'
+import { SigmaSocketClient, SigmaSocketClientBuilder, ConnectionStatus, RequestError, MessageTooLargeError } from './index'
+import type { ClientPlugin } from './index'
+import { Message } from './generated/sigma-sockets/message'
+import { MessageType } from './generated/sigma-sockets/message-type'
+import { MessageData } from './generated/sigma-sockets/message-data'
+import { DataMessage } from './generated/sigma-sockets/data-message'
+import { ConnectMessage } from './generated/sigma-sockets/connect-message'
+import { ReconnectMessage } from './generated/sigma-sockets/reconnect-message'
 
 // Mock WebSocket globally
 class MockWebSocket {
@@ -114,4 +121,430 @@ describe('SigmaSocketClient', () => {
     // Should return true when connected
     expect(result).toBe(true)
   })
+
+  it('should reject requests when not connected', async () => {
+    await expect(client.request('echo', new Uint8Array([1]))).rejects.toMatchObject({ code: 503 })
+  })
+
+  it('should reject requests that get no response before the timeout', async () => {
+    await client.connect()
+
+    const request = client.request('echo', new Uint8Array([1]), { timeout: 20 })
+
+    await expect(request).rejects.toBeInstanceOf(RequestError)
+    await expect(request).rejects.toMatchObject({ code: 408 })
+  })
+
+  it('should reject pending requests on disconnect', async () => {
+    await client.connect()
+
+    const request = client.request('echo', new Uint8Array([1]), { timeout: 1000 })
+    client.disconnect()
+
+    await expect(request).rejects.toMatchObject({ code: 503 })
+  })
+
+  it('should send a subscription only for the first handler of a topic', async () => {
+    const send = vi.spyOn(MockWebSocket.prototype, 'send')
+    await client.connect()
+    send.mockClear()
+
+    const first = vi.fn()
+    const second = vi.fn()
+    client.subscribe('news', first)
+    client.subscribe('news', second)
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(client.getSubscriptions()).toEqual(['news'])
+
+    client.unsubscribe('news', first)
+    expect(send).toHaveBeenCalledTimes(1)
+    client.unsubscribe('news', second)
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(client.getSubscriptions()).toEqual([])
+
+    send.mockRestore()
+  })
+
+  it('should send subscriptions made before connecting once connected', async () => {
+    const send = vi.spyOn(MockWebSocket.prototype, 'send')
+
+    client.subscribe('news', vi.fn())
+    expect(send).not.toHaveBeenCalled()
+
+    await client.connect()
+    // Connect and first heartbeat, then the subscription
+    expect(send).toHaveBeenCalledTimes(3)
+
+    send.mockRestore()
+  })
+
+  it('should retransmit reliable sends and report them when never acked', async () => {
+    const reliableClient = new SigmaSocketClient({
+      url: 'ws://localhost:8080',
+      ackTimeout: 10,
+      maxRetransmits: 2
+    })
+    const send = vi.spyOn(MockWebSocket.prototype, 'send')
+    await reliableClient.connect()
+    send.mockClear()
+
+    const failed = new Promise<Error>((resolve) => reliableClient.on('error', resolve))
+    expect(reliableClient.send(new Uint8Array([1]), { reliable: true })).toBe(true)
+
+    expect((await failed).message).toContain('not acknowledged')
+    // The original send plus two retransmits
+    expect(send).toHaveBeenCalledTimes(3)
+
+    send.mockRestore()
+    reliableClient.disconnect()
+  })
+
+  it('should queue sends while disconnected and flush them once connected', async () => {
+    const send = vi.spyOn(MockWebSocket.prototype, 'send')
+
+    expect(client.send(new Uint8Array([1]))).toBe(true)
+    expect(client.send(new Uint8Array([2]))).toBe(true)
+    expect(client.getOfflineQueueSize()).toBe(2)
+    expect(send).not.toHaveBeenCalled()
+
+    await client.connect()
+    // Connect and first heartbeat, then both queued messages
+    expect(send).toHaveBeenCalledTimes(4)
+    expect(client.getOfflineQueueSize()).toBe(0)
+
+    send.mockRestore()
+  })
+
+  it('should report messages dropped from a full offline queue', () => {
+    const queueingClient = new SigmaSocketClient({
+      url: 'ws://localhost:8080',
+      offlineQueueSize: 1
+    })
+    const dropped: number[][] = []
+    queueingClient.on('dropped', (data, reason) => {
+      expect(reason).toBe('overflow')
+      dropped.push(Array.from(data))
+    })
+
+    queueingClient.send(new Uint8Array([1]))
+    queueingClient.send(new Uint8Array([2]))
+
+    expect(dropped).toEqual([[1]])
+  })
+
+  it('should run send middlewares in order and let them drop messages', async () => {
+    const payloads = vi.spyOn(DataMessage, 'createPayloadVector')
+    client
+      .use({ name: 'double', onSend: (_client, data) => data.map((value) => value * 2) })
+      .use({ name: 'filter', onSend: (_client, data) => data[0] === 4 ? null : data })
+    await client.connect()
+
+    expect(client.send(new Uint8Array([1]))).toBe(true)
+    expect(client.send(new Uint8Array([2]))).toBe(false)
+    expect(payloads.mock.calls.map((call) => Array.from(call[1]))).toEqual([[2]])
+
+    payloads.mockRestore()
+  })
+
+  it('should run message middlewares on inbound data', async () => {
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Data,
+      dataType: () => MessageData.DataMessage,
+      data: () => ({
+        payloadArray: () => new Uint8Array([3]),
+        messageId: () => 1n,
+        timestamp: () => 0n,
+        topic: () => null,
+        sequence: () => 0n,
+        keyId: () => 0,
+        compression: () => 0
+      })
+    } as unknown as Message)
+    client.use({ name: 'inc', onMessage: (_client, data) => data.map((value) => value + 1) })
+    const received: number[][] = []
+    client.on('message', (data) => received.push(Array.from(data)))
+    await client.connect()
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    expect(received).toEqual([[4]])
+    getRoot.mockRestore()
+  })
+
+  it('should notify middlewares of connection changes and errors', async () => {
+    const events: string[] = []
+    client.use({
+      name: 'audit',
+      onConnect: () => events.push('connect'),
+      onDisconnect: () => events.push('disconnect'),
+      onError: (_client, error) => events.push(`error:${error.message}`),
+      onSend: () => { throw new Error('bad payload') }
+    })
+
+    await client.connect()
+    expect(client.send(new Uint8Array([1]))).toBe(false)
+    client.disconnect()
+
+    expect(events).toEqual(['connect', 'error:bad payload', 'disconnect'])
+  })
+
+  it('should install and uninstall plugins through the builder', () => {
+    const events: string[] = []
+    const plugin: ClientPlugin = {
+      name: 'metrics',
+      version: '1.0.0',
+      install: (target) => { target.use({ name: 'metrics' }); events.push('install') },
+      uninstall: (target) => { target.removeMiddleware('metrics'); events.push('uninstall') }
+    }
+
+    const built = new SigmaSocketClientBuilder()
+      .withConfig({ url: 'ws://localhost:8080' })
+      .withPlugin(plugin)
+      .build()
+
+    expect(built.getPlugins()).toEqual([plugin])
+    expect(() => built.install(plugin)).toThrow('already installed')
+    expect(built.uninstall('metrics')).toBe(true)
+    expect(built.uninstall('metrics')).toBe(false)
+    expect(events).toEqual(['install', 'uninstall'])
+    expect(() => new SigmaSocketClientBuilder().build()).toThrow()
+  })
+
+  it('should send a freshly resolved auth token with every connect', async () => {
+    const addToken = vi.spyOn(ConnectMessage, 'addAuthToken')
+    let issued = 0
+    const authClient = new SigmaSocketClient({
+      url: 'ws://localhost:8080',
+      authToken: async () => `token-${++issued}`
+    })
+
+    await authClient.connect()
+
+    expect(issued).toBe(1)
+    expect(addToken).toHaveBeenCalledTimes(1)
+    expect(authClient.getStatus()).toBe(ConnectionStatus.Connected)
+
+    addToken.mockRestore()
+    authClient.disconnect()
+  })
+
+  it('should stop reconnecting when the server refuses its credentials', async () => {
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 0n, code: () => 401, message: () => 'Authentication failed' })
+    } as unknown as Message)
+    const errors: unknown[] = []
+    const reconnecting = vi.fn()
+    client.on('error', (error) => errors.push(error))
+    client.on('reconnecting', reconnecting)
+    await client.connect()
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    expect(client.getStatus()).toBe(ConnectionStatus.Error)
+    expect(errors).toEqual([expect.objectContaining({ code: 401, message: 'Authentication failed' })])
+    expect(errors[0]).toBeInstanceOf(RequestError)
+    expect(reconnecting).not.toHaveBeenCalled()
+    getRoot.mockRestore()
+  })
+
+  it('should wait out the retry-after hint of a 1013 close', async () => {
+    const reconnecting = vi.fn()
+    client.on('reconnecting', reconnecting)
+    await client.connect()
+
+    ;(client as any).ws.onclose({ type: 'close', code: 1013, reason: 'Server at capacity; retry-after=7' })
+
+    expect(client.getStatus()).toBe(ConnectionStatus.Reconnecting)
+    expect(reconnecting).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, nextRetryIn: 7000 }))
+  })
+
+  it('should hold off until keys are exchanged and give up on a server that will not encrypt', async () => {
+    const addPublicKey = vi.spyOn(ConnectMessage, 'addPublicKey')
+    const encryptedClient = new SigmaSocketClient({ url: 'ws://localhost:8080', encryption: true })
+    const errors: unknown[] = []
+    encryptedClient.on('error', (error) => errors.push(error))
+    await encryptedClient.connect()
+
+    expect(addPublicKey).toHaveBeenCalledTimes(1)
+    expect(encryptedClient.getStatus()).toBe(ConnectionStatus.Connecting)
+
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.ResumeToken,
+      dataType: () => MessageData.ResumeTokenMessage,
+      data: () => ({ resumeToken: () => 'token-1', expiresAt: () => 0n, compression: () => 0 })
+    } as unknown as Message)
+    ;(encryptedClient as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    expect(encryptedClient.getStatus()).toBe(ConnectionStatus.Error)
+    expect(errors).toEqual([expect.objectContaining({ message: 'Server did not agree to encrypt payloads' })])
+
+    getRoot.mockRestore()
+    addPublicKey.mockRestore()
+  })
+
+  it('should resume with the latest token the server issued', async () => {
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage')
+    const addResumeToken = vi.spyOn(ReconnectMessage, 'addResumeToken')
+    await client.connect()
+    const sessionId = client.getSession()?.id
+
+    for (const token of ['token-1', 'token-2']) {
+      getRoot.mockReturnValueOnce({
+        type: () => MessageType.ResumeToken,
+        dataType: () => MessageData.ResumeTokenMessage,
+        data: () => ({ resumeToken: () => token, expiresAt: () => 0n, compression: () => 0 })
+      } as unknown as Message)
+      ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+    }
+    client.disconnect()
+    await client.connect()
+
+    expect(client.getSession()).toEqual(expect.objectContaining({ id: sessionId, resumeToken: 'token-2' }))
+    expect(addResumeToken).toHaveBeenCalledTimes(1)
+
+    addResumeToken.mockRestore()
+    getRoot.mockRestore()
+  })
+
+  it('should keep only the resume token across a reload and resume with it', async () => {
+    const stored = new Map<string, string>()
+    vi.stubGlobal('localStorage', {
+      getItem: (key: string) => stored.get(key) ?? null,
+      setItem: (key: string, value: string) => stored.set(key, value),
+      removeItem: (key: string) => stored.delete(key)
+    })
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValueOnce({
+      type: () => MessageType.ResumeToken,
+      dataType: () => MessageData.ResumeTokenMessage,
+      data: () => ({ resumeToken: () => 'YWxpY2U.nonce.0.signature', expiresAt: () => 0n, compression: () => 0 })
+    } as unknown as Message)
+
+    try {
+      await client.connect()
+      expect(client.getSession()?.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+      expect([...stored.keys()]).toEqual(['sigmasockets-resume-token'])
+
+      // A new page resumes the session the token names
+      const reloaded = new SigmaSocketClient({ url: 'ws://localhost:8080', heartbeatInterval: 30000 })
+      const startReconnect = vi.spyOn(ReconnectMessage, 'startReconnectMessage')
+      await reloaded.connect()
+      expect(startReconnect).toHaveBeenCalledTimes(1)
+      expect(reloaded.getSession()).toEqual(expect.objectContaining({ id: 'alice', resumeToken: 'YWxpY2U.nonce.0.signature' }))
+      startReconnect.mockRestore()
+
+      // Without a token every Connect gets a new id
+      reloaded.clearSession()
+      reloaded.disconnect()
+      await reloaded.connect()
+      expect(reloaded.getSession()?.id).not.toBe('alice')
+      expect(reloaded.getSession()?.id).not.toBe(client.getSession()?.id)
+      reloaded.disconnect()
+    } finally {
+      getRoot.mockRestore()
+      vi.unstubAllGlobals()
+    }
+  })
+
+  it('should start a new session when the server will not resume it', async () => {
+    await client.connect()
+    const sessionId = client.getSession()?.id
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 0n, code: () => 498, message: () => 'Resume token already used' })
+    } as unknown as Message)
+    const startConnect = vi.spyOn(ConnectMessage, 'startConnectMessage')
+    const errors: unknown[] = []
+    client.on('error', (error) => errors.push(error))
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(errors).toEqual([expect.objectContaining({ code: 498, message: 'Resume token already used' })])
+    expect(startConnect).toHaveBeenCalledTimes(1)
+    expect(client.getSession()?.id).not.toBe(sessionId)
+    expect(client.getStatus()).toBe(ConnectionStatus.Connected)
+
+    startConnect.mockRestore()
+    getRoot.mockRestore()
+  })
+
+  it('should answer an expired token notice with a fresh token on the same socket', async () => {
+    const reauthClient = new SigmaSocketClient({ url: 'ws://localhost:8080', authToken: async () => 'fresh-jwt' })
+    await reauthClient.connect()
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 0n, code: () => 440, message: () => 'Token expired' })
+    } as unknown as Message)
+    const addToken = vi.spyOn(ConnectMessage, 'addAuthToken')
+    const reconnecting = vi.fn()
+    reauthClient.on('reconnecting', reconnecting)
+
+    ;(reauthClient as any).ws.onmessage({ data: new ArrayBuffer(0) })
+    await new Promise((resolve) => setTimeout(resolve, 0))
+
+    expect(addToken).toHaveBeenCalledTimes(1)
+    expect(reauthClient.getStatus()).toBe(ConnectionStatus.Connected)
+    expect(reconnecting).not.toHaveBeenCalled()
+
+    addToken.mockRestore()
+    getRoot.mockRestore()
+    reauthClient.disconnect()
+  })
+
+  it('should report policy denials without dropping the connection', async () => {
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 0n, code: () => 403, message: () => 'Read-only users cannot send' })
+    } as unknown as Message)
+    const errors: unknown[] = []
+    client.on('error', (error) => errors.push(error))
+    await client.connect()
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    expect(errors).toEqual([expect.objectContaining({ code: 403, message: 'Read-only users cannot send' })])
+    expect(client.getStatus()).toBe(ConnectionStatus.Connected)
+    getRoot.mockRestore()
+  })
+
+  it('should report rate limited messages without dropping the connection', async () => {
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 0n, code: () => 429, message: () => 'Rate limit exceeded' })
+    } as unknown as Message)
+    const errors: unknown[] = []
+    client.on('error', (error) => errors.push(error))
+    await client.connect()
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    expect(errors).toEqual([expect.objectContaining({ code: 429, message: 'Rate limit exceeded' })])
+    expect(client.getStatus()).toBe(ConnectionStatus.Connected)
+    getRoot.mockRestore()
+  })
+
+  it('should reject requests refused for their size with a MessageTooLargeError', async () => {
+    await client.connect()
+    const pending = client.request('upload', new Uint8Array(8))
+    const getRoot = vi.spyOn(Message, 'getRootAsMessage').mockReturnValue({
+      type: () => MessageType.Error,
+      dataType: () => MessageData.ErrorMessage,
+      data: () => ({ requestId: () => 1n, code: () => 413, message: () => 'Message too large: 70000 bytes, limit 65536' })
+    } as unknown as Message)
+
+    ;(client as any).ws.onmessage({ data: new ArrayBuffer(0) })
+
+    const error = await pending.catch((reason: unknown) => reason)
+    expect(error).toBeInstanceOf(MessageTooLargeError)
+    expect(error).toMatchObject({ code: 413, requestId: 1n })
+    expect(client.getStatus()).toBe(ConnectionStatus.Connected)
+    getRoot.mockRestore()
+  })
 })
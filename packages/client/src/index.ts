@@ -6,8 +6,29 @@ import { ConnectMessage } from './generated/sigma-sockets/connect-message';
 import { DataMessage } from './generated/sigma-sockets/data-message';
 import { HeartbeatMessage } from './generated/sigma-sockets/heartbeat-message';
 import { ReconnectMessage } from './generated/sigma-sockets/reconnect-message';
+import { ResumeTokenMessage } from './generated/sigma-sockets/resume-token-message';
 import { DisconnectMessage } from './generated/sigma-sockets/disconnect-message';
+import { ErrorMessage } from './generated/sigma-sockets/error-message';
+import { RequestMessage } from './generated/sigma-sockets/request-message';
+import { ResponseMessage } from './generated/sigma-sockets/response-message';
+import { SubscribeMessage } from './generated/sigma-sockets/subscribe-message';
+import { UnsubscribeMessage } from './generated/sigma-sockets/unsubscribe-message';
+import { AckMessage } from './generated/sigma-sockets/ack-message';
+import { KeyExchangeMessage } from './generated/sigma-sockets/key-exchange-message';
+import { Compression } from './generated/sigma-sockets/compression';
+import { StreamOpenMessage } from './generated/sigma-sockets/stream-open-message';
+import { StreamChunkMessage } from './generated/sigma-sockets/stream-chunk-message';
+import { StreamEndMessage } from './generated/sigma-sockets/stream-end-message';
+import { StreamAckMessage } from './generated/sigma-sockets/stream-ack-message';
+import { ReliableChannel } from './reliable-channel';
+import { OfflineQueue } from './offline-queue';
+import { KeyExchange, type PayloadCipher } from './payload-encryption';
+import { PayloadCompressor } from './payload-compression';
+import { OutgoingStream } from './outgoing-stream';
+import { FileUpload } from './file-upload';
+import { Sha256 } from './sha256';
 import { ConnectionStatus } from './types';
+import { CompressionError, DecryptionError, MessageTooLargeError, RequestError, StreamCancelledError } from './errors';
 import type { 
   SigmaSocketConfig, 
   MessageCallback, 
@@ -16,11 +37,22 @@ import type {
   SigmaSocketEvents,
   ClientSession,
   ConnectionQuality,
-  ConnectionQualityMetrics
+  ConnectionQualityMetrics,
+  RequestOptions,
+  PendingRequest,
+  SendOptions,
+  WriteStreamOptions,
+  SendFileOptions,
+  SentFile,
+  InboundMessage,
+  OverflowPolicy,
+  DropReason,
+  ClientMiddleware,
+  ClientPlugin
 } from './types';
 
 // Re-export types and values for external use
-export { ConnectionStatus };
+export { ConnectionStatus, RequestError, MessageTooLargeError, DecryptionError, CompressionError, StreamCancelledError };
 export type { 
   SigmaSocketConfig, 
   MessageCallback, 
@@ -29,9 +61,21 @@ export type {
   SigmaSocketEvents, 
   ClientSession,
   ConnectionQuality,
-  ConnectionQualityMetrics
+  ConnectionQualityMetrics,
+  RequestOptions,
+  SendOptions,
+  WriteStreamOptions,
+  SendFileOptions,
+  SentFile,
+  OverflowPolicy,
+  DropReason,
+  ClientMiddleware,
+  ClientPlugin
 };
 
+// Where the latest resume token survives a page reload
+const RESUME_TOKEN_KEY = 'sigmasockets-resume-token';
+
 export class SigmaSocketClient {
   private ws: WebSocket | null = null;
   private config: Required<SigmaSocketConfig>;
@@ -43,7 +87,30 @@ export class SigmaSocketClient {
   private connectionHealthTimer: NodeJS.Timeout | null = null;
   private lastHeartbeatReceived: Date | null = null;
   private messageIdCounter = 0n;
+  private requestIdCounter = 0n;
+  private pendingRequests: Map<bigint, PendingRequest> = new Map();
+  private streamIdCounter = 0;
+  private streams: Map<number, OutgoingStream> = new Map();
+  private uploads: Map<number, FileUpload> = new Map();
+  private topicHandlers: Map<string, Set<MessageCallback>> = new Map();
+  private reliableChannel: ReliableChannel<InboundMessage>;
+  private offlineQueue: OfflineQueue;
+  // Key pair offered on the current socket, when encryption is on
+  private keyExchange: KeyExchange | null = null;
+  // Set between sending Connect or Reconnect and the server's KeyExchange
+  private awaitingKeys: { isNewSession: boolean } | null = null;
+  // Cipher agreed on the current socket; a promise so frames can queue behind the key derivation
+  private cipher: Promise<PayloadCipher> | null = null;
+  // Sealing and opening are async; these keep sent and received payloads in order
+  private outbound: Promise<void> = Promise.resolve();
+  private inbound: Promise<void> = Promise.resolve();
+  // Null when compression is turned off or CompressionStream is missing
+  private compressor: PayloadCompressor | null = null;
+  // Compression the server confirmed for the current socket
+  private compression: Compression = Compression.None;
   private eventListeners: Map<keyof SigmaSocketEvents, Set<Function>> = new Map();
+  private middlewares: ClientMiddleware[] = [];
+  private plugins: Map<string, ClientPlugin> = new Map();
   // Enhanced connection quality monitoring
   private latencyHistory: number[] = [];
   private connectionQualityMetrics: ConnectionQualityMetrics | null = null;
@@ -61,17 +128,41 @@ export class SigmaSocketClient {
       minHeartbeatInterval: config.minHeartbeatInterval ?? 5000,
       maxHeartbeatInterval: config.maxHeartbeatInterval ?? 60000,
       adaptiveHeartbeatEnabled: config.adaptiveHeartbeatEnabled ?? true,
-      connectionQualityMonitoring: config.connectionQualityMonitoring ?? true
+      connectionQualityMonitoring: config.connectionQualityMonitoring ?? true,
+      requestTimeout: config.requestTimeout ?? 10000,
+      ackTimeout: config.ackTimeout ?? 5000,
+      maxRetransmits: config.maxRetransmits ?? 5,
+      offlineQueueSize: config.offlineQueueSize ?? 100,
+      offlineQueueBytes: config.offlineQueueBytes ?? 1024 * 1024,
+      offlineMessageTTL: config.offlineMessageTTL ?? 30000,
+      offlineOverflowPolicy: config.offlineOverflowPolicy ?? 'drop-oldest',
+      authToken: config.authToken ?? '',
+      encryption: config.encryption ?? false,
+      compression: config.compression ?? true
     };
 
     // Initialize adaptive heartbeat interval
     this.adaptiveHeartbeatInterval = this.config.heartbeatInterval;
 
+    const compression = this.config.compression;
+    if (compression && PayloadCompressor.supported) {
+      const options = typeof compression === 'object' ? compression : {};
+      this.compressor = new PayloadCompressor(options.threshold ?? 1024, options.maxInflatedSize ?? 16 * 1024 * 1024);
+    }
+
+    this.reliableChannel = this.createReliableChannel();
+    this.offlineQueue = new OfflineQueue(
+      this.config.offlineQueueSize,
+      this.config.offlineQueueBytes,
+      this.config.offlineOverflowPolicy
+    );
+
     // Initialize event listener sets
     this.eventListeners.set('connection', new Set());
     this.eventListeners.set('message', new Set());
     this.eventListeners.set('error', new Set());
     this.eventListeners.set('reconnecting', new Set());
+    this.eventListeners.set('dropped', new Set());
 
     // Set up visibility and activity monitoring
     this.setupVisibilityMonitoring();
@@ -91,8 +182,29 @@ export class SigmaSocketClient {
         this.ws.binaryType = 'arraybuffer';
 
         this.ws.onopen = () => {
-          this.onWebSocketOpen();
-          resolve();
+          const token = this.resolveAuthToken();
+          this.keyExchange = null;
+          if (typeof token === 'string' && !this.config.encryption) {
+            this.onWebSocketOpen(token);
+            resolve();
+            return;
+          }
+
+          // A fresh key pair for every socket
+          const ws = this.ws;
+          const keys = this.config.encryption ? KeyExchange.create() : null;
+          Promise.all([token, keys]).then(([value, keyExchange]) => {
+            if (this.ws === ws) {
+              this.keyExchange = keyExchange;
+              this.onWebSocketOpen(value);
+            }
+            resolve();
+          }, (error: unknown) => {
+            const err = error instanceof Error ? error : new Error(String(error));
+            this.onWebSocketError(err);
+            ws?.close(1000, 'Handshake failed');
+            reject(err);
+          });
         };
 
         this.ws.onmessage = (event) => {
@@ -119,6 +231,9 @@ export class SigmaSocketClient {
 
   public disconnect(): void {
     this.clearTimers();
+    this.rejectPendingRequests('Client disconnected');
+    this.failStreams('Client disconnected');
+    this.failUploads('Client disconnected');
     
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       // Send disconnect message
@@ -149,13 +264,26 @@ export class SigmaSocketClient {
   public clearSession(): void {
     // Explicitly clear session when user wants to start fresh
     this.session = null;
+    this.reliableChannel.close();
     if (typeof localStorage !== 'undefined') {
-      localStorage.removeItem('sigmasockets-session-id');
+      localStorage.removeItem(RESUME_TOKEN_KEY);
     }
   }
 
-  public send(data: Uint8Array): boolean {
+  /**
+   * Send data to the server. With `{ reliable: true }` the message is
+   * retransmitted until the server acks it, including after a reconnect, and
+   * the server delivers reliable messages once and in order.
+   *
+   * While not connected the message goes to the offline queue and is sent once
+   * the connection is back; returns false only if it could not be queued.
+   */
+  public send(data: Uint8Array, options: SendOptions = {}): boolean {
     if (this.status !== ConnectionStatus.Connected || !this.ws) {
+      // After the last reconnect attempt failed nothing would flush the queue
+      if (this.status !== ConnectionStatus.Error) {
+        return this.enqueueOffline(data, options);
+      }
       if (this.config.debug) {
         console.log('❌ Client not connected or WebSocket not available');
       }
@@ -169,25 +297,19 @@ export class SigmaSocketClient {
         console.log('🔧 Input data type:', data.constructor.name);
         console.log('🔧 Input data first 10 bytes:', Array.from(data.slice(0, 10)));
       }
-      const builder = new flatbuffers.Builder(1024 + data.length);
-      const payload = DataMessage.createPayloadVector(builder, data);
-      const messageId = ++this.messageIdCounter;
-      const timestamp = BigInt(Date.now());
 
-      DataMessage.startDataMessage(builder);
-      DataMessage.addPayload(builder, payload);
-      DataMessage.addMessageId(builder, messageId);
-      DataMessage.addTimestamp(builder, timestamp);
-      const dataMsg = DataMessage.endDataMessage(builder);
+      // Applied here rather than on queueing, so queued messages are transformed once
+      const outbound = this.runMiddlewares('onSend', data);
+      if (!outbound) {
+        return false;
+      }
 
-      Message.startMessage(builder);
-      Message.addType(builder, MessageType.Data);
-      Message.addDataType(builder, MessageData.DataMessage);
-      Message.addData(builder, dataMsg);
-      const message = Message.endMessage(builder);
+      if (options.reliable) {
+        this.reliableChannel.send((sequence) => this.encodeDataMessage(outbound, sequence));
+        return true;
+      }
 
-      builder.finish(message);
-      const flatbuffersData = builder.asUint8Array();
+      const flatbuffersData = this.encodeDataMessage(outbound);
       
       // Validate the built FlatBuffer by parsing it back (like the example)
       if (this.config.debug) {
@@ -237,17 +359,8 @@ export class SigmaSocketClient {
           console.log(`🔧 [${transmissionId}] - First 4 bytes: [${Array.from(flatbuffersData.slice(0, 4)).join(', ')}]`);
         }
         
-        // Explicit ArrayBuffer conversion to prevent type coercion
-        const dataToSend = flatbuffersData instanceof ArrayBuffer ? 
-          flatbuffersData : 
-          flatbuffersData.buffer;
-          
-        if (this.config.debug) {
-          console.log(`🔧 [${transmissionId}] Final data to send - Is ArrayBuffer: ${dataToSend instanceof ArrayBuffer}`);
-          console.log(`🔧 [${transmissionId}] Final data byte length: ${dataToSend.byteLength}`);
-        }
-        
-        this.ws.send(dataToSend);
+        // Send the view itself: the builder's underlying buffer has unused space in front
+        this.transmitData(flatbuffersData);
         
         if (this.config.debug) {
           console.log(`🔧 [${transmissionId}] WebSocket.send() completed successfully`);
@@ -259,10 +372,6 @@ export class SigmaSocketClient {
         return false;
       }
 
-      if (this.session) {
-        this.session.lastMessageId = messageId;
-      }
-
       return true;
     } catch (error) {
       if (this.config.debug) {
@@ -273,6 +382,423 @@ export class SigmaSocketClient {
     }
   }
 
+  private enqueueOffline(data: Uint8Array, options: SendOptions): boolean {
+    const result = this.offlineQueue.enqueue(data, options, options.ttl ?? this.config.offlineMessageTTL);
+    result.dropped.forEach((dropped) => this.emit('dropped', dropped, 'overflow'));
+
+    if (this.config.debug) {
+      console.log(`🔧 Offline queue ${result.queued ? 'accepted' : 'refused'} message, queued: ${this.offlineQueue.size}`);
+    }
+    return result.queued;
+  }
+
+  private flushOfflineQueue(): void {
+    const { ready, expired } = this.offlineQueue.drain();
+    expired.forEach((message) => this.emit('dropped', message.data, 'expired'));
+    ready.forEach((message) => this.send(message.data, message.options));
+  }
+
+  public getOfflineQueueSize(): number {
+    return this.offlineQueue.size;
+  }
+
+  private encodeDataMessage(
+    data: Uint8Array,
+    sequence?: bigint,
+    messageId: bigint = ++this.messageIdCounter,
+    timestamp: bigint = BigInt(Date.now()),
+    keyId?: number,
+    compression?: Compression
+  ): Uint8Array {
+    const builder = new flatbuffers.Builder(1024 + data.length);
+    const payload = DataMessage.createPayloadVector(builder, data);
+
+    DataMessage.startDataMessage(builder);
+    DataMessage.addPayload(builder, payload);
+    DataMessage.addMessageId(builder, messageId);
+    DataMessage.addTimestamp(builder, timestamp);
+    if (sequence !== undefined) {
+      DataMessage.addSequence(builder, sequence);
+    }
+    if (keyId !== undefined) {
+      DataMessage.addKeyId(builder, keyId);
+    }
+    if (compression) {
+      DataMessage.addCompression(builder, compression);
+    }
+    const dataMsg = DataMessage.endDataMessage(builder);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.Data);
+    Message.addDataType(builder, MessageData.DataMessage);
+    Message.addData(builder, dataMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    return builder.asUint8Array();
+  }
+
+  /**
+   * Write an encoded DataMessage to the socket, compressing and then sealing its
+   * payload as the server agreed. Frames stay as they were sent in the reliable
+   * channel so they can be resealed after a reconnect's new key exchange; a frame
+   * whose socket closes while it is being prepared is dropped like any unsent frame.
+   */
+  private transmitData(frame: Uint8Array): void {
+    const ws = this.ws;
+    const cipher = this.cipher;
+    const compressor = this.compression === Compression.Deflate ? this.compressor : null;
+    if (!cipher && !compressor) {
+      ws?.send(frame);
+      return;
+    }
+
+    this.outbound = this.outbound
+      .then(async () => {
+        const dataMsg = Message.getRootAsMessage(new flatbuffers.ByteBuffer(frame)).data(new DataMessage()) as DataMessage;
+        const plain = dataMsg.payloadArray() ?? new Uint8Array(0);
+        const compressed = compressor ? await compressor.compress(plain) : { payload: plain, compression: Compression.None };
+        const sequence = dataMsg.sequence();
+        const sealed = cipher ? await (await cipher).seal(compressed.payload, { kind: 'data', id: dataMsg.messageId(), position: sequence }) : undefined;
+        if (this.ws === ws) {
+          ws?.send(this.encodeDataMessage(
+            sealed?.payload ?? compressed.payload,
+            sequence > 0n ? sequence : undefined,
+            dataMsg.messageId(),
+            dataMsg.timestamp(),
+            sealed?.keyId,
+            compressed.compression
+          ));
+        }
+      })
+      .catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  private createReliableChannel(): ReliableChannel<InboundMessage> {
+    return new ReliableChannel<InboundMessage>({
+      ackTimeout: this.config.ackTimeout,
+      maxRetransmits: this.config.maxRetransmits,
+      transmit: (frame) => {
+        if (this.status !== ConnectionStatus.Connected || !this.ws) {
+          return false;
+        }
+        this.transmitData(frame);
+        return true;
+      },
+      onFailure: (sequence) => {
+        this.emit('error', new Error(`Reliable message ${sequence} was not acknowledged`));
+      }
+    });
+  }
+
+  /**
+   * Send a request to a handler registered with server.handle(method, ...) and
+   * resolve with its response payload. Rejects with a RequestError on timeout,
+   * on disconnect, or when the server answers with an ErrorMessage.
+   */
+  public request(method: string, data: Uint8Array, options: RequestOptions = {}): Promise<Uint8Array> {
+    return new Promise((resolve, reject) => {
+      if (this.status !== ConnectionStatus.Connected || !this.ws) {
+        reject(new RequestError(503, 'Client not connected'));
+        return;
+      }
+
+      const requestId = ++this.requestIdCounter;
+
+      try {
+        const builder = new flatbuffers.Builder(1024 + data.length);
+        const methodOffset = builder.createString(method);
+        const payload = RequestMessage.createPayloadVector(builder, data);
+
+        RequestMessage.startRequestMessage(builder);
+        RequestMessage.addRequestId(builder, requestId);
+        RequestMessage.addMethod(builder, methodOffset);
+        RequestMessage.addPayload(builder, payload);
+        RequestMessage.addTimestamp(builder, BigInt(Date.now()));
+        const requestMsg = RequestMessage.endRequestMessage(builder);
+
+        Message.startMessage(builder);
+        Message.addType(builder, MessageType.Request);
+        Message.addDataType(builder, MessageData.RequestMessage);
+        Message.addData(builder, requestMsg);
+        const message = Message.endMessage(builder);
+
+        builder.finish(message);
+        this.ws.send(builder.asUint8Array());
+      } catch (error) {
+        reject(error instanceof Error ? error : new Error(String(error)));
+        return;
+      }
+
+      const timeout = options.timeout ?? this.config.requestTimeout;
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new RequestError(408, `Request timed out after ${timeout}ms: ${method}`, requestId));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+      if (this.config.debug) {
+        console.log(`🔧 Request ${requestId} sent - method: ${method}, payload size: ${data.length}`);
+      }
+    });
+  }
+
+  /**
+   * Stream bytes to the server's 'stream' listeners. Writes wait for the server
+   * to grant room, so piping a large source through keeps memory flat; closing
+   * resolves once the server has the whole stream. The stream errors with a
+   * StreamCancelledError if the server refuses or cancels it, or the connection drops.
+   */
+  public createWriteStream(options: WriteStreamOptions = {}): WritableStream<Uint8Array> {
+    if (this.status !== ConnectionStatus.Connected || !this.ws) {
+      throw new StreamCancelledError('Client not connected');
+    }
+
+    const id = ++this.streamIdCounter;
+    const stream = new OutgoingStream(
+      id,
+      options.chunkSize ?? 32 * 1024,
+      {
+        sendChunk: (offset, chunk) => this.sendStreamChunk(id, offset, chunk),
+        sendEnd: (size, error) => this.sendStreamEnd(id, size, error)
+      },
+      () => this.streams.delete(id),
+      options.onProgress
+    );
+    this.streams.set(id, stream);
+
+    this.sendStreamOpen(id, options.name ?? '', options.size ?? 0, options.metadata);
+    return stream.writable;
+  }
+
+  /**
+   * Upload a file or Blob to the server's upload sink. Its SHA-256 goes with
+   * it and the server checks the content against it. If the connection drops,
+   * the upload carries on from what the server stored once the client has
+   * reconnected. Resolves once the server has the whole file; rejects with a
+   * StreamCancelledError if the server refuses it or the session ends.
+   */
+  public async sendFile(file: Blob, options: SendFileOptions = {}): Promise<SentFile> {
+    const chunkSize = options.chunkSize ?? 32 * 1024;
+    // Hashed a chunk at a time, so memory use stays bounded by the chunk size
+    const hash = new Sha256();
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+      hash.update(new Uint8Array(await file.slice(offset, offset + chunkSize).arrayBuffer()));
+    }
+    const digest = hash.digest();
+    if (this.status !== ConnectionStatus.Connected || !this.ws) {
+      throw new StreamCancelledError('Client not connected');
+    }
+
+    const id = ++this.streamIdCounter;
+    const upload = new FileUpload(
+      id,
+      file,
+      chunkSize,
+      {
+        sendChunk: (offset, chunk) => this.sendStreamChunk(id, offset, chunk),
+        sendEnd: (size, error) => this.sendStreamEnd(id, size, error)
+      },
+      () => this.uploads.delete(id),
+      options.onProgress
+    );
+    this.uploads.set(id, upload);
+
+    const name = options.name ?? ('name' in file && typeof file.name === 'string' ? file.name : '');
+    this.sendStreamOpen(id, name, file.size, options.metadata, digest);
+    await upload.done;
+    return { size: file.size, sha256: Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('') };
+  }
+
+  private sendStreamOpen(id: number, name: string, size: number, metadata?: string, sha256?: Uint8Array): void {
+    const builder = new flatbuffers.Builder(256);
+    const nameOffset = builder.createString(name);
+    const metadataOffset = metadata !== undefined ? builder.createString(metadata) : 0;
+    const hashOffset = sha256 !== undefined ? StreamOpenMessage.createSha256Vector(builder, sha256) : 0;
+    const openMsg = StreamOpenMessage.createStreamOpenMessage(builder, id, nameOffset, BigInt(size), metadataOffset, hashOffset);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.StreamOpen);
+    Message.addDataType(builder, MessageData.StreamOpenMessage);
+    Message.addData(builder, openMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    this.ws?.send(builder.asUint8Array());
+  }
+
+  // Sealed chunks go through the outbound chain so they, and the end after them, stay in order
+  private sendStreamChunk(id: number, offset: number, chunk: Uint8Array): void {
+    const ws = this.ws;
+    const cipher = this.cipher;
+    const encode = (payload: Uint8Array, keyId: number) => {
+      const builder = new flatbuffers.Builder(256 + payload.length);
+      const payloadOffset = StreamChunkMessage.createPayloadVector(builder, payload);
+      const chunkMsg = StreamChunkMessage.createStreamChunkMessage(builder, id, BigInt(offset), payloadOffset, keyId);
+
+      Message.startMessage(builder);
+      Message.addType(builder, MessageType.StreamChunk);
+      Message.addDataType(builder, MessageData.StreamChunkMessage);
+      Message.addData(builder, chunkMsg);
+      const message = Message.endMessage(builder);
+
+      builder.finish(message);
+      return builder.asUint8Array();
+    };
+
+    if (!cipher) {
+      ws?.send(encode(chunk, 0));
+      return;
+    }
+    // Copied now: the writer may reuse its buffer once write() resolves
+    const plain = chunk.slice();
+    this.outbound = this.outbound
+      .then(async () => {
+        const sealed = await (await cipher).seal(plain, { kind: 'chunk', id: BigInt(id), position: BigInt(offset) });
+        if (this.ws === ws) {
+          ws?.send(encode(sealed.payload, sealed.keyId));
+        }
+      })
+      .catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  private sendStreamEnd(id: number, size: number, error?: string): void {
+    const ws = this.ws;
+    const builder = new flatbuffers.Builder(256);
+    const errorOffset = error !== undefined ? builder.createString(error) : 0;
+    const endMsg = StreamEndMessage.createStreamEndMessage(builder, id, BigInt(size), errorOffset);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.StreamEnd);
+    Message.addDataType(builder, MessageData.StreamEndMessage);
+    Message.addData(builder, endMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    const frame = builder.asUint8Array();
+    if (!this.cipher) {
+      ws?.send(frame);
+      return;
+    }
+    this.outbound = this.outbound.then(() => {
+      if (this.ws === ws) {
+        ws?.send(frame);
+      }
+    });
+  }
+
+  private handleStreamAckMessage(message: Message): void {
+    const ackMsg = message.data(new StreamAckMessage());
+    if (ackMsg) {
+      const id = ackMsg.streamId();
+      (this.streams.get(id) ?? this.uploads.get(id))?.acknowledge(Number(ackMsg.offset()), ackMsg.window());
+    }
+  }
+
+  private handleStreamEndMessage(message: Message): void {
+    const endMsg = message.data(new StreamEndMessage());
+    if (endMsg) {
+      const id = endMsg.streamId();
+      (this.streams.get(id) ?? this.uploads.get(id))?.fail(endMsg.error() ?? 'Cancelled by the server');
+    }
+  }
+
+  // Streams are tied to the socket they were opened on
+  private failStreams(reason: string): void {
+    Array.from(this.streams.values()).forEach((stream) => stream.fail(reason));
+  }
+
+  // Uploads are tied to the session
+  private failUploads(reason: string): void {
+    Array.from(this.uploads.values()).forEach((upload) => upload.fail(reason));
+  }
+
+  /**
+   * Receive messages the server publishes on `topic`. The subscription is sent
+   * to the server with the first handler and restored automatically on reconnect.
+   */
+  public subscribe(topic: string, handler: MessageCallback): void {
+    let handlers = this.topicHandlers.get(topic);
+    if (!handlers) {
+      handlers = new Set();
+      this.topicHandlers.set(topic, handlers);
+      this.sendTopicMessage(MessageType.Subscribe, topic);
+    }
+    handlers.add(handler);
+  }
+
+  /**
+   * Remove one handler, or all handlers when none is given. The server stops
+   * sending the topic once no handlers are left.
+   */
+  public unsubscribe(topic: string, handler?: MessageCallback): void {
+    const handlers = this.topicHandlers.get(topic);
+    if (!handlers) {
+      return;
+    }
+
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+
+    if (handlers.size === 0) {
+      this.topicHandlers.delete(topic);
+      this.sendTopicMessage(MessageType.Unsubscribe, topic);
+    }
+  }
+
+  public getSubscriptions(): string[] {
+    return Array.from(this.topicHandlers.keys());
+  }
+
+  /**
+   * Add a middleware. Hooks run in the order middlewares were added; onSend
+   * and onMessage each get the previous middleware's output.
+   */
+  public use(middleware: ClientMiddleware): this {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  public removeMiddleware(name: string): boolean {
+    const index = this.middlewares.findIndex((middleware) => middleware.name === name);
+    if (index === -1) {
+      return false;
+    }
+    this.middlewares.splice(index, 1);
+    return true;
+  }
+
+  public install(plugin: ClientPlugin): this {
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Plugin already installed: ${plugin.name}`);
+    }
+    plugin.install(this);
+    this.plugins.set(plugin.name, plugin);
+    return this;
+  }
+
+  public uninstall(name: string): boolean {
+    const plugin = this.plugins.get(name);
+    if (!plugin) {
+      return false;
+    }
+    plugin.uninstall(this);
+    this.plugins.delete(name);
+    return true;
+  }
+
+  public getPlugins(): ClientPlugin[] {
+    return Array.from(this.plugins.values());
+  }
+
   public on<K extends keyof SigmaSocketEvents>(event: K, callback: SigmaSocketEvents[K]): void {
     const listeners = this.eventListeners.get(event);
     if (listeners) {
@@ -320,20 +846,55 @@ export class SigmaSocketClient {
     return [...this.latencyHistory];
   }
 
-  private onWebSocketOpen(): void {
+  private resolveAuthToken(): string | Promise<string> {
+    const source = this.config.authToken;
+    return typeof source === 'function' ? source() : source;
+  }
+
+  private onWebSocketOpen(authToken: string = ''): void {
     this.reconnectAttempts = 0;
-    
-    // Send connect or reconnect message
-    const builder = new flatbuffers.Builder(1024);
-    const clientVersion = builder.createString('1.0.0');
+    this.cipher = null;
+    const publicKey = this.keyExchange?.publicKey;
+    // After a page reload the stored resume token is all that is left of the session
+    if (!this.session) {
+      this.session = this.restoreSession();
+    }
+    // The server only resumes a session for a client holding its resume token
+    if (this.session && !this.session.resumeToken) {
+      this.clearSession();
+    }
+    const isNewSession = !this.session;
     
     if (this.session) {
       // Reconnecting with existing session
+      const builder = new flatbuffers.Builder(1024);
+      const token = authToken ? builder.createString(authToken) : null;
       const sessionId = builder.createString(this.session.id);
+      const resumeToken = builder.createString(this.session.resumeToken ?? '');
+      // Subscriptions are restored as part of the reconnect handshake
+      const topicOffsets = this.getSubscriptions().map((topic) => builder.createString(topic));
+      const topics = ReconnectMessage.createTopicsVector(builder, topicOffsets);
+      const key = publicKey ? ReconnectMessage.createPublicKeyVector(builder, publicKey) : null;
+      // The server answers each with where to carry on from
+      const uploads = this.uploads.size > 0 ? ReconnectMessage.createUploadsVector(builder, Array.from(this.uploads.keys())) : null;
       
       ReconnectMessage.startReconnectMessage(builder);
       ReconnectMessage.addSessionId(builder, sessionId);
       ReconnectMessage.addLastMessageId(builder, this.session.lastMessageId);
+      ReconnectMessage.addTopics(builder, topics);
+      if (token !== null) {
+        ReconnectMessage.addAuthToken(builder, token);
+      }
+      ReconnectMessage.addResumeToken(builder, resumeToken);
+      if (key !== null) {
+        ReconnectMessage.addPublicKey(builder, key);
+      }
+      if (this.compressor) {
+        ReconnectMessage.addCompression(builder, Compression.Deflate);
+      }
+      if (uploads !== null) {
+        ReconnectMessage.addUploads(builder, uploads);
+      }
       const reconnectMsg = ReconnectMessage.endReconnectMessage(builder);
 
       Message.startMessage(builder);
@@ -346,51 +907,77 @@ export class SigmaSocketClient {
       this.ws?.send(builder.asUint8Array());
     } else {
       // New connection
-      const sessionId = builder.createString(this.generateSessionId());
-      
-      ConnectMessage.startConnectMessage(builder);
-      ConnectMessage.addSessionId(builder, sessionId);
-      ConnectMessage.addClientVersion(builder, clientVersion);
-      const connectMsg = ConnectMessage.endConnectMessage(builder);
+      const newSessionId = this.generateSessionId();
+      this.sendConnectMessage(newSessionId, authToken, publicKey);
 
-      Message.startMessage(builder);
-      Message.addType(builder, MessageType.Connect);
-      Message.addDataType(builder, MessageData.ConnectMessage);
-      Message.addData(builder, connectMsg);
-      const message = Message.endMessage(builder);
-
-      builder.finish(message);
-      this.ws?.send(builder.asUint8Array());
+      // A new session starts its reliable sequence numbers from scratch
+      this.reliableChannel.close();
+      this.reliableChannel = this.createReliableChannel();
+      // and its server knows nothing of the old one's uploads
+      this.failUploads('Session expired');
 
       // Create new session
-      this.session = {
-        id: sessionId.toString(),
-        lastMessageId: 0n,
-        connectedAt: new Date(),
-        lastHeartbeat: new Date(),
-        // Initialize connection quality tracking
-        connectionQuality: {
-          latency: 0,
-          jitter: 0,
-          packetLoss: 0,
-          bandwidth: 0,
-          stability: 1.0,
-          lastUpdated: new Date()
-        },
-        latencyHistory: [],
-        connectionScore: 1.0,
-        adaptiveHeartbeatInterval: this.config.heartbeatInterval
-      };
+      this.session = this.createSession(newSessionId);
     }
 
+    // Nothing is sent until the server has answered our key with its own
+    if (publicKey) {
+      this.awaitingKeys = { isNewSession };
+      return;
+    }
+    this.onSessionReady(isNewSession);
+  }
+
+  private onSessionReady(isNewSession: boolean): void {
     this.setStatus(ConnectionStatus.Connected);
     this.startHeartbeat();
+
+    // Topics subscribed before the first connect; a reconnect carries them itself
+    if (isNewSession) {
+      this.getSubscriptions().forEach((topic) => this.sendTopicMessage(MessageType.Subscribe, topic));
+    }
+
+    // Anything still unacked from before the reconnect goes out again, then
+    // whatever was sent while offline, in the order it was sent
+    this.reliableChannel.resend();
+    this.flushOfflineQueue();
     
     if (this.config.debug) {
       console.log('🔧 WebSocket connection established and status set to Connected');
     }
   }
 
+  private sendConnectMessage(sessionId: string, authToken: string, publicKey?: Uint8Array): void {
+    const builder = new flatbuffers.Builder(1024);
+    const sessionIdOffset = builder.createString(sessionId);
+    const clientVersion = builder.createString('1.0.0');
+    const token = authToken ? builder.createString(authToken) : null;
+    const key = publicKey ? ConnectMessage.createPublicKeyVector(builder, publicKey) : null;
+
+    ConnectMessage.startConnectMessage(builder);
+    ConnectMessage.addSessionId(builder, sessionIdOffset);
+    ConnectMessage.addClientVersion(builder, clientVersion);
+    if (token !== null) {
+      ConnectMessage.addAuthToken(builder, token);
+    }
+    if (key !== null) {
+      ConnectMessage.addPublicKey(builder, key);
+    }
+    if (this.compressor) {
+      ConnectMessage.addCompression(builder, Compression.Deflate);
+    }
+    const connectMsg = ConnectMessage.endConnectMessage(builder);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.Connect);
+    Message.addDataType(builder, MessageData.ConnectMessage);
+    Message.addData(builder, connectMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    this.ws?.send(builder.asUint8Array());
+  }
+
   private onWebSocketMessage(event: MessageEvent): void {
     try {
       const buffer = new Uint8Array(event.data);
@@ -407,8 +994,8 @@ export class SigmaSocketClient {
           console.log('📥 Received FlatBuffers message - type:', messageType, 'dataType:', dataType);
         }
         
-        // Validate message type is within expected range
-        if (messageType < 0 || messageType > 6) {
+        // Validate message type is one we know about
+        if (MessageType[messageType] === undefined) {
           console.error('❌ Invalid message type received:', messageType);
           return;
         }
@@ -424,16 +1011,46 @@ export class SigmaSocketClient {
         case MessageType.Error:
           this.handleErrorMessage(message);
           break;
+        case MessageType.Response:
+          this.handleResponseMessage(message);
+          break;
+        case MessageType.Ack:
+          this.handleAckMessage(message);
+          break;
+        case MessageType.ResumeToken:
+          this.handleResumeTokenMessage(message);
+          break;
+        case MessageType.KeyExchange:
+          this.handleKeyExchangeMessage(message);
+          break;
+        case MessageType.StreamAck:
+          this.handleStreamAckMessage(message);
+          break;
+        case MessageType.StreamEnd:
+          this.handleStreamEndMessage(message);
+          break;
       }
     } catch (error) {
       this.emit('error', error instanceof Error ? error : new Error(String(error)));
     }
   }
 
-  private onWebSocketClose(_event: CloseEvent): void {
+  private onWebSocketClose(event: CloseEvent): void {
     this.clearTimers();
+    this.cipher = null;
+    this.awaitingKeys = null;
+    this.compression = Compression.None;
+    // Responses are tied to the socket the request went out on
+    this.rejectPendingRequests('Connection closed');
+    this.failStreams('Connection closed');
+    this.uploads.forEach((upload) => upload.suspend());
     
-    if (this.status === ConnectionStatus.Connected) {
+    if (event.code === 1013) {
+      // Server busy or refusing this client for now: wait at least as long as it asks
+      const retryAfter = /retry-after=(\d+)/.exec(event.reason ?? '');
+      this.setStatus(ConnectionStatus.Reconnecting);
+      this.scheduleReconnect(retryAfter ? Number(retryAfter[1]) * 1000 : 0);
+    } else if (this.status === ConnectionStatus.Connected) {
       // Unexpected disconnection, attempt to reconnect
       this.setStatus(ConnectionStatus.Reconnecting);
       this.scheduleReconnect();
@@ -478,8 +1095,256 @@ export class SigmaSocketClient {
     if (this.config.debug) {
       console.log('✅ DataMessage processed - payload size:', payload.length, 'messageId:', dataMsg.messageId());
     }
+
+    const messageId = dataMsg.messageId();
+    const timestamp = dataMsg.timestamp();
+    const topic = dataMsg.topic();
+    const sequence = dataMsg.sequence();
+    const keyId = dataMsg.keyId();
+    const compression = dataMsg.compression();
+    const cipher = this.cipher;
+    if (!cipher && keyId === 0 && compression === Compression.None) {
+      this.deliverDataMessage(payload, messageId, timestamp, topic, sequence);
+      return;
+    }
+
+    const ws = this.ws;
+    this.inbound = this.inbound
+      .then(async () => {
+        let opened = payload;
+        if (cipher || keyId !== 0) {
+          if (!cipher) {
+            throw new DecryptionError('Sealed payload on an unencrypted session');
+          }
+          opened = await (await cipher).open(payload, keyId, { kind: 'data', id: messageId, position: sequence });
+        }
+        if (compression !== Compression.None) {
+          if (!this.compressor) {
+            throw new CompressionError('Compressed payload on a session that did not agree to compress');
+          }
+          opened = await this.compressor.decompress(opened, compression);
+        }
+        if (this.ws === ws) {
+          this.deliverDataMessage(opened, messageId, timestamp, topic, sequence);
+        }
+      })
+      .catch((error: unknown) => {
+        // A payload that will not inflate is dropped; one that will not open means the keys are off
+        if (error instanceof CompressionError) {
+          this.emit('error', error);
+          return;
+        }
+        this.handleDecryptionFailure(ws, error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  private deliverDataMessage(payload: Uint8Array, messageId: bigint, timestamp: bigint, topic: string | null, sequence: bigint): void {
+    // Remember the newest server message so a reconnect only replays what was missed
+    if (this.session && messageId > this.session.lastMessageId) {
+      this.session.lastMessageId = messageId;
+    }
     
-    this.emit('message', payload, dataMsg.messageId(), dataMsg.timestamp());
+    // Published messages go to their topic handlers instead of 'message'
+    if (topic) {
+      const published = this.runMiddlewares('onMessage', payload);
+      if (!published) {
+        return;
+      }
+      this.topicHandlers.get(topic)?.forEach((handler) => {
+        try {
+          handler(published, messageId, timestamp);
+        } catch (error) {
+          console.error(`Error in handler for topic ${topic}:`, error);
+        }
+      });
+      return;
+    }
+    
+    // Reliable messages are acked even when they are duplicates, then released in order
+    if (sequence > 0n) {
+      if (!this.reliableChannel.accepts(sequence)) {
+        return;
+      }
+      this.sendAck(sequence);
+      this.reliableChannel.receive(sequence, { payload, messageId, timestamp })
+        .forEach((inbound) => this.emitMessage(inbound.payload, inbound.messageId, inbound.timestamp));
+      return;
+    }
+    
+    this.emitMessage(payload, messageId, timestamp);
+  }
+
+  /**
+   * A payload that does not open means the keys no longer match or the bytes
+   * were tampered with; drop the socket so reconnecting exchanges fresh keys
+   */
+  private handleDecryptionFailure(ws: WebSocket | null, error: Error): void {
+    this.emit('error', error);
+    if (ws && this.ws === ws) {
+      ws.close(1000, 'Decryption failed');
+    }
+  }
+
+  private emitMessage(payload: Uint8Array, messageId: bigint, timestamp: bigint): void {
+    const inbound = this.runMiddlewares('onMessage', payload);
+    if (inbound) {
+      this.emit('message', inbound, messageId, timestamp);
+    }
+  }
+
+  /**
+   * Pass a payload through every middleware's onMessage or onSend hook in
+   * order. Null means a middleware dropped it; a throwing hook drops it too.
+   */
+  private runMiddlewares(hook: 'onMessage' | 'onSend', data: Uint8Array): Uint8Array | null {
+    let current: Uint8Array | null = data;
+    for (const middleware of this.middlewares) {
+      const transform = middleware[hook];
+      if (!transform) {
+        continue;
+      }
+      try {
+        current = transform.call(middleware, this, current);
+      } catch (error) {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+        return null;
+      }
+      if (current === null) {
+        return null;
+      }
+    }
+    return current;
+  }
+
+  private notifyMiddlewares(hook: 'onConnect' | 'onDisconnect'): void {
+    this.middlewares.forEach((middleware) => {
+      try {
+        middleware[hook]?.(this);
+      } catch (error) {
+        console.error(`Error in ${middleware.name} ${hook} middleware:`, error);
+      }
+    });
+  }
+
+  private handleResumeTokenMessage(message: Message): void {
+    // The server accepted the session without answering our key: it does not encrypt
+    if (this.awaitingKeys) {
+      this.handleEncryptionRefused();
+      return;
+    }
+
+    const tokenMsg = message.data(new ResumeTokenMessage());
+    const token = tokenMsg?.resumeToken();
+    if (this.session && token) {
+      this.session.resumeToken = token;
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(RESUME_TOKEN_KEY, token);
+      }
+    }
+    // Every token carries the compression the server agreed to for this socket
+    if (tokenMsg && this.compressor) {
+      this.compression = tokenMsg.compression();
+    }
+  }
+
+  private handleKeyExchangeMessage(message: Message): void {
+    const pending = this.awaitingKeys;
+    const serverKey = message.data(new KeyExchangeMessage())?.publicKeyArray();
+    if (!pending || !this.keyExchange || !this.session || !serverKey) {
+      return;
+    }
+    this.awaitingKeys = null;
+
+    const encryption = this.config.encryption;
+    const maxMessagesPerKey = (typeof encryption === 'object' ? encryption.maxMessagesPerKey : undefined) ?? 100000;
+    const ws = this.ws;
+    const cipher = this.keyExchange.complete(new Uint8Array(serverKey), this.session.id, maxMessagesPerKey);
+    this.cipher = cipher;
+    cipher.then(() => {
+      if (this.ws === ws && this.cipher === cipher) {
+        this.onSessionReady(pending.isNewSession);
+      }
+    }, (error: unknown) => {
+      this.handleDecryptionFailure(ws, new DecryptionError(`Key exchange failed: ${error instanceof Error ? error.message : String(error)}`));
+    });
+  }
+
+  /**
+   * Payloads are never sent in the clear once encryption is asked for, so a
+   * server that will not encrypt is an error rather than something to retry
+   */
+  private handleEncryptionRefused(): void {
+    this.clearTimers();
+    this.awaitingKeys = null;
+
+    const ws = this.ws;
+    this.ws = null;
+    if (ws) {
+      ws.onclose = null;
+      ws.close(1000, 'Encryption refused');
+    }
+    this.setStatus(ConnectionStatus.Error);
+    this.emit('error', new Error('Server did not agree to encrypt payloads'));
+  }
+
+  private handleAckMessage(message: Message): void {
+    const ackMsg = message.data(new AckMessage());
+    if (ackMsg) {
+      this.reliableChannel.acknowledge(ackMsg.sequence());
+    }
+  }
+
+  private sendAck(sequence: bigint): void {
+    if (!this.ws) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(64);
+    AckMessage.startAckMessage(builder);
+    AckMessage.addSequence(builder, sequence);
+    const ackMsg = AckMessage.endAckMessage(builder);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.Ack);
+    Message.addDataType(builder, MessageData.AckMessage);
+    Message.addData(builder, ackMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    this.ws.send(builder.asUint8Array());
+  }
+
+  private sendTopicMessage(type: MessageType.Subscribe | MessageType.Unsubscribe, topic: string): void {
+    // While offline, subscriptions are sent with the next connect or reconnect
+    if (this.status !== ConnectionStatus.Connected || !this.ws) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(256);
+    const topicOffset = builder.createString(topic);
+    let topicMsg: flatbuffers.Offset;
+    let dataType: MessageData;
+
+    if (type === MessageType.Subscribe) {
+      SubscribeMessage.startSubscribeMessage(builder);
+      SubscribeMessage.addTopic(builder, topicOffset);
+      topicMsg = SubscribeMessage.endSubscribeMessage(builder);
+      dataType = MessageData.SubscribeMessage;
+    } else {
+      UnsubscribeMessage.startUnsubscribeMessage(builder);
+      UnsubscribeMessage.addTopic(builder, topicOffset);
+      topicMsg = UnsubscribeMessage.endUnsubscribeMessage(builder);
+      dataType = MessageData.UnsubscribeMessage;
+    }
+
+    Message.startMessage(builder);
+    Message.addType(builder, type);
+    Message.addDataType(builder, dataType);
+    Message.addData(builder, topicMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    this.ws.send(builder.asUint8Array());
   }
 
   private handleHeartbeatMessage(_message: Message): void {
@@ -506,7 +1371,96 @@ export class SigmaSocketClient {
     this.ws?.send(builder.asUint8Array());
   }
 
-  private handleErrorMessage(_message: Message): void {
+  private handleResponseMessage(message: Message): void {
+    const responseMsg = message.data(new ResponseMessage());
+    if (!responseMsg) {
+      return;
+    }
+
+    const requestId = responseMsg.requestId();
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) {
+      // Late response for a request that already timed out
+      if (this.config.debug) {
+        console.log(`🔧 Dropping response for unknown request ${requestId}`);
+      }
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+    pending.resolve(new Uint8Array(responseMsg.payloadArray() ?? new Uint8Array()));
+  }
+
+  private rejectPendingRequests(reason: string): void {
+    this.pendingRequests.forEach((pending, requestId) => {
+      clearTimeout(pending.timer);
+      pending.reject(new RequestError(503, reason, requestId));
+    });
+    this.pendingRequests.clear();
+  }
+
+  private handleErrorMessage(message: Message): void {
+    // Errors tagged with a request id only fail that request
+    const errorMsg = message.data(new ErrorMessage());
+    const requestId = errorMsg?.requestId() ?? 0n;
+    if (errorMsg && requestId !== 0n) {
+      const pending = this.pendingRequests.get(requestId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(requestId);
+        pending.reject(errorMsg.code() === 413
+          ? new MessageTooLargeError(errorMsg.message() ?? 'Message too large', requestId)
+          : new RequestError(errorMsg.code(), errorMsg.message() ?? 'Request failed', requestId));
+      }
+      return;
+    }
+
+    // Some messages sent while we were away are gone; the session itself is fine
+    if (errorMsg?.code() === 410) {
+      this.emit('error', new Error(errorMsg.message() ?? 'Missed messages could not be replayed'));
+      return;
+    }
+
+    // Retrying with the same credentials would only be refused again
+    if (errorMsg?.code() === 401) {
+      this.handleUnauthorized(errorMsg.message() ?? 'Unauthorized');
+      return;
+    }
+
+    // The authorization policy refused a message or subscription; the connection is fine
+    if (errorMsg?.code() === 403) {
+      this.emit('error', new RequestError(403, errorMsg.message() ?? 'Not allowed'));
+      return;
+    }
+
+    // The server refused a message for its size; the connection is fine
+    if (errorMsg?.code() === 413) {
+      this.emit('error', new MessageTooLargeError(errorMsg.message() ?? 'Message too large'));
+      return;
+    }
+
+    // A message went over the server's rate limit and was not handled; slow down
+    if (errorMsg?.code() === 429) {
+      this.emit('error', new RequestError(429, errorMsg.message() ?? 'Rate limit exceeded'));
+      return;
+    }
+
+    // The server's JWT for this connection expired; answer with a fresh token
+    // on the same socket, or the server closes it and we reconnect as usual
+    if (errorMsg?.code() === 440) {
+      this.reauthenticate();
+      return;
+    }
+
+    // The session cannot be resumed (unknown, expired or stale resume token);
+    // retrying would be refused the same way, so start over with a new one
+    if (errorMsg?.code() === 404 || errorMsg?.code() === 498) {
+      this.emit('error', new RequestError(errorMsg.code(), errorMsg.message() ?? 'Session cannot be resumed'));
+      this.startNewSession();
+      return;
+    }
+
     // Handle server error messages - treat as connection failure
     if (this.config.debug) {
       console.log('🔧 Server sent error message - treating as connection failure');
@@ -519,7 +1473,47 @@ export class SigmaSocketClient {
     this.handleConnectionFailure();
   }
 
-  private scheduleReconnect(): void {
+  private reauthenticate(): void {
+    const ws = this.ws;
+    Promise.resolve(this.resolveAuthToken()).then((token) => {
+      if (this.ws === ws && ws?.readyState === WebSocket.OPEN && this.session) {
+        this.sendConnectMessage(this.session.id, token);
+      }
+    }, (error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  private startNewSession(): void {
+    const ws = this.ws;
+    this.clearTimers();
+    this.clearSession();
+
+    Promise.resolve(this.resolveAuthToken()).then((token) => {
+      if (this.ws === ws && ws?.readyState === WebSocket.OPEN) {
+        this.onWebSocketOpen(token);
+      }
+    }, (error: unknown) => {
+      this.onWebSocketError(error instanceof Error ? error : new Error(String(error)));
+      ws?.close(1000, 'No auth token');
+    });
+  }
+
+  private handleUnauthorized(reason: string): void {
+    this.clearTimers();
+    this.rejectPendingRequests(reason);
+
+    const ws = this.ws;
+    this.ws = null;
+    if (ws) {
+      ws.onclose = null;
+      ws.close(1000, 'Unauthorized');
+    }
+    this.setStatus(ConnectionStatus.Error);
+    this.emit('error', new RequestError(401, reason));
+  }
+
+  private scheduleReconnect(minDelay: number = 0): void {
     if (this.config.debug) {
       console.log(`🔧 Scheduling reconnect - attempt ${this.reconnectAttempts + 1}/${this.config.maxReconnectAttempts}`);
     }
@@ -533,9 +1527,9 @@ export class SigmaSocketClient {
       return;
     }
 
-    const delay = Math.min(
-      this.config.reconnectInterval * Math.pow(2, this.reconnectAttempts),
-      30000
+    const delay = Math.max(
+      Math.min(this.config.reconnectInterval * Math.pow(2, this.reconnectAttempts), 30000),
+      minDelay
     );
 
     if (this.config.debug) {
@@ -743,6 +1737,12 @@ export class SigmaSocketClient {
       }
       
       this.emit('connection', status);
+
+      if (status === ConnectionStatus.Connected) {
+        this.notifyMiddlewares('onConnect');
+      } else if (oldStatus === ConnectionStatus.Connected) {
+        this.notifyMiddlewares('onDisconnect');
+      }
     }
   }
 
@@ -757,32 +1757,97 @@ export class SigmaSocketClient {
         }
       });
     }
+
+    if (event === 'error') {
+      this.middlewares.forEach((middleware) => {
+        try {
+          middleware.onError?.(this, args[0] as Error);
+        } catch (error) {
+          console.error(`Error in ${middleware.name} onError middleware:`, error);
+        }
+      });
+    }
   }
 
+  // Every Connect starts a session under a fresh id; only a resume token can take an old one back
   private generateSessionId(): string {
-    // Try to get existing session ID from localStorage
-    if (typeof localStorage !== 'undefined') {
-      const existingSessionId = localStorage.getItem('sigmasockets-session-id');
-      if (existingSessionId) {
-        if (this.config.debug) {
-          console.log('🔧 Using existing session ID from localStorage:', existingSessionId);
-        }
-        return existingSessionId;
-      }
+    return crypto.randomUUID();
+  }
+
+  private createSession(id: string, resumeToken?: string): ClientSession {
+    return {
+      id,
+      lastMessageId: 0n,
+      connectedAt: new Date(),
+      lastHeartbeat: new Date(),
+      ...(resumeToken !== undefined ? { resumeToken } : {}),
+      // Initialize connection quality tracking
+      connectionQuality: {
+        latency: 0,
+        jitter: 0,
+        packetLoss: 0,
+        bandwidth: 0,
+        stability: 1.0,
+        lastUpdated: new Date()
+      },
+      latencyHistory: [],
+      connectionScore: 1.0,
+      adaptiveHeartbeatInterval: this.config.heartbeatInterval
+    };
+  }
+
+  /**
+   * The session named by the resume token a previous page left in
+   * localStorage. A token starts with the base64url session id.
+   */
+  private restoreSession(): ClientSession | null {
+    const token = typeof localStorage !== 'undefined' ? localStorage.getItem(RESUME_TOKEN_KEY) : null;
+    if (!token) {
+      return null;
+    }
+    try {
+      const encodedId = (token.split('.')[0] ?? '').replace(/-/g, '+').replace(/_/g, '/');
+      const id = new TextDecoder().decode(Uint8Array.from(atob(encodedId), (char) => char.charCodeAt(0)));
+      return id ? this.createSession(id, token) : null;
+    } catch {
+      localStorage.removeItem(RESUME_TOKEN_KEY);
+      return null;
     }
+  }
+}
 
-    // Generate new session ID
-    const newSessionId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store in localStorage for persistence
-    if (typeof localStorage !== 'undefined') {
-      localStorage.setItem('sigmasockets-session-id', newSessionId);
-      if (this.config.debug) {
-        console.log('🔧 Generated new session ID and stored in localStorage:', newSessionId);
-      }
+/**
+ * Builds a client with its plugins and middlewares in place before it connects
+ */
+export class SigmaSocketClientBuilder {
+  private config: SigmaSocketConfig | null = null;
+  private plugins: ClientPlugin[] = [];
+  private middlewares: ClientMiddleware[] = [];
+
+  withConfig(config: SigmaSocketConfig): this {
+    this.config = config;
+    return this;
+  }
+
+  withPlugin(plugin: ClientPlugin): this {
+    this.plugins.push(plugin);
+    return this;
+  }
+
+  withMiddleware(middleware: ClientMiddleware): this {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  build(): SigmaSocketClient {
+    if (!this.config) {
+      throw new Error('SigmaSocketClientBuilder needs a config before build()');
     }
-    
-    return newSessionId;
+
+    const client = new SigmaSocketClient(this.config);
+    this.middlewares.forEach((middleware) => client.use(middleware));
+    this.plugins.forEach((plugin) => client.install(plugin));
+    return client;
   }
 }
 
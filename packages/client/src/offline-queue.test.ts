@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { OfflineQueue } from './offline-queue'
+
+const bytes = (...values: number[]) => new Uint8Array(values)
+
+describe('OfflineQueue', () => {
+  it('should drop the oldest messages when full by default', () => {
+    const queue = new OfflineQueue(2, 1024, 'drop-oldest')
+    queue.enqueue(bytes(1), {}, 1000)
+    queue.enqueue(bytes(2), {}, 1000)
+
+    expect(queue.enqueue(bytes(3), {}, 1000)).toEqual({ queued: true, dropped: [bytes(1)] })
+    expect(queue.drain().ready.map((message) => message.data)).toEqual([bytes(2), bytes(3)])
+  })
+
+  it('should drop the new message with drop-newest', () => {
+    const queue = new OfflineQueue(1, 1024, 'drop-newest')
+    queue.enqueue(bytes(1), {}, 1000)
+
+    expect(queue.enqueue(bytes(2), {}, 1000)).toEqual({ queued: false, dropped: [bytes(2)] })
+    expect(queue.size).toBe(1)
+  })
+
+  it('should refuse without dropping anything with reject', () => {
+    const queue = new OfflineQueue(10, 3, 'reject')
+    queue.enqueue(bytes(1, 1), {}, 1000)
+
+    expect(queue.enqueue(bytes(2, 2), {}, 1000)).toEqual({ queued: false, dropped: [] })
+    expect(queue.bytes).toBe(2)
+  })
+
+  it('should separate expired messages when drained', () => {
+    const queue = new OfflineQueue(10, 1024, 'drop-oldest')
+    const now = Date.now()
+    queue.enqueue(bytes(1), {}, 10)
+    queue.enqueue(bytes(2), { reliable: true }, 1000)
+
+    const { ready, expired } = queue.drain(now + 100)
+    expect(expired.map((message) => message.data)).toEqual([bytes(1)])
+    expect(ready).toEqual([{ data: bytes(2), options: { reliable: true }, expiresAt: expect.any(Number) }])
+    expect(queue.size).toBe(0)
+  })
+})
@@ -0,0 +1,76 @@
+import type { OverflowPolicy, SendOptions } from './types';
+
+/**
+ * Offline Queue
+ * Holds messages sent while the client is not connected so they can be sent
+ * in order once the connection is back. Bounded by message count and bytes;
+ * messages older than their TTL are dropped when the queue is drained.
+ */
+export interface QueuedMessage {
+  data: Uint8Array;
+  options: SendOptions;
+  expiresAt: number;
+}
+
+export interface EnqueueResult {
+  queued: boolean;
+  // Messages pushed out to make room (drop-oldest), or the new one (drop-newest)
+  dropped: Uint8Array[];
+}
+
+export class OfflineQueue {
+  private messages: QueuedMessage[] = [];
+  private totalBytes = 0;
+
+  constructor(
+    private maxSize: number,
+    private maxBytes: number,
+    private policy: OverflowPolicy
+  ) {}
+
+  enqueue(data: Uint8Array, options: SendOptions, ttl: number): EnqueueResult {
+    // A message that can never fit is refused whatever the policy
+    if (this.maxSize === 0 || data.length > this.maxBytes) {
+      return { queued: false, dropped: this.policy === 'reject' ? [] : [data] };
+    }
+
+    const dropped: Uint8Array[] = [];
+    while (this.messages.length >= this.maxSize || this.totalBytes + data.length > this.maxBytes) {
+      if (this.policy === 'reject') {
+        return { queued: false, dropped };
+      }
+      if (this.policy === 'drop-newest') {
+        return { queued: false, dropped: [data] };
+      }
+      const oldest = this.messages.shift();
+      if (!oldest) {
+        return { queued: false, dropped };
+      }
+      this.totalBytes -= oldest.data.length;
+      dropped.push(oldest.data);
+    }
+
+    this.messages.push({ data, options, expiresAt: Date.now() + ttl });
+    this.totalBytes += data.length;
+    return { queued: true, dropped };
+  }
+
+  /**
+   * Empty the queue, split into messages still worth sending and expired ones
+   */
+  drain(now: number = Date.now()): { ready: QueuedMessage[]; expired: QueuedMessage[] } {
+    const ready = this.messages.filter((message) => message.expiresAt > now);
+    const expired = this.messages.filter((message) => message.expiresAt <= now);
+    this.messages = [];
+    this.totalBytes = 0;
+    return { ready, expired };
+  }
+
+  get size(): number {
+    return this.messages.length;
+  }
+
+  get bytes(): number {
+    return this.totalBytes;
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { OutgoingStream } from './outgoing-stream'
+import { StreamCancelledError } from './errors'
+
+function createStream(chunkSize: number) {
+  const chunks: [number, number[]][] = []
+  const ends: [number, string | undefined][] = []
+  let settled = false
+  const stream = new OutgoingStream(1, chunkSize, {
+    sendChunk: (offset, chunk) => chunks.push([offset, Array.from(chunk)]),
+    sendEnd: (size, error) => ends.push([size, error])
+  }, () => { settled = true })
+  return { stream, chunks, ends, settled: () => settled }
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('OutgoingStream', () => {
+  it('should send only as much as the server has granted, in chunks', async () => {
+    const { stream, chunks, ends, settled } = createStream(2)
+    const writer = stream.writable.getWriter()
+
+    const written = writer.write(new Uint8Array([1, 2, 3, 4, 5]))
+    await tick()
+    expect(chunks).toEqual([])
+
+    stream.acknowledge(0, 3)
+    await tick()
+    expect(chunks).toEqual([[0, [1, 2]], [2, [3]]])
+
+    stream.acknowledge(3, 3)
+    await written
+    expect(chunks.slice(2)).toEqual([[3, [4, 5]]])
+
+    const closed = writer.close()
+    await tick()
+    expect(ends).toEqual([[5, undefined]])
+    expect(settled()).toBe(false)
+    stream.acknowledge(5, 0)
+    await closed
+    expect(settled()).toBe(true)
+  })
+
+  it('should error writes when the server cancels the stream', async () => {
+    const { stream, settled } = createStream(4)
+    const writer = stream.writable.getWriter()
+
+    const written = writer.write(new Uint8Array(8))
+    stream.fail('Stream too large')
+
+    await expect(written).rejects.toEqual(new StreamCancelledError('Stream too large'))
+    await expect(writer.closed).rejects.toBeInstanceOf(StreamCancelledError)
+    expect(settled()).toBe(true)
+  })
+
+  it('should tell the server when the writer aborts', async () => {
+    const { stream, ends } = createStream(4)
+    stream.acknowledge(0, 16)
+    const writer = stream.writable.getWriter()
+    await writer.write(new Uint8Array(3))
+
+    await writer.abort(new Error('User cancelled'))
+    expect(ends).toEqual([[3, 'User cancelled']])
+  })
+})
@@ -0,0 +1,115 @@
+import { StreamCancelledError } from './errors';
+
+/**
+ * Outgoing Streams
+ * The client's half of streaming: a WritableStream whose bytes go to the
+ * server as StreamChunks. Nothing is sent until the server's first StreamAck
+ * grants a window, and writes wait whenever the window is used up, so a slow
+ * reader on the server slows the writer down instead of piling up memory on
+ * either side. Closing sends a StreamEnd and resolves once the server confirms
+ * the whole stream arrived.
+ */
+export interface StreamTransport {
+  sendChunk(offset: number, chunk: Uint8Array): void;
+  sendEnd(size: number, error?: string): void;
+}
+
+interface Waiter {
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+export class OutgoingStream {
+  readonly writable: WritableStream<Uint8Array>;
+  private sent = 0;
+  // Offset the server lets us send up to
+  private limit = 0;
+  private credit: Waiter | null = null;
+  private closing: Waiter | null = null;
+  private controller: WritableStreamDefaultController | null = null;
+  private settled = false;
+
+  constructor(
+    readonly id: number,
+    private chunkSize: number,
+    private transport: StreamTransport,
+    private onSettled: () => void,
+    private onProgress?: (bytesAcknowledged: number) => void
+  ) {
+    this.writable = new WritableStream<Uint8Array>({
+      start: (controller) => {
+        this.controller = controller;
+      },
+      write: (chunk) => this.write(chunk),
+      close: () => this.close(),
+      abort: (reason: unknown) => {
+        this.settle();
+        this.transport.sendEnd(this.sent, reason instanceof Error ? reason.message : String(reason ?? 'Cancelled'));
+      }
+    });
+  }
+
+  /**
+   * The server has read up to `offset` and takes `window` more bytes; a zero
+   * window confirms the whole stream arrived
+   */
+  acknowledge(offset: number, window: number): void {
+    if (this.settled) {
+      return;
+    }
+    this.onProgress?.(offset);
+    if (window === 0) {
+      const closing = this.closing;
+      this.settle();
+      closing?.resolve();
+      return;
+    }
+    this.limit = Math.max(this.limit, offset + window);
+    const credit = this.credit;
+    this.credit = null;
+    credit?.resolve();
+  }
+
+  /**
+   * The server ended the stream, or the connection it was on closed
+   */
+  fail(reason: string): void {
+    if (this.settled) {
+      return;
+    }
+    const error = new StreamCancelledError(reason);
+    const waiters = [this.credit, this.closing];
+    this.settle();
+    this.controller?.error(error);
+    waiters.forEach((waiter) => waiter?.reject(error));
+  }
+
+  private async write(chunk: Uint8Array): Promise<void> {
+    let position = 0;
+    while (position < chunk.length) {
+      if (this.sent >= this.limit) {
+        await new Promise<void>((resolve, reject) => {
+          this.credit = { resolve, reject };
+        });
+      }
+      const length = Math.min(this.chunkSize, this.limit - this.sent, chunk.length - position);
+      this.transport.sendChunk(this.sent, chunk.subarray(position, position + length));
+      this.sent += length;
+      position += length;
+    }
+  }
+
+  private close(): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      this.closing = { resolve, reject };
+      this.transport.sendEnd(this.sent);
+    });
+  }
+
+  private settle(): void {
+    this.settled = true;
+    this.credit = null;
+    this.closing = null;
+    this.onSettled();
+  }
+}
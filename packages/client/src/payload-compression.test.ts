@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { deflateSync, inflateSync } from 'zlib'
+import { PayloadCompressor } from './payload-compression'
+import { Compression } from './generated/sigma-sockets/compression'
+import { CompressionError } from './errors'
+
+describe('PayloadCompressor', () => {
+  it('should deflate payloads over the threshold in the format the server inflates', async () => {
+    const compressor = new PayloadCompressor(100, 1024 * 1024)
+    const large = new Uint8Array(4096).fill(9)
+
+    const small = await compressor.compress(new Uint8Array(50))
+    expect(small.compression).toBe(Compression.None)
+
+    const deflated = await compressor.compress(large)
+    expect(deflated.compression).toBe(Compression.Deflate)
+    expect(deflated.payload.length).toBeLessThan(large.length)
+    expect(new Uint8Array(inflateSync(deflated.payload))).toEqual(large)
+  })
+
+  it('should inflate what the server deflated', async () => {
+    const compressor = new PayloadCompressor(100, 1024 * 1024)
+    const payload = new TextEncoder().encode('sigma '.repeat(500))
+
+    expect(await compressor.decompress(new Uint8Array(deflateSync(payload)), Compression.Deflate)).toEqual(payload)
+  })
+
+  it('should reject payloads that inflate past the limit or are corrupt', async () => {
+    const compressor = new PayloadCompressor(100, 64 * 1024)
+
+    await expect(compressor.decompress(new Uint8Array(deflateSync(new Uint8Array(1024 * 1024))), Compression.Deflate))
+      .rejects.toThrow('Payload inflates to more than 65536 bytes')
+    await expect(compressor.decompress(new Uint8Array([1, 2, 3]), Compression.Deflate)).rejects.toBeInstanceOf(CompressionError)
+  })
+})
@@ -0,0 +1,75 @@
+import { Compression } from './generated/sigma-sockets/compression';
+import { CompressionError } from './errors';
+
+/**
+ * Payload Compression
+ * The client's half of per-message deflate of DataMessage payloads, on
+ * CompressionStream. The client offers Deflate in its Connect or Reconnect and
+ * compresses only once the server has confirmed it in the ResumeToken.
+ * Payloads under `threshold` bytes, or that would not shrink, go as they are.
+ */
+export interface CompressedPayload {
+  payload: Uint8Array;
+  compression: Compression;
+}
+
+export class PayloadCompressor {
+  constructor(private threshold: number, private maxInflatedSize: number) {}
+
+  // CompressionStream is missing from older browsers and Node before 18
+  static get supported(): boolean {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+  }
+
+  async compress(payload: Uint8Array): Promise<CompressedPayload> {
+    if (payload.length < this.threshold) {
+      return { payload, compression: Compression.None };
+    }
+    const deflated = await this.collect(new Blob([payload.slice()]).stream().pipeThrough(new CompressionStream('deflate')), Infinity);
+    return deflated.length < payload.length
+      ? { payload: deflated, compression: Compression.Deflate }
+      : { payload, compression: Compression.None };
+  }
+
+  /**
+   * Inflate a payload the server compressed; rejects with a CompressionError if it
+   * cannot be, or would grow past maxInflatedSize
+   */
+  async decompress(payload: Uint8Array, compression: Compression): Promise<Uint8Array> {
+    if (compression !== Compression.Deflate) {
+      throw new CompressionError(`Unknown compression ${compression}`);
+    }
+    try {
+      return await this.collect(new Blob([payload.slice()]).stream().pipeThrough(new DecompressionStream('deflate')), this.maxInflatedSize);
+    } catch (error) {
+      throw error instanceof CompressionError ? error : new CompressionError('Corrupt compressed payload');
+    }
+  }
+
+  // Reads a stream to the end, giving up as soon as it passes maxSize
+  private async collect(stream: ReadableStream<Uint8Array>, maxSize: number): Promise<Uint8Array> {
+    const reader = stream.getReader();
+    const chunks: Uint8Array[] = [];
+    let size = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      size += value.length;
+      if (size > maxSize) {
+        await reader.cancel();
+        throw new CompressionError(`Payload inflates to more than ${maxSize} bytes`);
+      }
+      chunks.push(value);
+    }
+
+    const result = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+      result.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return result;
+  }
+}
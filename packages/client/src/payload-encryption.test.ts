@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import { KeyExchange, type PayloadBinding } from './payload-encryption'
+import { DecryptionError } from './errors'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+const binding: PayloadBinding = { kind: 'data', id: 7n, position: 0n }
+
+// The server's additional data: kind, id, position and keyId, big-endian
+function additionalData({ kind, id, position }: PayloadBinding, keyId: number): Uint8Array {
+  const aad = new Uint8Array(21)
+  const view = new DataView(aad.buffer)
+  view.setUint8(0, kind === 'data' ? 1 : 2)
+  view.setBigUint64(1, id)
+  view.setBigUint64(9, position)
+  view.setUint32(17, keyId)
+  return aad
+}
+
+// The server's half, on WebCrypto: answers the client's key and seals or opens with the mirrored keys
+async function acceptKey(clientPublicKey: Uint8Array, sessionId: string) {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits'])
+  const clientKey = await crypto.subtle.importKey('raw', clientPublicKey.slice(), { name: 'ECDH', namedCurve: 'P-256' }, false, [])
+  const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: clientKey }, keyPair.privateKey, 256)
+  const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey'])
+  const key = (direction: string, keyId: number) => crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(sessionId), info: encoder.encode(`sigma-sockets ${direction} ${keyId}`) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  )
+
+  return {
+    publicKey: new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey)),
+    async seal(plaintext: Uint8Array, keyId: number, counter: number, sealedFor: PayloadBinding = binding) {
+      const nonce = new Uint8Array(12)
+      new DataView(nonce.buffer).setBigUint64(4, BigInt(counter))
+      const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: additionalData(sealedFor, keyId) }, await key('s2c', keyId), plaintext.slice()))
+      const payload = new Uint8Array(12 + ciphertext.length)
+      payload.set(nonce)
+      payload.set(ciphertext, 12)
+      return payload
+    },
+    async open(payload: Uint8Array, keyId: number, sealedFor: PayloadBinding = binding) {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: payload.slice(0, 12), additionalData: additionalData(sealedFor, keyId) },
+        await key('c2s', keyId),
+        payload.slice(12)
+      )
+      return new Uint8Array(plaintext)
+    }
+  }
+}
+
+describe('PayloadCipher', () => {
+  it('should seal for and open from the other side of the exchange', async () => {
+    const exchange = await KeyExchange.create()
+    const server = await acceptKey(exchange.publicKey, 'session-1')
+    const cipher = await exchange.complete(server.publicKey, 'session-1', 100)
+
+    const sealed = await cipher.seal(encoder.encode('to server'), binding)
+    expect(sealed.keyId).toBe(1)
+    expect(decoder.decode(await server.open(sealed.payload, sealed.keyId))).toBe('to server')
+
+    const fromServer = await server.seal(encoder.encode('to client'), 1, 0)
+    expect(decoder.decode(await cipher.open(fromServer, 1, binding))).toBe('to client')
+  })
+
+  it('should move to the next key after maxMessagesPerKey and retire old ones', async () => {
+    const exchange = await KeyExchange.create()
+    const server = await acceptKey(exchange.publicKey, 'session-2')
+    const cipher = await exchange.complete(server.publicKey, 'session-2', 2)
+
+    const keyIds = []
+    for (let i = 0; i < 3; i++) {
+      keyIds.push((await cipher.seal(encoder.encode(`m${i}`), binding)).keyId)
+    }
+    expect(keyIds).toEqual([1, 1, 2])
+
+    await cipher.open(await server.seal(encoder.encode('old'), 1, 0), 1, binding)
+    await cipher.open(await server.seal(encoder.encode('new'), 3, 0), 3, binding)
+    await expect(cipher.open(await server.seal(encoder.encode('stale'), 1, 1), 1, binding)).rejects.toBeInstanceOf(DecryptionError)
+  })
+
+  it('should reject tampered and unsealed payloads', async () => {
+    const exchange = await KeyExchange.create()
+    const server = await acceptKey(exchange.publicKey, 'session-3')
+    const cipher = await exchange.complete(server.publicKey, 'session-3', 100)
+
+    const sealed = await server.seal(encoder.encode('intact'), 1, 0)
+    sealed[sealed.length - 1] ^= 1
+    await expect(cipher.open(sealed, 1, binding)).rejects.toBeInstanceOf(DecryptionError)
+    await expect(cipher.open(encoder.encode('plaintext'), 0, binding)).rejects.toBeInstanceOf(DecryptionError)
+  })
+
+  it('should reject payloads moved to another message and replayed nonces', async () => {
+    const exchange = await KeyExchange.create()
+    const server = await acceptKey(exchange.publicKey, 'session-4')
+    const cipher = await exchange.complete(server.publicKey, 'session-4', 100)
+
+    const chunk = await cipher.seal(encoder.encode('chunk'), { kind: 'chunk', id: 7n, position: 0n })
+    await expect(server.open(chunk.payload, chunk.keyId)).rejects.toThrow()
+    expect(decoder.decode(await server.open(chunk.payload, chunk.keyId, { kind: 'chunk', id: 7n, position: 0n }))).toBe('chunk')
+
+    const first = await server.seal(encoder.encode('first'), 1, 0)
+    const second = await server.seal(encoder.encode('second'), 1, 1)
+    await expect(cipher.open(first, 1, { ...binding, id: 8n })).rejects.toThrow('Payload failed authentication with key 1')
+    await expect(cipher.open(first, 1, { ...binding, position: 1n })).rejects.toThrow('Payload failed authentication with key 1')
+    expect(decoder.decode(await cipher.open(second, 1, binding))).toBe('second')
+    await expect(cipher.open(second, 1, binding)).rejects.toThrow('Replayed nonce 1 for key 1')
+    await expect(cipher.open(first, 1, binding)).rejects.toThrow('Replayed nonce 0 for key 1')
+  })
+})
@@ -0,0 +1,160 @@
+import { DecryptionError } from './errors';
+
+/**
+ * Payload Encryption
+ * The client's half of end-to-end sealing of DataMessage payloads, on
+ * WebCrypto. The client offers an ECDH P-256 public key in its Connect or
+ * Reconnect, the server answers with its own in a KeyExchange, and both derive
+ * per-direction AES-256-GCM keys from the shared secret with HKDF-SHA256
+ * (salt: the session id, info: `sigma-sockets <c2s|s2c> <keyId>`). A sealed
+ * payload is the 12-byte nonce, the ciphertext and the 16-byte tag; the
+ * DataMessage's `key_id` says which key sealed it, 0 meaning not sealed. The
+ * GCM additional data binds each payload to its message and keyId, and a nonce
+ * at or below the last one opened under the same key is refused.
+ */
+export interface SealedPayload {
+  payload: Uint8Array;
+  keyId: number;
+}
+
+/**
+ * The message a payload travels in: a DataMessage's message_id and sequence,
+ * or a StreamChunkMessage's stream_id and offset
+ */
+export interface PayloadBinding {
+  kind: 'data' | 'chunk';
+  id: bigint;
+  position: bigint;
+}
+
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const encoder = new TextEncoder();
+
+/**
+ * An ECDH key pair for one socket, waiting for the server's public key
+ */
+export class KeyExchange {
+  private constructor(private keyPair: CryptoKeyPair, readonly publicKey: Uint8Array) {}
+
+  static async create(): Promise<KeyExchange> {
+    const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    return new KeyExchange(keyPair, publicKey);
+  }
+
+  async complete(serverPublicKey: Uint8Array, sessionId: string, maxMessagesPerKey: number): Promise<PayloadCipher> {
+    const serverKey = await crypto.subtle.importKey('raw', serverPublicKey.slice(), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: serverKey }, this.keyPair.privateKey, 256);
+    const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+    return new PayloadCipher(baseKey, sessionId, maxMessagesPerKey);
+  }
+}
+
+export class PayloadCipher {
+  private sendKeyId = 1;
+  private sendKey: Promise<CryptoKey>;
+  private sealedWithKey = 0;
+  // Receive keys by keyId; only the newest two are kept, for messages in flight across a rotation
+  private receiveKeys: Map<number, Promise<CryptoKey>> = new Map();
+  // The highest nonce counter opened under each kept receive key
+  private lastNonces: Map<number, bigint> = new Map();
+
+  constructor(private baseKey: CryptoKey, private sessionId: string, private maxMessagesPerKey: number) {
+    this.sendKey = this.deriveKey('c2s', this.sendKeyId);
+  }
+
+  async seal(plaintext: Uint8Array, binding: PayloadBinding): Promise<SealedPayload> {
+    // Key and nonce are settled before the first await, so concurrent seals never share a nonce
+    if (this.sealedWithKey >= this.maxMessagesPerKey) {
+      this.sendKeyId++;
+      this.sendKey = this.deriveKey('c2s', this.sendKeyId);
+      this.sealedWithKey = 0;
+    }
+    const keyId = this.sendKeyId;
+    const key = this.sendKey;
+    const nonce = new Uint8Array(NONCE_LENGTH);
+    new DataView(nonce.buffer).setBigUint64(NONCE_LENGTH - 8, BigInt(this.sealedWithKey++));
+
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: additionalData(binding, keyId) }, await key, plaintext.slice()));
+    const payload = new Uint8Array(NONCE_LENGTH + ciphertext.length);
+    payload.set(nonce);
+    payload.set(ciphertext, NONCE_LENGTH);
+    return { payload, keyId };
+  }
+
+  /**
+   * Open a payload sealed by the server; rejects with a DecryptionError if it cannot be
+   */
+  async open(payload: Uint8Array, keyId: number, binding: PayloadBinding): Promise<Uint8Array> {
+    if (keyId === 0) {
+      throw new DecryptionError('Unencrypted payload on an encrypted session');
+    }
+    if (payload.length < NONCE_LENGTH + TAG_LENGTH) {
+      throw new DecryptionError('Sealed payload too short');
+    }
+
+    const key = await this.receiveKey(keyId);
+    const nonce = payload.slice(0, NONCE_LENGTH);
+    const counter = new DataView(nonce.buffer).getBigUint64(NONCE_LENGTH - 8);
+    // Opens run one at a time on the client's inbound chain, so nothing slips in between the check and the update
+    if (counter <= (this.lastNonces.get(keyId) ?? -1n)) {
+      throw new DecryptionError(`Replayed nonce ${counter} for key ${keyId}`);
+    }
+
+    let plaintext: ArrayBuffer;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: nonce, additionalData: additionalData(binding, keyId) },
+        key,
+        payload.slice(NONCE_LENGTH)
+      );
+    } catch {
+      throw new DecryptionError(`Payload failed authentication with key ${keyId}`);
+    }
+    this.lastNonces.set(keyId, counter);
+    return new Uint8Array(plaintext);
+  }
+
+  private receiveKey(keyId: number): Promise<CryptoKey> {
+    let key = this.receiveKeys.get(keyId);
+    if (key) {
+      return key;
+    }
+
+    const newest = Math.max(0, ...this.receiveKeys.keys());
+    if (keyId < newest - 1) {
+      return Promise.reject(new DecryptionError(`Key ${keyId} has been retired`));
+    }
+    key = this.deriveKey('s2c', keyId);
+    this.receiveKeys.set(keyId, key);
+    this.receiveKeys.forEach((_, id) => {
+      if (id < keyId - 1) {
+        this.receiveKeys.delete(id);
+        this.lastNonces.delete(id);
+      }
+    });
+    return key;
+  }
+
+  private deriveKey(direction: 'c2s' | 's2c', keyId: number): Promise<CryptoKey> {
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(this.sessionId), info: encoder.encode(`sigma-sockets ${direction} ${keyId}`) },
+      this.baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      [direction === 'c2s' ? 'encrypt' : 'decrypt']
+    );
+  }
+}
+
+// kind (1 byte), id and position (8 bytes each) and keyId (4 bytes), big-endian, as the server builds it
+function additionalData(binding: PayloadBinding, keyId: number): ArrayBuffer {
+  const aad = new ArrayBuffer(21);
+  const view = new DataView(aad);
+  view.setUint8(0, binding.kind === 'data' ? 1 : 2);
+  view.setBigUint64(1, BigInt.asUintN(64, binding.id));
+  view.setBigUint64(9, BigInt.asUintN(64, binding.position));
+  view.setUint32(17, keyId);
+  return aad;
+}
@@ -0,0 +1,135 @@
+/**
+ * Reliable Channel
+ * Per-session state for messages sent with `{ reliable: true }`. Outbound
+ * messages get monotonic sequence numbers and are retransmitted until acked;
+ * inbound messages are deduplicated by sequence and released in order.
+ */
+export interface ReliableChannelOptions {
+  ackTimeout: number;
+  maxRetransmits: number;
+  // Write a frame to the socket; returns false if it is not connected
+  transmit: (frame: Uint8Array) => boolean;
+  // Called when a message is still unacked after maxRetransmits
+  onFailure: (sequence: bigint) => void;
+  // How far past the next expected sequence inbound messages are held for reordering (default: 1024)
+  maxOutOfOrder?: number;
+}
+
+interface UnackedMessage {
+  frame: Uint8Array;
+  retransmits: number;
+  timer: NodeJS.Timeout | null;
+}
+
+export class ReliableChannel<T> {
+  private nextSequence = 1n;
+  private unacked: Map<bigint, UnackedMessage> = new Map();
+  private expectedSequence = 1n;
+  private outOfOrder: Map<bigint, T> = new Map();
+
+  constructor(private options: ReliableChannelOptions) {}
+
+  /**
+   * Assign the next sequence number, encode the frame with it and send it.
+   * While disconnected the frame is kept and sent again by resend().
+   */
+  send(encode: (sequence: bigint) => Uint8Array): bigint {
+    // Only advance once encoding succeeded, or the receiver would wait on a gap forever
+    const sequence = this.nextSequence;
+    const entry: UnackedMessage = { frame: encode(sequence), retransmits: 0, timer: null };
+    this.nextSequence++;
+    this.unacked.set(sequence, entry);
+    this.transmit(sequence, entry);
+    return sequence;
+  }
+
+  acknowledge(sequence: bigint): boolean {
+    const entry = this.unacked.get(sequence);
+    if (!entry) {
+      return false;
+    }
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    this.unacked.delete(sequence);
+    return true;
+  }
+
+  /**
+   * Whether an inbound sequence is inside the receive window. Messages past it
+   * are neither acked nor held, so a sender that got that far ahead retransmits
+   * them once the gap is filled.
+   */
+  accepts(sequence: bigint): boolean {
+    return sequence < this.expectedSequence + BigInt(this.options.maxOutOfOrder ?? 1024);
+  }
+
+  /**
+   * Accept an inbound message and return everything that can now be delivered
+   * in order. Duplicates and messages past the receive window return nothing;
+   * gaps hold messages until filled.
+   */
+  receive(sequence: bigint, item: T): T[] {
+    if (sequence < this.expectedSequence || this.outOfOrder.has(sequence) || !this.accepts(sequence)) {
+      return [];
+    }
+
+    this.outOfOrder.set(sequence, item);
+
+    const ready: T[] = [];
+    let next = this.outOfOrder.get(this.expectedSequence);
+    while (next !== undefined) {
+      ready.push(next);
+      this.outOfOrder.delete(this.expectedSequence);
+      this.expectedSequence++;
+      next = this.outOfOrder.get(this.expectedSequence);
+    }
+    return ready;
+  }
+
+  /**
+   * Send every unacked frame again, e.g. after the session reconnects
+   */
+  resend(): void {
+    this.unacked.forEach((entry, sequence) => {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+      }
+      this.transmit(sequence, entry);
+    });
+  }
+
+  close(): void {
+    this.unacked.forEach((entry) => {
+      if (entry.timer) {
+        clearTimeout(entry.timer);
+      }
+    });
+    this.unacked.clear();
+    this.outOfOrder.clear();
+  }
+
+  get pendingCount(): number {
+    return this.unacked.size;
+  }
+
+  private transmit(sequence: bigint, entry: UnackedMessage): void {
+    // Retransmission only runs while connected; resend() picks it up again
+    if (!this.options.transmit(entry.frame)) {
+      return;
+    }
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      if (entry.retransmits >= this.options.maxRetransmits) {
+        this.unacked.delete(sequence);
+        this.options.onFailure(sequence);
+        return;
+      }
+      entry.retransmits++;
+      this.transmit(sequence, entry);
+    }, this.options.ackTimeout);
+  }
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { createHash } from 'crypto'
+import { Sha256 } from './sha256'
+
+const hex = (bytes: Uint8Array) => Buffer.from(bytes).toString('hex')
+
+describe('Sha256', () => {
+  it('should match known digests', () => {
+    expect(hex(new Sha256().digest())).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+    expect(hex(new Sha256().update(new TextEncoder().encode('abc')).digest())).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+    // Lengths either side of where the padding spills into another block
+    for (const length of [55, 56, 63, 64, 119, 120]) {
+      const data = new Uint8Array(length).fill(length)
+      expect(hex(new Sha256().update(data).digest())).toBe(createHash('sha256').update(data).digest('hex'))
+    }
+  })
+
+  it('should give the same digest however the input is split', () => {
+    const data = new Uint8Array(1000).map((_, i) => (i * 7) % 256)
+    const expected = createHash('sha256').update(data).digest('hex')
+
+    for (const size of [1, 55, 56, 63, 64, 65, 333, 1000]) {
+      const hash = new Sha256()
+      for (let offset = 0; offset < data.length; offset += size) {
+        hash.update(data.subarray(offset, offset + size))
+      }
+      expect(hex(hash.digest())).toBe(expected)
+    }
+  })
+
+  it('should refuse input once the digest is taken', () => {
+    const hash = new Sha256()
+    hash.digest()
+    expect(() => hash.update(new Uint8Array(1))).toThrow('Digest already computed')
+  })
+})
@@ -1,3 +1,5 @@
+import type { SigmaSocketClient } from './index';
+
 export enum ConnectionStatus {
   Disconnected = 'disconnected',
   Connecting = 'connecting',
@@ -18,6 +20,104 @@ export interface SigmaSocketConfig {
   maxHeartbeatInterval?: number;
   adaptiveHeartbeatEnabled?: boolean;
   connectionQualityMonitoring?: boolean;
+  // Default timeout for request() in ms
+  requestTimeout?: number;
+  // Reliable delivery: how long to wait for an Ack and how often to retry
+  ackTimeout?: number;
+  maxRetransmits?: number;
+  // Queue for send() while not connected; a size of 0 disables queueing
+  offlineQueueSize?: number;
+  offlineQueueBytes?: number;
+  offlineMessageTTL?: number;
+  offlineOverflowPolicy?: OverflowPolicy;
+  // Sent with every Connect and Reconnect for the server's authenticate hook.
+  // A function is called before each attempt, so expiring tokens can be refreshed.
+  authToken?: string | (() => string | Promise<string>);
+  // Seal DataMessage payloads end to end with keys exchanged in the handshake;
+  // the client refuses servers that do not agree. maxMessagesPerKey defaults to 100000.
+  encryption?: boolean | { maxMessagesPerKey?: number };
+  // Deflate DataMessage payloads of at least threshold bytes (default: 1024) when the server
+  // agrees; inflated payloads over maxInflatedSize (default: 16 MB) are dropped. On by default.
+  compression?: boolean | { threshold?: number; maxInflatedSize?: number };
+}
+
+export type OverflowPolicy = 'drop-oldest' | 'drop-newest' | 'reject';
+
+export type DropReason = 'overflow' | 'expired';
+
+export interface SendOptions {
+  // Sequence, ack and retransmit the message; it is delivered once and in order
+  reliable?: boolean;
+  // How long the message may wait in the offline queue, in ms
+  ttl?: number;
+}
+
+/**
+ * Hooks added with client.use(), run in the order they were added
+ */
+export interface ClientMiddleware {
+  readonly name: string;
+
+  onConnect?(client: SigmaSocketClient): void;
+  onDisconnect?(client: SigmaSocketClient): void;
+  // Inbound DataMessage payloads: return the payload, a replacement, or null to drop it
+  onMessage?(client: SigmaSocketClient, data: Uint8Array): Uint8Array | null;
+  // Outbound payloads, just before they are encoded: same contract as onMessage
+  onSend?(client: SigmaSocketClient, data: Uint8Array): Uint8Array | null;
+  onError?(client: SigmaSocketClient, error: Error): void;
+}
+
+/**
+ * Reusable bundle of behaviour, usually one or more middlewares, added with client.install()
+ */
+export interface ClientPlugin {
+  readonly name: string;
+  readonly version: string;
+
+  install(client: SigmaSocketClient): void;
+  uninstall(client: SigmaSocketClient): void;
+}
+
+export interface InboundMessage {
+  payload: Uint8Array;
+  messageId: bigint;
+  timestamp: bigint;
+}
+
+export interface WriteStreamOptions {
+  // Passed to the server's 'stream' listeners with the stream
+  name?: string;
+  size?: number;
+  metadata?: string;
+  // Largest chunk sent in one message, in bytes (default: 32 KB)
+  chunkSize?: number;
+  // Called as the server reads the stream, with the bytes it has read so far
+  onProgress?: (bytesAcknowledged: number) => void;
+}
+
+export interface SendFileOptions {
+  // Defaults to the name of a File
+  name?: string;
+  metadata?: string;
+  chunkSize?: number;
+  // Called as the server stores the file, with the bytes it has stored so far
+  onProgress?: (bytesAcknowledged: number) => void;
+}
+
+export interface SentFile {
+  size: number;
+  // Hex SHA-256 of the content, which the server checked
+  sha256: string;
+}
+
+export interface RequestOptions {
+  timeout?: number;
+}
+
+export interface PendingRequest {
+  resolve: (payload: Uint8Array) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
 }
 
 export interface MessageCallback<T = Uint8Array> {
@@ -39,6 +139,7 @@ export interface SigmaSocketEvents {
   'message': MessageCallback;
   'error': (error: Error) => void;
   'reconnecting': (info: ReconnectionInfo) => void;
+  'dropped': (data: Uint8Array, reason: DropReason) => void;
 }
 
 export interface ClientSession {
@@ -46,6 +147,8 @@ export interface ClientSession {
   lastMessageId: bigint;
   connectedAt: Date;
   lastHeartbeat: Date;
+  // Latest token the server issued for resuming this session
+  resumeToken?: string;
   // Enhanced connection quality metrics
   connectionQuality?: ConnectionQuality;
   latencyHistory?: number[];
@@ -0,0 +1,155 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createServer, type Server, type Socket } from 'net'
+import { InProcessBroker, type AdapterMessage, type ScalingAdapter } from './adapter'
+import { RedisPubSubAdapter } from './redis-pubsub-adapter'
+import { RespConnection } from './resp-connection'
+
+type Received = { message: AdapterMessage, origin: string }
+
+async function attach(adapter: ScalingAdapter, nodeId: string, onError?: (error: Error) => void): Promise<Received[]> {
+  const received: Received[] = []
+  await adapter.attach(nodeId, (message, origin) => received.push({ message, origin }), onError)
+  return received
+}
+
+async function waitFor(received: Received[], count: number): Promise<void> {
+  while (received.length < count) {
+    await new Promise((resolve) => setTimeout(resolve, 5))
+  }
+}
+
+describe('InProcessAdapter', () => {
+  it('should deliver to every other adapter of the broker', async () => {
+    const broker = new InProcessBroker()
+    const [a, b, c] = [broker.createAdapter(), broker.createAdapter(), broker.createAdapter()]
+    const received = await Promise.all([attach(a, 'a'), attach(b, 'b'), attach(c, 'c')])
+
+    await a.publish({ type: 'publish', topic: 'news', data: new Uint8Array([1]) })
+    await waitFor(received[2]!, 1)
+
+    expect(received[0]).toEqual([])
+    expect(received[1]).toEqual([{ message: { type: 'publish', topic: 'news', data: new Uint8Array([1]) }, origin: 'a' }])
+    expect(received[2]).toHaveLength(1)
+  })
+
+  it('should stop delivering after close', async () => {
+    const broker = new InProcessBroker()
+    const [a, b] = [broker.createAdapter(), broker.createAdapter()]
+    await attach(a, 'a')
+    const received = await attach(b, 'b')
+
+    await b.close()
+    await a.publish({ type: 'claim', sessionId: 'alice' })
+    await new Promise((resolve) => setTimeout(resolve, 10))
+
+    expect(received).toEqual([])
+  })
+})
+
+/**
+ * Just enough of a Redis server for PUBLISH and SUBSCRIBE
+ */
+function startFakeBroker(): Promise<Server> {
+  const subscribers = new Map<string, Set<Socket>>()
+  const bulk = (value: string) => `$${Buffer.byteLength(value)}\r\n${value}\r\n`
+
+  const server = createServer((socket) => {
+    let buffer = ''
+    socket.on('close', () => subscribers.forEach((sockets) => sockets.delete(socket)))
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString()
+      for (;;) {
+        const parts = buffer.split('\r\n')
+        const count = Number(parts[0]!.slice(1))
+        if (parts.length < 1 + count * 2 + 1) {
+          return
+        }
+        const [command, channel = '', payload = ''] = Array.from({ length: count }, (_, i) => parts[2 + i * 2]!)
+        buffer = parts.slice(1 + count * 2).join('\r\n')
+
+        if (command === 'SUBSCRIBE') {
+          subscribers.set(channel, (subscribers.get(channel) ?? new Set()).add(socket))
+          socket.write(`*3\r\n${bulk('subscribe')}${bulk(channel)}:1\r\n`)
+        } else if (command === 'PUBLISH') {
+          const sockets = subscribers.get(channel) ?? new Set()
+          sockets.forEach((subscriber) => subscriber.write(`*3\r\n${bulk('message')}${bulk(channel)}${bulk(payload)}`))
+          socket.write(`:${sockets.size}\r\n`)
+        } else {
+          socket.write(`-ERR unknown command '${command}'\r\n`)
+        }
+      }
+    })
+  })
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+describe('RedisPubSubAdapter', () => {
+  let broker: Server
+  let port: number
+  let adapters: RedisPubSubAdapter[] = []
+  // Sockets the broker accepted, so tests can cut them
+  let connections: Socket[]
+
+  afterEach(async () => {
+    await Promise.all(adapters.map((adapter) => adapter.close()))
+    adapters = []
+    await new Promise((resolve) => broker.close(resolve))
+  })
+
+  async function createAdapters(count: number): Promise<RedisPubSubAdapter[]> {
+    broker = await startFakeBroker()
+    connections = []
+    broker.on('connection', (socket: Socket) => connections.push(socket))
+    const address = broker.address()
+    port = typeof address === 'object' && address ? address.port : 0
+    adapters = Array.from({ length: count }, () => new RedisPubSubAdapter({ port, channel: 'cluster', reconnectDelay: 10 }))
+    return adapters
+  }
+
+  it('should relay messages to other nodes but not back to the origin', async () => {
+    const [a, b] = await createAdapters(2) as [RedisPubSubAdapter, RedisPubSubAdapter]
+    const fromA = await attach(a, 'a')
+    const fromB = await attach(b, 'b')
+
+    await a.publish({ type: 'room', room: 'lobby', data: new Uint8Array([1, 2, 255]), excludeClient: 'alice' })
+    await b.publish({ type: 'claim', sessionId: 'bob' })
+    await waitFor(fromB, 1)
+    await waitFor(fromA, 1)
+
+    expect(fromB).toEqual([{ message: { type: 'room', room: 'lobby', data: new Uint8Array([1, 2, 255]), excludeClient: 'alice' }, origin: 'a' }])
+    expect(fromA).toEqual([{ message: { type: 'claim', sessionId: 'bob' }, origin: 'b' }])
+  })
+
+  it('should subscribe again when the connection to Redis drops', async () => {
+    const [a, b] = await createAdapters(2) as [RedisPubSubAdapter, RedisPubSubAdapter]
+    const errors: Error[] = []
+    await attach(a, 'a')
+    const fromA = await attach(b, 'b', (error) => errors.push(error))
+
+    connections.forEach((socket) => socket.destroy())
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    await a.publish({ type: 'claim', sessionId: 'alice' })
+    await waitFor(fromA, 1)
+
+    expect(fromA).toEqual([{ message: { type: 'claim', sessionId: 'alice' }, origin: 'a' }])
+    expect(errors.map((error) => error.message)).toContain('Redis connection closed')
+  })
+
+  it('should report malformed envelopes instead of throwing', async () => {
+    const [a, b] = await createAdapters(2) as [RedisPubSubAdapter, RedisPubSubAdapter]
+    const errors: Error[] = []
+    await attach(a, 'a')
+    const received = await attach(b, 'b', (error) => errors.push(error))
+
+    const intruder = new RespConnection({ host: '127.0.0.1', port })
+    await intruder.command('PUBLISH', 'cluster', 'not json')
+    await intruder.command('PUBLISH', 'cluster', '42')
+    intruder.close()
+    await a.publish({ type: 'claim', sessionId: 'alice' })
+    await waitFor(received, 1)
+
+    expect(errors).toHaveLength(2)
+    expect(errors[0]!.message).toContain('Malformed relay envelope')
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * Scaling Adapter
+ * Lets several SigmaSocketServer instances behind a load balancer act as one:
+ * broadcasts, room and topic messages and sends to a session id are relayed
+ * to the other instances, and each delivers them to its own sessions.
+ */
+export type AdapterMessage =
+  | { type: 'broadcast'; data: Uint8Array; excludeClient?: string }
+  | { type: 'room'; room: string; data: Uint8Array; excludeClient?: string }
+  | { type: 'publish'; topic: string; data: Uint8Array }
+  | { type: 'send'; sessionId: string; data: Uint8Array; reliable?: boolean; critical?: boolean; coalesceKey?: string }
+  // A session was resumed on the origin node; others drop their stale copy
+  | { type: 'claim'; sessionId: string };
+
+export type AdapterHandler = (message: AdapterMessage, origin: string) => void;
+
+export interface ScalingAdapter {
+  // Start receiving messages relayed by other nodes. A node never receives its own messages.
+  // `onError` hears about trouble after attaching, such as a lost connection or a bad message
+  attach(nodeId: string, onMessage: AdapterHandler, onError?: (error: Error) => void): Promise<void>;
+  publish(message: AdapterMessage): Promise<void>;
+  close(): Promise<void>;
+}
+
+/**
+ * Connects adapters within one process, for tests and for running several
+ * servers on different ports in one process
+ */
+export class InProcessBroker {
+  private adapters: Set<InProcessAdapter> = new Set();
+
+  createAdapter(): InProcessAdapter {
+    return new InProcessAdapter(this.adapters);
+  }
+}
+
+export class InProcessAdapter implements ScalingAdapter {
+  private nodeId: string | null = null;
+  private onMessage: AdapterHandler | null = null;
+
+  constructor(private peers: Set<InProcessAdapter>) {}
+
+  async attach(nodeId: string, onMessage: AdapterHandler): Promise<void> {
+    this.nodeId = nodeId;
+    this.onMessage = onMessage;
+    this.peers.add(this);
+  }
+
+  async publish(message: AdapterMessage): Promise<void> {
+    const origin = this.nodeId ?? '';
+    // Delivered asynchronously, like a real transport
+    this.peers.forEach((peer) => {
+      if (peer !== this) {
+        setImmediate(() => peer.onMessage?.(message, origin));
+      }
+    });
+  }
+
+  async close(): Promise<void> {
+    this.peers.delete(this);
+    this.onMessage = null;
+  }
+}
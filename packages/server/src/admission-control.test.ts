@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import type { WebSocket } from 'ws'
+import { AdmissionController } from './admission-control'
+
+const socket = () => ({}) as WebSocket
+
+describe('AdmissionController', () => {
+  it('should cap open sockets per IP until they are released', () => {
+    const admission = new AdmissionController({ maxConnectionsPerIP: 2 })
+    const first = socket()
+
+    expect(admission.admit(first, '10.0.0.1', 0)).toBeUndefined()
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBeUndefined()
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBe('Too many connections from this address')
+    expect(admission.admit(socket(), '10.0.0.2', 0)).toBeUndefined()
+
+    admission.release(first, '10.0.0.1')
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBeUndefined()
+  })
+
+  it('should limit how often one IP opens sockets', () => {
+    const admission = new AdmissionController({ connectionRate: { rate: 1, burst: 2 } })
+
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBeUndefined()
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBeUndefined()
+    expect(admission.admit(socket(), '10.0.0.1', 0)).toBe('Too many connection attempts')
+    expect(admission.admit(socket(), '10.0.0.1', 1000)).toBeUndefined()
+  })
+
+  it('should tell refused clients when to retry', () => {
+    expect(new AdmissionController({ retryAfter: 30 }).closeReason('Server at capacity')).toBe('Server at capacity; retry-after=30')
+  })
+})
@@ -0,0 +1,81 @@
+import type { WebSocket } from 'ws';
+import { RateLimiter, type RateLimit } from './rate-limiter';
+
+/**
+ * Admission Control
+ * Caps on who may hold a socket: how many one IP may have open, how often it
+ * may open new ones, and how many sessions one authenticated user may have
+ * connected. Refused clients are closed with 1013 and told when to retry.
+ */
+export interface AdmissionConfig {
+  // Sockets one IP may have open at once (default: 100)
+  maxConnectionsPerIP?: number;
+  // Sessions one user (authenticate userId, or JWT sub) may have connected at once (default: unlimited)
+  maxConnectionsPerUser?: number;
+  // New sockets per second one IP may open (default: 10 per second, bursts of 20)
+  connectionRate?: RateLimit;
+  // At maxConnections: 'reject' new sockets, or 'queue' them until a socket closes (default: 'reject')
+  overload?: 'reject' | 'queue';
+  // Sockets that may wait in the queue (default: 100)
+  queueSize?: number;
+  // How long a queued socket waits before it is refused, in ms (default: 10000)
+  queueTimeout?: number;
+  // Seconds refused clients are told to wait before reconnecting (default: 5)
+  retryAfter?: number;
+}
+
+export class AdmissionController {
+  readonly maxConnectionsPerUser: number | undefined;
+  readonly overload: 'reject' | 'queue';
+  readonly queueSize: number;
+  readonly queueTimeout: number;
+  private maxConnectionsPerIP: number;
+  private retryAfter: number;
+  private attempts: RateLimiter;
+  private socketsByIP: Map<string, Set<WebSocket>> = new Map();
+
+  constructor(config: AdmissionConfig = {}) {
+    this.maxConnectionsPerIP = config.maxConnectionsPerIP ?? 100;
+    this.maxConnectionsPerUser = config.maxConnectionsPerUser;
+    this.overload = config.overload ?? 'reject';
+    this.queueSize = config.queueSize ?? 100;
+    this.queueTimeout = config.queueTimeout ?? 10000;
+    this.retryAfter = config.retryAfter ?? 5;
+    this.attempts = new RateLimiter({ perIP: config.connectionRate ?? { rate: 10, burst: 20 }, perSession: false });
+  }
+
+  /**
+   * Count a new socket against its IP; returns why it is refused, if it is
+   */
+  admit(ws: WebSocket, ip: string, now: number = Date.now()): string | undefined {
+    if (!this.attempts.check({ ip, messageType: 'Upgrade' }, now).allowed) {
+      return 'Too many connection attempts';
+    }
+
+    const sockets = this.socketsByIP.get(ip) ?? new Set<WebSocket>();
+    if (sockets.size >= this.maxConnectionsPerIP) {
+      return 'Too many connections from this address';
+    }
+    sockets.add(ws);
+    this.socketsByIP.set(ip, sockets);
+    return undefined;
+  }
+
+  release(ws: WebSocket, ip: string): void {
+    const sockets = this.socketsByIP.get(ip);
+    if (sockets?.delete(ws) && sockets.size === 0) {
+      this.socketsByIP.delete(ip);
+    }
+  }
+
+  /**
+   * The 1013 close reason for a refusal, with the retry hint clients read
+   */
+  closeReason(reason: string): string {
+    return `${reason}; retry-after=${this.retryAfter}`;
+  }
+
+  prune(now: number = Date.now()): void {
+    this.attempts.prune(now);
+  }
+}
@@ -1,4 +1,5 @@
 import { WebSocket } from 'ws';
+import { PayloadCompressor } from './payload-compression';
 import type { ClientSession, ConnectionQualityMetrics } from './types';
 
 /**
@@ -11,6 +12,7 @@ export class AdvancedFeaturesManager {
   private readonly connectionPool: Map<string, ClientSession> = new Map();
   private readonly iotDeviceRegistry: Map<string, IoTDeviceInfo> = new Map();
   private readonly hybridProtocolSupport: Map<string, HybridProtocolConfig> = new Map();
+  private readonly compressor = new PayloadCompressor();
 
   constructor(maxConcurrentConnections: number = 10000) {
     this.maxConcurrentConnections = maxConcurrentConnections;
@@ -208,8 +210,7 @@ export class AdvancedFeaturesManager {
     let compressionRatio = 1.0;
 
     if (compressionEnabled && originalSize > 1024) { // Only compress larger data
-      // Simple compression simulation (in real implementation, use actual compression)
-      processedData = this.simulateCompression(data);
+      processedData = this.compressor.compress(data).payload;
       compressionRatio = processedData.length / originalSize;
     }
 
@@ -298,11 +299,6 @@ export class AdvancedFeaturesManager {
     return 'maintain';
   }
 
-  private simulateCompression(data: Uint8Array): Uint8Array {
-    // Simple simulation - in real implementation, use actual compression
-    return data.slice(0, Math.floor(data.length * 0.7));
-  }
-
   private estimateTransferTime(dataSize: number): number {
     // Estimate based on typical network speeds
     const bytesPerSecond = 1000000; // 1MB/s
@@ -0,0 +1,48 @@
+import type { ClientSession } from './types';
+
+/**
+ * Backpressure
+ * ws buffers whatever it is given, so a client that reads more slowly than it
+ * is sent to would grow the server's memory without bound. Once a session's
+ * socket has a high-water mark's worth of bytes buffered the session is a
+ * slow consumer until the buffer falls back under the mark, and messages for
+ * it that are not critical go to the slow-consumer policy instead of the
+ * socket: they are dropped, coalesced to the newest per key and sent once the
+ * socket drains, or the socket is cut so the session can resume on a fresh
+ * one. Reliable messages count as critical.
+ */
+export type SlowConsumerPolicy = 'drop' | 'coalesce' | 'disconnect';
+
+export interface BackpressureConfig {
+  // Bytes a session's socket may have buffered before it is a slow consumer (default: 1 MB)
+  highWaterMark?: number;
+  // High-water mark for one session, or undefined for the configured one
+  sessionHighWaterMark?: (session: ClientSession) => number | undefined;
+  // What happens to messages that are not critical while a session is slow (default: 'drop')
+  slowConsumer?: SlowConsumerPolicy;
+  // How often a slow session's socket is checked for having drained, in ms (default: 50)
+  drainInterval?: number;
+}
+
+export class BackpressurePolicy {
+  readonly highWaterMark: number;
+  readonly slowConsumer: SlowConsumerPolicy;
+  readonly drainInterval: number;
+
+  constructor(private config: BackpressureConfig = {}) {
+    this.highWaterMark = config.highWaterMark ?? 1024 * 1024;
+    this.slowConsumer = config.slowConsumer ?? 'drop';
+    this.drainInterval = config.drainInterval ?? 50;
+  }
+
+  highWaterMarkFor(session: ClientSession): number {
+    return this.config.sessionHighWaterMark?.(session) ?? this.highWaterMark;
+  }
+
+  /**
+   * Whether the session's socket has reached its high-water mark
+   */
+  isOver(session: ClientSession): boolean {
+    return session.ws.bufferedAmount >= this.highWaterMarkFor(session);
+  }
+}
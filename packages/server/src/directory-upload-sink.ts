@@ -0,0 +1,51 @@
+import { randomUUID } from 'crypto';
+import { mkdir, open, rename, unlink } from 'fs/promises';
+import { join } from 'path';
+import type { UploadSink, UploadWriter } from './file-upload';
+
+/**
+ * Directory Upload Sink
+ * Writes each upload to `<directory>/<uuid>.part` and renames it to
+ * `<directory>/<uuid>` once it is complete, so a finished file is never seen
+ * half-written. The client's file name stays out of the path; it comes with
+ * the ReceivedFile instead.
+ */
+export class DirectoryUploadSink implements UploadSink {
+  constructor(private directory: string) {}
+
+  async open(): Promise<UploadWriter> {
+    await mkdir(this.directory, { recursive: true });
+    const location = join(this.directory, randomUUID());
+    const partial = `${location}.part`;
+    const file = await open(partial, 'w');
+    let closed = false;
+    const close = async () => {
+      if (!closed) {
+        closed = true;
+        await file.close();
+      }
+    };
+
+    return {
+      write: async (chunk) => {
+        let written = 0;
+        while (written < chunk.length) {
+          written += (await file.write(chunk, written)).bytesWritten;
+        }
+      },
+      complete: async () => {
+        await close();
+        await rename(partial, location);
+        return location;
+      },
+      abort: async () => {
+        await close();
+        await unlink(partial).catch((error: NodeJS.ErrnoException) => {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        });
+      }
+    };
+  }
+}
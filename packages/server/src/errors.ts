@@ -0,0 +1,14 @@
+/**
+ * Error thrown from a request handler to answer the caller with a specific
+ * status code. The code and message are sent back in an ErrorMessage tagged
+ * with the request id, so client.request() rejects with the same code.
+ */
+export class RequestError extends Error {
+  readonly code: number;
+
+  constructor(code: number, message: string) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+  }
+}
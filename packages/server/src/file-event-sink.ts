@@ -0,0 +1,68 @@
+import { appendFile, mkdir, rename, stat, unlink } from 'fs/promises';
+import { dirname } from 'path';
+import type { SecurityEvent, SecurityEventSink } from './security-events';
+
+export interface FileEventSinkOptions {
+  // Rotate once the file would grow past this many bytes (default: 10 MB)
+  maxBytes?: number;
+  // Rotated files kept next to the live one, as `<path>.1` (newest) to `<path>.<maxFiles>` (default: 5)
+  maxFiles?: number;
+}
+
+/**
+ * File Event Sink
+ * Appends security events to `path` as newline-delimited JSON, an audit log
+ * that log shippers can tail. Writes are queued so lines never interleave and
+ * rotation never happens mid-line.
+ */
+export class FileEventSink implements SecurityEventSink {
+  private maxBytes: number;
+  private maxFiles: number;
+  private size: number | null = null;
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(private path: string, options: FileEventSinkOptions = {}) {
+    this.maxBytes = options.maxBytes ?? 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+  }
+
+  write(event: SecurityEvent): Promise<void> {
+    const line = `${JSON.stringify(event)}\n`;
+    const written = this.queue.then(() => this.append(line));
+    // A failed write is reported to its caller without stalling the ones after it
+    this.queue = written.catch(() => undefined);
+    return written;
+  }
+
+  close(): Promise<void> {
+    return this.queue;
+  }
+
+  private async append(line: string): Promise<void> {
+    const bytes = Buffer.byteLength(line);
+    if (this.size === null) {
+      await mkdir(dirname(this.path), { recursive: true });
+      this.size = await stat(this.path).then((stats) => stats.size, () => 0);
+    }
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+    await appendFile(this.path, line);
+    this.size += bytes;
+  }
+
+  private async rotate(): Promise<void> {
+    await unlink(`${this.path}.${this.maxFiles}`).catch(ignoreMissing);
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await rename(`${this.path}.${index}`, `${this.path}.${index + 1}`).catch(ignoreMissing);
+    }
+    await rename(this.path, `${this.path}.1`).catch(ignoreMissing);
+    this.size = 0;
+  }
+}
+
+function ignoreMissing(error: NodeJS.ErrnoException): void {
+  if (error.code !== 'ENOENT') {
+    throw error;
+  }
+}
@@ -0,0 +1,100 @@
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import type { SessionStore, StoredSession } from './session-store';
+
+interface FileEntry {
+  session: StoredSession;
+  expiresAt: number;
+}
+
+/**
+ * File Session Store
+ * Keeps one JSON file per session in `directory`, so resumable sessions
+ * survive a server restart. Files are written to a temporary name and renamed
+ * so a crash mid-write never leaves a truncated session behind.
+ */
+export class FileSessionStore implements SessionStore {
+  private ready: Promise<void> | null = null;
+  private writeCounter = 0;
+
+  constructor(private directory: string) {}
+
+  async get(sessionId: string): Promise<StoredSession | undefined> {
+    const entry = await this.read(this.pathFor(sessionId));
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    return entry.session;
+  }
+
+  async set(session: StoredSession, ttl: number): Promise<void> {
+    await this.write({ session, expiresAt: Date.now() + ttl });
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    await unlink(this.pathFor(sessionId)).catch((error: NodeJS.ErrnoException) => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+
+  async touch(sessionId: string, ttl: number): Promise<boolean> {
+    const entry = await this.read(this.pathFor(sessionId));
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return false;
+    }
+    await this.write({ session: entry.session, expiresAt: Date.now() + ttl });
+    return true;
+  }
+
+  async expire(): Promise<string[]> {
+    await this.ensureDirectory();
+    const now = Date.now();
+    const expired: string[] = [];
+
+    for (const file of await readdir(this.directory)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      const entry = await this.read(join(this.directory, file));
+      if (entry && entry.expiresAt <= now) {
+        expired.push(entry.session.id);
+        await this.delete(entry.session.id);
+      }
+    }
+
+    return expired;
+  }
+
+  private pathFor(sessionId: string): string {
+    // Session ids come from clients, so they must not be able to pick a path
+    return join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  private async read(path: string): Promise<FileEntry | undefined> {
+    try {
+      return JSON.parse(await readFile(path, 'utf8')) as FileEntry;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  private async write(entry: FileEntry): Promise<void> {
+    await this.ensureDirectory();
+    const path = this.pathFor(entry.session.id);
+    const temporary = `${path}.${process.pid}.${++this.writeCounter}.tmp`;
+    await writeFile(temporary, JSON.stringify(entry));
+    await rename(temporary, path);
+  }
+
+  private ensureDirectory(): Promise<void> {
+    if (!this.ready) {
+      this.ready = mkdir(this.directory, { recursive: true }).then(() => undefined);
+    }
+    return this.ready;
+  }
+}
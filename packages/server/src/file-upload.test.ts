@@ -0,0 +1,97 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createHash } from 'crypto'
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { basename, join } from 'path'
+import { FileUpload, MemoryUploadSink, UploadError, type UploadSink } from './file-upload'
+import { DirectoryUploadSink } from './directory-upload-sink'
+
+const content = new TextEncoder().encode('the quick brown fox jumps over the lazy dog')
+
+function sha256(data: Uint8Array): Uint8Array {
+  return new Uint8Array(createHash('sha256').update(data).digest())
+}
+
+function createUpload(sink: UploadSink, hash: Uint8Array = sha256(content)) {
+  const acks: [number, number][] = []
+  const cancels: string[] = []
+  const upload = new FileUpload(1, { sessionId: 'alice', name: 'fox.txt', size: content.length }, hash, 16, sink, {
+    acknowledge: (offset, window) => acks.push([offset, window]),
+    cancel: (error) => cancels.push(error),
+    fail: () => {}
+  })
+  return { upload, acks, cancels }
+}
+
+// Sends everything the upload's acks allow, as the client does
+async function send(upload: FileUpload, acks: [number, number][], from: number = 0): Promise<void> {
+  let offset = from
+  while (offset < content.length) {
+    const [acked, window] = acks[acks.length - 1] ?? [0, 16]
+    const end = Math.min(acked + window, content.length)
+    expect(upload.receive(offset, content.subarray(offset, end))).toBeUndefined()
+    offset = end
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+}
+
+describe('FileUpload', () => {
+  it('should store the file once it arrived whole and its hash matches', async () => {
+    const sink = new MemoryUploadSink()
+    const { upload, acks } = createUpload(sink)
+
+    await send(upload, acks)
+    const file = await upload.finish(content.length)
+
+    expect(file).toEqual({ location: expect.any(String), name: 'fox.txt', size: content.length, sha256: createHash('sha256').update(content).digest('hex') })
+    expect(sink.get(file.location)).toEqual(Buffer.from(content))
+    expect(acks.every(([offset, window]) => offset <= content.length && window === 16)).toBe(true)
+  })
+
+  it('should refuse a file whose hash does not match', async () => {
+    const { upload, acks } = createUpload(new MemoryUploadSink(), sha256(new Uint8Array([1])))
+
+    await send(upload, acks)
+    await expect(upload.finish(content.length)).rejects.toEqual(new UploadError('Checksum mismatch'))
+  })
+
+  it('should tell a reconnected client to carry on from what was stored', async () => {
+    const { upload, acks } = createUpload(new MemoryUploadSink())
+
+    expect(upload.receive(0, content.subarray(0, 10))).toBeUndefined()
+    await upload.resume()
+    expect(acks[acks.length - 1]).toEqual([10, 16])
+
+    await send(upload, acks, 10)
+    await upload.finish(content.length)
+    await upload.resume()
+    expect(acks[acks.length - 1]).toEqual([content.length, 0])
+  })
+})
+
+describe('DirectoryUploadSink', () => {
+  let directory: string | undefined
+
+  afterEach(async () => {
+    if (directory) {
+      await rm(directory, { recursive: true, force: true })
+      directory = undefined
+    }
+  })
+
+  it('should move completed files into place and remove abandoned ones', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'sigma-uploads-'))
+    const sink = new DirectoryUploadSink(join(directory, 'files'))
+
+    const complete = await sink.open()
+    await complete.write(content)
+    const location = await complete.complete()
+    expect(await readFile(location)).toEqual(Buffer.from(content))
+
+    const abandoned = await sink.open()
+    await abandoned.write(content)
+    expect(await readdir(join(directory, 'files'))).toHaveLength(2)
+    await abandoned.abort()
+    expect(await readdir(join(directory, 'files'))).toEqual([basename(location)])
+  })
+})
@@ -0,0 +1,232 @@
+import { createHash, randomUUID, timingSafeEqual, type Hash } from 'crypto';
+import type { StreamControl } from './incoming-stream';
+
+/**
+ * File Uploads
+ * Files from client.sendFile() travel as a stream whose StreamOpen carries the
+ * SHA-256 of the content. Unlike plain streams they outlive the socket: the
+ * bytes go to an UploadSink as they arrive, and when the client reconnects it
+ * lists its unfinished uploads in the ReconnectMessage; the server answers
+ * each with a StreamAck at the number of bytes stored and the client carries
+ * on from there. A file is handed to 'file' listeners once it is complete and
+ * its hash matches.
+ */
+export interface UploadInfo {
+  sessionId: string;
+  name: string;
+  size: number;
+  metadata?: string;
+}
+
+export interface ReceivedFile {
+  // Where the sink stored it: a path for DirectoryUploadSink, a key for MemoryUploadSink
+  location: string;
+  name: string;
+  size: number;
+  // Hex SHA-256 of the content, checked against the client's
+  sha256: string;
+  metadata?: string;
+}
+
+/**
+ * Where uploaded files go. Writers get an upload's bytes in order and one call at a time.
+ */
+export interface UploadSink {
+  open(upload: UploadInfo): Promise<UploadWriter>;
+}
+
+export interface UploadWriter {
+  write(chunk: Uint8Array): Promise<void>;
+  // Every byte arrived and the hash matched; resolves with the file's location
+  complete(): Promise<string>;
+  // The upload was cancelled or abandoned; throw away what was written
+  abort(): Promise<void>;
+}
+
+/**
+ * An upload the client got wrong, as opposed to a sink that failed
+ */
+export class UploadError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UploadError';
+  }
+}
+
+/**
+ * Keeps completed files in memory until they are taken; for tests and small files
+ */
+export class MemoryUploadSink implements UploadSink {
+  private files = new Map<string, Uint8Array>();
+
+  open(): Promise<UploadWriter> {
+    const chunks: Uint8Array[] = [];
+    return Promise.resolve({
+      write: (chunk) => {
+        chunks.push(Uint8Array.from(chunk));
+        return Promise.resolve();
+      },
+      complete: () => {
+        const location = randomUUID();
+        this.files.set(location, Buffer.concat(chunks));
+        return Promise.resolve(location);
+      },
+      abort: () => {
+        chunks.length = 0;
+        return Promise.resolve();
+      }
+    });
+  }
+
+  get(location: string): Uint8Array | undefined {
+    return this.files.get(location);
+  }
+
+  delete(location: string): boolean {
+    return this.files.delete(location);
+  }
+}
+
+// What an upload needs to tell the client and the server; `fail` is for sink errors
+export interface UploadControl extends StreamControl {
+  fail(error: Error): void;
+}
+
+export class FileUpload {
+  received = 0;
+  written = 0;
+  // Set once the client has sent everything, while the file is checked and stored
+  ending = false;
+  // Set once the file is complete, until the client has had the chance to hear about it
+  completed: ReceivedFile | null = null;
+  private acknowledged = 0;
+  private hash: Hash = createHash('sha256');
+  private writer: Promise<UploadWriter>;
+  // Writes run one at a time, in the order chunks arrived
+  private writes: Promise<void>;
+  private failed = false;
+
+  constructor(
+    readonly id: number,
+    readonly info: UploadInfo,
+    private sha256: Uint8Array,
+    private window: number,
+    sink: UploadSink,
+    private control: UploadControl
+  ) {
+    this.writer = sink.open(info);
+    this.writes = this.writer.then(() => undefined);
+    this.writes.catch((error: unknown) => this.storageFailed(error));
+  }
+
+  /**
+   * Take the next chunk the client sent; returns why the upload has to be
+   * cancelled if the chunk breaks the protocol
+   */
+  receive(offset: number, chunk: Uint8Array): string | undefined {
+    if (offset !== this.received) {
+      return 'Chunk out of order';
+    }
+    const end = offset + chunk.length;
+    if (end > this.acknowledged + this.window) {
+      return 'Chunk beyond the window';
+    }
+    if (end > this.info.size) {
+      return 'Stream too large';
+    }
+
+    this.received = end;
+    this.hash.update(chunk);
+    this.writes = this.writes.then(async () => {
+      if (this.failed) {
+        return;
+      }
+      await (await this.writer).write(chunk);
+      this.written = end;
+      this.acknowledgeWritten();
+    });
+    this.writes.catch((error: unknown) => this.storageFailed(error));
+    return undefined;
+  }
+
+  /**
+   * Every byte has been sent: check the size and hash and hand the file to the
+   * sink. Rejects with an UploadError when the client's file does not check out.
+   */
+  async finish(size: number): Promise<ReceivedFile> {
+    this.ending = true;
+    if (size !== this.received || size !== this.info.size) {
+      throw new UploadError('Stream size mismatch');
+    }
+    await this.writes;
+    if (this.failed) {
+      throw new UploadError('Storage failed');
+    }
+    const digest = this.hash.digest();
+    const writer = await this.writer;
+    if (digest.length !== this.sha256.length || !timingSafeEqual(digest, this.sha256)) {
+      await writer.abort();
+      throw new UploadError('Checksum mismatch');
+    }
+
+    const location = await writer.complete();
+    this.completed = {
+      location,
+      name: this.info.name,
+      size,
+      sha256: digest.toString('hex'),
+      ...(this.info.metadata !== undefined ? { metadata: this.info.metadata } : {})
+    };
+    return this.completed;
+  }
+
+  /**
+   * The client reconnected and wants to carry on: once what arrived before is
+   * stored, tell it where to continue from
+   */
+  async resume(): Promise<void> {
+    if (this.completed) {
+      this.control.acknowledge(this.completed.size, 0);
+      return;
+    }
+    if (this.ending) {
+      // The zero window follows once the file is stored
+      return;
+    }
+    await this.writes.catch(() => undefined);
+    if (!this.failed) {
+      this.acknowledged = this.written;
+      this.control.acknowledge(this.written, this.window);
+    }
+  }
+
+  /**
+   * Throw away what was stored: the client cancelled, or its session ended
+   */
+  async abort(): Promise<void> {
+    this.failed = true;
+    if (this.completed) {
+      return;
+    }
+    await this.writes.catch(() => undefined);
+    await this.writer.then((writer) => writer.abort(), () => undefined);
+  }
+
+  // Grant more credit once a quarter window has been stored, or everything received so far
+  private acknowledgeWritten(): void {
+    if (this.written - this.acknowledged >= this.window / 4 || this.written === this.received) {
+      this.acknowledged = this.written;
+      this.control.acknowledge(this.written, this.window);
+    }
+  }
+
+  private storageFailed(error: unknown): void {
+    if (this.failed) {
+      return;
+    }
+    this.failed = true;
+    this.control.cancel('Storage failed');
+    this.control.fail(error instanceof Error ? error : new Error(String(error)));
+    this.writer.then((writer) => writer.abort()).catch(() => undefined);
+  }
+}
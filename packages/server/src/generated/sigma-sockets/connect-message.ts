@@ -4,6 +4,9 @@
 
 import * as flatbuffers from 'flatbuffers';
 
+import { Compression } from './compression.js';
+
+
 export class ConnectMessage {
   bb: flatbuffers.ByteBuffer|null = null;
   bb_pos = 0;
@@ -36,8 +39,35 @@ clientVersion(optionalEncoding?:any):string|Uint8Array|null {
   return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
 }
 
+authToken():string|null
+authToken(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+authToken(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+publicKey(index: number):number|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.readUint8(this.bb!.__vector(this.bb_pos + offset) + index) : 0;
+}
+
+publicKeyLength():number {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+publicKeyArray():Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? new Uint8Array(this.bb!.bytes().buffer, this.bb!.bytes().byteOffset + this.bb!.__vector(this.bb_pos + offset), this.bb!.__vector_len(this.bb_pos + offset)) : null;
+}
+
+compression():Compression {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.readUint8(this.bb_pos + offset) : Compression.None;
+}
+
 static startConnectMessage(builder:flatbuffers.Builder) {
-  builder.startObject(2);
+  builder.startObject(5);
 }
 
 static addSessionId(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset) {
@@ -48,15 +78,42 @@ static addClientVersion(builder:flatbuffers.Builder, clientVersionOffset:flatbuf
   builder.addFieldOffset(1, clientVersionOffset, 0);
 }
 
+static addAuthToken(builder:flatbuffers.Builder, authTokenOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(2, authTokenOffset, 0);
+}
+
+static addPublicKey(builder:flatbuffers.Builder, publicKeyOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(3, publicKeyOffset, 0);
+}
+
+static createPublicKeyVector(builder:flatbuffers.Builder, data:number[]|Uint8Array):flatbuffers.Offset {
+  builder.startVector(1, data.length, 1);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addInt8(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startPublicKeyVector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(1, numElems, 1);
+}
+
+static addCompression(builder:flatbuffers.Builder, compression:Compression) {
+  builder.addFieldInt8(4, compression, Compression.None);
+}
+
 static endConnectMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
   const offset = builder.endObject();
   return offset;
 }
 
-static createConnectMessage(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset, clientVersionOffset:flatbuffers.Offset):flatbuffers.Offset {
+static createConnectMessage(builder:flatbuffers.Builder, sessionIdOffset:flatbuffers.Offset, clientVersionOffset:flatbuffers.Offset, authTokenOffset:flatbuffers.Offset, publicKeyOffset:flatbuffers.Offset, compression:Compression):flatbuffers.Offset {
   ConnectMessage.startConnectMessage(builder);
   ConnectMessage.addSessionId(builder, sessionIdOffset);
   ConnectMessage.addClientVersion(builder, clientVersionOffset);
+  ConnectMessage.addAuthToken(builder, authTokenOffset);
+  ConnectMessage.addPublicKey(builder, publicKeyOffset);
+  ConnectMessage.addCompression(builder, compression);
   return ConnectMessage.endConnectMessage(builder);
 }
 }
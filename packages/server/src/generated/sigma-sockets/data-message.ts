@@ -4,6 +4,9 @@
 
 import * as flatbuffers from 'flatbuffers';
 
+import { Compression } from './compression.js';
+
+
 export class DataMessage {
   bb: flatbuffers.ByteBuffer|null = null;
   bb_pos = 0;
@@ -47,8 +50,30 @@ timestamp():bigint {
   return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
 }
 
+topic():string|null
+topic(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+topic(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+sequence():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+keyId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 14);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+compression():Compression {
+  const offset = this.bb!.__offset(this.bb_pos, 16);
+  return offset ? this.bb!.readUint8(this.bb_pos + offset) : Compression.None;
+}
+
 static startDataMessage(builder:flatbuffers.Builder) {
-  builder.startObject(3);
+  builder.startObject(7);
 }
 
 static addPayload(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset) {
@@ -75,16 +100,36 @@ static addTimestamp(builder:flatbuffers.Builder, timestamp:bigint) {
   builder.addFieldInt64(2, timestamp, BigInt('0'));
 }
 
+static addTopic(builder:flatbuffers.Builder, topicOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(3, topicOffset, 0);
+}
+
+static addSequence(builder:flatbuffers.Builder, sequence:bigint) {
+  builder.addFieldInt64(4, sequence, BigInt('0'));
+}
+
+static addKeyId(builder:flatbuffers.Builder, keyId:number) {
+  builder.addFieldInt32(5, keyId, 0);
+}
+
+static addCompression(builder:flatbuffers.Builder, compression:Compression) {
+  builder.addFieldInt8(6, compression, Compression.None);
+}
+
 static endDataMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
   const offset = builder.endObject();
   return offset;
 }
 
-static createDataMessage(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset, messageId:bigint, timestamp:bigint):flatbuffers.Offset {
+static createDataMessage(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset, messageId:bigint, timestamp:bigint, topicOffset:flatbuffers.Offset, sequence:bigint, keyId:number, compression:Compression):flatbuffers.Offset {
   DataMessage.startDataMessage(builder);
   DataMessage.addPayload(builder, payloadOffset);
   DataMessage.addMessageId(builder, messageId);
   DataMessage.addTimestamp(builder, timestamp);
+  DataMessage.addTopic(builder, topicOffset);
+  DataMessage.addSequence(builder, sequence);
+  DataMessage.addKeyId(builder, keyId);
+  DataMessage.addCompression(builder, compression);
   return DataMessage.endDataMessage(builder);
 }
 }
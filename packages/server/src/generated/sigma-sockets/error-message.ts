@@ -34,8 +34,13 @@ message(optionalEncoding?:any):string|Uint8Array|null {
   return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
 }
 
+requestId():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
 static startErrorMessage(builder:flatbuffers.Builder) {
-  builder.startObject(2);
+  builder.startObject(3);
 }
 
 static addCode(builder:flatbuffers.Builder, code:number) {
@@ -46,15 +51,20 @@ static addMessage(builder:flatbuffers.Builder, messageOffset:flatbuffers.Offset)
   builder.addFieldOffset(1, messageOffset, 0);
 }
 
+static addRequestId(builder:flatbuffers.Builder, requestId:bigint) {
+  builder.addFieldInt64(2, requestId, BigInt('0'));
+}
+
 static endErrorMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
   const offset = builder.endObject();
   return offset;
 }
 
-static createErrorMessage(builder:flatbuffers.Builder, code:number, messageOffset:flatbuffers.Offset):flatbuffers.Offset {
+static createErrorMessage(builder:flatbuffers.Builder, code:number, messageOffset:flatbuffers.Offset, requestId:bigint):flatbuffers.Offset {
   ErrorMessage.startErrorMessage(builder);
   ErrorMessage.addCode(builder, code);
   ErrorMessage.addMessage(builder, messageOffset);
+  ErrorMessage.addRequestId(builder, requestId);
   return ErrorMessage.endErrorMessage(builder);
 }
 }
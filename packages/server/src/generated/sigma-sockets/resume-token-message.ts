@@ -0,0 +1,73 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+import { Compression } from './compression.js';
+
+
+export class ResumeTokenMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):ResumeTokenMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsResumeTokenMessage(bb:flatbuffers.ByteBuffer, obj?:ResumeTokenMessage):ResumeTokenMessage {
+  return (obj || new ResumeTokenMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsResumeTokenMessage(bb:flatbuffers.ByteBuffer, obj?:ResumeTokenMessage):ResumeTokenMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new ResumeTokenMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+resumeToken():string|null
+resumeToken(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+resumeToken(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+expiresAt():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 6);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+compression():Compression {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.readUint8(this.bb_pos + offset) : Compression.None;
+}
+
+static startResumeTokenMessage(builder:flatbuffers.Builder) {
+  builder.startObject(3);
+}
+
+static addResumeToken(builder:flatbuffers.Builder, resumeTokenOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(0, resumeTokenOffset, 0);
+}
+
+static addExpiresAt(builder:flatbuffers.Builder, expiresAt:bigint) {
+  builder.addFieldInt64(1, expiresAt, BigInt('0'));
+}
+
+static addCompression(builder:flatbuffers.Builder, compression:Compression) {
+  builder.addFieldInt8(2, compression, Compression.None);
+}
+
+static endResumeTokenMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createResumeTokenMessage(builder:flatbuffers.Builder, resumeTokenOffset:flatbuffers.Offset, expiresAt:bigint, compression:Compression):flatbuffers.Offset {
+  ResumeTokenMessage.startResumeTokenMessage(builder);
+  ResumeTokenMessage.addResumeToken(builder, resumeTokenOffset);
+  ResumeTokenMessage.addExpiresAt(builder, expiresAt);
+  ResumeTokenMessage.addCompression(builder, compression);
+  return ResumeTokenMessage.endResumeTokenMessage(builder);
+}
+}
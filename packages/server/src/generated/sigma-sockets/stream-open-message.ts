@@ -0,0 +1,114 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class StreamOpenMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):StreamOpenMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsStreamOpenMessage(bb:flatbuffers.ByteBuffer, obj?:StreamOpenMessage):StreamOpenMessage {
+  return (obj || new StreamOpenMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsStreamOpenMessage(bb:flatbuffers.ByteBuffer, obj?:StreamOpenMessage):StreamOpenMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new StreamOpenMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+streamId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+name():string|null
+name(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+name(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 6);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+size():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 8);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+metadata():string|null
+metadata(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+metadata(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+sha256(index: number):number|null {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.readUint8(this.bb!.__vector(this.bb_pos + offset) + index) : 0;
+}
+
+sha256Length():number {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.__vector_len(this.bb_pos + offset) : 0;
+}
+
+sha256Array():Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? new Uint8Array(this.bb!.bytes().buffer, this.bb!.bytes().byteOffset + this.bb!.__vector(this.bb_pos + offset), this.bb!.__vector_len(this.bb_pos + offset)) : null;
+}
+
+static startStreamOpenMessage(builder:flatbuffers.Builder) {
+  builder.startObject(5);
+}
+
+static addStreamId(builder:flatbuffers.Builder, streamId:number) {
+  builder.addFieldInt32(0, streamId, 0);
+}
+
+static addName(builder:flatbuffers.Builder, nameOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(1, nameOffset, 0);
+}
+
+static addSize(builder:flatbuffers.Builder, size:bigint) {
+  builder.addFieldInt64(2, size, BigInt('0'));
+}
+
+static addMetadata(builder:flatbuffers.Builder, metadataOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(3, metadataOffset, 0);
+}
+
+static addSha256(builder:flatbuffers.Builder, sha256Offset:flatbuffers.Offset) {
+  builder.addFieldOffset(4, sha256Offset, 0);
+}
+
+static createSha256Vector(builder:flatbuffers.Builder, data:number[]|Uint8Array):flatbuffers.Offset {
+  builder.startVector(1, data.length, 1);
+  for (let i = data.length - 1; i >= 0; i--) {
+    builder.addInt8(data[i]!);
+  }
+  return builder.endVector();
+}
+
+static startSha256Vector(builder:flatbuffers.Builder, numElems:number) {
+  builder.startVector(1, numElems, 1);
+}
+
+static endStreamOpenMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createStreamOpenMessage(builder:flatbuffers.Builder, streamId:number, nameOffset:flatbuffers.Offset, size:bigint, metadataOffset:flatbuffers.Offset, sha256Offset:flatbuffers.Offset):flatbuffers.Offset {
+  StreamOpenMessage.startStreamOpenMessage(builder);
+  StreamOpenMessage.addStreamId(builder, streamId);
+  StreamOpenMessage.addName(builder, nameOffset);
+  StreamOpenMessage.addSize(builder, size);
+  StreamOpenMessage.addMetadata(builder, metadataOffset);
+  StreamOpenMessage.addSha256(builder, sha256Offset);
+  return StreamOpenMessage.endStreamOpenMessage(builder);
+}
+}
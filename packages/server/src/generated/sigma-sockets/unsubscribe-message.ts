@@ -0,0 +1,50 @@
+// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+import * as flatbuffers from 'flatbuffers';
+
+export class UnsubscribeMessage {
+  bb: flatbuffers.ByteBuffer|null = null;
+  bb_pos = 0;
+  __init(i:number, bb:flatbuffers.ByteBuffer):UnsubscribeMessage {
+  this.bb_pos = i;
+  this.bb = bb;
+  return this;
+}
+
+static getRootAsUnsubscribeMessage(bb:flatbuffers.ByteBuffer, obj?:UnsubscribeMessage):UnsubscribeMessage {
+  return (obj || new UnsubscribeMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+static getSizePrefixedRootAsUnsubscribeMessage(bb:flatbuffers.ByteBuffer, obj?:UnsubscribeMessage):UnsubscribeMessage {
+  bb.setPosition(bb.position() + flatbuffers.SIZE_PREFIX_LENGTH);
+  return (obj || new UnsubscribeMessage()).__init(bb.readInt32(bb.position()) + bb.position(), bb);
+}
+
+topic():string|null
+topic(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+topic(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 4);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+static startUnsubscribeMessage(builder:flatbuffers.Builder) {
+  builder.startObject(1);
+}
+
+static addTopic(builder:flatbuffers.Builder, topicOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(0, topicOffset, 0);
+}
+
+static endUnsubscribeMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
+  const offset = builder.endObject();
+  return offset;
+}
+
+static createUnsubscribeMessage(builder:flatbuffers.Builder, topicOffset:flatbuffers.Offset):flatbuffers.Offset {
+  UnsubscribeMessage.startUnsubscribeMessage(builder);
+  UnsubscribeMessage.addTopic(builder, topicOffset);
+  return UnsubscribeMessage.endUnsubscribeMessage(builder);
+}
+}
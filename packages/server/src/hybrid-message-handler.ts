@@ -56,9 +56,9 @@ export class HybridMessageHandler {
       
       if (!message) return false;
       
-      // Check if message type is within valid range
+      // Check if message type is one we know about
       const messageType = message.type();
-      return messageType >= 0 && messageType <= 5;
+      return MessageType[messageType] !== undefined;
     } catch {
       return false;
     }
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { IncomingStream, StreamCancelledError } from './incoming-stream'
+
+function createStream(window: number, size?: number) {
+  const acks: [number, number][] = []
+  const cancels: string[] = []
+  const stream = new IncomingStream({ id: 1, name: 'upload', ...(size !== undefined ? { size } : {}) }, window, 1000, {
+    acknowledge: (offset, credit) => acks.push([offset, credit]),
+    cancel: (error) => cancels.push(error)
+  })
+  return { stream, acks, cancels }
+}
+
+describe('IncomingStream', () => {
+  it('should grant credit as the stream is read and confirm the end with a zero window', async () => {
+    const { stream, acks } = createStream(8)
+    const chunks: number[][] = []
+    stream.on('data', (chunk: Buffer) => chunks.push(Array.from(chunk)))
+    const ended = new Promise((resolve) => stream.once('end', resolve))
+
+    expect(stream.receive(0, new Uint8Array([1, 2, 3, 4]))).toBeUndefined()
+    await new Promise((resolve) => setImmediate(resolve))
+    expect(stream.receive(4, new Uint8Array([5, 6]))).toBeUndefined()
+    expect(stream.finish(6)).toBeUndefined()
+    await ended
+
+    expect(chunks).toEqual([[1, 2, 3, 4], [5, 6]])
+    expect(acks[acks.length - 1]).toEqual([6, 0])
+    expect(acks.slice(0, -1).every(([offset, credit]) => offset > 0 && credit === 8)).toBe(true)
+  })
+
+  it('should refuse chunks out of order, past the window or past the announced size', () => {
+    const { stream } = createStream(4, 6)
+
+    expect(stream.receive(1, new Uint8Array([1]))).toBe('Chunk out of order')
+    expect(stream.receive(0, new Uint8Array(5))).toBe('Chunk beyond the window')
+    expect(stream.receive(0, new Uint8Array(4))).toBeUndefined()
+    expect(stream.finish(4)).toBe('Stream size mismatch')
+  })
+
+  it('should cancel on the client when the reader destroys it, but not when the client aborted it', () => {
+    const { stream, cancels } = createStream(8)
+    stream.destroy()
+    expect(cancels).toEqual(['Cancelled'])
+
+    const aborted = createStream(8)
+    const errors: Error[] = []
+    aborted.stream.on('error', (error) => errors.push(error))
+    aborted.stream.abort('Connection closed')
+    expect(aborted.cancels).toEqual([])
+    return new Promise<void>((resolve) => aborted.stream.once('close', () => {
+      expect(errors).toEqual([new StreamCancelledError('Connection closed')])
+      resolve()
+    }))
+  })
+})
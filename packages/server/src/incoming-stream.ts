@@ -0,0 +1,141 @@
+import { Readable } from 'stream';
+
+/**
+ * Incoming Streams
+ * Client-to-server transfers larger than one message. The client opens a
+ * stream with a StreamOpen, sends its bytes as StreamChunks that each fit in
+ * a frame and finishes with a StreamEnd; either side ends it early with a
+ * StreamEnd carrying an error. Flow control is by credit: the server's
+ * StreamAcks say how far the stream has been read and how many bytes past
+ * that the client may send, so a stream never holds more than one window of
+ * unread bytes however slowly it is consumed.
+ */
+export interface StreamConfig {
+  // Bytes a client may send ahead of what has been read, per stream (default: 256 KB)
+  windowSize?: number;
+  // Unread stream bytes one session may hold; open streams are capped at maxBufferedBytes / windowSize (default: 1 MB)
+  maxBufferedBytes?: number;
+  // Largest stream accepted, in bytes (default: unlimited)
+  maxStreamSize?: number;
+}
+
+export interface StreamInfo {
+  id: number;
+  name: string;
+  // Size the client announced, if it knew it
+  size?: number;
+  metadata?: string;
+}
+
+/**
+ * A stream ended early: cancelled by the client, or cut off by its connection closing
+ */
+export class StreamCancelledError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'StreamCancelledError';
+  }
+}
+
+// What a stream needs to tell the client
+export interface StreamControl {
+  acknowledge(offset: number, window: number): void;
+  cancel(error: string): void;
+}
+
+export class IncomingStream extends Readable {
+  readonly id: number;
+  readonly name: string;
+  readonly size: number | undefined;
+  readonly metadata: string | undefined;
+  bytesReceived = 0;
+  private acknowledged = 0;
+  // Set once either side has ended the stream, so destroying it does not cancel it again
+  private settled = false;
+
+  constructor(info: StreamInfo, private window: number, private maxSize: number, private control: StreamControl) {
+    super({ highWaterMark: window });
+    this.id = info.id;
+    this.name = info.name;
+    this.size = info.size;
+    this.metadata = info.metadata;
+  }
+
+  /**
+   * Take the next chunk the client sent; returns why the stream has to be
+   * cancelled if the chunk breaks the protocol
+   */
+  receive(offset: number, chunk: Uint8Array): string | undefined {
+    if (offset !== this.bytesReceived) {
+      return 'Chunk out of order';
+    }
+    const end = offset + chunk.length;
+    if (end > this.acknowledged + this.window) {
+      return 'Chunk beyond the window';
+    }
+    if (end > this.maxSize || (this.size !== undefined && end > this.size)) {
+      return 'Stream too large';
+    }
+
+    this.bytesReceived = end;
+    this.push(chunk);
+    this.emit('progress', this.bytesReceived, this.size);
+    this.acknowledgeRead();
+    return undefined;
+  }
+
+  /**
+   * The client has sent everything; returns why the stream has to be cancelled
+   * if it did not arrive whole
+   */
+  finish(size: number): string | undefined {
+    if (size !== this.bytesReceived || (this.size !== undefined && size !== this.size)) {
+      return 'Stream size mismatch';
+    }
+    this.settled = true;
+    this.push(null);
+    // A zero window confirms the whole stream arrived
+    this.control.acknowledge(this.bytesReceived, 0);
+    return undefined;
+  }
+
+  /**
+   * End the stream on the client's behalf. Like an aborted http request, it only
+   * errors if someone listens for the error; otherwise it just closes.
+   */
+  abort(reason: string): void {
+    this.settled = true;
+    this.destroy(this.listenerCount('error') > 0 ? new StreamCancelledError(reason) : undefined);
+  }
+
+  // Reads are where credit comes from; _read alone is not called again until the next push
+  override read(size?: number): ReturnType<Readable['read']> {
+    const chunk = super.read(size);
+    this.acknowledgeRead();
+    return chunk;
+  }
+
+  override _read(): void {
+    // Chunks are pushed as the client sends them
+  }
+
+  override _destroy(error: Error | null, callback: (error?: Error | null) => void): void {
+    if (!this.settled) {
+      this.settled = true;
+      this.control.cancel(error?.message ?? 'Cancelled');
+    }
+    callback(error);
+  }
+
+  // Grant more credit once a quarter window has been read, or everything received so far
+  private acknowledgeRead(): void {
+    if (this.settled) {
+      return;
+    }
+    const read = this.bytesReceived - this.readableLength;
+    if (read > this.acknowledged && (read - this.acknowledged >= this.window / 4 || read === this.bytesReceived)) {
+      this.acknowledged = read;
+      this.control.acknowledge(read, this.window);
+    }
+  }
+}
@@ -1,5 +1,240 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest'
-import { SigmaSocketServer } from './index'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import * as flatbuffers from 'flatbuffers'
+import { createECDH, createHash, createHmac } from 'crypto'
+import { deflateSync, inflateSync } from 'zlib'
+import { WebSocket } from 'ws'
+import {
+  SigmaSocketServer,
+  RequestError,
+  PayloadCompressor,
+  MemorySessionStore,
+  InProcessBroker,
+  SecurityEventType,
+  PayloadCipher,
+  DecryptionError,
+  Compression,
+  MemoryUploadSink,
+  type UploadSink,
+  type IncomingStream,
+  type ReceivedFile,
+  type AdmissionConfig,
+  type BackpressureConfig,
+  type RateLimitConfig,
+  type SecurityEvent
+} from './index'
+import { defaultSecurityConfig, type SecurityConfig } from './security'
+import { Message } from './generated/sigma-sockets/message'
+import { MessageType } from './generated/sigma-sockets/message-type'
+import { MessageData } from './generated/sigma-sockets/message-data'
+import { ConnectMessage } from './generated/sigma-sockets/connect-message'
+import { RequestMessage } from './generated/sigma-sockets/request-message'
+import { ResponseMessage } from './generated/sigma-sockets/response-message'
+import { ErrorMessage } from './generated/sigma-sockets/error-message'
+import { ReconnectMessage } from './generated/sigma-sockets/reconnect-message'
+import { DataMessage } from './generated/sigma-sockets/data-message'
+import { DisconnectMessage } from './generated/sigma-sockets/disconnect-message'
+import { SubscribeMessage } from './generated/sigma-sockets/subscribe-message'
+import { UnsubscribeMessage } from './generated/sigma-sockets/unsubscribe-message'
+import { AckMessage } from './generated/sigma-sockets/ack-message'
+import { ResumeTokenMessage } from './generated/sigma-sockets/resume-token-message'
+import { KeyExchangeMessage } from './generated/sigma-sockets/key-exchange-message'
+import { StreamOpenMessage } from './generated/sigma-sockets/stream-open-message'
+import { StreamChunkMessage } from './generated/sigma-sockets/stream-chunk-message'
+import { StreamEndMessage } from './generated/sigma-sockets/stream-end-message'
+import { StreamAckMessage } from './generated/sigma-sockets/stream-ack-message'
+
+interface TestClient {
+  ws: WebSocket
+  nextMessage(): Promise<Message>
+  // Latest resume token issued on this socket; these are kept out of the message queue
+  resumeToken(): Promise<string>
+}
+
+// Opens a raw ws connection that passes the upgrade checks in security.ts
+function openTestClient(port: number, path: string = '', origin?: string): Promise<TestClient> {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (SigmaSockets test)' },
+      ...(origin !== undefined ? { origin } : {})
+    })
+    const queue: Message[] = []
+    const waiters: ((message: Message) => void)[] = []
+    let token: string | undefined
+    const tokenWaiters: ((token: string) => void)[] = []
+
+    ws.on('message', (data: Buffer) => {
+      const message = Message.getRootAsMessage(new flatbuffers.ByteBuffer(new Uint8Array(data)))
+      if (message.type() === MessageType.ResumeToken) {
+        token = (message.data(new ResumeTokenMessage()) as ResumeTokenMessage).resumeToken() ?? ''
+        tokenWaiters.splice(0).forEach((waiter) => waiter(token!))
+        return
+      }
+      const waiter = waiters.shift()
+      if (waiter) {
+        waiter(message)
+      } else {
+        queue.push(message)
+      }
+    })
+    ws.on('open', () => {
+      resolve({
+        ws,
+        nextMessage: () => {
+          const queued = queue.shift()
+          return queued ? Promise.resolve(queued) : new Promise((r) => waiters.push(r))
+        },
+        resumeToken: () => token !== undefined ? Promise.resolve(token) : new Promise((r) => tokenWaiters.push(r))
+      })
+    })
+    ws.on('error', reject)
+  })
+}
+
+function encodeConnect(
+  sessionId: string,
+  authToken?: string,
+  publicKey?: Uint8Array,
+  compression: Compression = Compression.None
+): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const session = builder.createString(sessionId)
+  const version = builder.createString('1.0.0')
+  const token = authToken === undefined ? 0 : builder.createString(authToken)
+  const key = publicKey === undefined ? 0 : ConnectMessage.createPublicKeyVector(builder, publicKey)
+  const connectMsg = ConnectMessage.createConnectMessage(builder, session, version, token, key, compression)
+  builder.finish(Message.createMessage(builder, MessageType.Connect, MessageData.ConnectMessage, connectMsg))
+  return builder.asUint8Array()
+}
+
+function encodeReconnect(
+  sessionId: string,
+  resumeToken: string,
+  lastMessageId: bigint = 0n,
+  topics: string[] = [],
+  authToken?: string,
+  publicKey?: Uint8Array,
+  compression: Compression = Compression.None,
+  uploads: number[] = []
+): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const session = builder.createString(sessionId)
+  const topicsVector = ReconnectMessage.createTopicsVector(builder, topics.map((topic) => builder.createString(topic)))
+  const token = authToken === undefined ? 0 : builder.createString(authToken)
+  const resume = builder.createString(resumeToken)
+  const key = publicKey === undefined ? 0 : ReconnectMessage.createPublicKeyVector(builder, publicKey)
+  const uploadsVector = uploads.length > 0 ? ReconnectMessage.createUploadsVector(builder, uploads) : 0
+  const reconnectMsg = ReconnectMessage.createReconnectMessage(builder, session, lastMessageId, topicsVector, token, resume, key, compression, uploadsVector)
+  builder.finish(Message.createMessage(builder, MessageType.Reconnect, MessageData.ReconnectMessage, reconnectMsg))
+  return builder.asUint8Array()
+}
+
+function encodeDisconnect(reason: string): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const reasonOffset = builder.createString(reason)
+  const disconnectMsg = DisconnectMessage.createDisconnectMessage(builder, reasonOffset)
+  builder.finish(Message.createMessage(builder, MessageType.Disconnect, MessageData.DisconnectMessage, disconnectMsg))
+  return builder.asUint8Array()
+}
+
+function encodeSubscribe(topic: string): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const subscribeMsg = SubscribeMessage.createSubscribeMessage(builder, builder.createString(topic))
+  builder.finish(Message.createMessage(builder, MessageType.Subscribe, MessageData.SubscribeMessage, subscribeMsg))
+  return builder.asUint8Array()
+}
+
+function encodeUnsubscribe(topic: string): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const unsubscribeMsg = UnsubscribeMessage.createUnsubscribeMessage(builder, builder.createString(topic))
+  builder.finish(Message.createMessage(builder, MessageType.Unsubscribe, MessageData.UnsubscribeMessage, unsubscribeMsg))
+  return builder.asUint8Array()
+}
+
+function encodeData(
+  data: Uint8Array,
+  messageId: bigint,
+  sequence: bigint = 0n,
+  keyId: number = 0,
+  compression: Compression = Compression.None
+): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const payload = DataMessage.createPayloadVector(builder, data)
+  DataMessage.startDataMessage(builder)
+  DataMessage.addPayload(builder, payload)
+  DataMessage.addMessageId(builder, messageId)
+  DataMessage.addTimestamp(builder, BigInt(Date.now()))
+  DataMessage.addSequence(builder, sequence)
+  DataMessage.addKeyId(builder, keyId)
+  DataMessage.addCompression(builder, compression)
+  const dataMsg = DataMessage.endDataMessage(builder)
+  builder.finish(Message.createMessage(builder, MessageType.Data, MessageData.DataMessage, dataMsg))
+  return builder.asUint8Array()
+}
+
+function encodeAck(sequence: bigint): Uint8Array {
+  const builder = new flatbuffers.Builder(64)
+  const ackMsg = AckMessage.createAckMessage(builder, sequence)
+  builder.finish(Message.createMessage(builder, MessageType.Ack, MessageData.AckMessage, ackMsg))
+  return builder.asUint8Array()
+}
+
+// Polls until the server has caught up with messages that produce no reply
+async function waitUntil(condition: () => boolean): Promise<void> {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 5))
+  }
+}
+
+function decodePayload(message: Message): number[] {
+  const dataMsg = message.data(new DataMessage()) as DataMessage
+  return Array.from(dataMsg.payloadArray() ?? [])
+}
+
+// Resolves once the server has emitted `event` for the given session
+function waitForSession(server: SigmaSocketServer, event: 'connection' | 'disconnection', sessionId: string): Promise<void> {
+  return new Promise((resolve) => {
+    const listener = (session: { id: string }) => {
+      if (session.id === sessionId) {
+        server.off(event, listener)
+        resolve()
+      }
+    }
+    server.on(event, listener)
+  })
+}
+
+function encodeRequest(requestId: bigint, method: string, data: Uint8Array): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const methodOffset = builder.createString(method)
+  const payload = RequestMessage.createPayloadVector(builder, data)
+  const requestMsg = RequestMessage.createRequestMessage(builder, requestId, methodOffset, payload, BigInt(Date.now()))
+  builder.finish(Message.createMessage(builder, MessageType.Request, MessageData.RequestMessage, requestMsg))
+  return builder.asUint8Array()
+}
+
+function encodeStreamOpen(streamId: number, name: string, size: bigint = 0n, sha256?: Uint8Array): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const hash = sha256 === undefined ? 0 : StreamOpenMessage.createSha256Vector(builder, sha256)
+  const openMsg = StreamOpenMessage.createStreamOpenMessage(builder, streamId, builder.createString(name), size, 0, hash)
+  builder.finish(Message.createMessage(builder, MessageType.StreamOpen, MessageData.StreamOpenMessage, openMsg))
+  return builder.asUint8Array()
+}
+
+function encodeStreamChunk(streamId: number, offset: bigint, data: Uint8Array): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const payload = StreamChunkMessage.createPayloadVector(builder, data)
+  const chunkMsg = StreamChunkMessage.createStreamChunkMessage(builder, streamId, offset, payload, 0)
+  builder.finish(Message.createMessage(builder, MessageType.StreamChunk, MessageData.StreamChunkMessage, chunkMsg))
+  return builder.asUint8Array()
+}
+
+function encodeStreamEnd(streamId: number, size: bigint, error?: string): Uint8Array {
+  const builder = new flatbuffers.Builder(256)
+  const errorOffset = error === undefined ? 0 : builder.createString(error)
+  const endMsg = StreamEndMessage.createStreamEndMessage(builder, streamId, size, errorOffset)
+  builder.finish(Message.createMessage(builder, MessageType.StreamEnd, MessageData.StreamEndMessage, endMsg))
+  return builder.asUint8Array()
+}
 
 describe('SigmaSocketServer', () => {
   let server: SigmaSocketServer
@@ -46,3 +281,1871 @@ describe('SigmaSocketServer', () => {
     expect(result).toBe(0)
   })
 })
+
+describe('SigmaSocketServer request handling', () => {
+  const port = 8091
+  let server: SigmaSocketServer
+  let client: TestClient
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' })
+    await server.start()
+    client = await openTestClient(port)
+    client.ws.send(encodeConnect('rpc-session'))
+  })
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should answer a request with the handler result', async () => {
+    server.handle('reverse', (payload) => payload.slice().reverse())
+
+    client.ws.send(encodeRequest(7n, 'reverse', new Uint8Array([1, 2, 3])))
+    const message = await client.nextMessage()
+
+    expect(message.type()).toBe(MessageType.Response)
+    const response = message.data(new ResponseMessage()) as ResponseMessage
+    expect(response.requestId()).toBe(7n)
+    expect(response.status()).toBe(200)
+    expect(Array.from(response.payloadArray() ?? [])).toEqual([3, 2, 1])
+  })
+
+  it('should support async handlers and pass the session', async () => {
+    server.handle('whoami', async (_payload, session) => new TextEncoder().encode(session.id))
+
+    client.ws.send(encodeRequest(1n, 'whoami', new Uint8Array()))
+    const response = (await client.nextMessage()).data(new ResponseMessage()) as ResponseMessage
+
+    expect(new TextDecoder().decode(response.payloadArray() ?? new Uint8Array())).toBe('rpc-session')
+  })
+
+  it('should send a 404 error tagged with the request id for unknown methods', async () => {
+    client.ws.send(encodeRequest(3n, 'missing', new Uint8Array()))
+    const message = await client.nextMessage()
+
+    expect(message.type()).toBe(MessageType.Error)
+    const error = message.data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(404)
+    expect(error.requestId()).toBe(3n)
+  })
+
+  it('should forward the code of a RequestError thrown by the handler', async () => {
+    server.handle('guarded', () => {
+      throw new RequestError(403, 'Forbidden')
+    })
+
+    client.ws.send(encodeRequest(4n, 'guarded', new Uint8Array()))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+
+    expect(error.code()).toBe(403)
+    expect(error.message()).toBe('Forbidden')
+    expect(error.requestId()).toBe(4n)
+  })
+
+  it('should hide unexpected handler failures behind a 500', async () => {
+    const errors: Error[] = []
+    server.on('error', (error) => errors.push(error))
+    server.handle('broken', () => {
+      throw new Error('database password is hunter2')
+    })
+
+    client.ws.send(encodeRequest(5n, 'broken', new Uint8Array()))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+
+    expect(error.code()).toBe(500)
+    expect(error.message()).toBe('Internal server error')
+    expect(errors).toHaveLength(1)
+  })
+
+  it('should refuse a request that fails validation with a 400 tagged with its id', async () => {
+    server.handle('x'.repeat(200), () => new Uint8Array())
+
+    client.ws.send(encodeRequest(6n, 'x'.repeat(200), new Uint8Array()))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+
+    expect(error.code()).toBe(400)
+    expect(error.message()).toBe('Method name too long')
+    expect(error.requestId()).toBe(6n)
+  })
+})
+
+describe('SigmaSocketServer rooms', () => {
+  const port = 8092
+  let server: SigmaSocketServer
+  let alice: TestClient
+  let bob: TestClient
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' })
+    await server.start()
+    alice = await openTestClient(port)
+    bob = await openTestClient(port)
+
+    const connected = Promise.all([
+      waitForSession(server, 'connection', 'alice'),
+      waitForSession(server, 'connection', 'bob')
+    ])
+    alice.ws.send(encodeConnect('alice'))
+    bob.ws.send(encodeConnect('bob'))
+    await connected
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    bob.ws.close()
+    await server.stop()
+  })
+
+  it('should only deliver room broadcasts to members', async () => {
+    const joins: string[] = []
+    server.on('join', (session, room) => joins.push(`${session.id}:${room}`))
+
+    expect(server.join('alice', 'lobby')).toBe(true)
+    expect(server.toRoom('lobby').broadcast(new Uint8Array([1]))).toBe(1)
+    server.broadcast(new Uint8Array([2]))
+
+    expect(decodePayload(await alice.nextMessage())).toEqual([1])
+    expect(decodePayload(await bob.nextMessage())).toEqual([2])
+    expect(joins).toEqual(['alice:lobby'])
+  })
+
+  it('should reject joins for unknown sessions', () => {
+    expect(server.join('nobody', 'lobby')).toBe(false)
+    expect(server.toRoom('lobby').size()).toBe(0)
+  })
+
+  it('should keep membership across a reconnect', async () => {
+    server.join('alice', 'lobby')
+    const resumeToken = await alice.resumeToken()
+
+    const disconnected = waitForSession(server, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+
+    alice = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken))
+    await reconnected
+
+    expect(server.getRooms('alice')).toEqual(['lobby'])
+    expect(server.toRoom('lobby').broadcast(new Uint8Array([3]))).toBe(1)
+    expect(decodePayload(await alice.nextMessage())).toEqual([3])
+  })
+
+  it('should leave all rooms on an explicit disconnect', async () => {
+    const leaves: string[] = []
+    server.on('leave', (session, room) => leaves.push(`${session.id}:${room}`))
+    server.join('bob', 'lobby')
+    server.join('bob', 'game-1')
+
+    const disconnected = waitForSession(server, 'disconnection', 'bob')
+    bob.ws.send(encodeDisconnect('bye'))
+    await disconnected
+
+    expect(leaves.sort()).toEqual(['bob:game-1', 'bob:lobby'])
+    expect(server.getRooms()).toEqual([])
+  })
+})
+
+describe('SigmaSocketServer pub/sub', () => {
+  const port = 8093
+  let server: SigmaSocketServer
+  let alice: TestClient
+  let bob: TestClient
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' })
+    await server.start()
+    alice = await openTestClient(port)
+    bob = await openTestClient(port)
+
+    const connected = Promise.all([
+      waitForSession(server, 'connection', 'alice'),
+      waitForSession(server, 'connection', 'bob')
+    ])
+    alice.ws.send(encodeConnect('alice'))
+    bob.ws.send(encodeConnect('bob'))
+    await connected
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    bob.ws.close()
+    await server.stop()
+  })
+
+  it('should only publish to subscribers and tag the topic', async () => {
+    alice.ws.send(encodeSubscribe('news'))
+    await waitUntil(() => server.getSubscriptions('alice').includes('news'))
+
+    expect(server.publish('news', new Uint8Array([1]))).toBe(1)
+    expect(server.publish('sports', new Uint8Array([2]))).toBe(0)
+    server.broadcast(new Uint8Array([3]))
+
+    const published = await alice.nextMessage()
+    expect((published.data(new DataMessage()) as DataMessage).topic()).toBe('news')
+    expect(decodePayload(published)).toEqual([1])
+    expect(decodePayload(await bob.nextMessage())).toEqual([3])
+  })
+
+  it('should stop delivery after unsubscribing', async () => {
+    alice.ws.send(encodeSubscribe('news'))
+    await waitUntil(() => server.getSubscriptions('alice').length === 1)
+    alice.ws.send(encodeUnsubscribe('news'))
+    await waitUntil(() => server.getSubscriptions('alice').length === 0)
+
+    expect(server.publish('news', new Uint8Array([1]))).toBe(0)
+  })
+
+  it('should restore subscriptions sent with a reconnect', async () => {
+    const resumeToken = await alice.resumeToken()
+    const disconnected = waitForSession(server, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+
+    alice = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken, 0n, ['news', 'sports']))
+    await reconnected
+
+    expect(server.getSubscriptions('alice').sort()).toEqual(['news', 'sports'])
+    expect(server.publish('sports', new Uint8Array([4]))).toBe(1)
+    expect(decodePayload(await alice.nextMessage())).toEqual([4])
+  })
+})
+
+describe('SigmaSocketServer message replay', () => {
+  const port = 8094
+  let server: SigmaSocketServer
+  let alice: TestClient
+  let bob: TestClient
+  let resumeToken: string
+
+  async function start(config: { replayBufferSize?: number } = {}): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', ...config })
+    await server.start()
+    alice = await openTestClient(port)
+    bob = await openTestClient(port)
+
+    const connected = Promise.all([
+      waitForSession(server, 'connection', 'alice'),
+      waitForSession(server, 'connection', 'bob')
+    ])
+    alice.ws.send(encodeConnect('alice'))
+    bob.ws.send(encodeConnect('bob'))
+    await connected
+    resumeToken = await alice.resumeToken()
+
+    const disconnected = waitForSession(server, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+  }
+
+  async function reconnectAlice(lastMessageId: bigint): Promise<void> {
+    alice = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken, lastMessageId))
+    await reconnected
+  }
+
+  function messageId(message: Message): bigint {
+    return (message.data(new DataMessage()) as DataMessage).messageId()
+  }
+
+  afterEach(async () => {
+    alice.ws.close()
+    bob.ws.close()
+    await server.stop()
+  })
+
+  it('should replay only the messages after the last id the client saw', async () => {
+    await start()
+    server.broadcast(new Uint8Array([1]))
+    server.broadcast(new Uint8Array([2]))
+    server.broadcast(new Uint8Array([3]))
+
+    // Bob received the same broadcasts, so his copy carries the shared ids
+    const firstId = messageId(await bob.nextMessage())
+    await reconnectAlice(firstId)
+
+    const replayed = [await alice.nextMessage(), await alice.nextMessage()]
+    expect(replayed.map(decodePayload)).toEqual([[2], [3]])
+    expect(messageId(replayed[0]!)).toBeGreaterThan(firstId)
+  })
+
+  it('should report a gap when missed messages were evicted', async () => {
+    await start({ replayBufferSize: 1 })
+    server.broadcast(new Uint8Array([1]))
+    server.broadcast(new Uint8Array([2]))
+
+    await reconnectAlice(0n)
+
+    const gap = await alice.nextMessage()
+    expect(gap.type()).toBe(MessageType.Error)
+    expect((gap.data(new ErrorMessage()) as ErrorMessage).code()).toBe(410)
+    expect(decodePayload(await alice.nextMessage())).toEqual([2])
+  })
+})
+
+describe('SigmaSocketServer reliable delivery', () => {
+  const port = 8095
+  let server: SigmaSocketServer
+  let alice: TestClient
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', ackTimeout: 50, maxRetransmits: 1 })
+    await server.start()
+    alice = await openTestClient(port)
+
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  function ackedSequence(message: Message): bigint {
+    expect(message.type()).toBe(MessageType.Ack)
+    return (message.data(new AckMessage()) as AckMessage).sequence()
+  }
+
+  it('should ack every reliable message and deliver them once and in order', async () => {
+    const received: number[] = []
+    server.on('message', (data) => received.push(data[0]!))
+
+    alice.ws.send(encodeData(new Uint8Array([2]), 11n, 2n))
+    alice.ws.send(encodeData(new Uint8Array([1]), 10n, 1n))
+    alice.ws.send(encodeData(new Uint8Array([1]), 10n, 1n))
+
+    const acks = [await alice.nextMessage(), await alice.nextMessage(), await alice.nextMessage()]
+    expect(acks.map(ackedSequence)).toEqual([2n, 1n, 1n])
+    expect(received).toEqual([1, 2])
+  })
+
+  it('should retransmit reliable sends until acked', async () => {
+    expect(server.send('alice', new Uint8Array([7]), { reliable: true })).toBe(true)
+
+    const first = await alice.nextMessage()
+    const retransmit = await alice.nextMessage()
+    const sequence = (first.data(new DataMessage()) as DataMessage).sequence()
+    expect(sequence).toBe(1n)
+    expect((retransmit.data(new DataMessage()) as DataMessage).sequence()).toBe(1n)
+    expect(decodePayload(retransmit)).toEqual([7])
+
+    alice.ws.send(encodeAck(sequence))
+    await new Promise((resolve) => setTimeout(resolve, 120))
+    server.broadcast(new Uint8Array([8]))
+    // No further retransmit arrived before the broadcast
+    expect(decodePayload(await alice.nextMessage())).toEqual([8])
+  })
+
+  it('should report messages that are never acked', async () => {
+    const failed = new Promise<Error>((resolve) => server.on('error', resolve))
+    server.send('alice', new Uint8Array([7]), { reliable: true })
+
+    expect((await failed).message).toContain('not acknowledged')
+  })
+})
+
+describe('SigmaSocketServer session store', () => {
+  const ports = [8096, 8097]
+  const resumeTokenSecret = 'shared-secret'
+  let store: MemorySessionStore
+  let servers: SigmaSocketServer[]
+  let alice: TestClient
+  let resumeToken: string
+
+  beforeEach(async () => {
+    store = new MemorySessionStore()
+    servers = ports.map((port) => new SigmaSocketServer({ port, host: '127.0.0.1', sessionStore: store, resumeTokenSecret }))
+    await Promise.all(servers.map((server) => server.start()))
+
+    alice = await openTestClient(ports[0]!)
+    const connected = waitForSession(servers[0]!, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+    resumeToken = await alice.resumeToken()
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    await Promise.all(servers.map((server) => server.stop()))
+  })
+
+  async function reconnectAlice(server: SigmaSocketServer, port: number, topics: string[] = []): Promise<void> {
+    alice = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken, 0n, topics))
+    await reconnected
+  }
+
+  it('should resume a session on another instance sharing the store', async () => {
+    const [first, second] = servers as [SigmaSocketServer, SigmaSocketServer]
+    first.join('alice', 'lobby')
+    const disconnected = waitForSession(first, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+
+    first.broadcast(new Uint8Array([4]))
+    let buffered = 0
+    while (buffered === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      buffered = (await store.get('alice'))?.bufferedMessages.length ?? 0
+    }
+
+    await reconnectAlice(second, ports[1]!, ['news'])
+
+    expect(decodePayload(await alice.nextMessage())).toEqual([4])
+    expect(second.getRooms('alice')).toEqual(['lobby'])
+    expect(second.getSubscriptions('alice')).toEqual(['news'])
+    expect(await store.get('alice')).toBeUndefined()
+  })
+
+  it('should keep sessions resumable across a restart', async () => {
+    await servers[0]!.stop()
+    servers[0] = new SigmaSocketServer({ port: ports[0]!, host: '127.0.0.1', sessionStore: store, resumeTokenSecret })
+    await servers[0].start()
+
+    await reconnectAlice(servers[0], ports[0]!)
+    expect(servers[0].getClient('alice')).toBeDefined()
+  })
+
+  it('should carry reliable sequences on in both directions across a restart', async () => {
+    const sequenceOf = (message: Message) => (message.data(new DataMessage()) as DataMessage).sequence()
+    servers[0]!.send('alice', new Uint8Array([1]), { reliable: true })
+    expect(sequenceOf(await alice.nextMessage())).toBe(1n)
+    alice.ws.send(encodeAck(1n))
+    servers[0]!.send('alice', new Uint8Array([2]), { reliable: true })
+    expect(sequenceOf(await alice.nextMessage())).toBe(2n)
+    alice.ws.send(encodeData(new Uint8Array([9]), 20n, 1n))
+    expect((await alice.nextMessage()).type()).toBe(MessageType.Ack)
+    await waitUntil(() => servers[0]!.getClient('alice')?.reliable.pendingCount === 1)
+
+    await servers[0]!.stop()
+    servers[0] = new SigmaSocketServer({ port: ports[0]!, host: '127.0.0.1', sessionStore: store, resumeTokenSecret })
+    const received: number[] = []
+    servers[0].on('message', (data) => received.push(data[0]!))
+    await servers[0].start()
+    await reconnectAlice(servers[0], ports[0]!)
+
+    // The unacked message is resent and new ones follow it
+    const resent = await alice.nextMessage()
+    expect(sequenceOf(resent)).toBe(2n)
+    expect(decodePayload(resent)).toEqual([2])
+    servers[0].send('alice', new Uint8Array([3]), { reliable: true })
+    expect(sequenceOf(await alice.nextMessage())).toBe(3n)
+
+    alice.ws.send(encodeData(new Uint8Array([10]), 21n, 2n))
+    expect((await alice.nextMessage()).type()).toBe(MessageType.Ack)
+    expect(received).toEqual([10])
+  })
+
+  it('should forget sessions that disconnect explicitly', async () => {
+    const disconnected = waitForSession(servers[0]!, 'disconnection', 'alice')
+    alice.ws.send(encodeDisconnect('bye'))
+    await disconnected
+    await waitUntil(() => servers[0]!.getClient('alice') === undefined)
+
+    expect(await store.get('alice')).toBeUndefined()
+  })
+})
+
+describe('SigmaSocketServer scaling adapter', () => {
+  const ports = [8098, 8099]
+  let servers: SigmaSocketServer[]
+  let alice: TestClient
+  let bob: TestClient
+
+  beforeEach(async () => {
+    const broker = new InProcessBroker()
+    servers = ports.map((port) => new SigmaSocketServer({ port, host: '127.0.0.1', adapter: broker.createAdapter() }))
+    await Promise.all(servers.map((server) => server.start()))
+
+    // Alice is on the first node, Bob on the second
+    alice = await openTestClient(ports[0]!)
+    bob = await openTestClient(ports[1]!)
+    const connected = Promise.all([
+      waitForSession(servers[0]!, 'connection', 'alice'),
+      waitForSession(servers[1]!, 'connection', 'bob')
+    ])
+    alice.ws.send(encodeConnect('alice'))
+    bob.ws.send(encodeConnect('bob'))
+    await connected
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    bob.ws.close()
+    await Promise.all(servers.map((server) => server.stop()))
+  })
+
+  it('should broadcast to sessions on every node', async () => {
+    expect(servers[0]!.broadcast(new Uint8Array([1]))).toBe(1)
+
+    expect(decodePayload(await alice.nextMessage())).toEqual([1])
+    expect(decodePayload(await bob.nextMessage())).toEqual([1])
+  })
+
+  it('should reach room members and subscribers on other nodes', async () => {
+    servers[1]!.join('bob', 'lobby')
+    bob.ws.send(encodeSubscribe('news'))
+    await waitUntil(() => servers[1]!.getSubscriptions('bob').length === 1)
+
+    expect(servers[0]!.toRoom('lobby').broadcast(new Uint8Array([2]))).toBe(0)
+    servers[0]!.publish('news', new Uint8Array([3]))
+
+    expect(decodePayload(await bob.nextMessage())).toEqual([2])
+    const published = await bob.nextMessage()
+    expect((published.data(new DataMessage()) as DataMessage).topic()).toBe('news')
+    expect(decodePayload(published)).toEqual([3])
+  })
+
+  it('should route sends by session id to the node holding the session', async () => {
+    expect(servers[0]!.send('bob', new Uint8Array([4]))).toBe(true)
+
+    expect(decodePayload(await bob.nextMessage())).toEqual([4])
+  })
+})
+
+describe('SigmaSocketServer middleware', () => {
+  const port = 8100
+  let server: SigmaSocketServer
+  let alice: TestClient
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' })
+    await server.start()
+    alice = await openTestClient(port)
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  async function connectAlice(): Promise<void> {
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+  }
+
+  it('should run connection hooks in order and refuse on false', async () => {
+    const calls: string[] = []
+    server.use({
+      name: 'slow',
+      onConnection: async (_server, clientId) => {
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        calls.push(`slow:${clientId}`)
+        return true
+      }
+    }).use({
+      name: 'deny',
+      onConnection: (_server, clientId) => {
+        calls.push(`deny:${clientId}`)
+        return false
+      }
+    })
+    let connected = false
+    server.on('connection', () => { connected = true })
+
+    alice.ws.send(encodeConnect('alice'))
+    const refused = await alice.nextMessage()
+
+    expect((refused.data(new ErrorMessage()) as ErrorMessage).code()).toBe(403)
+    expect(calls).toEqual(['slow:alice', 'deny:alice'])
+    expect(connected).toBe(false)
+    expect(server.getClient('alice')).toBeUndefined()
+  })
+
+  it('should hold messages sent while a connection hook is pending', async () => {
+    server.use({
+      name: 'slow',
+      onConnection: () => new Promise((resolve) => setTimeout(() => resolve(true), 20))
+    })
+    const received: number[] = []
+    server.on('message', (data) => received.push(data[0]!))
+
+    alice.ws.send(encodeConnect('alice'))
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    await waitUntil(() => received.length === 1)
+
+    expect(received).toEqual([1])
+  })
+
+  it('should transform and drop messages, keeping their order', async () => {
+    server.use({
+      name: 'jitter',
+      // Later messages finish first unless the server keeps them in order
+      onMessage: async (_server, _clientId, data) => {
+        await new Promise((resolve) => setTimeout(resolve, 30 - data[0]! * 10))
+        return data
+      }
+    }).use({
+      name: 'filter',
+      onMessage: (_server, _clientId, data) => data[0] === 2 ? null : new Uint8Array([data[0]! * 10])
+    })
+    await connectAlice()
+    const received: number[] = []
+    server.on('message', (data) => received.push(data[0]!))
+
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    alice.ws.send(encodeData(new Uint8Array([2]), 2n))
+    alice.ws.send(encodeData(new Uint8Array([3]), 3n))
+    await waitUntil(() => received.length === 2)
+
+    expect(received).toEqual([10, 30])
+  })
+
+  it('should run disconnection and error hooks', async () => {
+    const events: string[] = []
+    server.use({
+      name: 'audit',
+      onDisconnection: (_server, clientId) => { events.push(`disconnect:${clientId}`) },
+      onError: (_server, error) => { events.push(`error:${error.message}`) },
+      onMessage: () => { throw new Error('bad payload') }
+    })
+    await connectAlice()
+
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    await waitUntil(() => events.length === 1)
+    alice.ws.close()
+    await waitUntil(() => events.length === 2)
+
+    expect(events).toEqual(['error:bad payload', 'disconnect:alice'])
+  })
+})
+
+describe('SigmaSocketServer authentication', () => {
+  const port = 8101
+  const users: Record<string, string> = { 'token-alice': 'alice', 'token-mallory': 'mallory' }
+  let server: SigmaSocketServer
+  let client: TestClient
+  let requests: string[]
+
+  beforeEach(async () => {
+    requests = []
+    server = new SigmaSocketServer({
+      port,
+      host: '127.0.0.1',
+      authTimeout: 50,
+      authenticate: async (token, request) => {
+        requests.push(request.headers['user-agent'] ?? '')
+        if (token === 'slow') {
+          return new Promise(() => {})
+        }
+        const userId = token ? users[token] : undefined
+        return userId ? { userId, claims: { role: 'member' } } : false
+      }
+    })
+    await server.start()
+    client = await openTestClient(port)
+  })
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  async function expectRefused(message: Uint8Array): Promise<void> {
+    const closed = new Promise((resolve) => client.ws.once('close', resolve))
+    client.ws.send(message)
+    const error = await client.nextMessage()
+    expect((error.data(new ErrorMessage()) as ErrorMessage).code()).toBe(401)
+    await closed
+  }
+
+  it('should attach the identity returned by authenticate', async () => {
+    const connected = waitForSession(server, 'connection', 'alice-session')
+    client.ws.send(encodeConnect('alice-session', 'token-alice'))
+    await connected
+
+    expect(server.getClient('alice-session')?.identity).toEqual({ userId: 'alice', claims: { role: 'member' } })
+    expect(requests).toEqual(['Mozilla/5.0 (SigmaSockets test)'])
+  })
+
+  it('should refuse missing, invalid and slow tokens with a 401', async () => {
+    await expectRefused(encodeConnect('alice-session'))
+    client = await openTestClient(port)
+    await expectRefused(encodeConnect('alice-session', 'forged'))
+    client = await openTestClient(port)
+    await expectRefused(encodeConnect('alice-session', 'slow'))
+
+    expect(server.getClient('alice-session')).toBeUndefined()
+  })
+
+  it('should only let the owner resume a session', async () => {
+    const connected = waitForSession(server, 'connection', 'alice-session')
+    client.ws.send(encodeConnect('alice-session', 'token-alice'))
+    await connected
+    const resumeToken = await client.resumeToken()
+    const disconnected = waitForSession(server, 'disconnection', 'alice-session')
+    client.ws.close()
+    await disconnected
+
+    client = await openTestClient(port)
+    await expectRefused(encodeReconnect('alice-session', resumeToken, 0n, [], 'token-mallory'))
+
+    client = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'alice-session')
+    client.ws.send(encodeReconnect('alice-session', resumeToken, 0n, [], 'token-alice'))
+    await reconnected
+    expect(server.getClient('alice-session')?.identity?.userId).toBe('alice')
+  })
+})
+
+describe('SigmaSocketServer resume tokens', () => {
+  const port = 8102
+  let server: SigmaSocketServer
+  let alice: TestClient
+
+  async function start(config: { resumeTokenTTL?: number } = {}): Promise<string> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', ...config })
+    await server.start()
+    alice = await openTestClient(port)
+
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+    const resumeToken = await alice.resumeToken()
+
+    const disconnected = waitForSession(server, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+    alice = await openTestClient(port)
+    return resumeToken
+  }
+
+  async function expectRejected(message: Uint8Array, reason: string): Promise<void> {
+    alice.ws.send(message)
+    const error = (await alice.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(498)
+    expect(error.message()).toBe(reason)
+    expect(server.getClient('alice')).toBeUndefined()
+  }
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  it('should refuse a reconnect without a valid token for the session', async () => {
+    const resumeToken = await start()
+    const [encodedId, nonce, expiresAt] = resumeToken.split('.')
+
+    await expectRejected(encodeReconnect('alice', ''), 'Invalid resume token')
+    await expectRejected(encodeReconnect('alice', `${encodedId}.${nonce}.${expiresAt}.forged`), 'Invalid resume token')
+    await expectRejected(encodeReconnect('mallory', resumeToken), 'Invalid resume token')
+  })
+
+  it('should rotate the token on every resume and refuse replays', async () => {
+    const resumeToken = await start()
+
+    const reconnected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken))
+    await reconnected
+    const rotated = await alice.resumeToken()
+    expect(rotated).not.toBe(resumeToken)
+
+    const disconnected = waitForSession(server, 'disconnection', 'alice')
+    alice.ws.close()
+    await disconnected
+    alice = await openTestClient(port)
+    await expectRejected(encodeReconnect('alice', resumeToken), 'Resume token already used')
+
+    const resumed = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', rotated))
+    await resumed
+  })
+
+  it('should not let a fresh connect take over a disconnected session', async () => {
+    const resumeToken = await start()
+    const intruder = alice
+    const seen: Buffer[] = []
+    intruder.ws.on('message', (data: Buffer) => seen.push(data))
+
+    intruder.ws.send(encodeConnect('alice'))
+    const error = (await intruder.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect([error.code(), error.message()]).toEqual([409, 'Session ID in use'])
+    expect(server.send('alice', new Uint8Array([9]))).toBe(true)
+
+    alice = await openTestClient(port)
+    const resumed = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeReconnect('alice', resumeToken))
+    await resumed
+    expect(decodePayload(await alice.nextMessage())).toEqual([9])
+    expect(seen).toHaveLength(1)
+    intruder.ws.close()
+  })
+
+  it('should refuse expired tokens', async () => {
+    const resumeToken = await start({ resumeTokenTTL: 50 })
+    await new Promise((resolve) => setTimeout(resolve, 60))
+
+    await expectRejected(encodeReconnect('alice', resumeToken), 'Resume token expired')
+  })
+})
+
+describe('SigmaSocketServer JWT upgrade', () => {
+  const port = 8103
+  const secret = 'jwt-secret'
+  let server: SigmaSocketServer
+  let alice: TestClient
+
+  function signJwt(claims: object): string {
+    const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url')
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`
+    return `${body}.${createHmac('sha256', secret).update(body).digest('base64url')}`
+  }
+
+  async function start(onExpired: 'disconnect' | 'reauth', expiresIn: number): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' }, {
+      ...defaultSecurityConfig,
+      jwt: { secret, clockTolerance: 0, onExpired, reauthTimeout: 200 }
+    })
+    await server.start()
+    alice = await openTestClient(port, `/?token=${signJwt({ sub: 'alice', exp: Date.now() / 1000 + expiresIn })}`)
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+  }
+
+  async function expectTokenExpired(): Promise<void> {
+    const error = (await alice.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(440)
+  }
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  it('should refuse upgrades without a valid token and expose verified claims', async () => {
+    await start('disconnect', 60)
+    expect(server.getClient('alice')?.claims?.sub).toBe('alice')
+
+    await expect(openTestClient(port)).rejects.toThrow('401')
+    await expect(openTestClient(port, `/?token=${signJwt({ sub: 'bob', exp: Date.now() / 1000 - 1 })}`)).rejects.toThrow('401')
+  })
+
+  it('should refuse an upgrade with a malformed token cookie and stay up', async () => {
+    await start('disconnect', 60)
+    const refused = new Promise<Error>((resolve) => {
+      new WebSocket(`ws://127.0.0.1:${port}`, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (SigmaSockets test)', Cookie: 'token=%E0%A4%A' }
+      }).on('error', resolve)
+    })
+
+    expect((await refused).message).toContain('401')
+    expect(server.getClient('alice')).toBeDefined()
+  })
+
+  it('should keep a client whose token expires in a year', async () => {
+    await start('disconnect', 365 * 24 * 60 * 60)
+    await new Promise((resolve) => setTimeout(resolve, 250))
+
+    expect(alice.ws.readyState).toBe(WebSocket.OPEN)
+    expect(server.getClient('alice')).toBeDefined()
+  })
+
+  it('should disconnect a client once its token expires', async () => {
+    await start('disconnect', 0.1)
+    const closed = new Promise((resolve) => alice.ws.once('close', resolve))
+
+    await expectTokenExpired()
+    await closed
+    await waitUntil(() => server.getClient('alice') === undefined)
+  })
+
+  it('should keep a client that re-authenticates in time', async () => {
+    await start('reauth', 0.1)
+    await expectTokenExpired()
+
+    alice.ws.send(encodeConnect('alice', signJwt({ sub: 'alice', exp: Date.now() / 1000 + 60 })))
+    await waitUntil(() => (server.getClient('alice')?.claims?.exp ?? 0) > Date.now() / 1000 + 30)
+    await new Promise((resolve) => setTimeout(resolve, 250))
+
+    expect(alice.ws.readyState).toBe(WebSocket.OPEN)
+  })
+})
+
+describe('SigmaSocketServer authorization', () => {
+  const port = 8104
+  let server: SigmaSocketServer
+  let alice: TestClient
+  let messages: number[]
+
+  beforeEach(async () => {
+    messages = []
+    server = new SigmaSocketServer({
+      port,
+      host: '127.0.0.1',
+      authenticate: (token) => ({ userId: 'alice', claims: { plan: token ?? 'free' } }),
+      authorization: {
+        rules: [
+          { effect: 'deny', actions: ['message'], claims: { plan: 'read-only' }, reason: 'Read-only users cannot send' },
+          { effect: 'allow', actions: ['subscribe', 'join'], resources: ['public.*'] },
+          { effect: 'allow', actions: ['message', 'request'] }
+        ],
+        defaultEffect: 'deny'
+      }
+    })
+    server.on('message', (data) => messages.push(data[0]!))
+    await server.start()
+    alice = await openTestClient(port)
+  })
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  async function connectAlice(plan: string): Promise<void> {
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice', plan))
+    await connected
+  }
+
+  async function expectDenied(reason: string): Promise<void> {
+    const error = (await alice.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(403)
+    expect(error.message()).toBe(reason)
+  }
+
+  it('should drop denied messages before the message event and say why', async () => {
+    await connectAlice('read-only')
+
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    await expectDenied('Read-only users cannot send')
+    expect(messages).toEqual([])
+  })
+
+  it('should only allow subscriptions and joins the rules cover', async () => {
+    await connectAlice('pro')
+
+    alice.ws.send(encodeSubscribe('private.admin'))
+    await expectDenied('Not allowed')
+    alice.ws.send(encodeSubscribe('public.news'))
+    alice.ws.send(encodeData(new Uint8Array([2]), 1n))
+    await waitUntil(() => messages.length === 1)
+
+    expect(server.getSubscriptions('alice')).toEqual(['public.news'])
+    expect(server.join('alice', 'public.lobby')).toBe(true)
+    expect(server.join('alice', 'staff')).toBe(false)
+  })
+})
+
+describe('SigmaSocketServer rate limiting', () => {
+  const port = 8105
+  let server: SigmaSocketServer
+  let alice: TestClient
+  let messages: number[]
+
+  async function start(rateLimit: RateLimitConfig): Promise<void> {
+    messages = []
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' }, { ...defaultSecurityConfig, rateLimit })
+    server.on('message', (data) => messages.push(data[0]!))
+    await server.start()
+    alice = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+  }
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  it('should drop messages over the session burst', async () => {
+    await start({ perSession: { rate: 0.1, burst: 2 } })
+
+    for (const value of [1, 2, 3, 4]) {
+      alice.ws.send(encodeData(new Uint8Array([value]), BigInt(value)))
+    }
+    await waitUntil(() => messages.length === 2)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+
+    expect(messages).toEqual([1, 2])
+  })
+
+  it('should report refusals as security events and count them', async () => {
+    await start({ perSession: { rate: 0.1, burst: 1 } })
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    alice.ws.send(encodeData(new Uint8Array([2]), 2n))
+    await waitUntil(() => events.length === 1)
+
+    expect(events[0]).toMatchObject({ type: SecurityEventType.RateLimitExceeded, severity: 'high', clientId: 'alice' })
+    expect(server.getSecurityStats().recentEvents).toEqual({ rate_limit_exceeded: 1 })
+  })
+
+  it('should delay messages over the limit and keep their order', async () => {
+    await start({ perSession: { rate: 20, burst: 1 }, action: 'delay' })
+
+    for (const value of [1, 2, 3]) {
+      alice.ws.send(encodeData(new Uint8Array([value]), BigInt(value)))
+    }
+    await waitUntil(() => messages.length === 3)
+
+    expect(messages).toEqual([1, 2, 3])
+  })
+
+  it('should answer requests over their own limit with a 429', async () => {
+    await start({ perMessageType: { Request: { rate: 0.1, burst: 1, action: 'error' } } })
+    server.handle('echo', (payload) => payload)
+
+    alice.ws.send(encodeRequest(1n, 'echo', new Uint8Array([1])))
+    alice.ws.send(encodeRequest(2n, 'echo', new Uint8Array([2])))
+    alice.ws.send(encodeData(new Uint8Array([3]), 1n))
+
+    // The refusal goes out at once, the response once the handler has run
+    const replies = [await alice.nextMessage(), await alice.nextMessage()]
+    expect(replies.map((reply) => reply.type()).sort()).toEqual([MessageType.Error, MessageType.Response])
+    const error = replies.find((reply) => reply.type() === MessageType.Error)!.data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(429)
+    expect(error.requestId()).toBe(2n)
+    // Other message types are not held back by the request limit
+    await waitUntil(() => messages.length === 1)
+  })
+
+  it('should leave chunks of open streams to the window and limit chunks for any other id', async () => {
+    await start({ perSession: { rate: 0.1, burst: 1 } })
+    const streams: IncomingStream[] = []
+    server.on('stream', (stream) => streams.push(stream))
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+
+    alice.ws.send(encodeStreamOpen(1, 'upload'))
+    await waitUntil(() => streams.length === 1)
+    alice.ws.send(encodeStreamChunk(1, 0n, new Uint8Array(4)))
+    alice.ws.send(encodeStreamChunk(1, 4n, new Uint8Array(4)))
+    await waitUntil(() => streams[0]!.bytesReceived === 8)
+    expect(events).toEqual([])
+
+    alice.ws.send(encodeStreamChunk(9, 0n, new Uint8Array(4)))
+    await waitUntil(() => events.length === 1)
+    expect(events[0]).toMatchObject({ type: SecurityEventType.RateLimitExceeded, clientId: 'alice' })
+  })
+
+  it('should close the connection when the limit says to disconnect', async () => {
+    await start({ perIP: { rate: 0.1, burst: 2, action: 'disconnect' } })
+    const closed = new Promise<number>((resolve) => alice.ws.once('close', resolve))
+
+    alice.ws.send(encodeData(new Uint8Array([1]), 1n))
+    alice.ws.send(encodeData(new Uint8Array([2]), 2n))
+
+    expect(await closed).toBe(1008)
+    expect(messages).toEqual([1])
+  })
+})
+
+describe('SigmaSocketServer IP bans', () => {
+  const port = 8106
+  let server: SigmaSocketServer
+  let alice: TestClient
+
+  async function start(security: Partial<SecurityConfig> = {}, uploadSink?: UploadSink): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', ...(uploadSink ? { uploadSink } : {}) }, {
+      ...defaultSecurityConfig,
+      rateLimit: { perSession: { rate: 0.1, burst: 1 } },
+      dos: { maxRefused: 3 },
+      ban: { initialDuration: 60000 },
+      ...security
+    })
+    await server.start()
+    alice = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'alice')
+    alice.ws.send(encodeConnect('alice'))
+    await connected
+  }
+
+  afterEach(async () => {
+    alice.ws.close()
+    await server.stop()
+  })
+
+  it('should close the sockets of a banned IP and refuse its upgrades until unbanned', async () => {
+    await start()
+    const closed = new Promise<number>((resolve) => alice.ws.once('close', resolve))
+
+    const ban = server.ban('127.0.0.1', 60000)
+    expect(await closed).toBe(1008)
+    expect(server.listBans()).toEqual([ban])
+    await expect(openTestClient(port)).rejects.toThrow('401')
+
+    expect(server.unban('127.0.0.1')).toBe(true)
+    const bob = await openTestClient(port)
+    bob.ws.close()
+  })
+
+  function upgradeFrom(forwardedFor: string): Promise<string> {
+    return new Promise((resolve) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}`, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (SigmaSockets test)', 'X-Forwarded-For': forwardedFor }
+      })
+      ws.on('open', () => {
+        ws.close()
+        resolve('open')
+      })
+      ws.on('error', (error) => resolve(error.message))
+    })
+  }
+
+  it('should only take the client IP from forwarding headers sent by trusted proxies', async () => {
+    await start()
+    server.ban('127.0.0.1', 60000)
+    // Not behind a trusted proxy, so the header cannot dodge the ban
+    expect(await upgradeFrom('203.0.113.7')).toContain('401')
+    await server.stop()
+
+    await start({ trustProxy: ['127.0.0.1'] })
+    server.ban('203.0.113.7', 60000)
+    expect(await upgradeFrom('203.0.113.7')).toContain('401')
+    // The nearest address the trusted proxy did not add is the client's
+    expect(await upgradeFrom('203.0.113.7, 198.51.100.2')).toBe('open')
+  })
+
+  it('should not count a paced upload toward the DoS byte budget', async () => {
+    let written = 0
+    // The open and end are the only messages that count against the rate limit
+    await start({ rateLimit: { perSession: { rate: 0.1, burst: 2 } } }, {
+      open: () => Promise.resolve({
+        write: (chunk) => {
+          written += chunk.length
+          return Promise.resolve()
+        },
+        complete: () => Promise.resolve('counted'),
+        abort: () => Promise.resolve()
+      })
+    })
+    const size = 64 * 1024 * 1024
+    const chunk = new Uint8Array(60 * 1024)
+    const hash = createHash('sha256')
+    for (let offset = 0; offset < size; offset += chunk.length) {
+      hash.update(chunk.subarray(0, Math.min(chunk.length, size - offset)))
+    }
+    const files: ReceivedFile[] = []
+    server.on('file', (file) => files.push(file))
+    const nextAck = async () => (await alice.nextMessage()).data(new StreamAckMessage()) as StreamAckMessage
+
+    alice.ws.send(encodeStreamOpen(1, 'large.bin', BigInt(size), new Uint8Array(hash.digest())))
+    let ack = await nextAck()
+    let offset = 0
+    while (offset < size) {
+      const limit = Math.min(Number(ack.offset()) + ack.window(), size)
+      while (offset < limit) {
+        const end = Math.min(offset + chunk.length, limit)
+        alice.ws.send(encodeStreamChunk(1, BigInt(offset), chunk.subarray(0, end - offset)))
+        offset = end
+      }
+      ack = await nextAck()
+    }
+    alice.ws.send(encodeStreamEnd(1, BigInt(size)))
+    await waitUntil(() => files.length === 1)
+
+    expect(written).toBe(size)
+    expect(server.listBans()).toEqual([])
+    expect(alice.ws.readyState).toBe(WebSocket.OPEN)
+  }, 60000)
+
+  it('should ban an IP that keeps flooding past its rate limit', async () => {
+    await start()
+    const closed = new Promise<number>((resolve) => alice.ws.once('close', resolve))
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+
+    for (let value = 1; value <= 6; value++) {
+      alice.ws.send(encodeData(new Uint8Array([value]), BigInt(value)))
+    }
+
+    expect(await closed).toBe(1008)
+    expect(events.map((event) => event.type)).toContain(SecurityEventType.DosAttack)
+    expect(server.listBans()).toEqual([expect.objectContaining({ ip: '127.0.0.1', offenses: 1, reason: 'Denial of service' })])
+    await expect(openTestClient(port)).rejects.toThrow('401')
+  })
+})
+
+describe('SigmaSocketServer message size limits', () => {
+  const port = 8107
+  let server: SigmaSocketServer
+  let messages: number[]
+  const clients: TestClient[] = []
+
+  beforeEach(async () => {
+    messages = []
+    server = new SigmaSocketServer({
+      port,
+      host: '127.0.0.1',
+      messageSize: {
+        maxMessageSize: 4096,
+        perMessageType: { Data: 256 },
+        sessionLimit: (session, messageType) => (session.id === 'bulk' && messageType === 'Data' ? 8192 : undefined)
+      }
+    })
+    server.on('message', (data) => messages.push(data.length))
+    await server.start()
+  })
+
+  afterEach(async () => {
+    clients.splice(0).forEach((client) => client.ws.close())
+    await server.stop()
+  })
+
+  async function connect(sessionId: string): Promise<TestClient> {
+    const client = await openTestClient(port)
+    clients.push(client)
+    const connected = waitForSession(server, 'connection', sessionId)
+    client.ws.send(encodeConnect(sessionId))
+    await connected
+    return client
+  }
+
+  it('should refuse messages over their type limit with a 413', async () => {
+    const alice = await connect('alice')
+
+    alice.ws.send(encodeData(new Uint8Array(512), 1n))
+    const error = (await alice.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(413)
+    expect(error.message()).toMatch(/^Message too large: \d+ bytes, limit 256$/)
+
+    alice.ws.send(encodeData(new Uint8Array(16), 2n))
+    await waitUntil(() => messages.length === 1)
+    expect(messages).toEqual([16])
+  })
+
+  it('should apply session overrides up to the ceiling', async () => {
+    const bulk = await connect('bulk')
+    const closed = new Promise<number>((resolve) => bulk.ws.once('close', resolve))
+
+    bulk.ws.send(encodeData(new Uint8Array(2048), 1n))
+    await waitUntil(() => messages.length === 1)
+
+    // Past maxMessageSize ws closes the socket before the message is read
+    bulk.ws.send(encodeData(new Uint8Array(5000), 2n))
+    expect(await closed).toBe(1009)
+    expect(messages).toEqual([2048])
+  })
+})
+
+describe('SigmaSocketServer origin policies', () => {
+  const port = 8108
+  let server: SigmaSocketServer
+  const clients: TestClient[] = []
+
+  async function start(reportOnly: boolean): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1' }, {
+      ...defaultSecurityConfig,
+      cors: {
+        origin: ['https://*.example.com'],
+        credentials: false,
+        reportOnly,
+        policies: [{ origin: 'https://partner.example.com', maxConnections: 1, rateLimit: { perSession: { rate: 0.1, burst: 1 } } }]
+      }
+    })
+    await server.start()
+  }
+
+  async function open(origin: string): Promise<TestClient> {
+    const client = await openTestClient(port, '', origin)
+    clients.push(client)
+    return client
+  }
+
+  afterEach(async () => {
+    clients.splice(0).forEach((client) => client.ws.close())
+    await server.stop()
+  })
+
+  it('should refuse origins that are not allowed', async () => {
+    await start(false)
+
+    await open('https://app.example.com')
+    await expect(openTestClient(port, '', 'https://example.org')).rejects.toThrow('401')
+    await expect(openTestClient(port)).rejects.toThrow('401')
+  })
+
+  it('should only report disallowed origins in report-only mode', async () => {
+    await start(true)
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+
+    await open('https://example.org')
+    expect(events).toEqual([expect.objectContaining({
+      type: SecurityEventType.InvalidOrigin,
+      details: { origin: 'https://example.org', reportOnly: true }
+    })])
+  })
+
+  it('should apply the connection cap and rate limits of an origin policy', async () => {
+    await start(false)
+    const messages: number[] = []
+    server.on('message', (data) => messages.push(data[0]!))
+
+    const partner = await open('https://partner.example.com')
+    const second = await open('https://partner.example.com')
+    const closed = new Promise<number>((resolve) => second.ws.once('close', resolve))
+    expect(await closed).toBe(1013)
+    // Other origins are not counted against the partner's cap
+    await open('https://app.example.com')
+
+    const connected = waitForSession(server, 'connection', 'partner')
+    partner.ws.send(encodeConnect('partner'))
+    await connected
+    partner.ws.send(encodeData(new Uint8Array([1]), 1n))
+    partner.ws.send(encodeData(new Uint8Array([2]), 2n))
+    await waitUntil(() => messages.length === 1)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    expect(messages).toEqual([1])
+  })
+})
+
+describe('SigmaSocketServer admission control', () => {
+  const port = 8109
+  let server: SigmaSocketServer
+  const clients: TestClient[] = []
+
+  async function start(admission: AdmissionConfig, maxConnections?: number): Promise<void> {
+    server = new SigmaSocketServer({
+      port,
+      host: '127.0.0.1',
+      authenticate: () => ({ userId: 'alice' }),
+      admission,
+      ...(maxConnections !== undefined ? { maxConnections } : {})
+    })
+    await server.start()
+  }
+
+  async function open(): Promise<TestClient> {
+    const client = await openTestClient(port)
+    clients.push(client)
+    return client
+  }
+
+  function closeOf(client: TestClient): Promise<[number, string]> {
+    return new Promise((resolve) => client.ws.once('close', (code, reason) => resolve([code, reason.toString()])))
+  }
+
+  afterEach(async () => {
+    clients.splice(0).forEach((client) => client.ws.close())
+    await server.stop()
+  })
+
+  it('should cap the sockets one IP may have open', async () => {
+    await start({ maxConnectionsPerIP: 1, retryAfter: 3 })
+
+    const first = await open()
+    const second = await open()
+    expect(await closeOf(second)).toEqual([1013, 'Too many connections from this address; retry-after=3'])
+
+    const released = closeOf(first)
+    first.ws.close()
+    await released
+    const third = await open()
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    expect(third.ws.readyState).toBe(WebSocket.OPEN)
+  })
+
+  it('should cap the sessions one user may have connected', async () => {
+    await start({ maxConnectionsPerUser: 1 })
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+
+    const first = await open()
+    const connected = waitForSession(server, 'connection', 'first')
+    first.ws.send(encodeConnect('first'))
+    await connected
+
+    const second = await open()
+    const closed = closeOf(second)
+    second.ws.send(encodeConnect('second'))
+    expect(await closed).toEqual([1013, 'Too many connections for this user; retry-after=5'])
+    expect(events).toContainEqual(expect.objectContaining({
+      type: SecurityEventType.ConnectionRefused,
+      details: { ip: '127.0.0.1', reason: 'Too many connections for this user' }
+    }))
+  })
+
+  it('should queue sockets at capacity until a slot frees up', async () => {
+    await start({ overload: 'queue' }, 1)
+
+    const first = await open()
+    first.ws.send(encodeConnect('first'))
+    await waitForSession(server, 'connection', 'first')
+
+    const second = await open()
+    let admitted = false
+    const connected = waitForSession(server, 'connection', 'second').then(() => { admitted = true })
+    second.ws.send(encodeConnect('second'))
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    expect(admitted).toBe(false)
+
+    first.ws.close()
+    await connected
+  })
+
+  it('should refuse queued sockets that wait too long', async () => {
+    await start({ overload: 'queue', queueTimeout: 50 }, 1)
+
+    await open()
+    const second = await open()
+    expect(await closeOf(second)).toEqual([1013, 'Server at capacity; retry-after=5'])
+  })
+})
+
+describe('SigmaSocketServer payload encryption', () => {
+  const port = 8110
+  let server: SigmaSocketServer
+  let client: TestClient
+
+  async function start(required: boolean): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', encryption: { required } })
+    await server.start()
+    client = await openTestClient(port)
+  }
+
+  // Runs the client's half of the handshake and returns its cipher
+  async function handshake(sessionId: string): Promise<PayloadCipher> {
+    const ecdh = createECDH('prime256v1')
+    const connected = waitForSession(server, 'connection', sessionId)
+    client.ws.send(encodeConnect(sessionId, undefined, ecdh.generateKeys()))
+    const exchange = await client.nextMessage()
+    expect(exchange.type()).toBe(MessageType.KeyExchange)
+    const serverKey = (exchange.data(new KeyExchangeMessage()) as KeyExchangeMessage).publicKeyArray()!
+    await connected
+    return new PayloadCipher(ecdh.computeSecret(serverKey), sessionId, 'client')
+  }
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should open sealed payloads and seal outbound ones', async () => {
+    await start(false)
+    const cipher = await handshake('sealed')
+    const received = new Promise<Uint8Array>((resolve) => server.on('message', (data) => resolve(data)))
+
+    const sealed = cipher.seal(new Uint8Array([1, 2, 3]), { kind: 'data', id: 1n, position: 0n })
+    client.ws.send(encodeData(sealed.payload, 1n, 0n, sealed.keyId))
+    expect(Array.from(await received)).toEqual([1, 2, 3])
+
+    server.send('sealed', new Uint8Array([4, 5, 6]))
+    const dataMsg = (await client.nextMessage()).data(new DataMessage()) as DataMessage
+    expect(dataMsg.keyId()).toBe(1)
+    expect(Array.from(dataMsg.payloadArray()!)).not.toEqual([4, 5, 6])
+    expect(Array.from(cipher.open(dataMsg.payloadArray()!, dataMsg.keyId(), {
+      kind: 'data',
+      id: dataMsg.messageId(),
+      position: dataMsg.sequence()
+    }))).toEqual([4, 5, 6])
+  })
+
+  it('should close sessions that replay a sealed payload or move it to another message', async () => {
+    await start(false)
+    const cipher = await handshake('replayed')
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+    const received: number[][] = []
+    server.on('message', (data) => received.push(Array.from(data)))
+
+    const sealed = cipher.seal(new Uint8Array([1, 2, 3]), { kind: 'data', id: 1n, position: 0n })
+    client.ws.send(encodeData(sealed.payload, 1n, 0n, sealed.keyId))
+    await waitUntil(() => received.length === 1)
+    const closed = new Promise<number>((resolve) => client.ws.once('close', resolve))
+    client.ws.send(encodeData(sealed.payload, 1n, 0n, sealed.keyId))
+    expect(await closed).toBe(1008)
+    expect(events).toEqual([expect.objectContaining({
+      type: SecurityEventType.DecryptionFailed,
+      details: { reason: 'Replayed nonce 0 for key 1' }
+    })])
+
+    client = await openTestClient(port)
+    const moved = await handshake('spliced')
+    const movedClosed = new Promise<number>((resolve) => client.ws.once('close', resolve))
+    const spliced = moved.seal(new Uint8Array([4, 5, 6]), { kind: 'data', id: 1n, position: 0n })
+    client.ws.send(encodeData(spliced.payload, 2n, 0n, spliced.keyId))
+    expect(await movedClosed).toBe(1008)
+    expect(events[1]).toEqual(expect.objectContaining({
+      type: SecurityEventType.DecryptionFailed,
+      details: { reason: 'Payload failed authentication with key 1' }
+    }))
+    expect(received).toEqual([[1, 2, 3]])
+  })
+
+  it('should close sessions whose payloads do not open', async () => {
+    await start(false)
+    await handshake('tampered')
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+    const closed = new Promise<number>((resolve) => client.ws.once('close', resolve))
+
+    // Plaintext on a session that agreed to encrypt
+    client.ws.send(encodeData(new Uint8Array([1, 2, 3]), 1n))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(400)
+    expect(error.message()).toBe('Decryption failed')
+    expect(await closed).toBe(1008)
+    expect(events).toEqual([expect.objectContaining({
+      type: SecurityEventType.DecryptionFailed,
+      details: { reason: 'Unencrypted payload on an encrypted session' }
+    })])
+  })
+
+  it('should refuse clients without a key when encryption is required', async () => {
+    await start(true)
+    const closed = new Promise<number>((resolve) => client.ws.once('close', resolve))
+
+    client.ws.send(encodeConnect('plaintext'))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(403)
+    expect(await closed).toBe(1008)
+    expect(server.getClient('plaintext')).toBeUndefined()
+  })
+})
+
+describe('SigmaSocketServer payload compression', () => {
+  const port = 8111
+  let server: SigmaSocketServer
+  let client: TestClient
+
+  async function connect(sessionId: string, compression: Compression): Promise<void> {
+    const connected = waitForSession(server, 'connection', sessionId)
+    client.ws.send(encodeConnect(sessionId, undefined, undefined, compression))
+    await connected
+  }
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', compression: { threshold: 100 } })
+    await server.start()
+    client = await openTestClient(port)
+  })
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should deflate large payloads both ways once the client offers to', async () => {
+    await connect('deflate', Compression.Deflate)
+    expect(server.getClient('deflate')?.compression).toBe(Compression.Deflate)
+    const large = new Uint8Array(4096).fill(7)
+
+    server.send('deflate', large)
+    const deflated = (await client.nextMessage()).data(new DataMessage()) as DataMessage
+    expect(deflated.compression()).toBe(Compression.Deflate)
+    expect(deflated.payloadLength()).toBeLessThan(large.length)
+    expect(inflateSync(deflated.payloadArray()!)).toEqual(Buffer.from(large))
+
+    server.send('deflate', new Uint8Array([1, 2, 3]))
+    const small = (await client.nextMessage()).data(new DataMessage()) as DataMessage
+    expect(small.compression()).toBe(Compression.None)
+    expect(Array.from(small.payloadArray()!)).toEqual([1, 2, 3])
+
+    const received = new Promise<Uint8Array>((resolve) => server.on('message', (data) => resolve(data)))
+    client.ws.send(encodeData(deflateSync(large), 1n, 0n, 0, Compression.Deflate))
+    expect(await received).toEqual(Buffer.from(large))
+  })
+
+  it('should deflate a broadcast once for every session that compresses', async () => {
+    await connect('first', Compression.Deflate)
+    const second = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'second')
+    second.ws.send(encodeConnect('second', undefined, undefined, Compression.Deflate))
+    await connected
+    const compress = vi.spyOn(PayloadCompressor.prototype, 'compress')
+
+    try {
+      const large = new Uint8Array(4096).fill(7)
+      expect(server.broadcast(large)).toBe(2)
+      for (const receiver of [client, second]) {
+        const message = (await receiver.nextMessage()).data(new DataMessage()) as DataMessage
+        expect(message.compression()).toBe(Compression.Deflate)
+        expect(inflateSync(message.payloadArray()!)).toEqual(Buffer.from(large))
+      }
+      expect(compress).toHaveBeenCalledTimes(1)
+    } finally {
+      compress.mockRestore()
+      second.ws.close()
+    }
+  })
+
+  it('should close sockets whose payloads inflate past the Data size limit', async () => {
+    await connect('bomb', Compression.Deflate)
+    const events: SecurityEvent[] = []
+    server.on('securityEvent', (event) => events.push(event))
+    const closed = new Promise<number>((resolve) => client.ws.once('close', resolve))
+
+    // About 1 KB on the wire, 1 MB once inflated
+    client.ws.send(encodeData(deflateSync(new Uint8Array(1024 * 1024)), 1n, 0n, 0, Compression.Deflate))
+
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(413)
+    expect(await closed).toBe(1009)
+    expect(events).toEqual([expect.objectContaining({ type: SecurityEventType.DecompressionBomb })])
+  })
+
+  it('should refuse compressed payloads from sessions that did not offer to compress', async () => {
+    await connect('plain', Compression.None)
+    expect(server.getClient('plain')?.compression).toBe(Compression.None)
+
+    server.send('plain', new Uint8Array(4096))
+    expect(((await client.nextMessage()).data(new DataMessage()) as DataMessage).compression()).toBe(Compression.None)
+
+    client.ws.send(encodeData(deflateSync(new Uint8Array(4096)), 1n, 0n, 0, Compression.Deflate))
+    const error = (await client.nextMessage()).data(new ErrorMessage()) as ErrorMessage
+    expect(error.code()).toBe(400)
+    expect(error.message()).toBe('Invalid compressed payload')
+  })
+})
+
+describe('SigmaSocketServer streams', () => {
+  const port = 8112
+  let server: SigmaSocketServer
+  let client: TestClient
+
+  async function nextStreamAck(): Promise<[number, number]> {
+    const ack = (await client.nextMessage()).data(new StreamAckMessage()) as StreamAckMessage
+    return [Number(ack.offset()), ack.window()]
+  }
+
+  beforeEach(async () => {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', streams: { windowSize: 1024, maxBufferedBytes: 2048 } })
+    await server.start()
+    client = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'streamer')
+    client.ws.send(encodeConnect('streamer'))
+    await connected
+  })
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should hand accepted streams to listeners and pace them with acks', async () => {
+    const streams: IncomingStream[] = []
+    server.on('stream', (stream) => streams.push(stream))
+
+    client.ws.send(encodeStreamOpen(1, 'photo.jpg', 1536n))
+    expect(await nextStreamAck()).toEqual([0, 1024])
+    const stream = streams[0]!
+    expect(stream.name).toBe('photo.jpg')
+    expect(stream.size).toBe(1536)
+
+    // Nothing reads the stream yet, so the window stays where it was
+    client.ws.send(encodeStreamChunk(1, 0n, new Uint8Array(1024).fill(1)))
+    await waitUntil(() => stream.bytesReceived === 1024)
+
+    const body: Buffer[] = []
+    stream.on('data', (chunk: Buffer) => body.push(chunk))
+    expect(await nextStreamAck()).toEqual([1024, 1024])
+
+    client.ws.send(encodeStreamChunk(1, 1024n, new Uint8Array(512).fill(2)))
+    client.ws.send(encodeStreamEnd(1, 1536n))
+    await new Promise((resolve) => stream.once('end', resolve))
+    expect(Buffer.concat(body).length).toBe(1536)
+
+    let ack = await nextStreamAck()
+    while (ack[1] !== 0) {
+      ack = await nextStreamAck()
+    }
+    expect(ack).toEqual([1536, 0])
+    await waitUntil(() => server.getClient('streamer')?.streams.size === 0)
+  })
+
+  it('should refuse streams nobody listens for, files nobody stores, over the budget or past the window', async () => {
+    const refusal = async () => ((await client.nextMessage()).data(new StreamEndMessage()) as StreamEndMessage).error()
+
+    client.ws.send(encodeStreamOpen(1, 'unheard'))
+    expect(await refusal()).toBe('Streams not accepted')
+    // This server has no upload sink
+    client.ws.send(encodeStreamOpen(1, 'file.bin', 3n, new Uint8Array(32)))
+    expect(await refusal()).toBe('Files not accepted')
+
+    server.on('stream', () => {})
+    client.ws.send(encodeStreamOpen(1, 'a'))
+    await nextStreamAck()
+    client.ws.send(encodeStreamOpen(2, 'b'))
+    await nextStreamAck()
+    client.ws.send(encodeStreamOpen(3, 'c'))
+    expect(await refusal()).toBe('Too many open streams')
+
+    client.ws.send(encodeStreamChunk(1, 0n, new Uint8Array(1025)))
+    expect(await refusal()).toBe('Chunk beyond the window')
+    expect(server.getClient('streamer')?.streams.has(1)).toBe(false)
+  })
+
+  it('should cancel streams the client abandons', async () => {
+    const cancelled = new Promise<Error>((resolve) => server.on('stream', (stream) => stream.on('error', resolve)))
+    client.ws.send(encodeStreamOpen(1, 'upload'))
+    await nextStreamAck()
+
+    client.ws.send(encodeStreamEnd(1, 0n, 'User cancelled'))
+    const error = await cancelled
+    expect(error.name).toBe('StreamCancelledError')
+    expect(error.message).toBe('User cancelled')
+  })
+})
+
+describe('SigmaSocketServer file uploads', () => {
+  const port = 8113
+  const content = new Uint8Array(3000).map((_, i) => i % 251)
+  const sha256 = new Uint8Array(createHash('sha256').update(content).digest())
+  let server: SigmaSocketServer
+  let sink: MemoryUploadSink
+  let client: TestClient
+
+  async function nextStreamMessage(): Promise<StreamAckMessage | StreamEndMessage> {
+    const message = await client.nextMessage()
+    return message.type() === MessageType.StreamAck
+      ? message.data(new StreamAckMessage()) as StreamAckMessage
+      : message.data(new StreamEndMessage()) as StreamEndMessage
+  }
+
+  beforeEach(async () => {
+    sink = new MemoryUploadSink()
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', streams: { windowSize: 1024 }, uploadSink: sink })
+    await server.start()
+    client = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'uploader')
+    client.ws.send(encodeConnect('uploader'))
+    await connected
+  })
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should pick an upload up where the server left off after a reconnect', async () => {
+    const files: ReceivedFile[] = []
+    server.on('file', (file) => files.push(file))
+    const resumeToken = await client.resumeToken()
+
+    client.ws.send(encodeStreamOpen(1, 'pattern.bin', BigInt(content.length), sha256))
+    expect((await nextStreamMessage() as StreamAckMessage).window()).toBe(1024)
+    client.ws.send(encodeStreamChunk(1, 0n, content.subarray(0, 1000)))
+    await waitUntil(() => server.getClient('uploader')?.uploads.get(1)?.written === 1000)
+
+    const disconnected = waitForSession(server, 'disconnection', 'uploader')
+    client.ws.close()
+    await disconnected
+
+    client = await openTestClient(port)
+    client.ws.send(encodeReconnect('uploader', resumeToken, 0n, [], undefined, undefined, Compression.None, [1, 2]))
+    const unknown = await nextStreamMessage() as StreamEndMessage
+    expect([unknown.streamId(), unknown.error()]).toEqual([2, 'Unknown upload'])
+    let ack = await nextStreamMessage() as StreamAckMessage
+    expect([ack.streamId(), Number(ack.offset())]).toEqual([1, 1000])
+
+    let offset = Number(ack.offset())
+    while (offset < content.length) {
+      const end = Math.min(Number(ack.offset()) + ack.window(), content.length)
+      client.ws.send(encodeStreamChunk(1, BigInt(offset), content.subarray(offset, end)))
+      offset = end
+      ack = await nextStreamMessage() as StreamAckMessage
+    }
+    client.ws.send(encodeStreamEnd(1, BigInt(content.length)))
+    while (ack.window() !== 0) {
+      ack = await nextStreamMessage() as StreamAckMessage
+    }
+
+    expect(files).toEqual([expect.objectContaining({ name: 'pattern.bin', size: content.length, sha256: Buffer.from(sha256).toString('hex') })])
+    expect(sink.get(files[0]!.location)).toEqual(Buffer.from(content))
+  })
+
+  it('should refuse an upload whose content does not match its hash', async () => {
+    client.ws.send(encodeStreamOpen(1, 'tampered.bin', 3n, sha256))
+    await nextStreamMessage()
+    client.ws.send(encodeStreamChunk(1, 0n, new Uint8Array([1, 2, 3])))
+    client.ws.send(encodeStreamEnd(1, 3n))
+
+    let message = await nextStreamMessage()
+    while (message instanceof StreamAckMessage) {
+      message = await nextStreamMessage()
+    }
+    expect(message.error()).toBe('Checksum mismatch')
+    expect(server.getClient('uploader')?.uploads.size).toBe(0)
+  })
+})
+
+describe('SigmaSocketServer backpressure', () => {
+  const port = 8114
+  let server: SigmaSocketServer
+  let client: TestClient
+  // Stands in for what the session's socket has buffered, so a slow reader needs no real network
+  let buffered = 0
+
+  async function start(backpressure: BackpressureConfig): Promise<void> {
+    server = new SigmaSocketServer({ port, host: '127.0.0.1', backpressure: { drainInterval: 10, ...backpressure } })
+    await server.start()
+    client = await openTestClient(port)
+    const connected = waitForSession(server, 'connection', 'reader')
+    client.ws.send(encodeConnect('reader'))
+    await connected
+    buffered = 0
+    Object.defineProperty(server.getClient('reader')!.ws, 'bufferedAmount', { get: () => buffered })
+  }
+
+  afterEach(async () => {
+    client.ws.close()
+    await server.stop()
+  })
+
+  it('should drop messages that are not critical while a session is over its mark, until it drains', async () => {
+    await start({ sessionHighWaterMark: (session) => session.id === 'reader' ? 1024 : undefined })
+    buffered = 1024
+    expect(server.trySend('reader', new Uint8Array([1]))).toBe('dropped')
+    expect(server.broadcast(new Uint8Array([2]))).toBe(0)
+    expect(server.trySend('reader', new Uint8Array([3]), { critical: true })).toBe('sent')
+    expect(server.getStats().messagesDropped).toBe(2)
+
+    const drained = new Promise<void>((resolve) => server.on('drain', () => resolve()))
+    buffered = 0
+    await drained
+    expect(server.trySend('reader', new Uint8Array([4]))).toBe('sent')
+    expect(decodePayload(await client.nextMessage())).toEqual([3])
+    expect(decodePayload(await client.nextMessage())).toEqual([4])
+  })
+
+  it('should coalesce to the newest message per key and send them once the socket drains', async () => {
+    await start({ highWaterMark: 1024, slowConsumer: 'coalesce' })
+    client.ws.send(encodeSubscribe('prices'))
+    await waitUntil(() => server.getSubscriptions('reader').includes('prices'))
+
+    buffered = 1024
+    expect(server.publish('prices', new Uint8Array([1]))).toBe(0)
+    expect(server.publish('prices', new Uint8Array([2]))).toBe(0)
+    expect(server.trySend('reader', new Uint8Array([3]), { coalesceKey: 'status' })).toBe('queued')
+    expect(server.trySend('reader', new Uint8Array([4]))).toBe('dropped')
+
+    buffered = 0
+    expect(decodePayload(await client.nextMessage())).toEqual([2])
+    expect(decodePayload(await client.nextMessage())).toEqual([3])
+    expect(server.getStats()).toMatchObject({ messagesCoalesced: 3, messagesDropped: 1 })
+  })
+
+  it('should cut a slow consumer off and replay the message once it resumes', async () => {
+    await start({ highWaterMark: 1024, slowConsumer: 'disconnect' })
+    const resumeToken = await client.resumeToken()
+
+    const disconnected = waitForSession(server, 'disconnection', 'reader')
+    buffered = 1024
+    expect(server.trySend('reader', new Uint8Array([5]))).toBe('queued')
+    await disconnected
+    expect(server.getStats().slowConsumerDisconnects).toBe(1)
+
+    client = await openTestClient(port)
+    const reconnected = waitForSession(server, 'connection', 'reader')
+    client.ws.send(encodeReconnect('reader', resumeToken, 0n, []))
+    await reconnected
+    expect(decodePayload(await client.nextMessage())).toEqual([5])
+  })
+})
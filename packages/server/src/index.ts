@@ -1,6 +1,7 @@
 import * as flatbuffers from 'flatbuffers';
 import { WebSocket, WebSocketServer } from 'ws';
-import { createServer, Server } from 'http';
+import { createServer, Server, type IncomingMessage } from 'http';
+import { randomBytes, randomUUID } from 'crypto';
 import { Message } from './generated/sigma-sockets/message';
 import { MessageType } from './generated/sigma-sockets/message-type';
 import { MessageData } from './generated/sigma-sockets/message-data';
@@ -10,12 +11,44 @@ import { HeartbeatMessage } from './generated/sigma-sockets/heartbeat-message';
 import { ReconnectMessage } from './generated/sigma-sockets/reconnect-message';
 import { DisconnectMessage } from './generated/sigma-sockets/disconnect-message';
 import { ErrorMessage } from './generated/sigma-sockets/error-message';
-// import { MessageValidator } from './validation'; // Not needed with hybrid handler
-import { SecurityManager, createSecureWebSocketConfig, defaultSecurityConfig, type SecurityConfig } from './security';
+import { RequestMessage } from './generated/sigma-sockets/request-message';
+import { ResponseMessage } from './generated/sigma-sockets/response-message';
+import { SubscribeMessage } from './generated/sigma-sockets/subscribe-message';
+import { UnsubscribeMessage } from './generated/sigma-sockets/unsubscribe-message';
+import { AckMessage } from './generated/sigma-sockets/ack-message';
+import { ResumeTokenMessage } from './generated/sigma-sockets/resume-token-message';
+import { KeyExchangeMessage } from './generated/sigma-sockets/key-exchange-message';
+import { Compression } from './generated/sigma-sockets/compression';
+import { StreamOpenMessage } from './generated/sigma-sockets/stream-open-message';
+import { StreamChunkMessage } from './generated/sigma-sockets/stream-chunk-message';
+import { StreamEndMessage } from './generated/sigma-sockets/stream-end-message';
+import { StreamAckMessage } from './generated/sigma-sockets/stream-ack-message';
+import { MessageValidator } from './validation';
+import { SecurityManager, createSecureWebSocketConfig, defaultSecurityConfig, type SecurityConfig, type SecurityStats } from './security';
+import { SecurityEventType } from './security-events';
+import type { Ban } from './ip-blocklist';
+import { MessageSizePolicy } from './message-size';
+import type { OriginPolicy } from './origin-policy';
+import { AdmissionController } from './admission-control';
+import { DecryptionError, PayloadCipher, type EncryptionConfig, type KeyAgreement } from './payload-encryption';
+import { CompressionError, PayloadCompressor, type CompressedPayload } from './payload-compression';
+import { IncomingStream, type StreamConfig } from './incoming-stream';
+import { FileUpload, UploadError, type UploadInfo, type UploadSink } from './file-upload';
+import { BackpressurePolicy } from './backpressure';
 import { ConnectionQualityManager } from './connection-quality';
 import { AdvancedFeaturesManager } from './advanced-features';
 import { PersistentConnectionManager } from './persistent-connection-manager';
 import { HybridMessageHandler } from './hybrid-message-handler';
+import { RoomManager } from './room-manager';
+import { ReplayBuffer } from './replay-buffer';
+import { ReliableChannel, type ReliableChannelSnapshot } from './reliable-channel';
+import { MemorySessionStore, type StoredReliableChannel, type StoredSession } from './session-store';
+import { ResumeTokenSigner } from './resume-token';
+import type { JwtConfig } from './jwt';
+import type { RateLimitDecision } from './rate-limiter';
+import { PolicyEngine, type PolicyAction, type PolicyDecision } from './policy';
+import { RequestError } from './errors';
+import type { AdapterMessage, ScalingAdapter } from './adapter';
 // Note: FlatBuffers generator is only available in Node.js environments
 // import { generateFlatBuffers, getDefaultSchema, type FlatBuffersConfig, type FlatBuffersResult } from './flatbuffers-generator';
 import type {
@@ -23,9 +56,20 @@ import type {
   RequiredSigmaSocketServerConfig,
   ClientSession,
   SigmaSocketServerEvents,
-  ServerStats
+  ServerStats,
+  RequestHandler,
+  RoomBroadcaster,
+  InboundMessage,
+  SendOptions,
+  SendResult,
+  ServerMiddleware,
+  AuthenticateHandler,
+  SessionIdentity
 } from './types';
 
+// Longest delay setTimeout takes; anything above it fires at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 export class SigmaSocketServer {
   private config: RequiredSigmaSocketServerConfig;
   private requestHandler: ((req: any, res: any) => void) | undefined;
@@ -34,6 +78,7 @@ export class SigmaSocketServer {
   private clients: Map<string, ClientSession> = new Map();
   private disconnectedSessions: Map<string, ClientSession> = new Map();
   private eventListeners: Map<keyof SigmaSocketServerEvents, Set<Function>> = new Map();
+  private requestHandlers: Map<string, RequestHandler> = new Map();
   private heartbeatTimer: NodeJS.Timeout | null = null;
   private cleanupTimer: NodeJS.Timeout | null = null;
   private stats: ServerStats;
@@ -42,9 +87,59 @@ export class SigmaSocketServer {
   private connectionQualityManager: ConnectionQualityManager;
   private advancedFeaturesManager: AdvancedFeaturesManager;
   private persistentConnectionManager: PersistentConnectionManager;
+  private roomManager: RoomManager = new RoomManager();
+  private lastGeneratedMessageId = 0n;
+  // Sockets waiting on async work (session store, connection middleware), with messages that arrived meanwhile
+  private heldMessages: Map<WebSocket, Buffer[]> = new Map();
+  private middlewares: ServerMiddleware[] = [];
+  // Tail of each session's inbound message middleware chain, so messages stay in order
+  private messageChains: Map<ClientSession, Promise<void>> = new Map();
+  private pendingPersists: Set<string> = new Set();
+  private adapter: ScalingAdapter | undefined;
+  private authenticate: AuthenticateHandler | undefined;
+  // The HTTP upgrade request of each socket, for authenticate()
+  private upgradeRequests: WeakMap<WebSocket, IncomingMessage> = new WeakMap();
+  private admission: AdmissionController;
+  private encryption: EncryptionConfig | undefined;
+  private compressor: PayloadCompressor;
+  // Deflated payload of each frame, so a frame sent to many sessions is compressed once
+  private compressedFrames = new WeakMap<Uint8Array, CompressedPayload>();
+  private streamConfig: Required<StreamConfig>;
+  private uploadSink: UploadSink | undefined;
+  private backpressure: BackpressurePolicy;
+  // Polls each slow consumer's socket until it drains
+  private drainTimers: Map<string, NodeJS.Timeout> = new Map();
+  // Sockets that arrived at capacity, oldest first, each waiting for a slot
+  private admissionQueue: { ws: WebSocket; admit: () => void }[] = [];
+  // Open sockets of each origin policy that caps connections
+  private originSockets: Map<OriginPolicy, Set<WebSocket>> = new Map();
+  // Each socket's client IP, the key of its per-IP rate limit
+  private clientIPs: WeakMap<WebSocket, string> = new WeakMap();
+  private resumeTokens: ResumeTokenSigner;
+  private jwtConfig: JwtConfig | undefined;
+  private policy: PolicyEngine | undefined;
+  private messageSize: MessageSizePolicy;
+  // Fires when a connected session's JWT expires, or when its re-authentication window closes
+  private tokenTimers: Map<string, NodeJS.Timeout> = new Map();
+  // Identifies this instance to the other nodes sharing the adapter
+  private readonly nodeId = randomUUID();
 
   constructor(config: SigmaSocketServerConfig, securityConfig?: SecurityConfig) {
-    const { requestHandler, ...configWithoutHandler } = config;
+    const {
+      requestHandler,
+      adapter,
+      authenticate,
+      resumeTokenSecret,
+      authorization,
+      messageSize,
+      admission,
+      encryption,
+      compression,
+      streams,
+      uploadSink,
+      backpressure,
+      ...configWithoutHandler
+    } = config;
     
     this.config = {
       port: configWithoutHandler.port,
@@ -59,12 +154,37 @@ export class SigmaSocketServer {
       latencyWindowSize: configWithoutHandler.latencyWindowSize ?? 10,
       qualityCheckInterval: configWithoutHandler.qualityCheckInterval ?? 10000,
       adaptiveHeartbeatEnabled: configWithoutHandler.adaptiveHeartbeatEnabled ?? true,
-      connectionQualityThreshold: configWithoutHandler.connectionQualityThreshold ?? 0.7
+      connectionQualityThreshold: configWithoutHandler.connectionQualityThreshold ?? 0.7,
+      replayBufferSize: configWithoutHandler.replayBufferSize ?? 100,
+      replayBufferBytes: configWithoutHandler.replayBufferBytes ?? 1024 * 1024,
+      ackTimeout: configWithoutHandler.ackTimeout ?? 5000,
+      maxRetransmits: configWithoutHandler.maxRetransmits ?? 5,
+      sessionStore: configWithoutHandler.sessionStore ?? new MemorySessionStore(),
+      authTimeout: configWithoutHandler.authTimeout ?? 10000,
+      resumeTokenTTL: configWithoutHandler.resumeTokenTTL ?? (configWithoutHandler.sessionTimeout ?? 300000) * 2
     };
     this.requestHandler = requestHandler;
+    this.adapter = adapter;
+    this.authenticate = authenticate;
+    this.resumeTokens = new ResumeTokenSigner(resumeTokenSecret ?? randomBytes(32), this.config.resumeTokenTTL);
+    this.policy = authorization ? new PolicyEngine(authorization) : undefined;
+    this.messageSize = new MessageSizePolicy(messageSize);
+    this.admission = new AdmissionController(admission);
+    this.encryption = encryption;
+    this.compressor = new PayloadCompressor(compression);
+    this.streamConfig = {
+      windowSize: streams?.windowSize ?? 256 * 1024,
+      maxBufferedBytes: streams?.maxBufferedBytes ?? 1024 * 1024,
+      maxStreamSize: streams?.maxStreamSize ?? Number.MAX_SAFE_INTEGER
+    };
+    this.uploadSink = uploadSink;
+    this.backpressure = new BackpressurePolicy(backpressure);
 
     // Initialize security manager
     this.securityManager = new SecurityManager(securityConfig);
+    this.securityManager.onSecurityEvent((event) => this.emit('securityEvent', event));
+    this.securityManager.onSinkError((error) => this.emit('error', error));
+    this.jwtConfig = securityConfig?.jwt;
 
     // Initialize connection quality manager
     this.connectionQualityManager = new ConnectionQualityManager(
@@ -94,7 +214,10 @@ export class SigmaSocketServer {
       messagesReceived: 0n,
       messagesSent: 0n,
       uptime: 0,
-      averageLatency: 0
+      averageLatency: 0,
+      messagesDropped: 0,
+      messagesCoalesced: 0,
+      slowConsumerDisconnects: 0
     };
 
     // Initialize event listener sets
@@ -102,12 +225,22 @@ export class SigmaSocketServer {
     this.eventListeners.set('disconnection', new Set());
     this.eventListeners.set('message', new Set());
     this.eventListeners.set('error', new Set());
+    this.eventListeners.set('securityEvent', new Set());
+    this.eventListeners.set('join', new Set());
+    this.eventListeners.set('leave', new Set());
+    this.eventListeners.set('stream', new Set());
+    this.eventListeners.set('file', new Set());
+    this.eventListeners.set('drain', new Set());
 
     // Create HTTP server for WebSocket upgrade
     this.httpServer = createServer();
     
     // Create WebSocket server with security configuration
-    const wsConfig = createSecureWebSocketConfig(securityConfig || defaultSecurityConfig);
+    const wsConfig = createSecureWebSocketConfig(
+      securityConfig || defaultSecurityConfig,
+      this.securityManager,
+      this.messageSize.maxMessageSize
+    );
     this.wsServer = new WebSocketServer({
       server: this.httpServer,
       ...wsConfig
@@ -133,7 +266,15 @@ export class SigmaSocketServer {
         console.log(`SigmaSocket server listening on ${this.config.host}:${this.config.port}`);
         this.startHeartbeat();
         this.startCleanup();
-        resolve();
+        if (!this.adapter) {
+          resolve();
+          return;
+        }
+        this.adapter.attach(
+          this.nodeId,
+          (message) => this.handleAdapterMessage(message),
+          (error) => this.emit('error', error)
+        ).then(resolve, reject);
       });
 
       this.httpServer.on('error', (error) => {
@@ -144,12 +285,24 @@ export class SigmaSocketServer {
   }
 
   public stop(): Promise<void> {
-    return new Promise((resolve) => {
-      this.clearTimers();
-      
+    this.clearTimers();
+
+    // Sessions stay resumable from the store after a restart
+    const sessions = [...this.clients.values(), ...this.disconnectedSessions.values()];
+    return Promise.all(sessions.map((session) => this.persistSession(session))).then(() => new Promise((resolve) => {
       // Close all client connections
       this.clients.forEach((client) => {
-        this.disconnectClient(client, 'Server shutdown');
+        this.disconnectClient(client, 'Server shutdown', false);
+      });
+      this.disconnectedSessions.forEach((session) => {
+        session.reliable.close();
+        this.abandonUploads(session);
+      });
+      this.adapter?.close().catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+      this.securityManager.close().catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
       });
 
       // Close WebSocket server
@@ -160,24 +313,107 @@ export class SigmaSocketServer {
           resolve();
         });
       });
-    });
+    }));
   }
 
   public getHttpServer(): Server {
     return this.httpServer;
   }
 
+  /**
+   * Send data to every session. With an adapter the message also reaches
+   * sessions on other nodes; the return value only counts local deliveries.
+   */
   public broadcast(data: Uint8Array, excludeClient?: string): number {
-    let sentCount = 0;
+    this.relay({ type: 'broadcast', data, ...(excludeClient !== undefined ? { excludeClient } : {}) });
+    return this.broadcastLocal(data, excludeClient);
+  }
+
+  private broadcastLocal(data: Uint8Array, excludeClient?: string): number {
     const messageId = this.generateMessageId();
-    const timestamp = BigInt(Date.now());
+    const encoded = this.encodeDataMessage(data, messageId, BigInt(Date.now()));
+    if (!encoded) {
+      return 0;
+    }
 
-    this.clients.forEach((client) => {
+    // Disconnected sessions get the message buffered for replay
+    let sentCount = 0;
+    [...this.clients.values(), ...this.disconnectedSessions.values()].forEach((client) => {
       if (excludeClient && client.id === excludeClient) {
         return;
       }
 
-      if (this.sendToClient(client, data, messageId, timestamp)) {
+      if (this.deliver(client, messageId, encoded) === 'sent') {
+        sentCount++;
+      }
+    });
+
+    return sentCount;
+  }
+
+  private leaveRooms(session: ClientSession, room?: string): string[] {
+    const rooms = room === undefined
+      ? this.roomManager.leaveAll(session.id)
+      : this.roomManager.leave(session.id, room) ? [room] : [];
+
+    rooms.forEach((leftRoom) => this.emit('leave', session, leftRoom));
+    return rooms;
+  }
+
+  /**
+   * Send data to every connected session subscribed to `topic`. The message is
+   * encoded once and only sent to subscribers. Under the 'coalesce' policy a
+   * slow subscriber gets only the newest message held back for each topic.
+   */
+  public publish(topic: string, data: Uint8Array): number {
+    this.relay({ type: 'publish', topic, data });
+    return this.publishLocal(topic, data);
+  }
+
+  private publishLocal(topic: string, data: Uint8Array): number {
+    const subscribers = [...this.clients.values(), ...this.disconnectedSessions.values()].filter(
+      (client) => client.subscriptions.has(topic)
+    );
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const messageId = this.generateMessageId();
+    const encoded = this.encodeDataMessage(data, messageId, BigInt(Date.now()), topic);
+    if (!encoded) {
+      return 0;
+    }
+
+    return subscribers.filter((client) => this.deliver(client, messageId, encoded, { coalesceKey: topic }) === 'sent').length;
+  }
+
+  public getSubscriptions(sessionId: string): string[] {
+    const session = this.findSession(sessionId);
+    return session ? Array.from(session.subscriptions) : [];
+  }
+
+  private broadcastToRoom(room: string, data: Uint8Array, excludeClient?: string): number {
+    this.relay({ type: 'room', room, data, ...(excludeClient !== undefined ? { excludeClient } : {}) });
+    return this.broadcastToRoomLocal(room, data, excludeClient);
+  }
+
+  // Room membership is held by the node the session is on
+  private broadcastToRoomLocal(room: string, data: Uint8Array, excludeClient?: string): number {
+    const messageId = this.generateMessageId();
+    const encoded = this.encodeDataMessage(data, messageId, BigInt(Date.now()));
+    if (!encoded) {
+      return 0;
+    }
+
+    let sentCount = 0;
+    this.roomManager.getMembers(room).forEach((sessionId) => {
+      if (excludeClient && sessionId === excludeClient) {
+        return;
+      }
+
+      // Members that are waiting to reconnect get the message buffered
+      const client = this.findSession(sessionId);
+      if (client && this.deliver(client, messageId, encoded) === 'sent') {
         sentCount++;
       }
     });
@@ -185,33 +421,208 @@ export class SigmaSocketServer {
     return sentCount;
   }
 
+  /**
+   * Send data to one session. Returns false if the message was not written to
+   * the socket: either the session is not connected, in which case it is
+   * buffered for replay when it reconnects, or it is a slow consumer.
+   */
   public sendToClient(client: ClientSession, data: Uint8Array, messageId?: bigint, timestamp?: bigint): boolean {
-    if (client.ws.readyState !== WebSocket.OPEN) {
-      return false;
+    const msgId = messageId ?? this.generateMessageId();
+    const encoded = this.encodeDataMessage(data, msgId, timestamp ?? BigInt(Date.now()));
+    return encoded ? this.deliver(client, msgId, encoded) === 'sent' : false;
+  }
+
+  /**
+   * Send data to a session by id. With `{ reliable: true }` the message is
+   * retransmitted until the client acks it, across reconnects, and an 'error'
+   * is emitted if it is still unacked after `maxRetransmits`.
+   * Sessions on other nodes are reached through the adapter, if one is set.
+   * Returns false if the message was dropped; trySend() tells sent from queued.
+   */
+  public send(sessionId: string, data: Uint8Array, options: SendOptions = {}): boolean {
+    return this.trySend(sessionId, data, options) !== 'dropped';
+  }
+
+  /**
+   * Like send(), but says what became of the message: 'sent' if it was written
+   * to the socket, 'queued' if it goes out later, and 'dropped' if it never
+   * will, e.g. because the session is a slow consumer
+   */
+  public trySend(sessionId: string, data: Uint8Array, options: SendOptions = {}): SendResult {
+    const client = this.findSession(sessionId);
+    if (!client) {
+      if (!this.adapter) {
+        return 'dropped';
+      }
+      this.relay({
+        type: 'send',
+        sessionId,
+        data,
+        ...(options.reliable ? { reliable: true } : {}),
+        ...(options.critical ? { critical: true } : {}),
+        ...(options.coalesceKey !== undefined ? { coalesceKey: options.coalesceKey } : {})
+      });
+      return 'queued';
+    }
+
+    return this.sendLocal(client, data, options);
+  }
+
+  private sendLocal(client: ClientSession, data: Uint8Array, options: SendOptions): SendResult {
+    if (!options.reliable) {
+      const messageId = this.generateMessageId();
+      const encoded = this.encodeDataMessage(data, messageId, BigInt(Date.now()));
+      return encoded ? this.deliver(client, messageId, encoded, options) : 'dropped';
     }
 
     try {
-      const builder = new flatbuffers.Builder(1024 + data.length);
-      const payload = DataMessage.createPayloadVector(builder, data);
-      const msgId = messageId ?? this.generateMessageId();
-      const ts = timestamp ?? BigInt(Date.now());
+      const timestamp = BigInt(Date.now());
+      client.reliable.send((sequence) => this.buildDataMessage(data, this.generateMessageId(), timestamp, undefined, sequence));
+      if (client.ws.readyState === WebSocket.OPEN) {
+        return 'sent';
+      }
+      this.schedulePersist(client);
+      return 'queued';
+    } catch (error) {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      return 'dropped';
+    }
+  }
+
+  private encodeDataMessage(data: Uint8Array, messageId: bigint, timestamp: bigint, topic?: string): Uint8Array | null {
+    try {
+      return this.buildDataMessage(data, messageId, timestamp, topic);
+    } catch (error) {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      return null;
+    }
+  }
 
-      DataMessage.startDataMessage(builder);
-      DataMessage.addPayload(builder, payload);
-      DataMessage.addMessageId(builder, msgId);
-      DataMessage.addTimestamp(builder, ts);
-      const dataMsg = DataMessage.endDataMessage(builder);
+  private buildDataMessage(
+    data: Uint8Array,
+    messageId: bigint,
+    timestamp: bigint,
+    topic?: string,
+    sequence?: bigint,
+    keyId?: number,
+    compression?: Compression
+  ): Uint8Array {
+    const builder = new flatbuffers.Builder(1024 + data.length);
+    const payload = DataMessage.createPayloadVector(builder, data);
+    const topicOffset = topic !== undefined ? builder.createString(topic) : 0;
+
+    DataMessage.startDataMessage(builder);
+    DataMessage.addPayload(builder, payload);
+    DataMessage.addMessageId(builder, messageId);
+    DataMessage.addTimestamp(builder, timestamp);
+    if (topicOffset) {
+      DataMessage.addTopic(builder, topicOffset);
+    }
+    if (sequence !== undefined) {
+      DataMessage.addSequence(builder, sequence);
+    }
+    if (keyId !== undefined) {
+      DataMessage.addKeyId(builder, keyId);
+    }
+    if (compression) {
+      DataMessage.addCompression(builder, compression);
+    }
+    const dataMsg = DataMessage.endDataMessage(builder);
 
-      Message.startMessage(builder);
-      Message.addType(builder, MessageType.Data);
-      Message.addDataType(builder, MessageData.DataMessage);
-      Message.addData(builder, dataMsg);
-      const message = Message.endMessage(builder);
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.Data);
+    Message.addDataType(builder, MessageData.DataMessage);
+    Message.addData(builder, dataMsg);
+    const message = Message.endMessage(builder);
 
-      builder.finish(message);
-      client.ws.send(builder.asUint8Array());
+    builder.finish(message);
+    return builder.asUint8Array();
+  }
 
-      client.lastMessageId = msgId;
+  /**
+   * Write an encoded DataMessage to the session's socket, compressing and then
+   * sealing its payload as the session agreed. A frame is compressed once for
+   * every session it goes to and sealed per session. Frames stay as they were
+   * sent in the replay buffer and reliable channel, so they can be resealed
+   * after a new key exchange or go to a client that reconnects without
+   * compression.
+   */
+  private transmitData(client: ClientSession, frame: Uint8Array): void {
+    if (!client.cipher && !client.compression) {
+      client.ws.send(frame);
+      return;
+    }
+
+    const dataMsg = Message.getRootAsMessage(new flatbuffers.ByteBuffer(frame)).data(new DataMessage()) as DataMessage;
+    const plain = dataMsg.payloadArray() ?? new Uint8Array(0);
+    const compressed = client.compression ? this.compressFrame(frame, plain) : { payload: plain, compression: Compression.None };
+    const sequence = dataMsg.sequence();
+    const sealed = client.cipher?.seal(compressed.payload, { kind: 'data', id: dataMsg.messageId(), position: sequence });
+    client.ws.send(this.buildDataMessage(
+      sealed?.payload ?? compressed.payload,
+      dataMsg.messageId(),
+      dataMsg.timestamp(),
+      dataMsg.topic() ?? undefined,
+      sequence > 0n ? sequence : undefined,
+      sealed?.keyId,
+      compressed.compression
+    ));
+  }
+
+  private compressFrame(frame: Uint8Array, plain: Uint8Array): CompressedPayload {
+    let compressed = this.compressedFrames.get(frame);
+    if (!compressed) {
+      compressed = this.compressor.compress(plain);
+      this.compressedFrames.set(frame, compressed);
+    }
+    return compressed;
+  }
+
+  private createReliableChannel(sessionId: string): ReliableChannel<InboundMessage> {
+    return new ReliableChannel<InboundMessage>({
+      ackTimeout: this.config.ackTimeout,
+      maxRetransmits: this.config.maxRetransmits,
+      transmit: (frame) => {
+        // Looked up on every attempt so retransmits follow a reconnect
+        const client = this.clients.get(sessionId);
+        if (!client || client.ws.readyState !== WebSocket.OPEN) {
+          return false;
+        }
+        this.transmitData(client, frame);
+        this.stats.messagesSent++;
+        return true;
+      },
+      onFailure: (sequence) => {
+        this.emit('error', new Error(`Reliable message ${sequence} to ${sessionId} was not acknowledged`));
+      }
+    });
+  }
+
+  /**
+   * Send an encoded DataMessage, buffer it if the session's socket is gone, or
+   * hand it to the slow-consumer policy if the socket has too much buffered
+   */
+  private deliver(client: ClientSession, messageId: bigint, encoded: Uint8Array, options: SendOptions = {}): SendResult {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      client.messageBuffer.push(messageId, encoded);
+      this.schedulePersist(client);
+      return 'queued';
+    }
+
+    if (!options.critical && this.isSlowConsumer(client)) {
+      return this.holdBack(client, messageId, encoded, options.coalesceKey);
+    }
+
+    return this.writeData(client, messageId, encoded) ? 'sent' : 'dropped';
+  }
+
+  private writeData(client: ClientSession, messageId: bigint, encoded: Uint8Array): boolean {
+    try {
+      this.transmitData(client, encoded);
+      // Coalesced messages go out after newer ones
+      if (messageId > client.lastMessageId) {
+        client.lastMessageId = messageId;
+      }
       this.stats.messagesSent++;
       return true;
     } catch (error) {
@@ -220,6 +631,133 @@ export class SigmaSocketServer {
     }
   }
 
+  // A session turns slow when its socket reaches the high-water mark and stays slow until it drains
+  private isSlowConsumer(client: ClientSession): boolean {
+    if (!client.slow && this.backpressure.isOver(client)) {
+      client.slow = true;
+      this.drainTimers.set(client.id, setInterval(() => this.checkDrain(client), this.backpressure.drainInterval));
+    }
+    return client.slow;
+  }
+
+  /**
+   * Apply the slow-consumer policy to a message that is not critical. Messages
+   * without a coalesce key are dropped under 'coalesce'.
+   */
+  private holdBack(client: ClientSession, messageId: bigint, encoded: Uint8Array, coalesceKey?: string): SendResult {
+    const policy = this.backpressure.slowConsumer;
+    if (policy === 'coalesce' && coalesceKey !== undefined) {
+      // Moved to the end, so held messages go out in the order their newest versions arrived
+      client.coalesced.delete(coalesceKey);
+      client.coalesced.set(coalesceKey, { messageId, frame: encoded });
+      this.stats.messagesCoalesced++;
+      return 'queued';
+    }
+
+    if (policy === 'disconnect') {
+      // What the old socket still had buffered is lost; this message is
+      // replayed if the client resumes the session
+      this.stats.slowConsumerDisconnects++;
+      client.ws.terminate();
+      client.messageBuffer.push(messageId, encoded);
+      this.schedulePersist(client);
+      return 'queued';
+    }
+
+    this.stats.messagesDropped++;
+    return 'dropped';
+  }
+
+  /**
+   * Once a slow session's socket is back under its mark, send the messages held
+   * back for it, oldest first, and emit 'drain' if they all fit
+   */
+  private checkDrain(client: ClientSession): void {
+    if (client.ws.readyState !== WebSocket.OPEN || this.backpressure.isOver(client)) {
+      return;
+    }
+
+    for (const [key, held] of [...client.coalesced]) {
+      if (this.backpressure.isOver(client)) {
+        return;
+      }
+      client.coalesced.delete(key);
+      this.writeData(client, held.messageId, held.frame);
+    }
+
+    this.releaseSlowConsumer(client);
+    this.emit('drain', client);
+  }
+
+  // Messages still held back when the socket closes are dropped
+  private releaseSlowConsumer(client: ClientSession): void {
+    const timer = this.drainTimers.get(client.id);
+    if (timer) {
+      clearInterval(timer);
+      this.drainTimers.delete(client.id);
+    }
+    this.stats.messagesDropped += client.coalesced.size;
+    client.coalesced.clear();
+    client.slow = false;
+  }
+
+  /**
+   * Register a handler for requests sent with client.request(method, ...).
+   * The handler's return value is sent back as the response payload; throwing
+   * a RequestError sends its code back to the caller, anything else is a 500.
+   */
+  public handle(method: string, handler: RequestHandler): void {
+    this.requestHandlers.set(method, handler);
+  }
+
+  public removeHandler(method: string): boolean {
+    return this.requestHandlers.delete(method);
+  }
+
+  /**
+   * Add a session to a room. Works for sessions waiting to reconnect too, and
+   * membership is kept until the session expires or disconnects explicitly.
+   * Returns false when the authorization policy does not let the session join.
+   */
+  public join(sessionId: string, room: string): boolean {
+    const session = this.findSession(sessionId);
+    if (!session || !this.checkPolicy(session, 'join', room).allowed || !this.roomManager.join(sessionId, room)) {
+      return false;
+    }
+
+    this.emit('join', session, room);
+    this.schedulePersist(session);
+    return true;
+  }
+
+  /**
+   * Remove a session from one room, or from all of its rooms when no room is given
+   */
+  public leave(sessionId: string, room?: string): boolean {
+    const session = this.findSession(sessionId);
+    if (!session) {
+      return false;
+    }
+    const left = this.leaveRooms(session, room).length > 0;
+    this.schedulePersist(session);
+    return left;
+  }
+
+  public toRoom(room: string): RoomBroadcaster {
+    return {
+      name: room,
+      broadcast: (data: Uint8Array, excludeClient?: string) => this.broadcastToRoom(room, data, excludeClient),
+      getMembers: () => this.roomManager.getMembers(room),
+      size: () => this.roomManager.getRoomSize(room)
+    };
+  }
+
+  public getRooms(sessionId?: string): string[] {
+    return sessionId === undefined
+      ? this.roomManager.getRoomNames()
+      : this.roomManager.getRooms(sessionId);
+  }
+
   public getClient(sessionId: string): ClientSession | undefined {
     return this.clients.get(sessionId);
   }
@@ -230,6 +768,39 @@ export class SigmaSocketServer {
     return { ...this.stats };
   }
 
+  /**
+   * Ban an IP: its open sockets are closed and upgrades from it are refused
+   * until the ban expires. Without `ttl`, the ban lasts for the next step of the
+   * IP's escalating backoff.
+   */
+  public ban(ip: string, ttl?: number): Ban {
+    return this.banIP(ip, ttl, 'Banned by operator');
+  }
+
+  public unban(ip: string): boolean {
+    return this.securityManager.unban(ip);
+  }
+
+  public listBans(): Ban[] {
+    return this.securityManager.listBans();
+  }
+
+  /**
+   * Rate limiter state and security event counts, overall and for the last minute
+   */
+  public getSecurityStats(): SecurityStats {
+    return this.securityManager.getSecurityStats();
+  }
+
+  /**
+   * Add a middleware. Hooks run in the order middlewares were added, and an
+   * async hook finishes before the next middleware's hook starts.
+   */
+  public use(middleware: ServerMiddleware): this {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
   public on<K extends keyof SigmaSocketServerEvents>(event: K, callback: SigmaSocketServerEvents[K]): void {
     const listeners = this.eventListeners.get(event);
     if (listeners) {
@@ -245,12 +816,40 @@ export class SigmaSocketServer {
   }
 
   private setupWebSocketServer(): void {
-    this.wsServer.on('connection', (ws: WebSocket, _request) => {
+    this.wsServer.on('connection', (ws: WebSocket, request: IncomingMessage) => {
       // Check connection limits
-      if (this.clients.size >= this.config.maxConnections) {
-        ws.close(1013, 'Server at capacity');
+      const ip = this.securityManager.sanitizeClientIP(request);
+      const refusal = this.admission.admit(ws, ip);
+      if (refusal) {
+        this.refuseConnection(ws, ip, refusal);
         return;
       }
+      ws.once('close', () => this.admission.release(ws, ip));
+
+      const originPolicy = this.securityManager.getOriginPolicy(request.headers.origin);
+      if (originPolicy?.maxConnections !== undefined) {
+        const sockets = this.originSockets.get(originPolicy) ?? new Set<WebSocket>();
+        if (sockets.size >= originPolicy.maxConnections) {
+          this.refuseConnection(ws, ip, 'Origin at capacity');
+          return;
+        }
+        sockets.add(ws);
+        this.originSockets.set(originPolicy, sockets);
+        ws.once('close', () => sockets.delete(ws));
+      }
+      this.upgradeRequests.set(ws, request);
+      this.clientIPs.set(ws, ip);
+
+      // Queued sockets are open but wait for a slot before being counted
+      const overCapacity = this.wsServer.clients.size - this.admissionQueue.length > this.config.maxConnections;
+      if (overCapacity) {
+        if (this.admission.overload === 'queue' && this.admissionQueue.length < this.admission.queueSize) {
+          this.queueConnection(ws, ip);
+        } else {
+          this.refuseConnection(ws, ip, 'Server at capacity');
+          return;
+        }
+      }
 
       ws.binaryType = 'arraybuffer';
       
@@ -384,6 +983,12 @@ export class SigmaSocketServer {
   }
 
   private handleWebSocketMessage(ws: WebSocket, data: Buffer): void {
+    const held = this.heldMessages.get(ws);
+    if (held) {
+      held.push(data);
+      return;
+    }
+
     try {
       // Find client for rate limiting
       const client = this.findClientByWebSocket(ws);
@@ -408,24 +1013,59 @@ export class SigmaSocketServer {
         console.log(`🔧 [SERVER] Text content: ${textData.substring(0, 100)}...`);
       }
 
+      // Use hybrid message handler to support both JSON and FlatBuffers
+      const hybridResult = HybridMessageHandler.handleMessage(new Uint8Array(data));
+      // Chunks of one of the session's open streams are paced by its window instead
+      // of the rate limit and DoS byte budget; dropping one would break the stream.
+      // Chunks for any other id count as usual.
+      const paced = hybridResult.success && client !== undefined && !hybridResult.isJSON &&
+        this.isOpenStream(client, this.streamIdOf(data, hybridResult.messageType));
+
+      const ip = this.clientIPs.get(ws) ?? 'unknown';
+      if (this.securityManager.detectDoSAttack(ip, paced ? 0 : data.length)) {
+        this.handleDoSAttack(ws, ip, clientId, data.length);
+        return;
+      }
+
       // Validate message size
-      const sizeValidation = this.securityManager.validateMessageSize(data);
+      const sizeValidation = this.securityManager.validateMessageSize(data, this.messageSize.maxMessageSize);
       if (!sizeValidation.valid) {
-        this.securityManager.logSecurityEvent('invalid_message_size', clientId, sizeValidation.error);
+        this.securityManager.logSecurityEvent(SecurityEventType.InvalidMessageSize, clientId, sizeValidation.error);
         console.warn(`⚠️ Invalid message size from ${clientId}: ${sizeValidation.error}`);
         return;
       }
 
-      // Use hybrid message handler to support both JSON and FlatBuffers
-      const hybridResult = HybridMessageHandler.handleMessage(new Uint8Array(data));
       if (!hybridResult.success) {
-        this.securityManager.logSecurityEvent('invalid_message', clientId, hybridResult.error);
+        this.securityManager.logSecurityEvent(SecurityEventType.InvalidMessage, clientId, hybridResult.error);
         console.warn(`⚠️ Invalid message from ${clientId}: ${hybridResult.error}`);
         return;
       }
 
       console.log(`✅ Successfully parsed ${hybridResult.isJSON ? 'JSON' : 'FlatBuffers'} message:`, hybridResult.messageType);
 
+      const typeName = hybridResult.messageType !== undefined ? MessageType[hybridResult.messageType] : 'Unknown';
+      const rateLimit: RateLimitDecision = paced ? { allowed: true } : this.securityManager.checkRateLimit({
+        ip,
+        ...(client ? { sessionId: client.id } : {}),
+        messageType: typeName
+      }, this.upgradeRequests.get(ws)?.headers.origin);
+      if (!rateLimit.allowed) {
+        this.handleRateLimited(ws, data, hybridResult.isJSON ? undefined : hybridResult.messageType, rateLimit);
+        return;
+      }
+
+      const sizeLimit = this.messageSize.limitFor(typeName, client);
+      if (data.length > sizeLimit) {
+        this.securityManager.logSecurityEvent(SecurityEventType.LargeMessage, clientId, {
+          messageType: typeName,
+          size: data.length,
+          limit: sizeLimit
+        });
+        const requestId = hybridResult.isJSON ? undefined : this.requestIdOf(data, hybridResult.messageType);
+        this.sendErrorToWebSocket(ws, 413, `Message too large: ${data.length} bytes, limit ${sizeLimit}`, requestId);
+        return;
+      }
+
       // For JSON messages, we need to handle them differently
       if (hybridResult.isJSON) {
         this.handleJSONMessage(ws, hybridResult);
@@ -437,22 +1077,11 @@ export class SigmaSocketServer {
       const buf = new flatbuffers.ByteBuffer(buffer);
       const message = Message.getRootAsMessage(buf);
 
-      // Skip all rate limiting and DoS detection for chat demo
-      // Only apply security checks in production environments
-      if (process.env['NODE_ENV'] === 'production' && message.type() === MessageType.Data) {
-        // Check rate limiting for data messages only in production
-        if (!this.securityManager.checkRateLimit(clientId)) {
-          this.securityManager.logSecurityEvent('rate_limit_exceeded', clientId);
-          console.warn(`⚠️ Rate limit exceeded for ${clientId}`);
-          return;
-        }
-
-        // Check for DoS attacks on data messages only in production
-        if (this.securityManager.detectDoSAttack(clientId, data.length)) {
-          this.securityManager.logSecurityEvent('dos_attack', clientId, { messageSize: data.length });
-          console.warn(`⚠️ DoS attack detected from ${clientId}, message size: ${data.length}`);
-          return;
-        }
+      const validation = MessageValidator.validateFields(message);
+      if (!validation.isValid) {
+        this.securityManager.logSecurityEvent(SecurityEventType.InvalidMessage, clientId, validation.error);
+        this.sendErrorToWebSocket(ws, 400, validation.error ?? 'Invalid message', this.requestIdOf(data, message.type()));
+        return;
       }
 
       switch (message.type()) {
@@ -471,11 +1100,32 @@ export class SigmaSocketServer {
         case MessageType.Disconnect:
           this.handleDisconnectMessage(ws, message);
           break;
+        case MessageType.Request:
+          this.handleRequestMessage(ws, message);
+          break;
+        case MessageType.Subscribe:
+          this.handleSubscribeMessage(ws, message);
+          break;
+        case MessageType.Unsubscribe:
+          this.handleUnsubscribeMessage(ws, message);
+          break;
+        case MessageType.Ack:
+          this.handleAckMessage(ws, message);
+          break;
+        case MessageType.StreamOpen:
+          this.handleStreamOpenMessage(ws, message);
+          break;
+        case MessageType.StreamChunk:
+          this.handleStreamChunkMessage(ws, message);
+          break;
+        case MessageType.StreamEnd:
+          this.handleStreamEndMessage(ws, message);
+          break;
       }
 
       this.stats.messagesReceived++;
     } catch (error) {
-      this.securityManager.logSecurityEvent('message_processing_error', 'unknown', error);
+      this.securityManager.logSecurityEvent(SecurityEventType.MessageProcessingError, 'unknown', error);
       this.sendErrorToWebSocket(ws, 500, 'Internal server error');
       this.emit('error', error instanceof Error ? error : new Error(String(error)));
     }
@@ -490,117 +1140,1399 @@ export class SigmaSocketServer {
 
     const sessionId = connectMsg.sessionId();
     const clientVersion = connectMsg.clientVersion();
+    const authToken = connectMsg.authToken();
 
     if (!sessionId) {
       this.sendErrorToWebSocket(ws, 400, 'Session ID required');
       return;
     }
 
+    // A Connect for the session already on this socket carries a fresh JWT
+    const existing = this.clients.get(sessionId);
+    if (existing && existing.ws === ws && this.jwtConfig) {
+      this.reauthenticate(existing, authToken ?? '');
+      return;
+    }
+
     // Check if session already exists
     if (this.clients.has(sessionId)) {
       this.sendErrorToWebSocket(ws, 409, 'Session already connected');
       return;
     }
 
-    // Create new client session
-    const client: ClientSession = {
-      id: sessionId,
-      ws: ws,
-      lastMessageId: 0n,
-      connectedAt: new Date(),
-      lastHeartbeat: new Date(),
-      isAlive: true,
-      messageBuffer: [],
-      // Initialize connection quality tracking
-      connectionQuality: {
-        latency: 0,
-        jitter: 0,
-        packetLoss: 0,
-        bandwidth: 0,
-        stability: 1.0,
-        lastUpdated: new Date()
-      },
-      latencyHistory: [],
-      lastPingTime: 0,
-      missedHeartbeats: 0,
-      adaptiveHeartbeatInterval: this.config.minHeartbeatInterval,
-      connectionScore: 1.0
-    };
-
-    // Initialize connection quality tracking
-    this.connectionQualityManager.initializeClientSession(client);
+    const agreement = this.agreeOnKeys(ws, sessionId, connectMsg.publicKeyArray());
+    if (agreement === null) {
+      return;
+    }
+    const compression = this.compressor.negotiate(connectMsg.compression());
 
+    // A session waiting to be resumed, here or in the store, can only be taken
+    // over with its resume token, so a Connect may not reuse its id
+    if (this.disconnectedSessions.has(sessionId)) {
+      this.sendErrorToWebSocket(ws, 409, 'Session ID in use');
+      return;
+    }
+
+    // Create new client session
+    const client = this.createSession(sessionId, ws);
+
+    this.holdMessages(ws, () => this.config.sessionStore.get(sessionId)
+      .then((stored) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        if (stored) {
+          this.sendErrorToWebSocket(ws, 409, 'Session ID in use');
+          return;
+        }
+        return this.whenAuthenticated(ws, authToken, client, () => this.whenAdmitted(ws, client, () => this.acceptConnection(ws, client, agreement, compression, clientVersion)));
+      }, (error: unknown) => {
+        this.sendErrorToWebSocket(ws, 503, 'Session store unavailable');
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      }));
+  }
+
+  private acceptConnection(
+    ws: WebSocket,
+    client: ClientSession,
+    agreement: KeyAgreement | undefined,
+    compression: Compression,
+    clientVersion: string | null
+  ): void {
+    const sessionId = client.id;
+    // Another socket may have taken the id while the middlewares ran
+    if (this.clients.has(sessionId) || this.disconnectedSessions.has(sessionId)) {
+      this.sendErrorToWebSocket(ws, 409, 'Session ID in use');
+      return;
+    }
+    this.startEncryption(client, agreement);
+    client.compression = compression;
     this.clients.set(sessionId, client);
     this.stats.totalConnections++;
 
-    // Add to advanced features connection pool
-    this.advancedFeaturesManager.addToConnectionPool(sessionId, client);
+    // Add to advanced features connection pool
+    this.advancedFeaturesManager.addToConnectionPool(sessionId, client);
+
+    this.sendResumeToken(client, true);
+    this.applyUpgradeClaims(ws, client);
+
+    console.log(`Client connected: ${sessionId} (version: ${clientVersion})`);
+    this.emit('connection', client);
+  }
+
+  private handleReconnectMessage(ws: WebSocket, message: Message): void {
+    const reconnectMsg = message.data(new ReconnectMessage());
+    if (!reconnectMsg) {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid reconnect message');
+      return;
+    }
+
+    const sessionId = reconnectMsg.sessionId();
+
+    if (!sessionId) {
+      this.sendErrorToWebSocket(ws, 400, 'Session ID required');
+      return;
+    }
+
+    // Knowing a session id is not enough to take the session over
+    const resume = this.resumeTokens.verify(reconnectMsg.resumeToken() ?? '');
+    if (!resume.valid || resume.sessionId !== sessionId) {
+      this.sendErrorToWebSocket(ws, 498, !resume.valid && resume.reason === 'expired' ? 'Resume token expired' : 'Invalid resume token');
+      return;
+    }
+
+    if (this.clients.has(sessionId)) {
+      this.sendErrorToWebSocket(ws, 409, 'Session already connected');
+      return;
+    }
+
+    const agreement = this.agreeOnKeys(ws, sessionId, reconnectMsg.publicKeyArray());
+    if (agreement === null) {
+      return;
+    }
+    const compression = this.compressor.negotiate(reconnectMsg.compression());
+
+    // The client is the source of truth for its subscriptions
+    const authToken = reconnectMsg.authToken();
+    const lastMessageId = reconnectMsg.lastMessageId();
+    const topics = new Set<string>();
+    for (let i = 0; i < reconnectMsg.topicsLength(); i++) {
+      topics.add(reconnectMsg.topics(i));
+    }
+    const uploads = new Set<number>();
+    for (let i = 0; i < reconnectMsg.uploadsLength(); i++) {
+      uploads.add(reconnectMsg.uploads(i) ?? 0);
+    }
+
+    // Check if we have a disconnected session to restore
+    const disconnectedSession = this.disconnectedSessions.get(sessionId);
+    if (disconnectedSession) {
+      if (disconnectedSession.resumeNonce !== resume.nonce) {
+        this.sendErrorToWebSocket(ws, 498, 'Resume token already used');
+        return;
+      }
+      if (!this.checkTokenSubject(ws, disconnectedSession)) {
+        return;
+      }
+      this.holdMessages(ws, () => this.whenAuthenticated(ws, authToken, disconnectedSession, () => this.whenAdmitted(ws, disconnectedSession, () => {
+        // It may have expired or been resumed elsewhere while the middlewares ran
+        if (this.disconnectedSessions.get(sessionId) !== disconnectedSession) {
+          this.sendErrorToWebSocket(ws, 404, 'Session not found');
+          return;
+        }
+        this.disconnectedSessions.delete(sessionId);
+        this.resumeSession(ws, disconnectedSession, lastMessageId, topics, agreement, compression, uploads);
+      })));
+      return;
+    }
+
+    // Otherwise it may have been left by a previous run or another instance
+    this.holdMessages(ws, () => this.config.sessionStore.get(sessionId)
+      .then((stored) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        if (!stored || this.clients.has(sessionId)) {
+          // No session to restore, treat as new connection
+          this.sendErrorToWebSocket(ws, 404, 'Session not found');
+          return;
+        }
+        if (stored.resumeNonce !== resume.nonce) {
+          this.sendErrorToWebSocket(ws, 498, 'Resume token already used');
+          return;
+        }
+        const session = this.fromStoredSession(stored, ws);
+        if (!this.checkTokenSubject(ws, session)) {
+          return;
+        }
+        return this.whenAuthenticated(ws, authToken, session, () => this.whenAdmitted(ws, session, () => {
+          this.restoreRooms(session, stored.rooms);
+          this.resumeSession(ws, session, lastMessageId, topics, agreement, compression, uploads);
+        }));
+      }, (error: unknown) => {
+        this.sendErrorToWebSocket(ws, 503, 'Session store unavailable');
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      }));
+  }
+
+  /**
+   * Respond to an IP whose traffic amounts to an attack: ban it for the next
+   * step of its backoff and close its sockets, or close just this one when
+   * automatic bans are off
+   */
+  private handleDoSAttack(ws: WebSocket, ip: string, clientId: string, messageSize: number): void {
+    this.securityManager.logSecurityEvent(SecurityEventType.DosAttack, clientId, { ip, messageSize });
+    if (this.securityManager.isAutoBanEnabled()) {
+      this.banIP(ip, undefined, 'Denial of service');
+    } else {
+      ws.close(1008, 'Policy violation');
+    }
+  }
+
+  /**
+   * Carry out the action of the rate limit a message went over. Delayed
+   * messages are handled first once their wait is over, ahead of anything
+   * that arrived in the meantime.
+   */
+  private handleRateLimited(
+    ws: WebSocket,
+    data: Buffer,
+    messageType: MessageType | undefined,
+    decision: Extract<RateLimitDecision, { allowed: false }>
+  ): void {
+    const clientId = this.findClientByWebSocket(ws)?.id ?? this.clientIPs.get(ws) ?? 'unknown';
+    this.securityManager.logSecurityEvent(SecurityEventType.RateLimitExceeded, clientId, {
+      scope: decision.scope,
+      action: decision.action,
+      retryAfter: decision.retryAfter
+    });
+
+    switch (decision.action) {
+      case 'drop':
+        break;
+      case 'delay':
+        this.holdMessages(ws, () => new Promise<void>((resolve) => {
+          setTimeout(() => {
+            this.heldMessages.get(ws)?.unshift(data);
+            resolve();
+          }, decision.retryAfter);
+        }));
+        break;
+      case 'error': {
+        this.sendErrorToWebSocket(ws, 429, 'Rate limit exceeded', this.requestIdOf(data, messageType));
+        break;
+      }
+      case 'disconnect':
+        this.sendErrorToWebSocket(ws, 429, 'Rate limit exceeded');
+        ws.close(1008, 'Rate limit exceeded');
+        break;
+    }
+  }
+
+  /**
+   * The request id of a FlatBuffers Request, so a refusal fails just that request
+   */
+  private requestIdOf(data: Buffer, messageType: MessageType | undefined): bigint | undefined {
+    return messageType === MessageType.Request
+      ? Message.getRootAsMessage(new flatbuffers.ByteBuffer(new Uint8Array(data))).data(new RequestMessage())?.requestId()
+      : undefined;
+  }
+
+  private streamIdOf(data: Buffer, messageType: MessageType | undefined): number | undefined {
+    return messageType === MessageType.StreamChunk
+      ? Message.getRootAsMessage(new flatbuffers.ByteBuffer(new Uint8Array(data))).data(new StreamChunkMessage())?.streamId()
+      : undefined;
+  }
+
+  /**
+   * Run `task` with the socket's incoming messages held back until it settles,
+   * then handle them in arrival order. Tasks that finish synchronously skip the hold.
+   */
+  private holdMessages(ws: WebSocket, task: () => void | Promise<void>): void {
+    const result = task();
+    if (!result) {
+      return;
+    }
+
+    this.heldMessages.set(ws, []);
+    void result.finally(() => {
+      const queued = this.heldMessages.get(ws) ?? [];
+      this.heldMessages.delete(ws);
+      queued.forEach((data) => this.handleWebSocketMessage(ws, data));
+    });
+  }
+
+  /**
+   * Close a socket refused by admission control with 1013 and a retry hint
+   */
+  private refuseConnection(ws: WebSocket, ip: string, reason: string): void {
+    this.securityManager.logSecurityEvent(SecurityEventType.ConnectionRefused, this.findClientByWebSocket(ws)?.id ?? 'unknown', { ip, reason });
+    ws.close(1013, this.admission.closeReason(reason));
+  }
+
+  /**
+   * Hold a socket that arrived at capacity until another one closes, or
+   * refuse it once it has waited `queueTimeout`
+   */
+  private queueConnection(ws: WebSocket, ip: string): void {
+    this.holdMessages(ws, () => new Promise<void>((resolve) => {
+      // Leaves the queue when it closes, in handleWebSocketClose
+      const timer = setTimeout(() => {
+        this.refuseConnection(ws, ip, 'Server at capacity');
+        resolve();
+      }, this.admission.queueTimeout);
+      this.admissionQueue.push({
+        ws,
+        admit: () => {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+    }));
+  }
+
+  /**
+   * The user a session belongs to: its authenticated userId, or the subject of its upgrade JWT
+   */
+  private userOf(ws: WebSocket, session: ClientSession): string | undefined {
+    if (session.identity?.userId !== undefined) {
+      return session.identity.userId;
+    }
+    const request = this.upgradeRequests.get(ws);
+    return session.claims?.sub ?? (request ? this.securityManager.getVerifiedClaims(request)?.sub : undefined);
+  }
+
+  /**
+   * Check the Connect or Reconnect token with the authenticate hook, then
+   * continue with `next`. Refusals, errors and timeouts close the socket with
+   * a 401; a resumed session must authenticate as the user that owns it.
+   */
+  private whenAuthenticated(
+    ws: WebSocket,
+    token: string | null,
+    session: ClientSession,
+    next: () => void | Promise<void>
+  ): void | Promise<void> {
+    const authenticate = this.authenticate;
+    if (!authenticate) {
+      return next();
+    }
+
+    const refuse = (reason: string) => {
+      this.sendErrorToWebSocket(ws, 401, reason);
+      ws.close(1008, 'Unauthorized');
+    };
+
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Authentication timed out')), this.config.authTimeout);
+    });
+    const request = this.upgradeRequests.get(ws) as IncomingMessage;
+
+    return Promise.race([Promise.resolve().then(() => authenticate(token, request)), timeout])
+      .finally(() => clearTimeout(timer))
+      .then((result) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        if (!result) {
+          refuse('Authentication failed');
+          return;
+        }
+
+        const identity: SessionIdentity = result === true ? {} : result;
+        if (session.identity?.userId !== undefined && session.identity.userId !== identity.userId) {
+          refuse('Session belongs to another user');
+          return;
+        }
+        session.identity = identity;
+        return next();
+      }, (error: unknown) => {
+        refuse('Authentication failed');
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  /**
+   * Call `accept` once every onConnection middleware has allowed the session,
+   * in registration order. The first refusal closes the socket with a 403.
+   */
+  private whenAdmitted(ws: WebSocket, session: ClientSession, accept: () => void): void | Promise<void> {
+    const userLimit = this.admission.maxConnectionsPerUser;
+    const user = this.userOf(ws, session);
+    if (userLimit !== undefined && user !== undefined) {
+      let connected = 0;
+      this.clients.forEach((client) => {
+        if (client.id !== session.id && this.userOf(client.ws, client) === user) {
+          connected++;
+        }
+      });
+      if (connected >= userLimit) {
+        this.refuseConnection(ws, this.clientIPs.get(ws) ?? 'unknown', 'Too many connections for this user');
+        return;
+      }
+    }
+
+    const middlewares = this.middlewares.filter((middleware) => middleware.onConnection);
+    if (middlewares.length === 0) {
+      accept();
+      return;
+    }
+
+    return (async () => {
+      for (const middleware of middlewares) {
+        const hook = middleware.onConnection;
+        if (hook && !(await hook.call(middleware, this, session.id, session))) {
+          this.sendErrorToWebSocket(ws, 403, `Connection refused by ${middleware.name}`);
+          ws.close(1008, 'Connection refused');
+          return;
+        }
+      }
+
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (this.clients.has(session.id)) {
+        this.sendErrorToWebSocket(ws, 409, 'Session already connected');
+        return;
+      }
+      accept();
+    })().catch((error: unknown) => {
+      this.sendErrorToWebSocket(ws, 500, 'Connection middleware failed');
+      ws.close(1011, 'Connection middleware failed');
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  private resumeSession(
+    ws: WebSocket,
+    session: ClientSession,
+    lastMessageId: bigint,
+    topics: Set<string>,
+    agreement: KeyAgreement | undefined,
+    compression: Compression,
+    uploads: Set<number>
+  ): void {
+    session.ws = ws;
+    this.startEncryption(session, agreement);
+    session.compression = compression;
+    session.lastHeartbeat = new Date();
+    session.isAlive = true;
+    session.subscriptions = new Set([...topics].filter((topic) => this.authorize(session, 'subscribe', topic)));
+
+    this.clients.set(session.id, session);
+    this.forgetStoredSession(session.id);
+    this.sendResumeToken(session, true);
+    this.applyUpgradeClaims(ws, session);
+
+    // Replay what the client missed; report a gap if some of it was evicted
+    const replay = session.messageBuffer.since(lastMessageId);
+    session.messageBuffer.clear();
+    if (replay.gap) {
+      this.sendErrorToWebSocket(ws, 410, 'Missed messages were evicted from the replay buffer');
+    }
+    replay.messages.forEach((encoded) => {
+      this.transmitData(session, encoded);
+      this.stats.messagesSent++;
+    });
+    session.reliable.resend();
+    this.resumeUploads(session, uploads);
+
+    // Another node may still hold this session from before it moved here
+    this.relay({ type: 'claim', sessionId: session.id });
+
+    console.log(`Client reconnected: ${session.id}`);
+    this.emit('connection', session);
+  }
+
+  /**
+   * Check the public key a Connect or Reconnect offered against the encryption
+   * config. Returns the server's half of the exchange, undefined for a
+   * plaintext session, or null once the client has been refused.
+   */
+  private agreeOnKeys(ws: WebSocket, sessionId: string, publicKey: Uint8Array | null): KeyAgreement | undefined | null {
+    if (!this.encryption) {
+      return undefined;
+    }
+    if (!publicKey) {
+      if (!this.encryption.required) {
+        return undefined;
+      }
+      this.sendErrorToWebSocket(ws, 403, 'Encryption required');
+      ws.close(1008, 'Encryption required');
+      return null;
+    }
+
+    try {
+      return PayloadCipher.accept(publicKey, sessionId, this.encryption.maxMessagesPerKey);
+    } catch {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid public key');
+      return null;
+    }
+  }
+
+  /**
+   * Answer the client's key with a KeyExchange and seal the session's payloads
+   * from now on. It goes out before anything else, replayed messages included;
+   * a session without an agreement goes back to plaintext.
+   */
+  private startEncryption(session: ClientSession, agreement: KeyAgreement | undefined): void {
+    if (!agreement) {
+      delete session.cipher;
+      return;
+    }
+    session.cipher = agreement.cipher;
+
+    const builder = new flatbuffers.Builder(128);
+    const publicKey = KeyExchangeMessage.createPublicKeyVector(builder, agreement.publicKey);
+    const exchangeMsg = KeyExchangeMessage.createKeyExchangeMessage(builder, publicKey);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.KeyExchange);
+    Message.addDataType(builder, MessageData.KeyExchangeMessage);
+    Message.addData(builder, exchangeMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    session.ws.send(builder.asUint8Array());
+  }
+
+  /**
+   * Sign a resume token for the session and send it to the client. Rotating
+   * picks a new nonce, which retires every token issued to the session before.
+   */
+  private sendResumeToken(session: ClientSession, rotate: boolean): void {
+    if (rotate || !session.resumeNonce) {
+      session.resumeNonce = ResumeTokenSigner.createNonce();
+    }
+    const { token, expiresAt } = this.resumeTokens.issue(session.id, session.resumeNonce);
+    session.resumeTokenExpiresAt = expiresAt;
+
+    if (session.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(256);
+    const tokenOffset = builder.createString(token);
+    const tokenMsg = ResumeTokenMessage.createResumeTokenMessage(builder, tokenOffset, BigInt(expiresAt), session.compression ?? Compression.None);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.ResumeToken);
+    Message.addDataType(builder, MessageData.ResumeTokenMessage);
+    Message.addData(builder, tokenMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    session.ws.send(builder.asUint8Array());
+  }
+
+  /**
+   * A session can only be resumed with a JWT for the subject it was opened with
+   */
+  private checkTokenSubject(ws: WebSocket, session: ClientSession): boolean {
+    const request = this.upgradeRequests.get(ws);
+    const claims = request ? this.securityManager.getVerifiedClaims(request) : undefined;
+    if (session.claims?.sub === undefined || claims?.sub === session.claims.sub) {
+      return true;
+    }
+    this.sendErrorToWebSocket(ws, 401, 'Session belongs to another user');
+    ws.close(1008, 'Unauthorized');
+    return false;
+  }
+
+  private applyUpgradeClaims(ws: WebSocket, session: ClientSession): void {
+    const request = this.upgradeRequests.get(ws);
+    const claims = request ? this.securityManager.getVerifiedClaims(request) : undefined;
+    if (claims) {
+      session.claims = claims;
+    }
+    this.watchTokenExpiry(session);
+  }
+
+  private watchTokenExpiry(session: ClientSession): void {
+    this.clearTokenTimer(session.id);
+    const expiresAt = session.claims ? this.securityManager.getTokenExpiry(session.claims) : undefined;
+    if (expiresAt === undefined || !this.jwtConfig) {
+      return;
+    }
+    const delay = Math.max(0, expiresAt - Date.now());
+    this.tokenTimers.set(session.id, setTimeout(() => {
+      // Tokens that expire more than about 24.8 days out take more than one timer
+      if (Date.now() < expiresAt) {
+        if (this.clients.get(session.id) === session) {
+          this.watchTokenExpiry(session);
+        }
+        return;
+      }
+      this.handleTokenExpired(session);
+    }, Math.min(delay, MAX_TIMER_DELAY)));
+  }
+
+  /**
+   * Ask the client for a fresh token, or drop the connection, depending on
+   * `onExpired`. The session stays resumable either way.
+   */
+  private handleTokenExpired(session: ClientSession): void {
+    this.tokenTimers.delete(session.id);
+    if (this.clients.get(session.id) !== session) {
+      return;
+    }
+
+    this.sendErrorToWebSocket(session.ws, 440, 'Token expired');
+    if (this.jwtConfig?.onExpired !== 'reauth') {
+      session.ws.close(1008, 'Token expired');
+      return;
+    }
+    this.tokenTimers.set(session.id, setTimeout(() => {
+      this.tokenTimers.delete(session.id);
+      if (this.clients.get(session.id) === session) {
+        session.ws.close(1008, 'Token expired');
+      }
+    }, this.jwtConfig.reauthTimeout ?? 30000));
+  }
+
+  private reauthenticate(session: ClientSession, token: string): void {
+    const verification = this.securityManager.verifyToken(token);
+    const refuse = (reason: string) => {
+      this.sendErrorToWebSocket(session.ws, 401, reason);
+      session.ws.close(1008, 'Unauthorized');
+    };
+    if (!verification.valid) {
+      refuse(verification.error);
+      return;
+    }
+    if (session.claims?.sub !== undefined && verification.claims.sub !== session.claims.sub) {
+      refuse('Session belongs to another user');
+      return;
+    }
+
+    session.claims = verification.claims;
+    this.watchTokenExpiry(session);
+  }
+
+  private clearTokenTimer(sessionId: string): void {
+    const timer = this.tokenTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.tokenTimers.delete(sessionId);
+    }
+  }
+
+  private relay(message: AdapterMessage): void {
+    this.adapter?.publish(message).catch((error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  /**
+   * Deliver a message relayed by another node to the sessions on this one
+   */
+  private handleAdapterMessage(message: AdapterMessage): void {
+    switch (message.type) {
+      case 'broadcast':
+        this.broadcastLocal(message.data, message.excludeClient);
+        break;
+      case 'room':
+        this.broadcastToRoomLocal(message.room, message.data, message.excludeClient);
+        break;
+      case 'publish':
+        this.publishLocal(message.topic, message.data);
+        break;
+      case 'send': {
+        const client = this.findSession(message.sessionId);
+        if (client) {
+          this.sendLocal(client, message.data, message);
+        }
+        break;
+      }
+      case 'claim': {
+        const stale = this.disconnectedSessions.get(message.sessionId);
+        if (stale) {
+          this.disconnectedSessions.delete(message.sessionId);
+          stale.reliable.close();
+          this.abandonUploads(stale);
+          this.roomManager.leaveAll(message.sessionId);
+        }
+        break;
+      }
+    }
+  }
+
+  private createSession(sessionId: string, ws: WebSocket): ClientSession {
+    const session: ClientSession = {
+      id: sessionId,
+      ws: ws,
+      lastMessageId: 0n,
+      connectedAt: new Date(),
+      lastHeartbeat: new Date(),
+      isAlive: true,
+      messageBuffer: new ReplayBuffer(this.config.replayBufferSize, this.config.replayBufferBytes),
+      reliable: this.createReliableChannel(sessionId),
+      subscriptions: new Set(),
+      streams: new Map(),
+      uploads: new Map(),
+      slow: false,
+      coalesced: new Map(),
+      // Initialize connection quality tracking
+      connectionQuality: {
+        latency: 0,
+        jitter: 0,
+        packetLoss: 0,
+        bandwidth: 0,
+        stability: 1.0,
+        lastUpdated: new Date()
+      },
+      latencyHistory: [],
+      lastPingTime: 0,
+      missedHeartbeats: 0,
+      adaptiveHeartbeatInterval: this.config.minHeartbeatInterval,
+      connectionScore: 1.0
+    };
+
+    // Initialize connection quality tracking
+    this.connectionQualityManager.initializeClientSession(session);
+    return session;
+  }
+
+  private toStoredSession(session: ClientSession): StoredSession {
+    const buffer = session.messageBuffer.snapshot();
+    return {
+      id: session.id,
+      lastMessageId: session.lastMessageId.toString(),
+      connectedAt: session.connectedAt.getTime(),
+      disconnectedAt: Date.now(),
+      subscriptions: Array.from(session.subscriptions),
+      rooms: this.roomManager.getRooms(session.id),
+      bufferedMessages: buffer.messages.map((message) => ({
+        messageId: message.messageId.toString(),
+        data: Buffer.from(message.data).toString('base64')
+      })),
+      evictedThrough: buffer.evictedThrough.toString(),
+      ...(session.identity ? { identity: session.identity } : {}),
+      ...(session.claims ? { claims: session.claims } : {}),
+      ...(session.resumeNonce ? { resumeNonce: session.resumeNonce } : {}),
+      reliable: this.toStoredReliableChannel(session)
+    };
+  }
+
+  private toStoredReliableChannel(session: ClientSession): StoredReliableChannel {
+    const channel = session.reliable.snapshot();
+    return {
+      nextSequence: channel.nextSequence.toString(),
+      expectedSequence: channel.expectedSequence.toString(),
+      unacked: channel.unacked.map(({ sequence, frame }) => ({
+        sequence: sequence.toString(),
+        frame: Buffer.from(frame).toString('base64')
+      })),
+      outOfOrder: channel.outOfOrder.map(({ sequence, item }) => ({
+        sequence: sequence.toString(),
+        payload: Buffer.from(item.payload).toString('base64'),
+        messageId: item.messageId.toString(),
+        timestamp: item.timestamp.toString()
+      }))
+    };
+  }
+
+  private fromStoredReliableChannel(stored: StoredReliableChannel): ReliableChannelSnapshot<InboundMessage> {
+    return {
+      nextSequence: BigInt(stored.nextSequence),
+      expectedSequence: BigInt(stored.expectedSequence),
+      unacked: stored.unacked.map(({ sequence, frame }) => ({
+        sequence: BigInt(sequence),
+        frame: new Uint8Array(Buffer.from(frame, 'base64'))
+      })),
+      outOfOrder: stored.outOfOrder.map(({ sequence, payload, messageId, timestamp }) => ({
+        sequence: BigInt(sequence),
+        item: {
+          payload: new Uint8Array(Buffer.from(payload, 'base64')),
+          messageId: BigInt(messageId),
+          timestamp: BigInt(timestamp)
+        }
+      }))
+    };
+  }
+
+  private fromStoredSession(stored: StoredSession, ws: WebSocket): ClientSession {
+    const session = this.createSession(stored.id, ws);
+    session.lastMessageId = BigInt(stored.lastMessageId);
+    session.connectedAt = new Date(stored.connectedAt);
+    if (stored.identity) {
+      session.identity = stored.identity;
+    }
+    if (stored.claims) {
+      session.claims = stored.claims;
+    }
+    if (stored.resumeNonce) {
+      session.resumeNonce = stored.resumeNonce;
+    }
+    session.messageBuffer.restore(
+      stored.bufferedMessages.map((message) => ({
+        messageId: BigInt(message.messageId),
+        data: new Uint8Array(Buffer.from(message.data, 'base64'))
+      })),
+      BigInt(stored.evictedThrough)
+    );
+    // Sessions stored before the channel was kept start their sequences over
+    if (stored.reliable) {
+      session.reliable.restore(this.fromStoredReliableChannel(stored.reliable));
+    }
+    return session;
+  }
+
+  private restoreRooms(session: ClientSession, rooms: string[]): void {
+    rooms.forEach((room) => {
+      if (this.roomManager.join(session.id, room)) {
+        this.emit('join', session, room);
+      }
+    });
+  }
+
+  /**
+   * Write a session to the store. Never rejects; store failures are emitted as errors.
+   */
+  private persistSession(session: ClientSession): Promise<void> {
+    return this.config.sessionStore.set(this.toStoredSession(session), this.config.sessionTimeout)
+      .catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  /**
+   * Coalesce writes for a disconnected session that is receiving a burst of messages
+   */
+  private schedulePersist(session: ClientSession): void {
+    if (this.pendingPersists.has(session.id)) {
+      return;
+    }
+
+    this.pendingPersists.add(session.id);
+    setImmediate(() => {
+      this.pendingPersists.delete(session.id);
+      if (this.disconnectedSessions.get(session.id) === session) {
+        void this.persistSession(session);
+      }
+    });
+  }
+
+  private forgetStoredSession(sessionId: string): void {
+    this.config.sessionStore.delete(sessionId).catch((error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  private handleDataMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    if (!client) {
+      this.sendErrorToWebSocket(ws, 401, 'Client not authenticated');
+      return;
+    }
+
+    const dataMsg = message.data(new DataMessage());
+    if (!dataMsg) {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid data message');
+      return;
+    }
+
+    let payload = new Uint8Array(dataMsg.payloadLength());
+    for (let i = 0; i < dataMsg.payloadLength(); i++) {
+      payload[i] = dataMsg.payload(i) ?? 0;
+    }
+
+    if (client.cipher || dataMsg.keyId() !== 0) {
+      try {
+        if (!client.cipher) {
+          throw new DecryptionError('Sealed payload on an unencrypted session');
+        }
+        payload = client.cipher.open(payload, dataMsg.keyId(), { kind: 'data', id: dataMsg.messageId(), position: dataMsg.sequence() });
+      } catch (error) {
+        this.handleDecryptionFailure(client, error instanceof Error ? error : new Error(String(error)));
+        return;
+      }
+    }
+
+    const compression = dataMsg.compression();
+    if (compression !== Compression.None) {
+      try {
+        if (!client.compression) {
+          throw new CompressionError('Compressed payload on a session that did not agree to compress');
+        }
+        payload = this.compressor.decompress(payload, compression, this.compressor.maxInflatedSize ?? this.messageSize.limitFor('Data', client));
+      } catch (error) {
+        this.handleDecompressionFailure(client, error instanceof CompressionError ? error : new CompressionError(String(error)));
+        return;
+      }
+    }
+
+    client.lastMessageId = dataMsg.messageId();
+
+    // Reliable messages are acked even when they are duplicates, then released in order
+    const sequence = dataMsg.sequence();
+    if (sequence > 0n) {
+      if (!client.reliable.accepts(sequence)) {
+        return;
+      }
+      this.sendAck(ws, sequence);
+      client.reliable.receive(sequence, { payload, messageId: dataMsg.messageId(), timestamp: dataMsg.timestamp() })
+        .forEach((inbound) => this.dispatchMessage(client, inbound.payload, inbound.messageId, inbound.timestamp));
+      return;
+    }
+
+    this.dispatchMessage(client, payload, dataMsg.messageId(), dataMsg.timestamp());
+  }
+
+  /**
+   * A payload that does not open means the keys no longer match or the bytes
+   * were tampered with: report it and close, so the client reconnects with a
+   * fresh key exchange
+   */
+  private handleDecryptionFailure(client: ClientSession, error: Error): void {
+    this.securityManager.logSecurityEvent(SecurityEventType.DecryptionFailed, client.id, { reason: error.message });
+    this.sendErrorToWebSocket(client.ws, 400, 'Decryption failed');
+    client.ws.close(1008, 'Decryption failed');
+  }
+
+  /**
+   * A payload that inflates past the limit is treated like a frame over
+   * maxPayload and closes the socket; one that is merely corrupt is refused
+   */
+  private handleDecompressionFailure(client: ClientSession, error: CompressionError): void {
+    if (error.tooLarge) {
+      this.securityManager.logSecurityEvent(SecurityEventType.DecompressionBomb, client.id, { reason: error.message });
+      this.sendErrorToWebSocket(client.ws, 413, 'Message too large once inflated');
+      client.ws.close(1009, 'Message too large');
+      return;
+    }
+    this.securityManager.logSecurityEvent(SecurityEventType.InvalidMessage, client.id, error.message);
+    this.sendErrorToWebSocket(client.ws, 400, 'Invalid compressed payload');
+  }
+
+  /**
+   * Pass an inbound payload through the onMessage middlewares, which may
+   * replace it or drop it by returning null, then emit 'message'. A session's
+   * messages are emitted in the order they arrived even if a middleware is async.
+   */
+  private dispatchMessage(client: ClientSession, payload: Uint8Array, messageId: bigint, timestamp: bigint): void {
+    if (!this.authorize(client, 'message')) {
+      return;
+    }
 
-    console.log(`Client connected: ${sessionId} (version: ${clientVersion})`);
-    this.emit('connection', client);
+    const middlewares = this.middlewares.filter((middleware) => middleware.onMessage);
+    const previous = this.messageChains.get(client);
+    if (middlewares.length === 0 && !previous) {
+      this.emit('message', payload, messageId, timestamp, client);
+      return;
+    }
+
+    const next: Promise<void> = (previous ?? Promise.resolve())
+      .then(async () => {
+        let current: Uint8Array | null = payload;
+        for (const middleware of middlewares) {
+          const hook = middleware.onMessage;
+          current = hook ? await hook.call(middleware, this, client.id, current, client) : current;
+          if (current === null) {
+            return;
+          }
+        }
+        this.emit('message', current, messageId, timestamp, client);
+      })
+      .catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      })
+      .finally(() => {
+        if (this.messageChains.get(client) === next) {
+          this.messageChains.delete(client);
+        }
+      });
+    this.messageChains.set(client, next);
   }
 
-  private handleReconnectMessage(ws: WebSocket, message: Message): void {
-    const reconnectMsg = message.data(new ReconnectMessage());
-    if (!reconnectMsg) {
-      this.sendErrorToWebSocket(ws, 400, 'Invalid reconnect message');
+  private handleAckMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    const ackMsg = message.data(new AckMessage());
+    if (client && ackMsg) {
+      client.reliable.acknowledge(ackMsg.sequence());
+    }
+  }
+
+  /**
+   * Accept a stream the client opens, within the session's memory budget, and
+   * hand it to the 'stream' listeners. Refusals go back as a StreamEnd.
+   */
+  private handleStreamOpenMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    if (!client) {
+      this.sendErrorToWebSocket(ws, 401, 'Client not authenticated');
       return;
     }
 
-    const sessionId = reconnectMsg.sessionId();
+    const openMsg = message.data(new StreamOpenMessage());
+    if (!openMsg || client.streams.has(openMsg.streamId()) || client.uploads.has(openMsg.streamId())) {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid stream open message');
+      return;
+    }
 
-    if (!sessionId) {
-      this.sendErrorToWebSocket(ws, 400, 'Session ID required');
+    const id = openMsg.streamId();
+    const name = openMsg.name() ?? '';
+    const size = openMsg.size() > 0n ? Number(openMsg.size()) : undefined;
+    const sha256 = openMsg.sha256Array();
+    const { windowSize, maxBufferedBytes, maxStreamSize } = this.streamConfig;
+    const decision = this.checkPolicy(client, 'stream', name);
+    let refusal: string | undefined;
+    if (!decision.allowed) {
+      refusal = decision.reason;
+    } else if (sha256 === null && (this.eventListeners.get('stream')?.size ?? 0) === 0) {
+      refusal = 'Streams not accepted';
+    } else if ((this.openStreamCount(client) + 1) * windowSize > maxBufferedBytes) {
+      refusal = 'Too many open streams';
+    } else if (size !== undefined && size > maxStreamSize) {
+      refusal = 'Stream too large';
+    }
+    if (refusal !== undefined) {
+      this.sendStreamEnd(client, id, refusal);
       return;
     }
 
-    // Check if we have a disconnected session to restore
-    const disconnectedSession = this.disconnectedSessions.get(sessionId);
-    if (disconnectedSession) {
-      // Restore session
-      disconnectedSession.ws = ws;
-      disconnectedSession.lastHeartbeat = new Date();
-      disconnectedSession.isAlive = true;
-
-      this.clients.set(sessionId, disconnectedSession);
-      this.disconnectedSessions.delete(sessionId);
-
-      // Replay buffered messages if any
-      if (disconnectedSession.messageBuffer.length > 0) {
-        disconnectedSession.messageBuffer.forEach((bufferedData) => {
-          this.sendToClient(disconnectedSession, bufferedData);
-        });
-        disconnectedSession.messageBuffer = [];
+    const metadata = openMsg.metadata();
+    if (sha256 !== null) {
+      const sink = this.uploadSink;
+      if (!sink) {
+        this.sendStreamEnd(client, id, 'Files not accepted');
+        return;
       }
+      this.openUpload(client, id, { sessionId: client.id, name, size: size ?? 0, ...(metadata !== null ? { metadata } : {}) }, Uint8Array.from(sha256), sink);
+      return;
+    }
 
-      console.log(`Client reconnected: ${sessionId}`);
-      this.emit('connection', disconnectedSession);
-    } else {
-      // No session to restore, treat as new connection
-      this.sendErrorToWebSocket(ws, 404, 'Session not found');
+    const stream = new IncomingStream({ id, name, ...(size !== undefined ? { size } : {}), ...(metadata !== null ? { metadata } : {}) }, windowSize, maxStreamSize, {
+      acknowledge: (offset, window) => this.sendStreamAck(client, id, offset, window),
+      cancel: (error) => {
+        client.streams.delete(id);
+        this.sendStreamEnd(client, id, error);
+      }
+    });
+    client.streams.set(id, stream);
+    // A finished stream keeps its budget until it has been read to the end
+    stream.once('close', () => {
+      if (client.streams.get(id) === stream) {
+        client.streams.delete(id);
+      }
+    });
+
+    this.sendStreamAck(client, id, 0, windowSize);
+    this.emit('stream', stream, client);
+  }
+
+  private handleStreamChunkMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    const chunkMsg = message.data(new StreamChunkMessage());
+    if (!client || !chunkMsg) {
+      return;
+    }
+    const stream = client.streams.get(chunkMsg.streamId()) ?? client.uploads.get(chunkMsg.streamId());
+    if (!stream) {
+      // Chunks still in flight when the server ended the stream
+      return;
+    }
+
+    let payload: Uint8Array = chunkMsg.payloadArray() ?? new Uint8Array(0);
+    if (client.cipher || chunkMsg.keyId() !== 0) {
+      try {
+        if (!client.cipher) {
+          throw new DecryptionError('Sealed payload on an unencrypted session');
+        }
+        payload = client.cipher.open(payload, chunkMsg.keyId(), { kind: 'chunk', id: BigInt(chunkMsg.streamId()), position: chunkMsg.offset() });
+      } catch (error) {
+        this.handleDecryptionFailure(client, error instanceof Error ? error : new Error(String(error)));
+        return;
+      }
+    }
+
+    const error = stream.receive(Number(chunkMsg.offset()), payload);
+    if (error !== undefined) {
+      if (stream instanceof FileUpload) {
+        this.cancelUpload(client, stream, error);
+      } else {
+        this.cancelStream(client, stream, error);
+      }
     }
   }
 
-  private handleDataMessage(ws: WebSocket, message: Message): void {
+  private handleStreamEndMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    const endMsg = message.data(new StreamEndMessage());
+    const upload = endMsg ? client?.uploads.get(endMsg.streamId()) : undefined;
+    if (client && endMsg && upload) {
+      this.handleUploadEnd(client, upload, endMsg);
+      return;
+    }
+    const stream = endMsg ? client?.streams.get(endMsg.streamId()) : undefined;
+    if (!client || !endMsg || !stream) {
+      return;
+    }
+
+    const cancelled = endMsg.error();
+    if (cancelled !== null) {
+      client.streams.delete(stream.id);
+      stream.abort(cancelled);
+      return;
+    }
+    const error = stream.finish(Number(endMsg.size()));
+    if (error !== undefined) {
+      this.cancelStream(client, stream, error);
+    }
+  }
+
+  /**
+   * End a stream the client broke the protocol on, telling both the client and the stream's reader
+   */
+  private cancelStream(client: ClientSession, stream: IncomingStream, reason: string): void {
+    client.streams.delete(stream.id);
+    this.sendStreamEnd(client, stream.id, reason);
+    stream.abort(reason);
+  }
+
+  private openUpload(client: ClientSession, id: number, info: UploadInfo, sha256: Uint8Array, sink: UploadSink): void {
+    const upload = new FileUpload(id, info, sha256, this.streamConfig.windowSize, sink, {
+      acknowledge: (offset, window) => this.sendStreamAck(client, id, offset, window),
+      cancel: (error) => {
+        client.uploads.delete(id);
+        this.sendStreamEnd(client, id, error);
+      },
+      fail: (error) => this.emit('error', error)
+    });
+    client.uploads.set(id, upload);
+    this.sendStreamAck(client, id, 0, this.streamConfig.windowSize);
+  }
+
+  private handleUploadEnd(client: ClientSession, upload: FileUpload, endMsg: StreamEndMessage): void {
+    const cancelled = endMsg.error();
+    if (cancelled !== null) {
+      client.uploads.delete(upload.id);
+      this.discardUpload(upload);
+      return;
+    }
+    if (upload.ending) {
+      // Sent again after a reconnect while the file was being stored
+      return;
+    }
+
+    upload.finish(Number(endMsg.size())).then((file) => {
+      // The upload stays until the client's next reconnect, in case this ack is lost
+      this.sendStreamAck(client, upload.id, file.size, 0);
+      this.emit('file', file, client);
+    }, (error: unknown) => {
+      if (client.uploads.get(upload.id) === upload) {
+        client.uploads.delete(upload.id);
+        this.sendStreamEnd(client, upload.id, error instanceof UploadError ? error.message : 'Storage failed');
+      }
+      if (!(error instanceof UploadError)) {
+        this.discardUpload(upload);
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      }
+    });
+  }
+
+  private cancelUpload(client: ClientSession, upload: FileUpload, reason: string): void {
+    client.uploads.delete(upload.id);
+    this.sendStreamEnd(client, upload.id, reason);
+    this.discardUpload(upload);
+  }
+
+  /**
+   * Carry on with the uploads the client listed in its Reconnect, and give up
+   * on the ones it no longer mentions
+   */
+  private resumeUploads(session: ClientSession, uploads: Set<number>): void {
+    uploads.forEach((id) => {
+      const upload = session.uploads.get(id);
+      if (!upload) {
+        // Finished or abandoned here, or started on another instance
+        this.sendStreamEnd(session, id, 'Unknown upload');
+        return;
+      }
+      upload.resume().catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+    });
+    session.uploads.forEach((upload, id) => {
+      if (!uploads.has(id)) {
+        session.uploads.delete(id);
+        this.discardUpload(upload);
+      } else if (upload.completed) {
+        session.uploads.delete(id);
+      }
+    });
+  }
+
+  // Partial uploads are thrown away with the session they belong to
+  private abandonUploads(session: ClientSession): void {
+    session.uploads.forEach((upload) => this.discardUpload(upload));
+    session.uploads.clear();
+  }
+
+  private discardUpload(upload: FileUpload): void {
+    upload.abort().catch((error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
+  }
+
+  // Streams and unfinished uploads each hold up to a window of the session's memory budget
+  private isOpenStream(client: ClientSession, streamId: number | undefined): boolean {
+    if (streamId === undefined) {
+      return false;
+    }
+    const upload = client.uploads.get(streamId);
+    return client.streams.has(streamId) || (upload !== undefined && !upload.completed);
+  }
+
+  private openStreamCount(client: ClientSession): number {
+    let count = client.streams.size;
+    client.uploads.forEach((upload) => {
+      if (!upload.completed) {
+        count++;
+      }
+    });
+    return count;
+  }
+
+  // Streams do not outlive the socket they were sent over
+  private abortStreams(client: ClientSession, reason: string): void {
+    client.streams.forEach((stream) => stream.abort(reason));
+    client.streams.clear();
+  }
+
+  private sendStreamAck(client: ClientSession, streamId: number, offset: number, window: number): void {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(64);
+    const ackMsg = StreamAckMessage.createStreamAckMessage(builder, streamId, BigInt(offset), window);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.StreamAck);
+    Message.addDataType(builder, MessageData.StreamAckMessage);
+    Message.addData(builder, ackMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    client.ws.send(builder.asUint8Array());
+  }
+
+  private sendStreamEnd(client: ClientSession, streamId: number, error: string): void {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(256);
+    const errorOffset = builder.createString(error);
+    const endMsg = StreamEndMessage.createStreamEndMessage(builder, streamId, 0n, errorOffset);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.StreamEnd);
+    Message.addDataType(builder, MessageData.StreamEndMessage);
+    Message.addData(builder, endMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    client.ws.send(builder.asUint8Array());
+  }
+
+  private sendAck(ws: WebSocket, sequence: bigint): void {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const builder = new flatbuffers.Builder(64);
+    const ackMsg = AckMessage.createAckMessage(builder, sequence);
+
+    Message.startMessage(builder);
+    Message.addType(builder, MessageType.Ack);
+    Message.addDataType(builder, MessageData.AckMessage);
+    Message.addData(builder, ackMsg);
+    const message = Message.endMessage(builder);
+
+    builder.finish(message);
+    ws.send(builder.asUint8Array());
+  }
+
+  private handleRequestMessage(ws: WebSocket, message: Message): void {
+    const requestMsg = message.data(new RequestMessage());
+    if (!requestMsg) {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid request message');
+      return;
+    }
+
+    const requestId = requestMsg.requestId();
+    const client = this.findClientByWebSocket(ws);
+    if (!client) {
+      this.sendErrorToWebSocket(ws, 401, 'Client not authenticated', requestId);
+      return;
+    }
+
+    const method = requestMsg.method() ?? '';
+    if (!this.authorize(client, 'request', method, requestId)) {
+      return;
+    }
+
+    const handler = this.requestHandlers.get(method);
+    if (!handler) {
+      this.sendErrorToWebSocket(ws, 404, `Unknown method: ${method}`, requestId);
+      return;
+    }
+
+    // Copy the payload out of the receive buffer before handing it to async code
+    const payload = new Uint8Array(requestMsg.payloadArray() ?? new Uint8Array());
+
+    Promise.resolve()
+      .then(() => handler(payload, client))
+      .then((result) => {
+        this.sendResponse(client, requestId, result ?? new Uint8Array());
+      })
+      .catch((error: unknown) => {
+        if (error instanceof RequestError) {
+          this.sendErrorToWebSocket(client.ws, error.code, error.message, requestId);
+          return;
+        }
+        this.sendErrorToWebSocket(client.ws, 500, 'Internal server error', requestId);
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
+  }
+
+  private sendResponse(client: ClientSession, requestId: bigint, data: Uint8Array, status: number = 200): boolean {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    try {
+      const builder = new flatbuffers.Builder(1024 + data.length);
+      const payload = ResponseMessage.createPayloadVector(builder, data);
+
+      ResponseMessage.startResponseMessage(builder);
+      ResponseMessage.addRequestId(builder, requestId);
+      ResponseMessage.addStatus(builder, status);
+      ResponseMessage.addPayload(builder, payload);
+      ResponseMessage.addTimestamp(builder, BigInt(Date.now()));
+      const responseMsg = ResponseMessage.endResponseMessage(builder);
+
+      Message.startMessage(builder);
+      Message.addType(builder, MessageType.Response);
+      Message.addDataType(builder, MessageData.ResponseMessage);
+      Message.addData(builder, responseMsg);
+      const message = Message.endMessage(builder);
+
+      builder.finish(message);
+      client.ws.send(builder.asUint8Array());
+
+      this.stats.messagesSent++;
+      return true;
+    } catch (error) {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      return false;
+    }
+  }
+
+  private handleSubscribeMessage(ws: WebSocket, message: Message): void {
     const client = this.findClientByWebSocket(ws);
     if (!client) {
       this.sendErrorToWebSocket(ws, 401, 'Client not authenticated');
       return;
     }
 
-    const dataMsg = message.data(new DataMessage());
-    if (!dataMsg) {
-      this.sendErrorToWebSocket(ws, 400, 'Invalid data message');
+    const topic = message.data(new SubscribeMessage())?.topic();
+    if (!topic) {
+      this.sendErrorToWebSocket(ws, 400, 'Invalid subscribe message');
       return;
     }
 
-    const payload = new Uint8Array(dataMsg.payloadLength());
-    for (let i = 0; i < dataMsg.payloadLength(); i++) {
-      payload[i] = dataMsg.payload(i) ?? 0;
+    if (this.authorize(client, 'subscribe', topic)) {
+      client.subscriptions.add(topic);
     }
+  }
 
-    client.lastMessageId = dataMsg.messageId();
-    this.emit('message', payload, dataMsg.messageId(), dataMsg.timestamp(), client);
+  /**
+   * Check something a client asked to do against the authorization policy,
+   * sending the deny reason back as a 403 when it is not allowed
+   */
+  private authorize(session: ClientSession, action: PolicyAction, resource?: string, requestId?: bigint): boolean {
+    const decision = this.checkPolicy(session, action, resource);
+    if (!decision.allowed && session.ws.readyState === WebSocket.OPEN) {
+      this.sendErrorToWebSocket(session.ws, 403, decision.reason, requestId);
+    }
+    return decision.allowed;
+  }
+
+  /**
+   * Evaluate the authorization policy against the session's identity and JWT
+   * claims, logging denials as security events
+   */
+  private checkPolicy(session: ClientSession, action: PolicyAction, resource?: string): PolicyDecision {
+    if (!this.policy) {
+      return { allowed: true };
+    }
+
+    const claims: Record<string, unknown> = {
+      ...session.identity?.claims,
+      ...session.claims,
+      ...(session.identity?.userId !== undefined ? { userId: session.identity.userId } : {})
+    };
+    const decision = this.policy.evaluate({ action, ...(resource !== undefined ? { resource } : {}), claims });
+    if (!decision.allowed) {
+      this.securityManager.logSecurityEvent(SecurityEventType.AuthorizationDenied, session.id, { action, resource, reason: decision.reason });
+    }
+    return decision;
+  }
+
+  private handleUnsubscribeMessage(ws: WebSocket, message: Message): void {
+    const client = this.findClientByWebSocket(ws);
+    if (!client) {
+      return;
+    }
+
+    const topic = message.data(new UnsubscribeMessage())?.topic();
+    if (topic) {
+      client.subscriptions.delete(topic);
+    }
   }
 
   private handleHeartbeatMessage(ws: WebSocket, _message: Message): void {
@@ -640,19 +2572,31 @@ export class SigmaSocketServer {
   }
 
   private handleWebSocketClose(ws: WebSocket, code: number, reason: string): void {
+    this.heldMessages.delete(ws);
+    const queued = this.admissionQueue.findIndex((entry) => entry.ws === ws);
+    // A queued socket that closes is let through so its held messages settle;
+    // otherwise the slot this socket held goes to the longest-waiting queued one still open
+    const index = queued !== -1
+      ? queued
+      : this.admissionQueue.findIndex((entry) => entry.ws.readyState === WebSocket.OPEN);
+    const [entry] = index !== -1 ? this.admissionQueue.splice(index, 1) : [];
+    if (entry) {
+      entry.admit();
+    }
+
     const client = this.findClientByWebSocket(ws);
     if (client) {
-      // Move to disconnected sessions for potential reconnection
+      // Move to disconnected sessions for potential reconnection; the store
+      // copy lets another instance, or this one after a restart, resume it
       this.clients.delete(client.id);
       this.disconnectedSessions.set(client.id, client);
+      this.clearTokenTimer(client.id);
+      this.releaseSlowConsumer(client);
+      this.abortStreams(client, 'Connection closed');
+      void this.persistSession(client);
 
       console.log(`Client disconnected: ${client.id} (code: ${code}, reason: ${reason})`);
-      this.emit('disconnection', client, reason);
-
-      // Schedule cleanup of disconnected session
-      setTimeout(() => {
-        this.disconnectedSessions.delete(client.id);
-      }, this.config.sessionTimeout);
+      this.notifyDisconnection(client, reason);
     }
   }
 
@@ -664,19 +2608,46 @@ export class SigmaSocketServer {
     this.emit('error', error);
   }
 
-  private disconnectClient(client: ClientSession, reason: string): void {
+  private disconnectClient(client: ClientSession, reason: string, endSession: boolean = true): void {
     if (client.ws.readyState === WebSocket.OPEN) {
       client.ws.close(1000, reason);
     }
     this.clients.delete(client.id);
+    this.clearTokenTimer(client.id);
+    this.releaseSlowConsumer(client);
+    this.abortStreams(client, reason);
     
     // Remove from advanced features connection pool
     this.advancedFeaturesManager.removeFromConnectionPool(client.id);
     
+    this.notifyDisconnection(client, reason);
+
+    // An explicit disconnect ends the session, so it will not rejoin its rooms
+    client.reliable.close();
+    this.abandonUploads(client);
+    this.leaveRooms(client);
+    if (endSession) {
+      this.forgetStoredSession(client.id);
+    }
+  }
+
+  private notifyDisconnection(client: ClientSession, reason: string): void {
     this.emit('disconnection', client, reason);
+
+    const middlewares = this.middlewares.filter((middleware) => middleware.onDisconnection);
+    if (middlewares.length === 0) {
+      return;
+    }
+    void (async () => {
+      for (const middleware of middlewares) {
+        await middleware.onDisconnection?.(this, client.id, reason);
+      }
+    })().catch((error: unknown) => {
+      this.emit('error', error instanceof Error ? error : new Error(String(error)));
+    });
   }
 
-  private sendErrorToWebSocket(ws: WebSocket, code: number, message: string): void {
+  private sendErrorToWebSocket(ws: WebSocket, code: number, message: string, requestId?: bigint): void {
     if (ws.readyState !== WebSocket.OPEN) {
       return;
     }
@@ -688,6 +2659,9 @@ export class SigmaSocketServer {
       ErrorMessage.startErrorMessage(builder);
       ErrorMessage.addCode(builder, code);
       ErrorMessage.addMessage(builder, errorMsg);
+      if (requestId !== undefined) {
+        ErrorMessage.addRequestId(builder, requestId);
+      }
       const errorMsgObj = ErrorMessage.endErrorMessage(builder);
 
       Message.startMessage(builder);
@@ -703,6 +2677,26 @@ export class SigmaSocketServer {
     }
   }
 
+  private findSession(sessionId: string): ClientSession | undefined {
+    return this.clients.get(sessionId) ?? this.disconnectedSessions.get(sessionId);
+  }
+
+  /**
+   * Drop a disconnected session that was not resumed in time
+   */
+  private expireSession(sessionId: string): void {
+    const session = this.disconnectedSessions.get(sessionId);
+    if (!session) {
+      // Already expired, or the client reconnected in the meantime
+      return;
+    }
+
+    this.disconnectedSessions.delete(sessionId);
+    session.reliable.close();
+    this.abandonUploads(session);
+    this.leaveRooms(session);
+  }
+
   private findClientByWebSocket(ws: WebSocket): ClientSession | undefined {
     for (const client of this.clients.values()) {
       if (client.ws === ws) {
@@ -733,6 +2727,12 @@ export class SigmaSocketServer {
           client.lastPingTime = Date.now();
           client.ws.ping(); // Fixed: use ping() instead of pong()
         }
+
+        // Keep the client's resume token valid for a full session timeout past any disconnect
+        const tokenExpiresAt = client.resumeTokenExpiresAt ?? 0;
+        if (tokenExpiresAt - Date.now() < this.config.sessionTimeout + this.config.heartbeatInterval) {
+          this.sendResumeToken(client, false);
+        }
       });
     }, this.config.heartbeatInterval);
   }
@@ -740,18 +2740,34 @@ export class SigmaSocketServer {
   private startCleanup(): void {
     this.cleanupTimer = setInterval(() => {
       const now = Date.now();
+      this.admission.prune();
       const timeout = this.config.sessionTimeout;
 
       // Clean up old disconnected sessions
       this.disconnectedSessions.forEach((session, sessionId) => {
         if (now - session.lastHeartbeat.getTime() > timeout) {
-          this.disconnectedSessions.delete(sessionId);
+          this.expireSession(sessionId);
           console.log(`Cleaned up expired session: ${sessionId}`);
         }
       });
+
+      this.config.sessionStore.expire().catch((error: unknown) => {
+        this.emit('error', error instanceof Error ? error : new Error(String(error)));
+      });
     }, this.config.sessionTimeout / 2);
   }
 
+  private banIP(ip: string, ttl: number | undefined, reason: string): Ban {
+    const ban = this.securityManager.ban(ip, ttl, reason);
+    this.securityManager.logSecurityEvent(SecurityEventType.IpBanned, 'unknown', ban);
+    this.wsServer.clients.forEach((ws) => {
+      if (this.clientIPs.get(ws) === ban.ip) {
+        ws.close(1008, 'Banned');
+      }
+    });
+    return ban;
+  }
+
   private clearTimers(): void {
     if (this.heartbeatTimer) {
       clearInterval(this.heartbeatTimer);
@@ -762,6 +2778,11 @@ export class SigmaSocketServer {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
+
+    this.tokenTimers.forEach((timer) => clearTimeout(timer));
+    this.tokenTimers.clear();
+    this.drainTimers.forEach((timer) => clearInterval(timer));
+    this.drainTimers.clear();
   }
 
   /**
@@ -905,7 +2926,12 @@ export class SigmaSocketServer {
   }
 
   private generateMessageId(): bigint {
-    return BigInt(Date.now()) * 1000n + BigInt(Math.floor(Math.random() * 1000));
+    // Strictly increasing so reconnecting clients can resume after their last id
+    const candidate = BigInt(Date.now()) * 1000n;
+    this.lastGeneratedMessageId = candidate > this.lastGeneratedMessageId
+      ? candidate
+      : this.lastGeneratedMessageId + 1n;
+    return this.lastGeneratedMessageId;
   }
 
   private emit<K extends keyof SigmaSocketServerEvents>(event: K, ...args: Parameters<SigmaSocketServerEvents[K]>): void {
@@ -919,15 +2945,82 @@ export class SigmaSocketServer {
         }
       });
     }
+
+    if (event === 'error') {
+      this.notifyErrorMiddlewares(args[0] as Error);
+    }
+  }
+
+  private notifyErrorMiddlewares(error: Error): void {
+    this.middlewares.forEach((middleware) => {
+      const hook = middleware.onError;
+      if (!hook) {
+        return;
+      }
+      // Reported to the console rather than emitted, which would loop back here
+      Promise.resolve()
+        .then(() => hook.call(middleware, this, error))
+        .catch((hookError: unknown) => console.error(`Error in ${middleware.name} onError middleware:`, hookError));
+    });
   }
 }
 
+export { RequestError } from './errors';
+export { MemorySessionStore } from './session-store';
+export type { SessionStore, StoredSession, StoredReliableChannel } from './session-store';
+export { FileSessionStore } from './file-session-store';
+export { RedisSessionStore } from './redis-session-store';
+export type { RedisSessionStoreOptions } from './redis-session-store';
+export { InProcessBroker, InProcessAdapter } from './adapter';
+export type { ScalingAdapter, AdapterMessage, AdapterHandler } from './adapter';
+export { RedisPubSubAdapter } from './redis-pubsub-adapter';
+export type { RedisPubSubAdapterOptions } from './redis-pubsub-adapter';
+export { JwtVerifier } from './jwt';
+export type { JwtAlgorithm, JwtClaims, JwtConfig, JwtVerification } from './jwt';
+export type { SecurityConfig, SecurityStats, SecurityEventCounts } from './security';
+export { SecurityEventType, ConsoleEventSink, MemoryEventSink } from './security-events';
+export type { SecurityEvent, SecurityEventSink, SecuritySeverity } from './security-events';
+export type { Ban, BanConfig } from './ip-blocklist';
+export { MessageSizePolicy, defaultMessageSizeConfig } from './message-size';
+export { OriginAllowlist } from './origin-policy';
+export type { AdmissionConfig } from './admission-control';
+export { PayloadCipher, DecryptionError } from './payload-encryption';
+export type { EncryptionConfig, CipherRole, KeyAgreement, SealedPayload } from './payload-encryption';
+export { PayloadCompressor, CompressionError } from './payload-compression';
+export type { CompressionConfig, CompressedPayload } from './payload-compression';
+export { Compression } from './generated/sigma-sockets/compression';
+export { IncomingStream, StreamCancelledError } from './incoming-stream';
+export type { StreamConfig, StreamInfo } from './incoming-stream';
+export { FileUpload, MemoryUploadSink, UploadError } from './file-upload';
+export type { UploadSink, UploadWriter, UploadInfo, ReceivedFile } from './file-upload';
+export { DirectoryUploadSink } from './directory-upload-sink';
+export { BackpressurePolicy } from './backpressure';
+export type { BackpressureConfig, SlowConsumerPolicy } from './backpressure';
+export type { OriginPattern, OriginPolicy } from './origin-policy';
+export type { MessageSizeConfig } from './message-size';
+export type { DosConfig } from './security';
+export { FileEventSink } from './file-event-sink';
+export type { FileEventSinkOptions } from './file-event-sink';
+export { SyslogEventSink } from './syslog-event-sink';
+export type { SyslogEventSinkOptions } from './syslog-event-sink';
+export type { AuthorizationPolicy, PolicyRule, PolicyAction, ClaimValue } from './policy';
+export { RateLimiter, defaultRateLimits } from './rate-limiter';
+export type { RateLimit, RateLimitAction, RateLimitConfig } from './rate-limiter';
+
 // Export types
 export type { 
   ClientSession, 
   ServerStats, 
   SigmaSocketServerConfig, 
   ConnectionQuality, 
-  ConnectionQualityMetrics 
+  ConnectionQualityMetrics,
+  RequestHandler,
+  RoomBroadcaster,
+  RoomHandler,
+  SendOptions,
+  SendResult,
+  ServerMiddleware,
+  AuthenticateHandler,
+  SessionIdentity
 } from './types';
 
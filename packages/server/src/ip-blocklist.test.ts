@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { IpBlocklist } from './ip-blocklist'
+
+describe('IpBlocklist', () => {
+  it('should double automatic bans up to the maximum', () => {
+    const blocklist = new IpBlocklist({ initialDuration: 1000, maxDuration: 3000 })
+
+    expect(blocklist.escalate('10.0.0.1', 'Denial of service', 0)).toMatchObject({ expiresAt: 1000, offenses: 1 })
+    expect(blocklist.escalate('10.0.0.1', 'Denial of service', 2000)).toMatchObject({ expiresAt: 4000, offenses: 2 })
+    expect(blocklist.escalate('10.0.0.1', 'Denial of service', 5000)).toMatchObject({ expiresAt: 8000, offenses: 3 })
+  })
+
+  it('should start over once an IP has been clean for forgetAfter', () => {
+    const blocklist = new IpBlocklist({ initialDuration: 1000, forgetAfter: 10000 })
+
+    blocklist.escalate('10.0.0.1', 'Denial of service', 0)
+    blocklist.escalate('10.0.0.1', 'Denial of service', 5000)
+    expect(blocklist.escalate('10.0.0.1', 'Denial of service', 20000)).toMatchObject({ expiresAt: 21000, offenses: 1 })
+  })
+
+  it('should expire, lift and list bans', () => {
+    const blocklist = new IpBlocklist()
+    blocklist.ban('10.0.0.1', 1000, 'Banned by operator', 0)
+    blocklist.ban('::ffff:10.0.0.2', 5000, 'Banned by operator', 0)
+
+    expect(blocklist.isBanned('10.0.0.1', 500)).toBe(true)
+    expect(blocklist.isBanned('10.0.0.1', 1000)).toBe(false)
+    // IPv4-mapped addresses are the same client
+    expect(blocklist.isBanned('10.0.0.2', 1000)).toBe(true)
+    expect(blocklist.list(1000).map((ban) => ban.ip)).toEqual(['10.0.0.2'])
+    expect(blocklist.unban('10.0.0.2')).toBe(true)
+    expect(blocklist.list(1000)).toEqual([])
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * IP Blocklist
+ * Temporary bans by client IP. Each automatic ban of the same IP lasts twice
+ * as long as the one before, up to `maxDuration`; an IP that stays clean for
+ * `forgetAfter` starts over at `initialDuration`. Operators can also ban and
+ * unban by hand, for as long as they like.
+ */
+export interface BanConfig {
+  // Ban IPs that detectDoSAttack flags (default: true)
+  enabled?: boolean;
+  // Length of a first automatic ban, in ms (default: 60000)
+  initialDuration?: number;
+  // Longest automatic ban, in ms (default: 24 hours)
+  maxDuration?: number;
+  // How long an IP must go without an offence for its bans to stop escalating, in ms (default: 24 hours)
+  forgetAfter?: number;
+}
+
+export interface Ban {
+  ip: string;
+  // ms since the epoch
+  expiresAt: number;
+  // Automatic bans this IP has collected, counting this one
+  offenses: number;
+  reason: string;
+}
+
+interface Offender {
+  offenses: number;
+  lastOffense: number;
+}
+
+export class IpBlocklist {
+  private bans: Map<string, Ban> = new Map();
+  private offenders: Map<string, Offender> = new Map();
+  private config: Required<BanConfig>;
+
+  constructor(config: BanConfig = {}) {
+    this.config = {
+      enabled: config.enabled ?? true,
+      initialDuration: config.initialDuration ?? 60000,
+      maxDuration: config.maxDuration ?? 24 * 60 * 60 * 1000,
+      forgetAfter: config.forgetAfter ?? 24 * 60 * 60 * 1000
+    };
+  }
+
+  get autoBan(): boolean {
+    return this.config.enabled;
+  }
+
+  /**
+   * Ban `ip` for `ttl` ms, replacing any ban it already has
+   */
+  ban(ip: string, ttl: number, reason: string = 'Banned by operator', now: number = Date.now()): Ban {
+    const key = normalizeIP(ip);
+    const ban = { ip: key, expiresAt: now + ttl, offenses: this.offenders.get(key)?.offenses ?? 0, reason };
+    this.bans.set(key, ban);
+    return ban;
+  }
+
+  /**
+   * Ban `ip` for the next step of its escalating backoff
+   */
+  escalate(ip: string, reason: string, now: number = Date.now()): Ban {
+    const key = normalizeIP(ip);
+    const previous = this.offenders.get(key);
+    const offenses = previous && now - previous.lastOffense < this.config.forgetAfter ? previous.offenses + 1 : 1;
+    this.offenders.set(key, { offenses, lastOffense: now });
+
+    const ttl = Math.min(this.config.initialDuration * 2 ** (offenses - 1), this.config.maxDuration);
+    return this.ban(key, ttl, reason, now);
+  }
+
+  unban(ip: string): boolean {
+    return this.bans.delete(normalizeIP(ip));
+  }
+
+  isBanned(ip: string, now: number = Date.now()): boolean {
+    const key = normalizeIP(ip);
+    const ban = this.bans.get(key);
+    if (ban && ban.expiresAt <= now) {
+      this.bans.delete(key);
+      return false;
+    }
+    return ban !== undefined;
+  }
+
+  list(now: number = Date.now()): Ban[] {
+    this.prune(now);
+    return [...this.bans.values()].map((ban) => ({ ...ban }));
+  }
+
+  /**
+   * Drop expired bans, and offenders that have been clean for `forgetAfter`
+   */
+  prune(now: number = Date.now()): void {
+    this.bans.forEach((ban, ip) => {
+      if (ban.expiresAt <= now) {
+        this.bans.delete(ip);
+      }
+    });
+    this.offenders.forEach((offender, ip) => {
+      if (now - offender.lastOffense >= this.config.forgetAfter) {
+        this.offenders.delete(ip);
+      }
+    });
+  }
+}
+
+/**
+ * IPv4 clients of a dual-stack server show up as `::ffff:a.b.c.d`
+ */
+export function normalizeIP(ip: string): string {
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice('::ffff:'.length) : ip;
+}
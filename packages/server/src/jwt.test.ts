@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createHmac, generateKeyPairSync, sign, type KeyObject } from 'crypto'
+import { mkdtemp, rm, utimes, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import type { IncomingMessage } from 'http'
+import { JwtVerifier, type JwtAlgorithm, type JwtClaims } from './jwt'
+
+const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url')
+const now = () => Math.floor(Date.now() / 1000)
+
+function signJwt(alg: JwtAlgorithm, key: KeyObject | string, claims: JwtClaims, kid?: string): string {
+  const body = `${encode({ alg, typ: 'JWT', ...(kid ? { kid } : {}) })}.${encode(claims)}`
+  const signature = alg === 'HS256'
+    ? createHmac('sha256', key).update(body).digest()
+    : sign('sha256', Buffer.from(body), alg === 'ES256' ? { key: key as KeyObject, dsaEncoding: 'ieee-p1363' } : key as KeyObject)
+  return `${body}.${signature.toString('base64url')}`
+}
+
+describe('JwtVerifier', () => {
+  let directory: string | undefined
+
+  afterEach(async () => {
+    if (directory) {
+      await rm(directory, { recursive: true, force: true })
+      directory = undefined
+    }
+  })
+
+  it('should verify HS256 tokens and reject forged ones', () => {
+    const verifier = new JwtVerifier({ secret: 'shh' })
+    const token = signJwt('HS256', 'shh', { sub: 'alice' })
+
+    expect(verifier.verify(token)).toEqual({ valid: true, claims: { sub: 'alice' } })
+    expect(verifier.verify(signJwt('HS256', 'guess', { sub: 'alice' }))).toEqual({ valid: false, error: 'Invalid signature' })
+    expect(verifier.verify('not-a-token')).toEqual({ valid: false, error: 'Malformed token' })
+    // The configured secret has no kid, so it accepts tokens whatever kid they name
+    expect(verifier.verify(signJwt('HS256', 'shh', { sub: 'alice' }, 'issuer-key-1')).valid).toBe(true)
+  })
+
+  it('should verify RS256 and ES256 tokens against a public key', () => {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' })
+
+    const rsaVerifier = new JwtVerifier({ publicKey: rsa.publicKey.export({ type: 'spki', format: 'pem' }) })
+    expect(rsaVerifier.verify(signJwt('RS256', rsa.privateKey, { sub: 'alice' })).valid).toBe(true)
+
+    const ecVerifier = new JwtVerifier({ publicKey: ec.publicKey.export({ type: 'spki', format: 'pem' }) })
+    expect(ecVerifier.verify(signJwt('ES256', ec.privateKey, { sub: 'alice' })).valid).toBe(true)
+    // The RSA key is no use for ES256, whatever the token claims
+    expect(rsaVerifier.verify(signJwt('ES256', ec.privateKey, { sub: 'alice' }))).toEqual({ valid: false, error: 'Unknown signing key' })
+  })
+
+  it('should not accept a public key as an HMAC secret', () => {
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const pem = rsa.publicKey.export({ type: 'spki', format: 'pem' }).toString()
+    const verifier = new JwtVerifier({ publicKey: pem })
+
+    expect(verifier.verify(signJwt('HS256', pem, { sub: 'mallory' }))).toEqual({ valid: false, error: 'Unknown signing key' })
+  })
+
+  it('should check exp, nbf, issuer and audience with clock tolerance', () => {
+    const verifier = new JwtVerifier({ secret: 'shh', clockTolerance: 5, issuer: 'auth', audience: 'chat' })
+    const claims = { iss: 'auth', aud: ['chat', 'admin'] }
+
+    expect(verifier.verify(signJwt('HS256', 'shh', { ...claims, exp: now() - 2 })).valid).toBe(true)
+    expect(verifier.verify(signJwt('HS256', 'shh', { ...claims, exp: now() - 10 }))).toEqual({ valid: false, error: 'Token expired' })
+    expect(verifier.verify(signJwt('HS256', 'shh', { ...claims, nbf: now() + 10 }))).toEqual({ valid: false, error: 'Token not yet valid' })
+    expect(verifier.verify(signJwt('HS256', 'shh', { ...claims, iss: 'other' }))).toEqual({ valid: false, error: 'Unexpected issuer' })
+    expect(verifier.verify(signJwt('HS256', 'shh', { iss: 'auth', aud: 'admin' }))).toEqual({ valid: false, error: 'Unexpected audience' })
+    expect(verifier.expiresAt({ exp: 100 })).toBe(105000)
+  })
+
+  it('should pick up rotated keys from the JWKS file', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'sigma-jwks-'))
+    const file = join(directory, 'jwks.json')
+    const [first, second] = [generateKeyPairSync('ec', { namedCurve: 'P-256' }), generateKeyPairSync('ec', { namedCurve: 'P-256' })]
+    const jwk = (pair: typeof first, kid: string) => ({ ...pair.publicKey.export({ format: 'jwk' }), kid, alg: 'ES256' })
+
+    await writeFile(file, JSON.stringify({ keys: [jwk(first, 'k1')] }))
+    const verifier = new JwtVerifier({ jwksFile: file, jwksRefreshInterval: 20 })
+    expect(verifier.verify(signJwt('ES256', first.privateKey, { sub: 'alice' }, 'k1')).valid).toBe(true)
+    expect(verifier.verify(signJwt('ES256', second.privateKey, { sub: 'alice' }, 'k2')).valid).toBe(false)
+
+    await writeFile(file, JSON.stringify({ keys: [jwk(second, 'k2')] }))
+    // Make the change visible even on filesystems with coarse timestamps
+    await utimes(file, new Date(), new Date(Date.now() + 2000))
+    const rotated = signJwt('ES256', second.privateKey, { sub: 'alice' }, 'k2')
+    const deadline = Date.now() + 2000
+    while (!verifier.verify(rotated).valid && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    expect(verifier.verify(rotated).valid).toBe(true)
+    expect(verifier.verify(signJwt('ES256', first.privateKey, { sub: 'alice' }, 'k1'))).toEqual({ valid: false, error: 'Unknown signing key' })
+    verifier.close()
+  })
+
+  it('should keep the cached keys while the JWKS file is broken', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'sigma-jwks-'))
+    const file = join(directory, 'jwks.json')
+    const pair = generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    const token = signJwt('ES256', pair.privateKey, { sub: 'alice' }, 'k1')
+
+    const missing = new JwtVerifier({ jwksFile: file })
+    expect(missing.verify(token)).toEqual({ valid: false, error: 'Signing keys unavailable' })
+    missing.close()
+
+    await writeFile(file, JSON.stringify({ keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'k1' }] }))
+    const verifier = new JwtVerifier({ jwksFile: file })
+    await writeFile(file, '{ half written')
+    await utimes(file, new Date(), new Date(Date.now() + 2000))
+    await verifier.refreshKeys()
+    expect(verifier.verify(token).valid).toBe(true)
+    verifier.close()
+  })
+
+  it('should find the token in the query string, protocol header or cookie', () => {
+    const verifier = new JwtVerifier({ secret: 'shh' })
+    const request = (url: string, headers: Record<string, string> = {}) => ({ url, headers }) as unknown as IncomingMessage
+
+    expect(verifier.tokenFrom(request('/?token=a.b.c'))).toBe('a.b.c')
+    expect(verifier.tokenFrom(request('/', { 'sec-websocket-protocol': 'chat, bearer.d.e.f' }))).toBe('d.e.f')
+    expect(verifier.tokenFrom(request('/', { cookie: 'theme=dark; token=g.h.i' }))).toBe('g.h.i')
+    expect(verifier.tokenFrom(request('/'))).toBeUndefined()
+    expect(verifier.tokenFrom(request('/', { cookie: 'token=%E0%A4%A' }))).toBeUndefined()
+  })
+})
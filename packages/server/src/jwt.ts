@@ -0,0 +1,285 @@
+import { createHmac, createPublicKey, createSecretKey, timingSafeEqual, verify, type JsonWebKey, type KeyObject } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { readFile, stat } from 'fs/promises';
+import type { IncomingMessage } from 'http';
+
+/**
+ * JWT Verification
+ * Checks compact JWS tokens signed with HS256, RS256 or ES256 against a shared
+ * secret, a PEM public key or the keys of a local JWKS file. The JWKS file is
+ * read again whenever it changes, so signing keys rotate by rewriting it: add
+ * the new key, move issuers over to it, then drop the old one.
+ */
+export type JwtAlgorithm = 'HS256' | 'RS256' | 'ES256';
+
+export interface JwtClaims {
+  sub?: string;
+  iss?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  [claim: string]: unknown;
+}
+
+export interface JwtConfig {
+  // HS256 shared secret
+  secret?: string | Buffer;
+  // PEM public key for RS256 or ES256
+  publicKey?: string | Buffer;
+  // Local JWKS file; tokens pick their key by `kid`
+  jwksFile?: string;
+  // How often the JWKS file is checked for changes, in ms (default: 5000)
+  jwksRefreshInterval?: number;
+  // Accepted algorithms (default: all three)
+  algorithms?: JwtAlgorithm[];
+  issuer?: string;
+  audience?: string;
+  // Clock skew allowed on exp, nbf and iat, in seconds (default: 30)
+  clockTolerance?: number;
+  // Where the upgrade request may carry the token, checked in this order
+  queryParam?: string;
+  protocolPrefix?: string;
+  cookieName?: string;
+  // Refuse upgrades without a token (default: true)
+  required?: boolean;
+  // What happens once a connected client's token expires (default: 'disconnect')
+  onExpired?: 'disconnect' | 'reauth';
+  // How long a client asked to re-authenticate has to send a fresh token, in ms (default: 30000)
+  reauthTimeout?: number;
+}
+
+export type JwtVerification =
+  | { valid: true; claims: JwtClaims }
+  | { valid: false; error: string };
+
+interface VerificationKey {
+  kid?: string;
+  alg?: string;
+  key: KeyObject;
+}
+
+type JsonWebKeySet = { keys?: (JsonWebKey & { kid?: string; alg?: string })[] };
+
+interface JwtHeader {
+  alg?: string;
+  kid?: string;
+}
+
+export class JwtVerifier {
+  private staticKeys: VerificationKey[] = [];
+  private jwksKeys: VerificationKey[] = [];
+  private jwksModified = -1;
+  // Whether the JWKS file has been read successfully at least once
+  private jwksLoaded = false;
+  private jwksTimer: NodeJS.Timeout | undefined;
+  private algorithms: JwtAlgorithm[];
+  private clockTolerance: number;
+
+  constructor(private config: JwtConfig) {
+    if (config.secret !== undefined) {
+      this.staticKeys.push({ key: createSecretKey(typeof config.secret === 'string' ? Buffer.from(config.secret) : config.secret) });
+    }
+    if (config.publicKey !== undefined) {
+      this.staticKeys.push({ key: createPublicKey(config.publicKey) });
+    }
+    this.algorithms = config.algorithms ?? ['HS256', 'RS256', 'ES256'];
+    this.clockTolerance = config.clockTolerance ?? 30;
+
+    const file = config.jwksFile;
+    if (file !== undefined) {
+      // The first read happens once at startup, so the first upgrade already has keys
+      try {
+        const modified = statSync(file).mtimeMs;
+        this.loadJwks(JSON.parse(readFileSync(file, 'utf8')) as JsonWebKeySet, modified);
+      } catch {
+        // Stays unavailable until a refresh manages to read the file
+      }
+      this.jwksTimer = setInterval(() => void this.refreshKeys(), config.jwksRefreshInterval ?? 5000);
+      this.jwksTimer.unref();
+    }
+  }
+
+  /**
+   * Reads the JWKS file again if it has changed since it was last loaded.
+   * A file that cannot be read or parsed leaves the cached keys in place.
+   */
+  async refreshKeys(): Promise<void> {
+    const file = this.config.jwksFile;
+    if (file === undefined) {
+      return;
+    }
+    try {
+      const modified = (await stat(file)).mtimeMs;
+      if (modified !== this.jwksModified) {
+        this.loadJwks(JSON.parse(await readFile(file, 'utf8')) as JsonWebKeySet, modified);
+      }
+    } catch {
+      // Keep the last good keys; the next refresh tries again
+    }
+  }
+
+  /**
+   * Stops checking the JWKS file for changes
+   */
+  close(): void {
+    clearInterval(this.jwksTimer);
+    this.jwksTimer = undefined;
+  }
+
+  verify(token: string): JwtVerification {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { valid: false, error: 'Malformed token' };
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts as [string, string, string];
+
+    const header = this.decode(encodedHeader) as JwtHeader | undefined;
+    const alg = header?.alg as JwtAlgorithm | undefined;
+    if (!header || !alg || !this.algorithms.includes(alg)) {
+      return { valid: false, error: 'Unsupported algorithm' };
+    }
+
+    if (this.config.jwksFile !== undefined && !this.jwksLoaded) {
+      return { valid: false, error: 'Signing keys unavailable' };
+    }
+
+    // The configured secret and public key have no kid, so they are tried whatever kid the token names
+    const candidates = [
+      ...this.staticKeys,
+      ...this.jwksKeys.filter((candidate) => header.kid === undefined || candidate.kid === header.kid)
+    ].filter((candidate) => (candidate.alg === undefined || candidate.alg === alg) && this.fits(candidate.key, alg));
+    if (candidates.length === 0) {
+      return { valid: false, error: 'Unknown signing key' };
+    }
+
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!candidates.some((candidate) => this.checkSignature(alg, candidate.key, signed, signature))) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    const claims = this.decode(encodedPayload) as JwtClaims | undefined;
+    if (!claims) {
+      return { valid: false, error: 'Malformed token' };
+    }
+    return this.checkClaims(claims);
+  }
+
+  /**
+   * When the claims stop being valid, in ms since the epoch, with the clock
+   * tolerance applied; undefined for tokens without an exp claim
+   */
+  expiresAt(claims: JwtClaims): number | undefined {
+    return typeof claims.exp === 'number' ? (claims.exp + this.clockTolerance) * 1000 : undefined;
+  }
+
+  /**
+   * The token an upgrade request carries in its query string,
+   * Sec-WebSocket-Protocol header or cookie
+   */
+  tokenFrom(request: IncomingMessage): string | undefined {
+    const fromQuery = new URL(request.url ?? '/', 'http://localhost').searchParams.get(this.config.queryParam ?? 'token');
+    if (fromQuery) {
+      return fromQuery;
+    }
+
+    const prefix = this.config.protocolPrefix ?? 'bearer.';
+    const protocols = request.headers['sec-websocket-protocol']?.split(',') ?? [];
+    const fromProtocol = protocols.map((protocol) => protocol.trim()).find((protocol) => protocol.startsWith(prefix));
+    if (fromProtocol) {
+      return fromProtocol.slice(prefix.length);
+    }
+
+    const cookieName = this.config.cookieName ?? 'token';
+    for (const cookie of request.headers.cookie?.split(';') ?? []) {
+      const separator = cookie.indexOf('=');
+      if (separator !== -1 && cookie.slice(0, separator).trim() === cookieName) {
+        try {
+          return decodeURIComponent(cookie.slice(separator + 1).trim());
+        } catch {
+          // A malformed cookie carries no token
+          return undefined;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  private checkClaims(claims: JwtClaims): JwtVerification {
+    const now = Date.now() / 1000;
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockTolerance) {
+      return { valid: false, error: 'Token expired' };
+    }
+    if (typeof claims.nbf === 'number' && now + this.clockTolerance < claims.nbf) {
+      return { valid: false, error: 'Token not yet valid' };
+    }
+    if (typeof claims.iat === 'number' && now + this.clockTolerance < claims.iat) {
+      return { valid: false, error: 'Token issued in the future' };
+    }
+    if (this.config.issuer !== undefined && claims.iss !== this.config.issuer) {
+      return { valid: false, error: 'Unexpected issuer' };
+    }
+    if (this.config.audience !== undefined) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.config.audience)) {
+        return { valid: false, error: 'Unexpected audience' };
+      }
+    }
+    return { valid: true, claims };
+  }
+
+  private checkSignature(alg: JwtAlgorithm, key: KeyObject, signed: Buffer, signature: Buffer): boolean {
+    try {
+      switch (alg) {
+        case 'HS256': {
+          const expected = createHmac('sha256', key).update(signed).digest();
+          return expected.length === signature.length && timingSafeEqual(expected, signature);
+        }
+        case 'RS256':
+          return verify('sha256', signed, key, signature);
+        case 'ES256':
+          // JWS carries ECDSA signatures as raw r || s
+          return verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signature);
+      }
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a key is of the kind the algorithm signs with, so an RSA public
+   * key can never be used as an HMAC secret
+   */
+  private fits(key: KeyObject, alg: JwtAlgorithm): boolean {
+    switch (alg) {
+      case 'HS256':
+        return key.type === 'secret';
+      case 'RS256':
+        return key.asymmetricKeyType === 'rsa';
+      case 'ES256':
+        return key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1';
+    }
+  }
+
+  private loadJwks(jwks: JsonWebKeySet, modified: number): void {
+    this.jwksKeys = (jwks.keys ?? []).map((jwk) => ({
+      ...(jwk.kid !== undefined ? { kid: jwk.kid } : {}),
+      ...(jwk.alg !== undefined ? { alg: jwk.alg } : {}),
+      key: jwk.kty === 'oct'
+        ? createSecretKey(Buffer.from(jwk.k ?? '', 'base64url'))
+        : createPublicKey({ key: jwk, format: 'jwk' })
+    }));
+    this.jwksModified = modified;
+    this.jwksLoaded = true;
+  }
+
+  private decode(segment: string): Record<string, unknown> | undefined {
+    try {
+      const value: unknown = JSON.parse(Buffer.from(segment, 'base64url').toString());
+      return typeof value === 'object' && value !== null ? value as Record<string, unknown> : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+}
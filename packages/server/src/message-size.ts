@@ -0,0 +1,40 @@
+import type { ClientSession } from './types';
+
+/**
+ * Message Size Limits
+ * One policy for how large an incoming message may be, in bytes of the whole
+ * frame. `maxMessageSize` is the hard ceiling and becomes the ws maxPayload,
+ * so larger frames never get buffered: ws closes the socket with 1009.
+ * Below it, message types can have lower limits and sessions their own,
+ * and messages over those are refused with a 413.
+ */
+export interface MessageSizeConfig {
+  // Largest message accepted at all (default: 64 KB)
+  maxMessageSize?: number;
+  // Lower limits for some message types, keyed by type name (e.g. { Subscribe: 1024 })
+  perMessageType?: Record<string, number>;
+  // Limit for one session's messages of a type, or undefined for the configured
+  // one; never more than maxMessageSize
+  sessionLimit?: (session: ClientSession, messageType: string) => number | undefined;
+}
+
+export const defaultMessageSizeConfig: MessageSizeConfig = {
+  maxMessageSize: 64 * 1024
+};
+
+export class MessageSizePolicy {
+  readonly maxMessageSize: number;
+
+  constructor(private config: MessageSizeConfig = defaultMessageSizeConfig) {
+    this.maxMessageSize = config.maxMessageSize ?? 64 * 1024;
+  }
+
+  /**
+   * Largest message of `messageType` the session, or a client without one yet, may send
+   */
+  limitFor(messageType: string, session?: ClientSession): number {
+    const sessionLimit = session ? this.config.sessionLimit?.(session, messageType) : undefined;
+    const limit = sessionLimit ?? this.config.perMessageType?.[messageType] ?? this.maxMessageSize;
+    return Math.min(limit, this.maxMessageSize);
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { OriginAllowlist } from './origin-policy'
+
+describe('OriginAllowlist', () => {
+  it('should match exact origins, subdomain wildcards and regexes', () => {
+    const allowlist = new OriginAllowlist(['https://example.com', 'https://*.example.com', /^http:\/\/localhost:\d+$/])
+
+    expect(allowlist.isAllowed('https://example.com')).toBe(true)
+    expect(allowlist.isAllowed('https://APP.example.com')).toBe(true)
+    expect(allowlist.isAllowed('https://eu.app.example.com')).toBe(true)
+    expect(allowlist.isAllowed('http://localhost:5173')).toBe(true)
+    expect(allowlist.isAllowed('https://example.com.evil.io')).toBe(false)
+    expect(allowlist.isAllowed('https://evilexample.com')).toBe(false)
+    expect(allowlist.isAllowed('http://app.example.com')).toBe(false)
+    expect(allowlist.isAllowed(undefined)).toBe(false)
+  })
+
+  it('should let * through even without an Origin header', () => {
+    expect(new OriginAllowlist('*').isAllowed(undefined)).toBe(true)
+    expect(new OriginAllowlist([]).isAllowed('https://example.com')).toBe(false)
+  })
+
+  it('should pick the first policy covering an origin', () => {
+    const partner = { origin: 'https://partner.example.com', maxConnections: 10 }
+    const everyone = { origin: ['https://*.example.com'], maxConnections: 100 }
+    const allowlist = new OriginAllowlist('https://*.example.com', [partner, everyone])
+
+    expect(allowlist.policyFor('https://partner.example.com')).toBe(partner)
+    expect(allowlist.policyFor('https://app.example.com')).toBe(everyone)
+    expect(allowlist.policyFor('https://example.org')).toBeUndefined()
+  })
+})
@@ -0,0 +1,66 @@
+import type { RateLimitConfig } from './rate-limiter';
+
+/**
+ * Origin Policy
+ * Which browser origins may open a socket, and per-origin overrides for the
+ * ones that may. A pattern is an exact origin, `'*'` for any (including
+ * clients that send no Origin header), a string with `*` standing for one or
+ * more subdomain labels (`https://*.example.com`), or a RegExp tested
+ * against the whole Origin header.
+ */
+export type OriginPattern = string | RegExp;
+
+export interface OriginPolicy {
+  origin: OriginPattern | OriginPattern[];
+  // Replaces the rate limits for sockets from these origins
+  rateLimit?: RateLimitConfig;
+  // Most sockets open at once from these origins together
+  maxConnections?: number;
+}
+
+export class OriginAllowlist {
+  private allowed: OriginPattern[];
+  private wildcards: Map<string, RegExp> = new Map();
+
+  constructor(allowed: OriginPattern | OriginPattern[], private policies: OriginPolicy[] = []) {
+    this.allowed = Array.isArray(allowed) ? allowed : [allowed];
+  }
+
+  isAllowed(origin: string | undefined): boolean {
+    return this.allowed.some((pattern) => this.matches(pattern, origin));
+  }
+
+  /**
+   * The first policy covering `origin`
+   */
+  policyFor(origin: string | undefined): OriginPolicy | undefined {
+    return this.policies.find((policy) =>
+      (Array.isArray(policy.origin) ? policy.origin : [policy.origin]).some((pattern) => this.matches(pattern, origin)));
+  }
+
+  private matches(pattern: OriginPattern, origin: string | undefined): boolean {
+    if (pattern === '*') {
+      return true;
+    }
+    if (origin === undefined) {
+      return false;
+    }
+    if (pattern instanceof RegExp) {
+      return pattern.test(origin);
+    }
+    if (!pattern.includes('*')) {
+      return pattern.toLowerCase() === origin.toLowerCase();
+    }
+    return this.wildcard(pattern).test(origin);
+  }
+
+  private wildcard(pattern: string): RegExp {
+    let regex = this.wildcards.get(pattern);
+    if (!regex) {
+      const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+      regex = new RegExp(`^${source}$`, 'i');
+      this.wildcards.set(pattern, regex);
+    }
+    return regex;
+  }
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { randomBytes } from 'crypto'
+import { PayloadCompressor, CompressionError } from './payload-compression'
+import { Compression } from './generated/sigma-sockets/compression'
+
+describe('PayloadCompressor', () => {
+  it('should only deflate payloads over the threshold that shrink', () => {
+    const compressor = new PayloadCompressor({ threshold: 100 })
+    const repetitive = new Uint8Array(1000).fill(1)
+    const random = new Uint8Array(randomBytes(1000))
+
+    expect(compressor.compress(new Uint8Array(50)).compression).toBe(Compression.None)
+    expect(compressor.compress(random)).toEqual({ payload: random, compression: Compression.None })
+
+    const deflated = compressor.compress(repetitive)
+    expect(deflated.compression).toBe(Compression.Deflate)
+    expect(compressor.decompress(deflated.payload, deflated.compression, 1000)).toEqual(Buffer.from(repetitive))
+  })
+
+  it('should stop inflating at the size limit and reject corrupt payloads', () => {
+    const compressor = new PayloadCompressor()
+    const deflated = compressor.compress(new Uint8Array(10000)).payload
+
+    expect(() => compressor.decompress(deflated, Compression.Deflate, 9999)).toThrow(expect.objectContaining({ tooLarge: true }))
+    expect(() => compressor.decompress(new Uint8Array([1, 2, 3]), Compression.Deflate, 1000)).toThrow(CompressionError)
+    expect(() => compressor.decompress(deflated, 7 as Compression, 10000)).toThrow('Unknown compression 7')
+  })
+
+  it('should only agree to compress when enabled and offered', () => {
+    expect(new PayloadCompressor().negotiate(Compression.Deflate)).toBe(Compression.Deflate)
+    expect(new PayloadCompressor().negotiate(Compression.None)).toBe(Compression.None)
+    expect(new PayloadCompressor({ enabled: false }).negotiate(Compression.Deflate)).toBe(Compression.None)
+  })
+})
@@ -0,0 +1,87 @@
+import { deflateSync, inflateSync } from 'zlib';
+import { Compression } from './generated/sigma-sockets/compression';
+
+/**
+ * Payload Compression
+ * Per-message deflate of DataMessage payloads, negotiated per session: the
+ * client offers the compression it can inflate in its Connect or Reconnect and
+ * the server confirms it in the ResumeToken. Payloads under `threshold` bytes,
+ * or that would not shrink, go as they are; the DataMessage's `compression`
+ * says which were deflated. Inflating stops at a size limit, so a small
+ * message cannot expand into a large allocation.
+ */
+export interface CompressionConfig {
+  // Agree to clients' offers to compress (default: true)
+  enabled?: boolean;
+  // Smallest payload worth deflating, in bytes (default: 1024)
+  threshold?: number;
+  // zlib level, 1 fastest to 9 smallest (default: 6)
+  level?: number;
+  // Largest payload a compressed message may inflate to (default: the Data message size limit)
+  maxInflatedSize?: number;
+}
+
+export interface CompressedPayload {
+  payload: Uint8Array;
+  compression: Compression;
+}
+
+/**
+ * A compressed payload that could not be inflated: corrupt, an unknown
+ * algorithm, or larger than allowed once inflated
+ */
+export class CompressionError extends Error {
+  constructor(message: string, readonly tooLarge: boolean = false) {
+    super(message);
+    this.name = 'CompressionError';
+  }
+}
+
+export class PayloadCompressor {
+  readonly enabled: boolean;
+  readonly maxInflatedSize: number | undefined;
+  private threshold: number;
+  private level: number;
+
+  constructor(config: CompressionConfig = {}) {
+    this.enabled = config.enabled ?? true;
+    this.maxInflatedSize = config.maxInflatedSize;
+    this.threshold = config.threshold ?? 1024;
+    this.level = config.level ?? 6;
+  }
+
+  /**
+   * The compression to use with a client that offered `offer`
+   */
+  negotiate(offer: Compression): Compression {
+    return this.enabled && offer === Compression.Deflate ? Compression.Deflate : Compression.None;
+  }
+
+  compress(payload: Uint8Array): CompressedPayload {
+    if (payload.length < this.threshold) {
+      return { payload, compression: Compression.None };
+    }
+    const deflated = deflateSync(payload, { level: this.level });
+    return deflated.length < payload.length
+      ? { payload: deflated, compression: Compression.Deflate }
+      : { payload, compression: Compression.None };
+  }
+
+  /**
+   * Inflate a payload the other side compressed; throws a CompressionError if it
+   * cannot be, or would grow past `maxSize` bytes
+   */
+  decompress(payload: Uint8Array, compression: Compression, maxSize: number): Uint8Array {
+    if (compression !== Compression.Deflate) {
+      throw new CompressionError(`Unknown compression ${compression}`);
+    }
+    try {
+      return inflateSync(payload, { maxOutputLength: maxSize });
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new CompressionError(`Payload inflates to more than ${maxSize} bytes`, true);
+      }
+      throw new CompressionError('Corrupt compressed payload');
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { createECDH } from 'crypto'
+import { PayloadCipher, DecryptionError, type PayloadBinding } from './payload-encryption'
+
+function pair(maxMessagesPerKey?: number): { client: PayloadCipher; server: PayloadCipher } {
+  const ecdh = createECDH('prime256v1')
+  const { publicKey, cipher } = PayloadCipher.accept(ecdh.generateKeys(), 'session-1', maxMessagesPerKey)
+  return { client: new PayloadCipher(ecdh.computeSecret(publicKey), 'session-1', 'client', maxMessagesPerKey), server: cipher }
+}
+
+const binding: PayloadBinding = { kind: 'data', id: 1n, position: 0n }
+
+describe('PayloadCipher', () => {
+  it('should seal and open payloads in both directions', () => {
+    const { client, server } = pair()
+
+    const up = client.seal(new Uint8Array([1, 2, 3]), binding)
+    expect(up.keyId).toBe(1)
+    expect(Array.from(server.open(up.payload, up.keyId, binding))).toEqual([1, 2, 3])
+
+    const down = server.seal(new Uint8Array([4, 5]), binding)
+    expect(Array.from(client.open(down.payload, down.keyId, binding))).toEqual([4, 5])
+    // Each direction has its own key, so a payload cannot be reflected back
+    expect(() => server.open(down.payload, down.keyId, binding)).toThrow(DecryptionError)
+  })
+
+  it('should never reuse a nonce and rotate keys after maxMessagesPerKey', () => {
+    const { client, server } = pair(2)
+
+    const sealed = [1, 2, 3, 4, 5].map((byte) => client.seal(new Uint8Array([byte]), binding))
+    expect(sealed.map((message) => message.keyId)).toEqual([1, 1, 2, 2, 3])
+    expect(new Set(sealed.map((message) => Buffer.from(message.payload.subarray(0, 12)).toString('hex') + message.keyId)).size).toBe(5)
+    expect(sealed.map((message) => server.open(message.payload, message.keyId, binding)[0])).toEqual([1, 2, 3, 4, 5])
+
+    // Only the key before the newest is kept for messages still in flight
+    expect(() => server.open(sealed[0]!.payload, 1, binding)).toThrow('Key 1 has been retired')
+  })
+
+  it('should refuse tampered and unsealed payloads', () => {
+    const { client, server } = pair()
+    const sealed = client.seal(new Uint8Array([1, 2, 3]), binding)
+    sealed.payload[13]! ^= 1
+
+    expect(() => server.open(sealed.payload, sealed.keyId, binding)).toThrow('Payload failed authentication with key 1')
+    expect(() => server.open(new Uint8Array([1, 2, 3]), 0, binding)).toThrow('Unencrypted payload on an encrypted session')
+  })
+
+  it('should refuse a payload opened as part of another message', () => {
+    const { client, server } = pair()
+    const sealed = client.seal(new Uint8Array([1, 2, 3]), binding)
+
+    expect(() => server.open(sealed.payload, sealed.keyId, { ...binding, id: 2n })).toThrow('Payload failed authentication with key 1')
+    expect(() => server.open(sealed.payload, sealed.keyId, { ...binding, position: 1n })).toThrow('Payload failed authentication with key 1')
+    expect(() => server.open(sealed.payload, sealed.keyId, { ...binding, kind: 'chunk' })).toThrow('Payload failed authentication with key 1')
+    // A refused attempt leaves the nonce unused, so the real message still opens
+    expect(Array.from(server.open(sealed.payload, sealed.keyId, binding))).toEqual([1, 2, 3])
+  })
+
+  it('should refuse replayed and reordered nonces under the same key', () => {
+    const { client, server } = pair()
+    const first = client.seal(new Uint8Array([1]), binding)
+    const second = client.seal(new Uint8Array([2]), binding)
+
+    expect(Array.from(server.open(second.payload, second.keyId, binding))).toEqual([2])
+    expect(() => server.open(second.payload, second.keyId, binding)).toThrow('Replayed nonce 1 for key 1')
+    expect(() => server.open(first.payload, first.keyId, binding)).toThrow('Replayed nonce 0 for key 1')
+  })
+})
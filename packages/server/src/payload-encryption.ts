@@ -0,0 +1,178 @@
+import { createCipheriv, createDecipheriv, createECDH, hkdfSync } from 'crypto';
+
+/**
+ * Payload Encryption
+ * Optional end-to-end sealing of DataMessage payloads. The client offers an
+ * ECDH P-256 public key in its Connect or Reconnect, the server answers with
+ * its own in a KeyExchange, and both derive per-direction AES-256-GCM keys
+ * from the shared secret with HKDF-SHA256 (salt: the session id, info:
+ * `sigma-sockets <c2s|s2c> <keyId>`). A sealed payload is the 12-byte nonce,
+ * the ciphertext and the 16-byte tag; the DataMessage's `key_id` says which
+ * key sealed it, 0 meaning not sealed. Nonces count up from 0 per key, and a
+ * sender moves to the next keyId after `maxMessagesPerKey` messages. The GCM
+ * additional data binds each payload to the message carrying it (see
+ * PayloadBinding) and to its keyId, and a receiver refuses any nonce at or
+ * below the last one it accepted under the same key, so a payload can be
+ * neither replayed nor moved into another message.
+ */
+export interface EncryptionConfig {
+  // Refuse clients that do not offer a key (default: false)
+  required?: boolean;
+  // Messages sealed with one key before moving to the next (default: 100000)
+  maxMessagesPerKey?: number;
+}
+
+export type CipherRole = 'client' | 'server';
+
+// The server's half of a key exchange, and the cipher it leads to
+export interface KeyAgreement {
+  publicKey: Uint8Array;
+  cipher: PayloadCipher;
+}
+
+export interface SealedPayload {
+  payload: Uint8Array;
+  keyId: number;
+}
+
+/**
+ * The message a payload travels in, bound to it as GCM additional data along
+ * with the keyId: a DataMessage's message_id and sequence, or a
+ * StreamChunkMessage's stream_id and offset
+ */
+export interface PayloadBinding {
+  kind: 'data' | 'chunk';
+  id: bigint;
+  position: bigint;
+}
+
+export const NONCE_LENGTH = 12;
+export const TAG_LENGTH = 16;
+
+/**
+ * A payload that could not be opened: wrong or retired key, tampered bytes,
+ * or a plaintext message on a session that agreed to encrypt
+ */
+export class DecryptionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+export class PayloadCipher {
+  private sendKeyId = 1;
+  private sendKey: Buffer;
+  private sealedWithKey = 0;
+  // Receive keys by keyId; only the newest two are kept, for messages in flight across a rotation
+  private receiveKeys: Map<number, Buffer> = new Map();
+  // The highest nonce counter opened under each kept receive key
+  private lastNonces: Map<number, bigint> = new Map();
+
+  constructor(
+    private sharedSecret: Buffer,
+    private sessionId: string,
+    private role: CipherRole,
+    private maxMessagesPerKey: number = 100000
+  ) {
+    this.sendKey = this.deriveKey(role === 'server' ? 's2c' : 'c2s', this.sendKeyId);
+  }
+
+  /**
+   * Answer a client's public key: returns the server's public key to send back
+   * and the cipher for the session
+   */
+  static accept(clientPublicKey: Uint8Array, sessionId: string, maxMessagesPerKey?: number): KeyAgreement {
+    const ecdh = createECDH('prime256v1');
+    const publicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+    return { publicKey, cipher: new PayloadCipher(sharedSecret, sessionId, 'server', maxMessagesPerKey) };
+  }
+
+  get keyId(): number {
+    return this.sendKeyId;
+  }
+
+  seal(plaintext: Uint8Array, binding: PayloadBinding): SealedPayload {
+    if (this.sealedWithKey >= this.maxMessagesPerKey) {
+      this.sendKeyId++;
+      this.sendKey = this.deriveKey(this.role === 'server' ? 's2c' : 'c2s', this.sendKeyId);
+      this.sealedWithKey = 0;
+    }
+
+    const nonce = Buffer.alloc(NONCE_LENGTH);
+    nonce.writeBigUInt64BE(BigInt(this.sealedWithKey++), NONCE_LENGTH - 8);
+    const cipher = createCipheriv('aes-256-gcm', this.sendKey, nonce);
+    cipher.setAAD(additionalData(binding, this.sendKeyId));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { payload: Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]), keyId: this.sendKeyId };
+  }
+
+  /**
+   * Open a payload sealed by the other side; throws a DecryptionError if it cannot be
+   */
+  open(payload: Uint8Array, keyId: number, binding: PayloadBinding): Uint8Array {
+    if (keyId === 0) {
+      throw new DecryptionError('Unencrypted payload on an encrypted session');
+    }
+    if (payload.length < NONCE_LENGTH + TAG_LENGTH) {
+      throw new DecryptionError('Sealed payload too short');
+    }
+
+    const key = this.receiveKey(keyId);
+    const nonce = payload.subarray(0, NONCE_LENGTH);
+    const counter = Buffer.from(nonce).readBigUInt64BE(NONCE_LENGTH - 8);
+    if (counter <= (this.lastNonces.get(keyId) ?? -1n)) {
+      throw new DecryptionError(`Replayed nonce ${counter} for key ${keyId}`);
+    }
+
+    const tag = payload.subarray(payload.length - TAG_LENGTH);
+    let plaintext: Buffer;
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, nonce);
+      decipher.setAAD(additionalData(binding, keyId));
+      decipher.setAuthTag(tag);
+      plaintext = Buffer.concat([decipher.update(payload.subarray(NONCE_LENGTH, payload.length - TAG_LENGTH)), decipher.final()]);
+    } catch {
+      throw new DecryptionError(`Payload failed authentication with key ${keyId}`);
+    }
+    // Only an authentic payload moves the counter on, so forged ones cannot block real ones
+    this.lastNonces.set(keyId, counter);
+    return plaintext;
+  }
+
+  private receiveKey(keyId: number): Buffer {
+    let key = this.receiveKeys.get(keyId);
+    if (key) {
+      return key;
+    }
+
+    const newest = Math.max(0, ...this.receiveKeys.keys());
+    if (keyId < newest - 1) {
+      throw new DecryptionError(`Key ${keyId} has been retired`);
+    }
+    key = this.deriveKey(this.role === 'server' ? 'c2s' : 's2c', keyId);
+    this.receiveKeys.set(keyId, key);
+    this.receiveKeys.forEach((_, id) => {
+      if (id < keyId - 1) {
+        this.receiveKeys.delete(id);
+        this.lastNonces.delete(id);
+      }
+    });
+    return key;
+  }
+
+  private deriveKey(direction: 'c2s' | 's2c', keyId: number): Buffer {
+    return Buffer.from(hkdfSync('sha256', this.sharedSecret, this.sessionId, `sigma-sockets ${direction} ${keyId}`, 32));
+  }
+}
+
+// kind (1 byte), id and position (8 bytes each) and keyId (4 bytes), big-endian
+function additionalData(binding: PayloadBinding, keyId: number): Buffer {
+  const aad = Buffer.alloc(21);
+  aad.writeUInt8(binding.kind === 'data' ? 1 : 2, 0);
+  aad.writeBigUInt64BE(BigInt.asUintN(64, binding.id), 1);
+  aad.writeBigUInt64BE(BigInt.asUintN(64, binding.position), 9);
+  aad.writeUInt32BE(keyId, 17);
+  return aad;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest'
+import { PolicyEngine } from './policy'
+
+describe('PolicyEngine', () => {
+  const engine = new PolicyEngine({
+    defaultEffect: 'deny',
+    rules: [
+      { effect: 'allow', claims: { role: 'admin' } },
+      { effect: 'deny', actions: ['message'], claims: { plan: 'read-only' }, reason: 'Read-only users cannot send' },
+      { effect: 'allow', actions: ['subscribe', 'join'], resources: ['public.*', 'lobby'] },
+      { effect: 'allow', actions: ['message', 'request'] }
+    ]
+  })
+
+  it('should let the first matching rule decide', () => {
+    expect(engine.evaluate({ action: 'subscribe', resource: 'admin.audit', claims: { role: 'admin' } })).toEqual({ allowed: true })
+    expect(engine.evaluate({ action: 'message', claims: { plan: 'read-only' } }))
+      .toEqual({ allowed: false, reason: 'Read-only users cannot send' })
+    expect(engine.evaluate({ action: 'message', claims: { plan: 'pro' } })).toEqual({ allowed: true })
+  })
+
+  it('should match resources with wildcards and fall back to the default effect', () => {
+    expect(engine.evaluate({ action: 'subscribe', resource: 'public.news', claims: {} }).allowed).toBe(true)
+    expect(engine.evaluate({ action: 'join', resource: 'lobby', claims: {} }).allowed).toBe(true)
+    expect(engine.evaluate({ action: 'join', resource: 'lobby-2', claims: {} })).toEqual({ allowed: false, reason: 'Not allowed' })
+    expect(engine.evaluate({ action: 'subscribe', resource: 'publicnews', claims: {} }).allowed).toBe(false)
+  })
+
+  it('should match list claims by any of their entries', () => {
+    expect(engine.evaluate({ action: 'join', resource: 'staff', claims: { role: ['member', 'admin'] } }).allowed).toBe(true)
+    expect(engine.evaluate({ action: 'join', resource: 'staff', claims: { role: ['member'] } }).allowed).toBe(false)
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * Authorization Policy
+ * Declarative allow/deny rules for what an authenticated session may do.
+ * Rules are checked in order and the first one that matches decides; when none
+ * match, `defaultEffect` does. A rule matches when every condition it sets
+ * holds: the action, the topic/room/method name, and the session's claims.
+ */
+export type PolicyAction = 'message' | 'request' | 'subscribe' | 'join' | 'stream';
+
+export type ClaimValue = string | number | boolean;
+
+export interface PolicyRule {
+  effect: 'allow' | 'deny';
+  // Actions the rule covers (default: all)
+  actions?: PolicyAction[];
+  // Topic, room, request method or stream names; `*` matches any run of characters
+  resources?: string[];
+  // Claims the session must carry, each with one accepted value or a list of them.
+  // A claim holding a list matches when any of its entries is accepted.
+  claims?: Record<string, ClaimValue | ClaimValue[]>;
+  // Sent back to the client when the rule denies (default: 'Not allowed')
+  reason?: string;
+}
+
+export interface AuthorizationPolicy {
+  rules: PolicyRule[];
+  // Effect when no rule matches (default: 'allow')
+  defaultEffect?: 'allow' | 'deny';
+}
+
+export interface PolicyRequest {
+  action: PolicyAction;
+  resource?: string;
+  claims: Record<string, unknown>;
+}
+
+export type PolicyDecision =
+  | { allowed: true }
+  | { allowed: false; reason: string };
+
+export class PolicyEngine {
+  private patterns: Map<string, RegExp> = new Map();
+
+  constructor(private policy: AuthorizationPolicy) {}
+
+  evaluate(request: PolicyRequest): PolicyDecision {
+    const rule = this.policy.rules.find((candidate) => this.matches(candidate, request));
+    const effect = rule ? rule.effect : this.policy.defaultEffect ?? 'allow';
+    return effect === 'allow' ? { allowed: true } : { allowed: false, reason: rule?.reason ?? 'Not allowed' };
+  }
+
+  private matches(rule: PolicyRule, request: PolicyRequest): boolean {
+    if (rule.actions && !rule.actions.includes(request.action)) {
+      return false;
+    }
+    if (rule.resources) {
+      const resource = request.resource;
+      if (resource === undefined || !rule.resources.some((pattern) => this.pattern(pattern).test(resource))) {
+        return false;
+      }
+    }
+    return Object.entries(rule.claims ?? {}).every(([name, accepted]) => {
+      const acceptedValues: unknown[] = Array.isArray(accepted) ? accepted : [accepted];
+      const value = request.claims[name];
+      const values: unknown[] = Array.isArray(value) ? value : [value];
+      return values.some((candidate) => acceptedValues.includes(candidate));
+    });
+  }
+
+  private pattern(glob: string): RegExp {
+    let pattern = this.patterns.get(glob);
+    if (!pattern) {
+      const source = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      pattern = new RegExp(`^${source}$`);
+      this.patterns.set(glob, pattern);
+    }
+    return pattern;
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { RateLimiter } from './rate-limiter'
+
+describe('RateLimiter', () => {
+  it('should allow a burst, then refill at the sustained rate', () => {
+    const limiter = new RateLimiter({ perSession: { rate: 10, burst: 3 } })
+    const key = { ip: '10.0.0.1', sessionId: 'alice', messageType: 'Data' }
+
+    expect([1, 2, 3].map(() => limiter.check(key, 0).allowed)).toEqual([true, true, true])
+    expect(limiter.check(key, 0)).toEqual({ allowed: false, scope: 'session', action: 'drop', retryAfter: 100 })
+    expect(limiter.check(key, 100).allowed).toBe(true)
+    expect(limiter.check(key, 100).allowed).toBe(false)
+    // Other sessions have buckets of their own
+    expect(limiter.check({ ...key, sessionId: 'bob' }, 100).allowed).toBe(true)
+  })
+
+  it('should share the IP bucket and limit message types separately', () => {
+    const limiter = new RateLimiter({
+      perIP: { rate: 1, burst: 3, action: 'disconnect' },
+      perSession: false,
+      perMessageType: { Request: { rate: 1, burst: 1, action: 'error' } },
+      action: 'drop'
+    })
+
+    expect(limiter.check({ ip: '10.0.0.1', sessionId: 'alice', messageType: 'Request' }, 0).allowed).toBe(true)
+    expect(limiter.check({ ip: '10.0.0.1', sessionId: 'alice', messageType: 'Request' }, 0))
+      .toMatchObject({ allowed: false, scope: 'type', action: 'error' })
+    expect(limiter.check({ ip: '10.0.0.1', sessionId: 'bob', messageType: 'Request' }, 0).allowed).toBe(true)
+    // Before connecting there is no session, so the IP is what gets counted
+    expect(limiter.check({ ip: '10.0.0.1', messageType: 'Connect' }, 0).allowed).toBe(true)
+    expect(limiter.check({ ip: '10.0.0.1', messageType: 'Connect' }, 0))
+      .toMatchObject({ allowed: false, scope: 'ip', action: 'disconnect' })
+  })
+
+  it('should not charge any bucket for a refused message', () => {
+    const limiter = new RateLimiter({ perIP: { rate: 1, burst: 2 }, perSession: { rate: 1, burst: 1 } })
+    const key = { ip: '10.0.0.1', sessionId: 'alice', messageType: 'Data' }
+
+    expect(limiter.check(key, 0).allowed).toBe(true)
+    expect(limiter.check(key, 0).allowed).toBe(false)
+    expect(limiter.check({ ...key, sessionId: 'bob' }, 0).allowed).toBe(true)
+    expect(limiter.stats(0)).toEqual({ trackedKeys: 3, limitedKeys: 3, refusedMessages: 1 })
+  })
+
+  it('should delay only as long as maxDelay allows', () => {
+    const limiter = new RateLimiter({ perSession: { rate: 1, burst: 1 }, action: 'delay', maxDelay: 500 })
+    const key = { ip: '10.0.0.1', sessionId: 'alice', messageType: 'Data' }
+
+    limiter.check(key, 0)
+    expect(limiter.check(key, 0)).toMatchObject({ allowed: false, action: 'drop', retryAfter: 1000 })
+    expect(limiter.check(key, 600)).toMatchObject({ allowed: false, action: 'delay', retryAfter: 400 })
+  })
+
+  it('should forget buckets that have refilled', () => {
+    const limiter = new RateLimiter({ perSession: { rate: 10, burst: 2 } })
+    limiter.check({ ip: '10.0.0.1', sessionId: 'alice', messageType: 'Data' }, 0)
+
+    limiter.prune(50)
+    expect(limiter.stats(50).trackedKeys).toBe(1)
+    limiter.prune(100)
+    expect(limiter.stats(100).trackedKeys).toBe(0)
+  })
+})
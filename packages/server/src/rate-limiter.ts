@@ -0,0 +1,155 @@
+/**
+ * Rate Limiter
+ * Token buckets: each refills at `rate` tokens per second up to `burst`, and
+ * every message takes one token from each bucket it counts against — one per
+ * client IP, one per session, and one per session and message type for the
+ * types that have their own limit. A message goes through only when all of its
+ * buckets have a token, so a refused message costs nothing.
+ */
+export type RateLimitAction = 'drop' | 'delay' | 'error' | 'disconnect';
+
+export interface RateLimit {
+  // Sustained messages per second
+  rate: number;
+  // Messages that may arrive at once after a quiet spell
+  burst: number;
+  // Overrides the limiter's action for this limit
+  action?: RateLimitAction;
+}
+
+export interface RateLimitConfig {
+  // Left out, a limit takes its value from defaultRateLimits; false turns it off
+  perIP?: RateLimit | false;
+  perSession?: RateLimit | false;
+  // Keyed by message type name (e.g. 'Data', 'Request'), counted per session,
+  // or per IP before the client has a session
+  perMessageType?: Record<string, RateLimit>;
+  // What happens to a message over a limit (default: 'drop')
+  action?: RateLimitAction;
+  // Longest a message is held back by 'delay' before it is dropped instead, in ms (default: 1000)
+  maxDelay?: number;
+}
+
+export interface RateLimitKey {
+  ip: string;
+  sessionId?: string;
+  messageType: string;
+}
+
+export type RateLimitScope = 'ip' | 'session' | 'type';
+
+export type RateLimitDecision =
+  | { allowed: true }
+  | { allowed: false; scope: RateLimitScope; action: RateLimitAction; retryAfter: number };
+
+export const defaultRateLimits: RateLimitConfig = {
+  perIP: { rate: 500, burst: 1000 },
+  perSession: { rate: 100, burst: 200 },
+  action: 'drop',
+  maxDelay: 1000
+};
+
+class TokenBucket {
+  private tokens: number;
+
+  constructor(readonly limit: RateLimit, private updatedAt: number) {
+    this.tokens = limit.burst;
+  }
+
+  /**
+   * ms until a token is available; 0 if one is now
+   */
+  wait(now: number): number {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.limit.burst, this.tokens + (elapsed / 1000) * this.limit.rate);
+    this.updatedAt = Math.max(now, this.updatedAt);
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.limit.rate) * 1000);
+  }
+
+  take(): void {
+    this.tokens -= 1;
+  }
+
+  isFull(now: number): boolean {
+    return this.wait(now) === 0 && this.tokens >= this.limit.burst;
+  }
+}
+
+export class RateLimiter {
+  private buckets: Map<string, TokenBucket> = new Map();
+  private refused = 0;
+
+  private config: RateLimitConfig;
+
+  constructor(config: RateLimitConfig = {}) {
+    this.config = { ...defaultRateLimits, ...config };
+  }
+
+  check(key: RateLimitKey, now: number = Date.now()): RateLimitDecision {
+    const owner = key.sessionId !== undefined ? `session:${key.sessionId}` : `ip:${key.ip}`;
+    const typeLimit = this.config.perMessageType?.[key.messageType];
+    const candidates: [RateLimitScope, string, RateLimit | false | undefined][] = [
+      ['ip', `ip:${key.ip}`, this.config.perIP],
+      ['session', owner, key.sessionId !== undefined ? this.config.perSession : undefined],
+      ['type', `${owner}:${key.messageType}`, typeLimit]
+    ];
+
+    const buckets: [RateLimitScope, TokenBucket][] = [];
+    for (const [scope, id, limit] of candidates) {
+      if (limit) {
+        buckets.push([scope, this.bucket(id, limit, now)]);
+      }
+    }
+
+    // The slowest bucket decides how long the message would have to wait
+    let slowest: { scope: RateLimitScope; bucket: TokenBucket; wait: number } | undefined;
+    for (const [scope, bucket] of buckets) {
+      const wait = bucket.wait(now);
+      if (wait > 0 && (!slowest || wait > slowest.wait)) {
+        slowest = { scope, bucket, wait };
+      }
+    }
+
+    if (!slowest) {
+      buckets.forEach(([, bucket]) => bucket.take());
+      return { allowed: true };
+    }
+
+    this.refused++;
+    let action = slowest.bucket.limit.action ?? this.config.action ?? 'drop';
+    if (action === 'delay' && slowest.wait > (this.config.maxDelay ?? 1000)) {
+      action = 'drop';
+    }
+    return { allowed: false, scope: slowest.scope, action, retryAfter: slowest.wait };
+  }
+
+  /**
+   * Forget buckets that have refilled completely; they would start full anyway
+   */
+  prune(now: number = Date.now()): void {
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(id);
+      }
+    }
+  }
+
+  stats(now: number = Date.now()): { trackedKeys: number; limitedKeys: number; refusedMessages: number } {
+    let limitedKeys = 0;
+    this.buckets.forEach((bucket) => {
+      if (bucket.wait(now) > 0) {
+        limitedKeys++;
+      }
+    });
+    return { trackedKeys: this.buckets.size, limitedKeys, refusedMessages: this.refused };
+  }
+
+  private bucket(id: string, limit: RateLimit, now: number): TokenBucket {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = new TokenBucket(limit, now);
+      this.buckets.set(id, bucket);
+    }
+    return bucket;
+  }
+}
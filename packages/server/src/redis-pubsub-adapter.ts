@@ -0,0 +1,121 @@
+import { RespConnection } from './resp-connection';
+import type { AdapterHandler, AdapterMessage, ScalingAdapter } from './adapter';
+
+export interface RedisPubSubAdapterOptions {
+  host?: string;
+  port?: number;
+  password?: string;
+  channel?: string;
+  // How long to wait before subscribing again after the connection drops, in ms (default: 1000)
+  reconnectDelay?: number;
+}
+
+interface Envelope {
+  origin: string;
+  message: Omit<AdapterMessage, 'data'> & { data?: string };
+}
+
+/**
+ * Redis Pub/Sub Adapter
+ * Relays messages between nodes over one Redis pub/sub channel. Payloads are
+ * base64 in a JSON envelope that names the origin node, so a node can skip
+ * its own messages when the broker echoes them back. When the subscribed
+ * connection drops, the adapter reports it and subscribes again until it is back.
+ */
+export class RedisPubSubAdapter implements ScalingAdapter {
+  private publisher: RespConnection;
+  // A subscribed Redis connection cannot issue other commands
+  private subscriber: RespConnection;
+  private channel: string;
+  private reconnectDelay: number;
+  private nodeId = '';
+  private onError: ((error: Error) => void) | undefined;
+  private resubscribeTimer: NodeJS.Timeout | null = null;
+  private closed = false;
+
+  constructor(options: RedisPubSubAdapterOptions = {}) {
+    const connection = {
+      host: options.host ?? '127.0.0.1',
+      port: options.port ?? 6379,
+      ...(options.password !== undefined ? { password: options.password } : {})
+    };
+    this.publisher = new RespConnection(connection);
+    this.subscriber = new RespConnection(connection);
+    this.channel = options.channel ?? 'sigmasockets';
+    this.reconnectDelay = options.reconnectDelay ?? 1000;
+  }
+
+  async attach(nodeId: string, onMessage: AdapterHandler, onError?: (error: Error) => void): Promise<void> {
+    this.nodeId = nodeId;
+    this.onError = onError;
+    this.subscriber.onPush = ([, channel, payload]) => {
+      if (channel !== this.channel || typeof payload !== 'string') {
+        return;
+      }
+
+      // Anyone can publish on the channel; a message that is not ours is reported, not thrown
+      let envelope: Envelope;
+      try {
+        envelope = JSON.parse(payload) as Envelope;
+      } catch (error) {
+        this.onError?.(new Error(`Malformed relay envelope: ${error instanceof Error ? error.message : String(error)}`));
+        return;
+      }
+      if (typeof envelope?.message !== 'object' || envelope.message === null) {
+        this.onError?.(new Error('Malformed relay envelope: no message'));
+        return;
+      }
+      if (envelope.origin === this.nodeId) {
+        return;
+      }
+      const { data, ...rest } = envelope.message;
+      const message = (data === undefined
+        ? rest
+        : { ...rest, data: new Uint8Array(Buffer.from(data, 'base64')) }) as AdapterMessage;
+      onMessage(message, envelope.origin);
+    };
+    await this.subscriber.command('SUBSCRIBE', this.channel);
+    this.subscriber.onDisconnect = (error) => {
+      this.onError?.(error);
+      this.scheduleResubscribe();
+    };
+  }
+
+  async publish(message: AdapterMessage): Promise<void> {
+    const envelope: Envelope = {
+      origin: this.nodeId,
+      message: 'data' in message
+        ? { ...message, data: Buffer.from(message.data).toString('base64') }
+        : message
+    };
+    await this.publisher.command('PUBLISH', this.channel, JSON.stringify(envelope));
+  }
+
+  async close(): Promise<void> {
+    this.closed = true;
+    if (this.resubscribeTimer) {
+      clearTimeout(this.resubscribeTimer);
+      this.resubscribeTimer = null;
+    }
+    this.subscriber.onDisconnect = null;
+    this.subscriber.onPush = null;
+    this.subscriber.close();
+    this.publisher.close();
+  }
+
+  // A failed attempt drops the connection again, which schedules the next one
+  private scheduleResubscribe(): void {
+    if (this.closed || this.resubscribeTimer) {
+      return;
+    }
+    this.resubscribeTimer = setTimeout(() => {
+      this.resubscribeTimer = null;
+      this.subscriber.command('SUBSCRIBE', this.channel).catch((error: unknown) => {
+        // A dropped connection was already reported through onDisconnect
+        if (this.subscriber.connected) {
+          this.onError?.(error instanceof Error ? error : new Error(String(error)));
+        }
+      });
+    }, this.reconnectDelay);
+  }
+}
@@ -0,0 +1,55 @@
+import { RespConnection } from './resp-connection';
+import type { SessionStore, StoredSession } from './session-store';
+
+export interface RedisSessionStoreOptions {
+  host?: string;
+  port?: number;
+  password?: string;
+  keyPrefix?: string;
+}
+
+/**
+ * Redis Session Store
+ * Stores each session as a JSON string under `keyPrefix + id` with a PX
+ * expiry, so every instance pointed at the same Redis (or any server speaking
+ * the Redis protocol) can resume any session. Expiry is left to Redis.
+ */
+export class RedisSessionStore implements SessionStore {
+  private connection: RespConnection;
+  private keyPrefix: string;
+
+  constructor(options: RedisSessionStoreOptions = {}) {
+    this.keyPrefix = options.keyPrefix ?? 'sigmasockets:session:';
+    this.connection = new RespConnection({
+      host: options.host ?? '127.0.0.1',
+      port: options.port ?? 6379,
+      ...(options.password !== undefined ? { password: options.password } : {})
+    });
+  }
+
+  async get(sessionId: string): Promise<StoredSession | undefined> {
+    const reply = await this.connection.command('GET', this.keyPrefix + sessionId);
+    return typeof reply === 'string' ? JSON.parse(reply) as StoredSession : undefined;
+  }
+
+  async set(session: StoredSession, ttl: number): Promise<void> {
+    await this.connection.command('SET', this.keyPrefix + session.id, JSON.stringify(session), 'PX', String(Math.max(1, Math.round(ttl))));
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    await this.connection.command('DEL', this.keyPrefix + sessionId);
+  }
+
+  async touch(sessionId: string, ttl: number): Promise<boolean> {
+    const reply = await this.connection.command('PEXPIRE', this.keyPrefix + sessionId, String(Math.max(1, Math.round(ttl))));
+    return reply === 1;
+  }
+
+  async expire(): Promise<string[]> {
+    return [];
+  }
+
+  close(): void {
+    this.connection.close();
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ReliableChannel } from './reliable-channel'
+
+describe('ReliableChannel', () => {
+  let connected: boolean
+  let sent: Uint8Array[]
+  let failures: bigint[]
+  let channel: ReliableChannel<string>
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    connected = true
+    sent = []
+    failures = []
+    channel = new ReliableChannel<string>({
+      ackTimeout: 100,
+      maxRetransmits: 2,
+      transmit: (frame) => {
+        if (connected) {
+          sent.push(frame)
+        }
+        return connected
+      },
+      onFailure: (sequence) => failures.push(sequence)
+    })
+  })
+
+  afterEach(() => {
+    channel.close()
+    vi.useRealTimers()
+  })
+
+  it('should number messages from 1 and stop retransmitting once acked', () => {
+    expect(channel.send((sequence) => new Uint8Array([Number(sequence)]))).toBe(1n)
+    expect(channel.send((sequence) => new Uint8Array([Number(sequence)]))).toBe(2n)
+
+    expect(channel.acknowledge(1n)).toBe(true)
+    vi.advanceTimersByTime(100)
+
+    expect(sent.map((frame) => frame[0])).toEqual([1, 2, 2])
+    expect(channel.pendingCount).toBe(1)
+  })
+
+  it('should give up after maxRetransmits', () => {
+    channel.send(() => new Uint8Array([1]))
+    vi.advanceTimersByTime(1000)
+
+    expect(sent).toHaveLength(3)
+    expect(failures).toEqual([1n])
+    expect(channel.pendingCount).toBe(0)
+  })
+
+  it('should hold frames while disconnected until resend', () => {
+    connected = false
+    channel.send(() => new Uint8Array([1]))
+    vi.advanceTimersByTime(1000)
+    expect(sent).toHaveLength(0)
+    expect(failures).toEqual([])
+
+    connected = true
+    channel.resend()
+    expect(sent).toHaveLength(1)
+  })
+
+  it('should not consume a sequence number when encoding fails', () => {
+    expect(() => channel.send(() => { throw new Error('encode failed') })).toThrow()
+    expect(channel.send(() => new Uint8Array([1]))).toBe(1n)
+  })
+
+  it('should deliver inbound messages once and in order', () => {
+    expect(channel.receive(2n, 'b')).toEqual([])
+    expect(channel.receive(1n, 'a')).toEqual(['a', 'b'])
+    expect(channel.receive(1n, 'a')).toEqual([])
+    expect(channel.receive(4n, 'd')).toEqual([])
+    expect(channel.receive(4n, 'd')).toEqual([])
+    expect(channel.receive(3n, 'c')).toEqual(['c', 'd'])
+  })
+
+  it('should not hold inbound messages past the receive window', () => {
+    const bounded = new ReliableChannel<string>({
+      ackTimeout: 100,
+      maxRetransmits: 2,
+      maxOutOfOrder: 2,
+      transmit: () => true,
+      onFailure: () => undefined
+    })
+
+    expect(bounded.accepts(2n)).toBe(true)
+    expect(bounded.accepts(3n)).toBe(false)
+    expect(bounded.receive(3n, 'c')).toEqual([])
+    expect(bounded.receive(2n, 'b')).toEqual([])
+    expect(bounded.receive(1n, 'a')).toEqual(['a', 'b'])
+    // The window moved on, so the retransmitted message is taken this time
+    expect(bounded.receive(3n, 'c')).toEqual(['c'])
+  })
+})
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { ReplayBuffer } from './replay-buffer'
+
+const bytes = (...values: number[]) => new Uint8Array(values)
+
+describe('ReplayBuffer', () => {
+  it('should replay only messages after the last id', () => {
+    const buffer = new ReplayBuffer(10, 1024)
+    buffer.push(1n, bytes(1))
+    buffer.push(2n, bytes(2))
+    buffer.push(3n, bytes(3))
+
+    expect(buffer.since(1n)).toEqual({ messages: [bytes(2), bytes(3)], gap: false })
+    expect(buffer.since(3n)).toEqual({ messages: [], gap: false })
+  })
+
+  it('should evict the oldest messages by count', () => {
+    const buffer = new ReplayBuffer(2, 1024)
+    buffer.push(1n, bytes(1))
+    buffer.push(2n, bytes(2))
+    buffer.push(3n, bytes(3))
+
+    expect(buffer.size).toBe(2)
+    expect(buffer.since(0n)).toEqual({ messages: [bytes(2), bytes(3)], gap: true })
+    // The client already had the evicted message
+    expect(buffer.since(1n).gap).toBe(false)
+  })
+
+  it('should evict the oldest messages by bytes', () => {
+    const buffer = new ReplayBuffer(10, 4)
+    buffer.push(1n, bytes(1, 1))
+    buffer.push(2n, bytes(2, 2))
+    buffer.push(3n, bytes(3, 3))
+
+    expect(buffer.bytes).toBe(4)
+    expect(buffer.since(0n).messages).toEqual([bytes(2, 2), bytes(3, 3)])
+  })
+
+  it('should forget evictions when cleared', () => {
+    const buffer = new ReplayBuffer(1, 1024)
+    buffer.push(1n, bytes(1))
+    buffer.push(2n, bytes(2))
+    buffer.clear()
+
+    expect(buffer.size).toBe(0)
+    expect(buffer.since(0n)).toEqual({ messages: [], gap: false })
+  })
+
+  it('should restore a snapshot including its eviction mark', () => {
+    const buffer = new ReplayBuffer(1, 1024)
+    buffer.push(1n, bytes(1))
+    buffer.push(2n, bytes(2))
+
+    const copy = new ReplayBuffer(10, 1024)
+    const snapshot = buffer.snapshot()
+    copy.restore(snapshot.messages, snapshot.evictedThrough)
+
+    expect(copy.since(0n)).toEqual({ messages: [bytes(2)], gap: true })
+  })
+})
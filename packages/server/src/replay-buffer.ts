@@ -0,0 +1,84 @@
+/**
+ * Replay Buffer
+ * Holds the encoded messages a session missed while it was disconnected so they
+ * can be replayed after the client's last_message_id on reconnect. Bounded by
+ * both message count and total bytes; the oldest messages are evicted first.
+ */
+export interface BufferedMessage {
+  messageId: bigint;
+  data: Uint8Array;
+}
+
+export interface ReplayResult {
+  messages: Uint8Array[];
+  // True when messages newer than the client's last id were already evicted
+  gap: boolean;
+}
+
+export class ReplayBuffer {
+  private messages: BufferedMessage[] = [];
+  private totalBytes = 0;
+  private evictedThrough = 0n;
+
+  constructor(
+    private maxMessages: number,
+    private maxBytes: number
+  ) {}
+
+  push(messageId: bigint, data: Uint8Array): void {
+    this.messages.push({ messageId, data });
+    this.totalBytes += data.length;
+
+    while (this.messages.length > this.maxMessages || this.totalBytes > this.maxBytes) {
+      const evicted = this.messages.shift();
+      if (!evicted) {
+        break;
+      }
+      this.totalBytes -= evicted.data.length;
+      if (evicted.messageId > this.evictedThrough) {
+        this.evictedThrough = evicted.messageId;
+      }
+    }
+  }
+
+  /**
+   * Messages with an id greater than `lastMessageId`, oldest first
+   */
+  since(lastMessageId: bigint): ReplayResult {
+    return {
+      messages: this.messages
+        .filter((message) => message.messageId > lastMessageId)
+        .map((message) => message.data),
+      gap: this.evictedThrough > lastMessageId
+    };
+  }
+
+  /**
+   * Contents and eviction mark, so the buffer can be kept in a SessionStore
+   */
+  snapshot(): { messages: BufferedMessage[]; evictedThrough: bigint } {
+    return { messages: [...this.messages], evictedThrough: this.evictedThrough };
+  }
+
+  restore(messages: BufferedMessage[], evictedThrough: bigint): void {
+    this.clear();
+    messages.forEach((message) => this.push(message.messageId, message.data));
+    if (evictedThrough > this.evictedThrough) {
+      this.evictedThrough = evictedThrough;
+    }
+  }
+
+  clear(): void {
+    this.messages = [];
+    this.totalBytes = 0;
+    this.evictedThrough = 0n;
+  }
+
+  get size(): number {
+    return this.messages.length;
+  }
+
+  get bytes(): number {
+    return this.totalBytes;
+  }
+}
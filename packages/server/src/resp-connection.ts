@@ -0,0 +1,166 @@
+import { Socket, createConnection } from 'net';
+
+export type RespReply = string | number | null | RespReply[];
+
+interface PendingCommand {
+  resolve: (reply: RespReply) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Minimal RESP2 connection: enough of the Redis protocol for the commands the
+ * session store and pub/sub adapter issue, so no client library is needed.
+ * Replies are matched to commands in order, as Redis guarantees for a single
+ * connection; pub/sub messages pushed by the server go to `onPush` instead.
+ */
+export class RespConnection {
+  private socket: Socket | null = null;
+  private pending: PendingCommand[] = [];
+  private buffer: Buffer = Buffer.alloc(0);
+  // Receives `message` pushes on a connection that has SUBSCRIBEd
+  onPush: ((reply: RespReply[]) => void) | null = null;
+  // Called when the connection drops other than through close(); a subscribed
+  // connection has to SUBSCRIBE again once it is back
+  onDisconnect: ((error: Error) => void) | null = null;
+
+  constructor(private options: { host: string; port: number; password?: string }) {}
+
+  command(...args: string[]): Promise<RespReply> {
+    const socket = this.socket ?? this.connect();
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  get connected(): boolean {
+    return this.socket !== null;
+  }
+
+  close(): void {
+    this.socket?.end();
+    this.socket = null;
+  }
+
+  private connect(): Socket {
+    const socket = createConnection({ host: this.options.host, port: this.options.port });
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk: Buffer) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.processReplies();
+    });
+
+    const fail = (error: Error) => {
+      // The next command opens a fresh connection
+      const dropped = this.socket === socket;
+      if (dropped) {
+        this.socket = null;
+      }
+      this.pending.splice(0).forEach((command) => command.reject(error));
+      if (dropped) {
+        this.onDisconnect?.(error);
+      }
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('Redis connection closed')));
+
+    if (this.options.password) {
+      // Queued ahead of the command that triggered the connect
+      this.pending.push({ resolve: () => undefined, reject: () => undefined });
+      socket.write(encodeCommand(['AUTH', this.options.password]));
+    }
+    return socket;
+  }
+
+  private processReplies(): void {
+    for (;;) {
+      const parsed = parseReply(this.buffer, 0);
+      if (!parsed) {
+        return;
+      }
+      this.buffer = this.buffer.subarray(parsed.next);
+
+      if (Array.isArray(parsed.reply) && parsed.reply[0] === 'message') {
+        this.onPush?.(parsed.reply);
+        continue;
+      }
+
+      const command = this.pending.shift();
+      if (!command) {
+        continue;
+      }
+      if (parsed.reply instanceof Error) {
+        command.reject(parsed.reply);
+      } else {
+        command.resolve(parsed.reply);
+      }
+    }
+  }
+}
+
+function encodeCommand(args: string[]): Buffer {
+  let encoded = `*${args.length}\r\n`;
+  args.forEach((arg) => {
+    encoded += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+  });
+  return Buffer.from(encoded);
+}
+
+/**
+ * Parse one reply starting at `offset`. Returns null if the buffer does not
+ * hold a complete reply yet.
+ */
+function parseReply(buffer: Buffer, offset: number): { reply: RespReply | Error; next: number } | null {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = buffer.toString('latin1', offset, offset + 1);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { reply: line, next };
+    case '-':
+      return { reply: new Error(line), next };
+    case ':':
+      return { reply: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { reply: null, next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { reply: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { reply: null, next };
+      }
+      const items: RespReply[] = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        if (item.reply instanceof Error) {
+          return item;
+        }
+        items.push(item.reply);
+        position = item.next;
+      }
+      return { reply: items, next: position };
+    }
+    default:
+      return { reply: new Error(`Unexpected RESP reply type: ${type}`), next };
+  }
+}
@@ -0,0 +1,60 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Resume Tokens
+ * What a client must present to resume its session. A token is
+ * `base64url(sessionId).nonce.expiresAt.signature`, signed with HMAC-SHA256.
+ * The signature makes tokens unforgeable and the expiry bounds their life; the
+ * nonce is checked against the session's current one by the server, so a token
+ * stops working as soon as a newer one is issued for the session.
+ */
+export interface IssuedResumeToken {
+  token: string;
+  expiresAt: number;
+}
+
+export type ResumeTokenCheck =
+  | { valid: true; sessionId: string; nonce: string; expiresAt: number }
+  | { valid: false; reason: 'malformed' | 'expired' };
+
+export class ResumeTokenSigner {
+  private secret: Buffer;
+
+  constructor(secret: string | Buffer, private ttl: number) {
+    this.secret = typeof secret === 'string' ? Buffer.from(secret) : secret;
+  }
+
+  static createNonce(): string {
+    return randomBytes(16).toString('base64url');
+  }
+
+  issue(sessionId: string, nonce: string): IssuedResumeToken {
+    const expiresAt = Date.now() + this.ttl;
+    const body = `${Buffer.from(sessionId).toString('base64url')}.${nonce}.${expiresAt}`;
+    return { token: `${body}.${this.sign(body)}`, expiresAt };
+  }
+
+  verify(token: string): ResumeTokenCheck {
+    const parts = token.split('.');
+    if (parts.length !== 4) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const [encodedId, nonce, expiry, signature] = parts as [string, string, string, string];
+    const expected = Buffer.from(this.sign(`${encodedId}.${nonce}.${expiry}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expiresAt = Number(expiry);
+    if (expiresAt <= Date.now()) {
+      return { valid: false, reason: 'expired' };
+    }
+    return { valid: true, sessionId: Buffer.from(encodedId, 'base64url').toString(), nonce, expiresAt };
+  }
+
+  private sign(body: string): string {
+    return createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { RoomManager } from './room-manager'
+
+describe('RoomManager', () => {
+  let rooms: RoomManager
+
+  beforeEach(() => {
+    rooms = new RoomManager()
+  })
+
+  it('should track members per room and rooms per session', () => {
+    expect(rooms.join('a', 'lobby')).toBe(true)
+    expect(rooms.join('b', 'lobby')).toBe(true)
+    expect(rooms.join('a', 'game-1')).toBe(true)
+
+    expect(rooms.getMembers('lobby').sort()).toEqual(['a', 'b'])
+    expect(rooms.getRooms('a').sort()).toEqual(['game-1', 'lobby'])
+    expect(rooms.getRoomSize('lobby')).toBe(2)
+    expect(rooms.isMember('b', 'game-1')).toBe(false)
+  })
+
+  it('should report duplicate joins and unknown leaves', () => {
+    rooms.join('a', 'lobby')
+
+    expect(rooms.join('a', 'lobby')).toBe(false)
+    expect(rooms.leave('a', 'game-1')).toBe(false)
+    expect(rooms.leave('b', 'lobby')).toBe(false)
+  })
+
+  it('should drop rooms once the last member leaves', () => {
+    rooms.join('a', 'lobby')
+    rooms.leave('a', 'lobby')
+
+    expect(rooms.getRoomNames()).toEqual([])
+    expect(rooms.getRooms('a')).toEqual([])
+  })
+
+  it('should leave every room at once', () => {
+    rooms.join('a', 'lobby')
+    rooms.join('a', 'game-1')
+    rooms.join('b', 'lobby')
+
+    expect(rooms.leaveAll('a').sort()).toEqual(['game-1', 'lobby'])
+    expect(rooms.getMembers('lobby')).toEqual(['b'])
+    expect(rooms.getRoomNames()).toEqual(['lobby'])
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Room Manager
+ * Tracks which sessions belong to which rooms. Membership is keyed by session
+ * id rather than by socket, so it carries over when a session reconnects.
+ */
+export class RoomManager {
+  private rooms: Map<string, Set<string>> = new Map();
+  private sessionRooms: Map<string, Set<string>> = new Map();
+
+  /**
+   * Add a session to a room. Returns false if it was already a member.
+   */
+  join(sessionId: string, room: string): boolean {
+    let members = this.rooms.get(room);
+    if (!members) {
+      members = new Set();
+      this.rooms.set(room, members);
+    }
+
+    if (members.has(sessionId)) {
+      return false;
+    }
+
+    members.add(sessionId);
+
+    let joined = this.sessionRooms.get(sessionId);
+    if (!joined) {
+      joined = new Set();
+      this.sessionRooms.set(sessionId, joined);
+    }
+    joined.add(room);
+
+    return true;
+  }
+
+  /**
+   * Remove a session from a room. Empty rooms are dropped.
+   */
+  leave(sessionId: string, room: string): boolean {
+    const members = this.rooms.get(room);
+    if (!members || !members.delete(sessionId)) {
+      return false;
+    }
+
+    if (members.size === 0) {
+      this.rooms.delete(room);
+    }
+
+    const joined = this.sessionRooms.get(sessionId);
+    if (joined) {
+      joined.delete(room);
+      if (joined.size === 0) {
+        this.sessionRooms.delete(sessionId);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a session from every room it joined and return those rooms
+   */
+  leaveAll(sessionId: string): string[] {
+    const rooms = this.getRooms(sessionId);
+    rooms.forEach((room) => this.leave(sessionId, room));
+    return rooms;
+  }
+
+  isMember(sessionId: string, room: string): boolean {
+    return this.rooms.get(room)?.has(sessionId) ?? false;
+  }
+
+  getMembers(room: string): string[] {
+    return Array.from(this.rooms.get(room) ?? []);
+  }
+
+  getRooms(sessionId: string): string[] {
+    return Array.from(this.sessionRooms.get(sessionId) ?? []);
+  }
+
+  getRoomNames(): string[] {
+    return Array.from(this.rooms.keys());
+  }
+
+  getRoomSize(room: string): number {
+    return this.rooms.get(room)?.size ?? 0;
+  }
+}
@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createSocket } from 'dgram'
+import { mkdtemp, readFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { MemoryEventSink, SecurityEventType, type SecurityEvent } from './security-events'
+import { FileEventSink } from './file-event-sink'
+import { SyslogEventSink } from './syslog-event-sink'
+import { SecurityManager, defaultSecurityConfig } from './security'
+
+function event(type: SecurityEventType, clientId: string = 'alice'): SecurityEvent {
+  return { timestamp: new Date().toISOString(), type, severity: 'high', clientId }
+}
+
+describe('security event sinks', () => {
+  let directory: string | undefined
+
+  afterEach(async () => {
+    if (directory) {
+      await rm(directory, { recursive: true, force: true })
+      directory = undefined
+    }
+  })
+
+  it('should keep the latest events in the memory ring', () => {
+    const sink = new MemoryEventSink(2)
+    sink.write(event(SecurityEventType.InvalidUpgrade, 'a'))
+    sink.write(event(SecurityEventType.RateLimitExceeded, 'b'))
+    sink.write(event(SecurityEventType.InvalidUpgrade, 'c'))
+
+    expect(sink.events().map((entry) => entry.clientId)).toEqual(['b', 'c'])
+    expect(sink.events(SecurityEventType.InvalidUpgrade).map((entry) => entry.clientId)).toEqual(['c'])
+  })
+
+  it('should append NDJSON and rotate the file once it is full', async () => {
+    directory = await mkdtemp(join(tmpdir(), 'sigma-audit-'))
+    const path = join(directory, 'audit', 'security.ndjson')
+    const line = `${JSON.stringify(event(SecurityEventType.DosAttack, 'a'))}\n`
+    const sink = new FileEventSink(path, { maxBytes: line.length * 2, maxFiles: 2 })
+
+    for (const clientId of ['a', 'b', 'c', 'd', 'e']) {
+      void sink.write(event(SecurityEventType.DosAttack, clientId))
+    }
+    await sink.close()
+
+    const clients = async (file: string) => (await readFile(file, 'utf8')).trim().split('\n').map((entry) => JSON.parse(entry).clientId)
+    expect(await clients(path)).toEqual(['e'])
+    expect(await clients(`${path}.1`)).toEqual(['c', 'd'])
+    expect(await clients(`${path}.2`)).toEqual(['a', 'b'])
+  })
+
+  it('should send RFC 5424 messages to a syslog listener', async () => {
+    const listener = createSocket('udp4')
+    await new Promise<void>((resolve) => listener.bind(0, '127.0.0.1', resolve))
+    const received = new Promise<string>((resolve) => listener.once('message', (message) => resolve(message.toString())))
+    const sink = new SyslogEventSink({ port: listener.address().port, appName: 'chat' })
+
+    await sink.write(event(SecurityEventType.RateLimitExceeded))
+    const message = await received
+    await sink.close()
+    listener.close()
+
+    // facility 13 (log audit) * 8 + severity 3 (error)
+    expect(message).toMatch(/^<107>1 \S+ \S+ chat \d+ rate_limit_exceeded - \{/)
+    expect(JSON.parse(message.slice(message.indexOf('{'))).clientId).toBe('alice')
+  })
+
+  it('should count events overall and over the last minute', async () => {
+    const sink = new MemoryEventSink()
+    const manager = new SecurityManager({ ...defaultSecurityConfig, eventSinks: [sink] })
+    const seen: SecurityEvent[] = []
+    manager.onSecurityEvent((entry) => seen.push(entry))
+
+    manager.logSecurityEvent(SecurityEventType.InvalidUpgrade, 'unknown', 'Missing token')
+    manager.logSecurityEvent(SecurityEventType.InvalidUpgrade, 'unknown')
+    manager.logSecurityEvent(SecurityEventType.AuthorizationDenied, 'alice')
+
+    const stats = manager.getSecurityStats()
+    expect(stats.events).toEqual({ invalid_upgrade: 2, authorization_denied: 1 })
+    expect(stats.recentEvents).toEqual(stats.events)
+    expect(sink.events()[0]).toMatchObject({ type: 'invalid_upgrade', severity: 'low', details: 'Missing token' })
+    expect(seen).toHaveLength(3)
+    await manager.close()
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Security Events
+ * Everything the server refuses or finds suspicious is reported as a typed
+ * event. SecurityManager stamps each one with its severity, counts it, and
+ * hands it to every configured sink: a console line by default, or a rotating
+ * NDJSON file, a syslog listener or an in-memory ring.
+ */
+export enum SecurityEventType {
+  InvalidUpgrade = 'invalid_upgrade',
+  InvalidOrigin = 'invalid_origin',
+  SuspiciousUserAgent = 'suspicious_user_agent',
+  InvalidMessage = 'invalid_message',
+  InvalidMessageSize = 'invalid_message_size',
+  LargeMessage = 'large_message',
+  MessageProcessingError = 'message_processing_error',
+  RateLimitExceeded = 'rate_limit_exceeded',
+  DosAttack = 'dos_attack',
+  IpBanned = 'ip_banned',
+  AuthorizationDenied = 'authorization_denied',
+  ConnectionAttempt = 'connection_attempt',
+  ConnectionRefused = 'connection_refused',
+  DecryptionFailed = 'decryption_failed',
+  DecompressionBomb = 'decompression_bomb'
+}
+
+export type SecuritySeverity = 'low' | 'medium' | 'high' | 'critical';
+
+export interface SecurityEvent {
+  // ISO 8601
+  timestamp: string;
+  type: SecurityEventType;
+  severity: SecuritySeverity;
+  // Session id once the client has connected, 'unknown' before
+  clientId: string;
+  details?: unknown;
+}
+
+export interface SecurityEventSink {
+  write(event: SecurityEvent): void | Promise<void>;
+  close?(): Promise<void>;
+}
+
+export const securityEventSeverity: Record<SecurityEventType, SecuritySeverity> = {
+  [SecurityEventType.InvalidUpgrade]: 'low',
+  [SecurityEventType.InvalidOrigin]: 'high',
+  [SecurityEventType.SuspiciousUserAgent]: 'medium',
+  [SecurityEventType.InvalidMessage]: 'low',
+  [SecurityEventType.InvalidMessageSize]: 'low',
+  [SecurityEventType.LargeMessage]: 'medium',
+  [SecurityEventType.MessageProcessingError]: 'low',
+  [SecurityEventType.RateLimitExceeded]: 'high',
+  [SecurityEventType.DosAttack]: 'high',
+  [SecurityEventType.IpBanned]: 'high',
+  [SecurityEventType.AuthorizationDenied]: 'medium',
+  [SecurityEventType.ConnectionAttempt]: 'low',
+  [SecurityEventType.ConnectionRefused]: 'medium',
+  [SecurityEventType.DecryptionFailed]: 'high',
+  [SecurityEventType.DecompressionBomb]: 'high'
+};
+
+/**
+ * Writes each event as a JSON line to the console (the default sink)
+ */
+export class ConsoleEventSink implements SecurityEventSink {
+  write(event: SecurityEvent): void {
+    console.warn('SECURITY_EVENT:', JSON.stringify(event));
+  }
+}
+
+/**
+ * Keeps the latest `capacity` events in memory, oldest first; for tests and
+ * admin endpoints
+ */
+export class MemoryEventSink implements SecurityEventSink {
+  private ring: SecurityEvent[] = [];
+
+  constructor(private capacity: number = 1000) {}
+
+  write(event: SecurityEvent): void {
+    this.ring.push(event);
+    if (this.ring.length > this.capacity) {
+      this.ring.shift();
+    }
+  }
+
+  events(type?: SecurityEventType): SecurityEvent[] {
+    return type === undefined ? [...this.ring] : this.ring.filter((event) => event.type === type);
+  }
+
+  clear(): void {
+    this.ring = [];
+  }
+}
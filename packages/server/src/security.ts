@@ -1,15 +1,29 @@
 import { IncomingMessage } from 'http';
+import { JwtVerifier, type JwtClaims, type JwtConfig, type JwtVerification } from './jwt';
+import { RateLimiter, defaultRateLimits, type RateLimitConfig, type RateLimitDecision, type RateLimitKey } from './rate-limiter';
+import { OriginAllowlist, type OriginPattern, type OriginPolicy } from './origin-policy';
+import { IpBlocklist, normalizeIP, type Ban, type BanConfig } from './ip-blocklist';
+import {
+  ConsoleEventSink,
+  SecurityEventType,
+  securityEventSeverity,
+  type SecurityEvent,
+  type SecurityEventSink
+} from './security-events';
 
 // Security configuration
 export interface SecurityConfig {
   cors: {
-    origin: string | string[];
+    // Origins allowed to open a socket; see OriginPattern
+    origin: OriginPattern | OriginPattern[];
     credentials: boolean;
+    // Overrides for allowed origins; the first policy matching an origin applies
+    policies?: OriginPolicy[];
+    // Log origins that are not allowed as invalid_origin events but let them connect
+    reportOnly?: boolean;
   };
-  rateLimit: {
-    windowMs: number;
-    maxRequests: number;
-  };
+  // Token-bucket limits on incoming messages (default: defaultRateLimits)
+  rateLimit?: RateLimitConfig;
   headers: {
     [key: string]: string;
   };
@@ -17,6 +31,38 @@ export interface SecurityConfig {
     enabled: boolean;
     redirectHttp: boolean;
   };
+  // Verify a JWT carried by every upgrade request (default: off)
+  jwt?: JwtConfig;
+  // Where security events are written (default: the console)
+  eventSinks?: SecurityEventSink[];
+  // When an IP's traffic counts as a denial of service attack
+  dos?: DosConfig;
+  // Temporary bans of IPs caught attacking
+  ban?: BanConfig;
+  // Take the client IP from X-Forwarded-For or X-Real-IP: true for any peer,
+  // or the addresses of the trusted proxies (default: off, the socket's address)
+  trustProxy?: boolean | string[];
+}
+
+export interface DosConfig {
+  // Messages over the rate limit one IP may send within `window` (default: 200)
+  maxRefused?: number;
+  // Bytes one IP may send within `window` (default: 32 MB)
+  maxBytes?: number;
+  // Length of the counting window, in ms (default: 10000)
+  window?: number;
+}
+
+export type SecurityEventCounts = Partial<Record<SecurityEventType, number>>;
+
+export interface SecurityStats {
+  activeClients: number;
+  rateLimitedClients: number;
+  blockedRequests: number;
+  // Security events of each type since startup
+  events: SecurityEventCounts;
+  // Security events of each type over the last minute, for alerting on bursts
+  recentEvents: SecurityEventCounts;
 }
 
 // Default security configuration
@@ -25,10 +71,7 @@ export const defaultSecurityConfig: SecurityConfig = {
     origin: process.env['NODE_ENV'] === 'production' ? [] : '*',
     credentials: false
   },
-  rateLimit: {
-    windowMs: 60000, // 1 minute
-    maxRequests: process.env['NODE_ENV'] === 'production' ? 10000 : 1000000 // Very high limit for development/chat demo
-  },
+  rateLimit: defaultRateLimits,
   headers: {
     'X-Content-Type-Options': 'nosniff',
     'X-Frame-Options': 'DENY',
@@ -58,62 +101,138 @@ export const securityHeaders = {
 
 export class SecurityManager {
   private config: SecurityConfig;
-  private rateLimitStore: Map<string, { count: number; resetTime: number }> = new Map();
+  private rateLimiter: RateLimiter;
+  // Rate limiters of the origin policies that replace the limits
+  private originRateLimiters: Map<OriginPolicy, RateLimiter> = new Map();
+  private origins: OriginAllowlist;
+  private jwtVerifier: JwtVerifier | undefined;
+  // Claims of the JWT each accepted upgrade request carried
+  private verifiedClaims: WeakMap<IncomingMessage, JwtClaims> = new WeakMap();
+  private sinks: SecurityEventSink[];
+  private eventListeners: Set<(event: SecurityEvent) => void> = new Set();
+  private sinkErrorHandler: ((error: Error) => void) | undefined;
+  private eventCounts: SecurityEventCounts = {};
+  // Events of each type per second over the last minute, keyed by epoch second
+  private recentEvents: Map<SecurityEventType, Map<number, number>> = new Map();
+  private cleanupTimer: NodeJS.Timeout;
+  private blocklist: IpBlocklist;
+  // What each IP sent in its current DoS counting window
+  private traffic: Map<string, { windowStart: number; bytes: number; refused: number }> = new Map();
 
   constructor(config: SecurityConfig = defaultSecurityConfig) {
     this.config = config;
+    this.jwtVerifier = config.jwt ? new JwtVerifier(config.jwt) : undefined;
+    this.rateLimiter = new RateLimiter(config.rateLimit ?? defaultRateLimits);
+    // An empty origin setting has always meant no origin check
+    this.origins = new OriginAllowlist(config.cors.origin === '' ? '*' : config.cors.origin, config.cors.policies);
+    config.cors.policies?.forEach((policy) => {
+      if (policy.rateLimit) {
+        this.originRateLimiters.set(policy, new RateLimiter(policy.rateLimit));
+      }
+    });
+    this.sinks = config.eventSinks ?? [new ConsoleEventSink()];
+    this.blocklist = new IpBlocklist(config.ban);
     
-    // Clean up rate limiting data every minute
-    setInterval(() => {
-      this.cleanupRateLimits();
+    // Clean up rate limiting data, old event counts and expired bans every minute
+    this.cleanupTimer = setInterval(() => {
+      this.rateLimiter.prune();
+      this.originRateLimiters.forEach((limiter) => limiter.prune());
+      this.countRecentEvents();
+      this.blocklist.prune();
+      const windowStart = Date.now() - (this.config.dos?.window ?? 10000);
+      this.traffic.forEach((entry, ip) => {
+        if (entry.windowStart < windowStart) {
+          this.traffic.delete(ip);
+        }
+      });
     }, 60000);
+    this.cleanupTimer.unref();
   }
 
   /**
    * Validates CORS origin for WebSocket connections
    */
   validateOrigin(origin: string | undefined): boolean {
-    if (!this.config.cors.origin) return true;
-    
-    if (Array.isArray(this.config.cors.origin)) {
-      return this.config.cors.origin.includes(origin || '');
-    }
-    
-    return this.config.cors.origin === '*' || this.config.cors.origin === origin;
+    return this.origins.isAllowed(origin);
   }
 
   /**
-   * Checks rate limiting for a client
+   * The policy that applies to sockets from `origin`, if any
    */
-  checkRateLimit(clientId: string): boolean {
-    const now = Date.now();
-    const clientData = this.rateLimitStore.get(clientId);
+  getOriginPolicy(origin: string | undefined): OriginPolicy | undefined {
+    return this.origins.policyFor(origin);
+  }
 
-    if (!clientData) {
-      this.rateLimitStore.set(clientId, { 
-        count: 1, 
-        resetTime: now + this.config.rateLimit.windowMs 
-      });
-      return true;
+  /**
+   * Takes a token for an incoming message from its IP, session and message type
+   * buckets, or says what to do with it when one of them is empty. Sockets from
+   * an origin whose policy has its own rate limits are held to those instead.
+   */
+  checkRateLimit(key: RateLimitKey, origin?: string): RateLimitDecision {
+    const policy = this.origins.policyFor(origin);
+    const limiter = (policy && this.originRateLimiters.get(policy)) ?? this.rateLimiter;
+    const decision = limiter.check(key);
+    if (!decision.allowed) {
+      this.trafficFrom(key.ip).refused++;
     }
+    return decision;
+  }
 
-    // Reset counter if time window has passed
-    if (now > clientData.resetTime) {
-      this.rateLimitStore.set(clientId, { 
-        count: 1, 
-        resetTime: now + this.config.rateLimit.windowMs 
-      });
-      return true;
+  /**
+   * Counts an incoming message against its IP and tells whether the IP's
+   * traffic in the current window amounts to an attack: too many messages
+   * it kept sending over the rate limit, or too many bytes. Counting starts
+   * over once an attack is reported.
+   */
+  detectDoSAttack(ip: string, messageSize: number): boolean {
+    const traffic = this.trafficFrom(ip);
+    traffic.bytes += messageSize;
+
+    const attack = traffic.refused >= (this.config.dos?.maxRefused ?? 200) ||
+      traffic.bytes >= (this.config.dos?.maxBytes ?? 32 * 1024 * 1024);
+    if (attack) {
+      this.traffic.delete(normalizeIP(ip));
     }
+    return attack;
+  }
 
-    // Check if within rate limit
-    if (clientData.count >= this.config.rateLimit.maxRequests) {
-      return false;
-    }
+  /**
+   * Whether detected attacks should ban the attacking IP
+   */
+  isAutoBanEnabled(): boolean {
+    return this.blocklist.autoBan;
+  }
+
+  /**
+   * Bans `ip` for `ttl` ms, or for the next step of its escalating backoff when `ttl` is left out
+   */
+  ban(ip: string, ttl?: number, reason?: string): Ban {
+    return ttl === undefined
+      ? this.blocklist.escalate(ip, reason ?? 'Banned by operator')
+      : this.blocklist.ban(ip, ttl, reason);
+  }
+
+  unban(ip: string): boolean {
+    return this.blocklist.unban(ip);
+  }
+
+  isBanned(ip: string): boolean {
+    return this.blocklist.isBanned(ip);
+  }
+
+  listBans(): Ban[] {
+    return this.blocklist.list();
+  }
 
-    // Increment counter
-    clientData.count++;
-    return true;
+  private trafficFrom(ip: string): { windowStart: number; bytes: number; refused: number } {
+    const key = normalizeIP(ip);
+    const now = Date.now();
+    let traffic = this.traffic.get(key);
+    if (!traffic || now - traffic.windowStart >= (this.config.dos?.window ?? 10000)) {
+      traffic = { windowStart: now, bytes: 0, refused: 0 };
+      this.traffic.set(key, traffic);
+    }
+    return traffic;
   }
 
   /**
@@ -129,10 +248,18 @@ export class SecurityManager {
    * Validates WebSocket upgrade request
    */
   validateWebSocketUpgrade(request: IncomingMessage): { valid: boolean; error?: string } {
+    if (this.blocklist.isBanned(this.sanitizeClientIP(request))) {
+      return { valid: false, error: 'IP banned' };
+    }
+
     // Check origin
     const origin = request.headers.origin;
     if (!this.validateOrigin(origin)) {
-      return { valid: false, error: 'Invalid origin' };
+      const reportOnly = this.config.cors.reportOnly === true;
+      this.logSecurityEvent(SecurityEventType.InvalidOrigin, 'unknown', { origin, reportOnly });
+      if (!reportOnly) {
+        return { valid: false, error: 'Invalid origin' };
+      }
     }
 
     // Check user agent (basic bot detection)
@@ -172,35 +299,78 @@ export class SecurityManager {
       return { valid: false, error: 'Invalid WebSocket key' };
     }
 
+    if (this.jwtVerifier) {
+      const token = this.jwtVerifier.tokenFrom(request);
+      if (token === undefined) {
+        return this.config.jwt?.required === false ? { valid: true } : { valid: false, error: 'Missing token' };
+      }
+      const verification = this.jwtVerifier.verify(token);
+      if (!verification.valid) {
+        return { valid: false, error: verification.error };
+      }
+      this.verifiedClaims.set(request, verification.claims);
+    }
+
     return { valid: true };
   }
 
   /**
-   * Sanitizes client IP address
+   * Claims of the JWT verified for an upgrade request, if it carried one
+   */
+  getVerifiedClaims(request: IncomingMessage): JwtClaims | undefined {
+    return this.verifiedClaims.get(request);
+  }
+
+  /**
+   * Verify a token presented after the upgrade, such as a re-authentication
+   */
+  verifyToken(token: string): JwtVerification {
+    return this.jwtVerifier ? this.jwtVerifier.verify(token) : { valid: false, error: 'JWT verification is not configured' };
+  }
+
+  /**
+   * When verified claims stop being valid, in ms since the epoch
+   */
+  getTokenExpiry(claims: JwtClaims): number | undefined {
+    return this.jwtVerifier?.expiresAt(claims);
+  }
+
+  /**
+   * The client's IP: the socket's address, or with `trustProxy` the address the
+   * trusted proxies in front of it say they were reached from
    */
   sanitizeClientIP(request: IncomingMessage): string {
-    const forwarded = request.headers['x-forwarded-for'];
-    const realIP = request.headers['x-real-ip'];
-    const remoteAddress = request.socket.remoteAddress;
+    const remoteAddress = request.socket.remoteAddress ? normalizeIP(request.socket.remoteAddress) : 'unknown';
+    if (!this.isTrustedProxy(remoteAddress)) {
+      return remoteAddress;
+    }
 
-    // Use the first IP in the chain if forwarded
+    const forwarded = request.headers['x-forwarded-for'];
     if (forwarded) {
-      const ips = forwarded.toString().split(',');
-      return ips[0]?.trim() || 'unknown';
+      // Each proxy appends the address it was reached from; the nearest untrusted one is the client
+      const chain = forwarded.toString().split(',').map((ip) => normalizeIP(ip.trim())).filter((ip) => ip !== '');
+      for (let i = chain.length - 1; i > 0; i--) {
+        const ip = chain[i];
+        if (ip !== undefined && !this.isTrustedProxy(ip)) {
+          return ip;
+        }
+      }
+      return chain[0] ?? remoteAddress;
     }
 
-    if (realIP) {
-      return realIP.toString();
-    }
+    const realIP = request.headers['x-real-ip'];
+    return realIP ? normalizeIP(realIP.toString().trim()) : remoteAddress;
+  }
 
-    return remoteAddress || 'unknown';
+  private isTrustedProxy(ip: string): boolean {
+    const trustProxy = this.config.trustProxy ?? false;
+    return Array.isArray(trustProxy) ? trustProxy.some((proxy) => normalizeIP(proxy) === ip) : trustProxy;
   }
 
   /**
    * Validates message size and content
    */
-  validateMessageSize(data: Buffer): { valid: boolean; error?: string } {
-    const maxSize = 64 * 1024; // 64KB
+  validateMessageSize(data: Buffer, maxSize: number = 64 * 1024): { valid: boolean; error?: string } {
 
     if (data.length === 0) {
       return { valid: false, error: 'Empty message' };
@@ -214,111 +384,125 @@ export class SecurityManager {
   }
 
   /**
-   * Detects potential DoS attacks
+   * Records a security event: counts it, tells the listeners and writes it to every sink
    */
-  detectDoSAttack(clientId: string, messageSize: number): boolean {
-    const clientData = this.rateLimitStore.get(clientId);
-
-    if (!clientData) return false;
-
-    // Check for rapid large messages
-    if (messageSize > 32 * 1024 && clientData.count > 10) {
-      return true;
-    }
-
-    // Check for rapid connection attempts (increased threshold for chat apps)
-    if (clientData.count > 500) {
-      return true;
-    }
+  logSecurityEvent(type: SecurityEventType, clientId: string, details?: unknown): void {
+    const event: SecurityEvent = {
+      timestamp: new Date().toISOString(),
+      type,
+      severity: securityEventSeverity[type],
+      clientId,
+      ...(details !== undefined ? { details } : {})
+    };
 
-    return false;
+    this.eventCounts[type] = (this.eventCounts[type] ?? 0) + 1;
+    const second = Math.floor(Date.now() / 1000);
+    const perSecond = this.recentEvents.get(type) ?? new Map<number, number>();
+    perSecond.set(second, (perSecond.get(second) ?? 0) + 1);
+    this.recentEvents.set(type, perSecond);
+
+    this.eventListeners.forEach((listener) => listener(event));
+    this.sinks.forEach((sink) => {
+      try {
+        const written = sink.write(event);
+        if (written) {
+          written.catch((error: unknown) => this.reportSinkError(error));
+        }
+      } catch (error) {
+        this.reportSinkError(error);
+      }
+    });
   }
 
   /**
-   * Logs security events
+   * Calls `listener` with every security event from now on
    */
-  logSecurityEvent(event: string, clientId: string, details?: any): void {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      event,
-      clientId,
-      details,
-      severity: this.getEventSeverity(event)
-    };
-
-    // In production, this should go to a proper logging system
-    console.warn('SECURITY_EVENT:', JSON.stringify(logEntry));
+  onSecurityEvent(listener: (event: SecurityEvent) => void): void {
+    this.eventListeners.add(listener);
   }
 
   /**
-   * Gets severity level for security events
+   * Where sink write failures go (default: the console)
    */
-  private getEventSeverity(event: string): 'low' | 'medium' | 'high' | 'critical' {
-    const highSeverityEvents = ['dos_attack', 'invalid_origin', 'rate_limit_exceeded'];
-    const mediumSeverityEvents = ['suspicious_user_agent', 'large_message'];
-    const lowSeverityEvents = ['connection_attempt'];
-
-    if (highSeverityEvents.includes(event)) return 'high';
-    if (mediumSeverityEvents.includes(event)) return 'medium';
-    if (lowSeverityEvents.includes(event)) return 'low';
-    
-    return 'low';
+  onSinkError(handler: (error: Error) => void): void {
+    this.sinkErrorHandler = handler;
   }
 
   /**
-   * Cleans up old rate limiting data
+   * Stops the cleanup and JWKS timers and waits for the sinks to flush and close
    */
-  private cleanupRateLimits(): void {
-    const now = Date.now();
-    for (const [clientId, data] of this.rateLimitStore.entries()) {
-      if (now > data.resetTime + 300000) { // Clean up after 5 minutes
-        this.rateLimitStore.delete(clientId);
-      }
+  async close(): Promise<void> {
+    clearInterval(this.cleanupTimer);
+    this.jwtVerifier?.close();
+    await Promise.all(this.sinks.map((sink) => sink.close?.()));
+  }
+
+  private reportSinkError(error: unknown): void {
+    const reported = error instanceof Error ? error : new Error(String(error));
+    if (this.sinkErrorHandler) {
+      this.sinkErrorHandler(reported);
+    } else {
+      console.error('Security event sink failed:', reported);
     }
   }
 
   /**
    * Gets current security statistics
    */
-  getSecurityStats(): {
-    activeClients: number;
-    rateLimitedClients: number;
-    blockedRequests: number;
-  } {
-    const now = Date.now();
-    let rateLimitedClients = 0;
-    let blockedRequests = 0;
+  getSecurityStats(): SecurityStats {
+    const stats = [this.rateLimiter, ...this.originRateLimiters.values()].map((limiter) => limiter.stats());
+    const total = (field: 'trackedKeys' | 'limitedKeys' | 'refusedMessages') => stats.reduce((sum, entry) => sum + entry[field], 0);
+    return {
+      activeClients: total('trackedKeys'),
+      rateLimitedClients: total('limitedKeys'),
+      blockedRequests: total('refusedMessages'),
+      events: { ...this.eventCounts },
+      recentEvents: this.countRecentEvents()
+    };
+  }
 
-    for (const [_, data] of this.rateLimitStore.entries()) {
-      if (now <= data.resetTime) {
-        if (data.count >= this.config.rateLimit.maxRequests) {
-          rateLimitedClients++;
+  /**
+   * Events of each type over the last minute, dropping older per-second counts
+   */
+  private countRecentEvents(): SecurityEventCounts {
+    const since = Math.floor(Date.now() / 1000) - 60;
+    const counts: SecurityEventCounts = {};
+    this.recentEvents.forEach((perSecond, type) => {
+      let count = 0;
+      perSecond.forEach((eventsInSecond, second) => {
+        if (second <= since) {
+          perSecond.delete(second);
+        } else {
+          count += eventsInSecond;
         }
-        blockedRequests += Math.max(0, data.count - this.config.rateLimit.maxRequests);
+      });
+      if (count > 0) {
+        counts[type] = count;
+      } else {
+        this.recentEvents.delete(type);
       }
-    }
-
-    return {
-      activeClients: this.rateLimitStore.size,
-      rateLimitedClients,
-      blockedRequests
-    };
+    });
+    return counts;
   }
 }
 
 /**
  * Utility function to create a secure WebSocket server configuration
  */
-export function createSecureWebSocketConfig(securityConfig: SecurityConfig) {
+export function createSecureWebSocketConfig(
+  securityConfig: SecurityConfig,
+  manager?: SecurityManager,
+  maxPayload: number = 64 * 1024
+) {
   return {
-    perMessageDeflate: false, // Disable compression for security
-    maxPayload: 64 * 1024, // 64KB max payload
+    perMessageDeflate: false, // Payloads are deflated per message instead, with a size limit on inflating (see payload-compression)
+    maxPayload, // Larger frames close the socket with 1009
     verifyClient: (info: any) => {
-      const securityManager = new SecurityManager(securityConfig);
+      const securityManager = manager ?? new SecurityManager(securityConfig);
       const validation = securityManager.validateWebSocketUpgrade(info.req);
       
       if (!validation.valid) {
-        securityManager.logSecurityEvent('invalid_upgrade', 'unknown', validation.error);
+        securityManager.logSecurityEvent(SecurityEventType.InvalidUpgrade, 'unknown', validation.error);
         return false;
       }
 
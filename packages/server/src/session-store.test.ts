@@ -0,0 +1,181 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { mkdtemp, readdir, rm } from 'fs/promises'
+import { createServer, type Server } from 'net'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { MemorySessionStore, type SessionStore, type StoredSession } from './session-store'
+import { FileSessionStore } from './file-session-store'
+import { RedisSessionStore } from './redis-session-store'
+
+function storedSession(id: string): StoredSession {
+  return {
+    id,
+    lastMessageId: '42',
+    connectedAt: 1000,
+    disconnectedAt: 2000,
+    subscriptions: ['news'],
+    rooms: ['lobby'],
+    bufferedMessages: [{ messageId: '43', data: 'AQI=' }],
+    evictedThrough: '0'
+  }
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Shared behaviour every backend must provide
+function describeStore(name: string, create: () => Promise<SessionStore>): void {
+  describe(name, () => {
+    it('should round-trip sessions until they are deleted', async () => {
+      const store = await create()
+      await store.set(storedSession('alice'), 10000)
+
+      expect(await store.get('alice')).toEqual(storedSession('alice'))
+      expect(await store.get('bob')).toBeUndefined()
+
+      await store.delete('alice')
+      expect(await store.get('alice')).toBeUndefined()
+    })
+
+    it('should expire sessions after their ttl unless touched', async () => {
+      const store = await create()
+      await store.set(storedSession('alice'), 40)
+      await store.set(storedSession('bob'), 40)
+
+      expect(await store.touch('bob', 10000)).toBe(true)
+      expect(await store.touch('carol', 10000)).toBe(false)
+      await sleep(60)
+
+      expect(await store.get('alice')).toBeUndefined()
+      expect(await store.get('bob')).toBeDefined()
+    })
+  })
+}
+
+describeStore('MemorySessionStore', async () => new MemorySessionStore())
+
+describe('MemorySessionStore expiry', () => {
+  it('should report the ids it expires', async () => {
+    const store = new MemorySessionStore()
+    await store.set(storedSession('alice'), 1)
+    await store.set(storedSession('bob'), 10000)
+    await sleep(5)
+
+    expect(await store.expire()).toEqual(['alice'])
+  })
+})
+
+const directories: string[] = []
+afterEach(async () => {
+  await Promise.all(directories.splice(0).map((directory) => rm(directory, { recursive: true, force: true })))
+})
+
+async function createFileStore(): Promise<FileSessionStore> {
+  const directory = await mkdtemp(join(tmpdir(), 'sigma-sessions-'))
+  directories.push(directory)
+  return new FileSessionStore(directory)
+}
+
+describeStore('FileSessionStore', createFileStore)
+
+describe('FileSessionStore files', () => {
+  it('should keep session ids from escaping the directory', async () => {
+    const store = await createFileStore()
+    await store.set(storedSession('../escape'), 10000)
+
+    expect(await readdir(directories[0]!)).toEqual(['..%2Fescape.json'])
+    expect((await store.get('../escape'))?.id).toBe('../escape')
+  })
+
+  it('should remove expired session files', async () => {
+    const store = await createFileStore()
+    await store.set(storedSession('alice'), 1)
+    await sleep(5)
+
+    expect(await store.expire()).toEqual(['alice'])
+    expect(await readdir(directories[0]!)).toEqual([])
+  })
+})
+
+/**
+ * Just enough of a Redis server for the commands RedisSessionStore issues
+ */
+function startFakeRedis(): Promise<Server> {
+  const data = new Map<string, { value: string; expiresAt: number }>()
+  const live = (key: string) => {
+    const entry = data.get(key)
+    return entry && entry.expiresAt > Date.now() ? entry : undefined
+  }
+
+  const server = createServer((socket) => {
+    let buffer = ''
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString()
+      // Commands are parsed once complete; each is `*n` followed by n bulk strings
+      for (;;) {
+        const parts = buffer.split('\r\n')
+        const count = Number(parts[0]!.slice(1))
+        if (parts.length < 1 + count * 2 + 1) {
+          return
+        }
+        const args = Array.from({ length: count }, (_, i) => parts[2 + i * 2]!)
+        buffer = parts.slice(1 + count * 2).join('\r\n')
+
+        const [command, key = '', ...rest] = args
+        switch (command) {
+          case 'GET': {
+            const entry = live(key)
+            socket.write(entry ? `$${Buffer.byteLength(entry.value)}\r\n${entry.value}\r\n` : '$-1\r\n')
+            break
+          }
+          case 'SET':
+            data.set(key, { value: rest[0]!, expiresAt: Date.now() + Number(rest[2]) })
+            socket.write('+OK\r\n')
+            break
+          case 'DEL':
+            socket.write(`:${data.delete(key) ? 1 : 0}\r\n`)
+            break
+          case 'PEXPIRE': {
+            const entry = live(key)
+            if (entry) {
+              entry.expiresAt = Date.now() + Number(rest[0])
+            }
+            socket.write(`:${entry ? 1 : 0}\r\n`)
+            break
+          }
+          default:
+            socket.write(`-ERR unknown command '${command}'\r\n`)
+        }
+      }
+    })
+  })
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+describe('RedisSessionStore', () => {
+  let redis: Server | undefined
+  let stores: RedisSessionStore[] = []
+
+  afterEach(async () => {
+    stores.forEach((store) => store.close())
+    stores = []
+    const closing = redis
+    redis = undefined
+    await new Promise((resolve) => (closing ? closing.close(resolve) : resolve(undefined)))
+  })
+
+  describeStore('against a RESP server', async () => {
+    redis ??= await startFakeRedis()
+    const address = redis.address()
+    const store = new RedisSessionStore({ port: typeof address === 'object' && address ? address.port : 0 })
+    stores.push(store)
+    return store
+  })
+
+  it('should reject commands when the server is unreachable', async () => {
+    const store = new RedisSessionStore({ port: 1 })
+    stores.push(store)
+
+    await expect(store.get('alice')).rejects.toThrow()
+  })
+})
@@ -0,0 +1,92 @@
+import type { SessionIdentity } from './types';
+import type { JwtClaims } from './jwt';
+
+/**
+ * Session Store
+ * Where resumable sessions live while their client is disconnected. The
+ * default keeps them in memory; file and Redis-backed stores let a session be
+ * resumed after a restart or on another instance behind the same store.
+ */
+export interface StoredSession {
+  id: string;
+  // bigints are kept as decimal strings so every store can JSON-encode sessions
+  lastMessageId: string;
+  connectedAt: number;
+  disconnectedAt: number;
+  subscriptions: string[];
+  rooms: string[];
+  // Replay buffer contents, payloads base64-encoded
+  bufferedMessages: { messageId: string; data: string }[];
+  evictedThrough: string;
+  identity?: SessionIdentity;
+  claims?: JwtClaims;
+  resumeNonce?: string;
+  // Reliable channel state, so sequence numbers carry on where they left off
+  reliable?: StoredReliableChannel;
+}
+
+export interface StoredReliableChannel {
+  nextSequence: string;
+  expectedSequence: string;
+  // Frames the client has not acked yet, base64-encoded
+  unacked: { sequence: string; frame: string }[];
+  // Messages the client sent past a gap, waiting for it to be filled
+  outOfOrder: { sequence: string; payload: string; messageId: string; timestamp: string }[];
+}
+
+export interface SessionStore {
+  get(sessionId: string): Promise<StoredSession | undefined>;
+  // Store or replace a session that expires `ttl` ms from now
+  set(session: StoredSession, ttl: number): Promise<void>;
+  delete(sessionId: string): Promise<void>;
+  // Push back the expiry of a stored session; false if it is not stored
+  touch(sessionId: string, ttl: number): Promise<boolean>;
+  // Drop expired sessions and return their ids. Stores with native expiry may return []
+  expire(): Promise<string[]>;
+}
+
+interface MemoryEntry {
+  session: StoredSession;
+  expiresAt: number;
+}
+
+export class MemorySessionStore implements SessionStore {
+  private sessions: Map<string, MemoryEntry> = new Map();
+
+  async get(sessionId: string): Promise<StoredSession | undefined> {
+    const entry = this.sessions.get(sessionId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    return entry.session;
+  }
+
+  async set(session: StoredSession, ttl: number): Promise<void> {
+    this.sessions.set(session.id, { session, expiresAt: Date.now() + ttl });
+  }
+
+  async delete(sessionId: string): Promise<void> {
+    this.sessions.delete(sessionId);
+  }
+
+  async touch(sessionId: string, ttl: number): Promise<boolean> {
+    const entry = this.sessions.get(sessionId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async expire(): Promise<string[]> {
+    const now = Date.now();
+    const expired: string[] = [];
+    this.sessions.forEach((entry, sessionId) => {
+      if (entry.expiresAt <= now) {
+        expired.push(sessionId);
+      }
+    });
+    expired.forEach((sessionId) => this.sessions.delete(sessionId));
+    return expired;
+  }
+}
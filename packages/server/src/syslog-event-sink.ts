@@ -0,0 +1,63 @@
+import { createSocket, type Socket } from 'dgram';
+import { hostname } from 'os';
+import type { SecurityEvent, SecurityEventSink, SecuritySeverity } from './security-events';
+
+export interface SyslogEventSinkOptions {
+  host?: string;
+  port?: number;
+  // Syslog facility code (default: 13, log audit)
+  facility?: number;
+  appName?: string;
+}
+
+// Syslog severity codes: critical, error, warning, notice
+const syslogSeverity: Record<SecuritySeverity, number> = {
+  critical: 2,
+  high: 3,
+  medium: 4,
+  low: 5
+};
+
+/**
+ * Syslog Event Sink
+ * Sends each security event as an RFC 5424 message over UDP, by default to a
+ * syslog daemon on this host. The event type is the MSGID and the event
+ * itself, as JSON, the message.
+ */
+export class SyslogEventSink implements SecurityEventSink {
+  private socket: Socket;
+  private host: string;
+  private port: number;
+  private facility: number;
+  private appName: string;
+  private hostname = hostname();
+
+  constructor(options: SyslogEventSinkOptions = {}) {
+    this.host = options.host ?? '127.0.0.1';
+    this.port = options.port ?? 514;
+    this.facility = options.facility ?? 13;
+    this.appName = options.appName ?? 'sigmasockets';
+    this.socket = createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+    // Sends keep the process alive on their own; an idle sink should not
+    this.socket.unref();
+  }
+
+  write(event: SecurityEvent): Promise<void> {
+    const priority = this.facility * 8 + syslogSeverity[event.severity];
+    const message = `<${priority}>1 ${event.timestamp} ${this.hostname} ${this.appName} ${process.pid} ${event.type} - ${JSON.stringify(event)}`;
+    return new Promise((resolve, reject) => {
+      this.socket.send(message, this.port, this.host, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  close(): Promise<void> {
+    return new Promise((resolve) => {
+      try {
+        this.socket.close(() => resolve());
+      } catch {
+        // Already closed
+        resolve();
+      }
+    });
+  }
+}
@@ -13,6 +13,41 @@ export interface SigmaSocketServerConfig {
   qualityCheckInterval?: number;
   adaptiveHeartbeatEnabled?: boolean;
   connectionQualityThreshold?: number;
+  // Messages kept per disconnected session for replay on reconnect
+  replayBufferSize?: number;
+  replayBufferBytes?: number;
+  // Reliable delivery: how long to wait for an Ack and how often to retry
+  ackTimeout?: number;
+  maxRetransmits?: number;
+  // Where disconnected sessions are kept for resumption (default: in memory)
+  sessionStore?: SessionStore;
+  // Relays broadcasts and sends to other instances (default: none)
+  adapter?: ScalingAdapter;
+  // Checks the token sent with every Connect and Reconnect; unset accepts everyone
+  authenticate?: AuthenticateHandler;
+  // How long authenticate may take before the client is refused, in ms
+  authTimeout?: number;
+  // Key that signs resume tokens (default: random per process). Instances that
+  // share a session store or adapter must share it for sessions to move between them
+  resumeTokenSecret?: string | Buffer;
+  // How long a resume token stays valid, in ms (default: twice sessionTimeout)
+  resumeTokenTTL?: number;
+  // Rules for what each session may send, request, subscribe to and join (default: allow all)
+  authorization?: AuthorizationPolicy;
+  // How large incoming messages may be, overall, per type and per session (default: 64 KB for all)
+  messageSize?: MessageSizeConfig;
+  // Per-IP and per-user connection caps, and what happens at maxConnections
+  admission?: AdmissionConfig;
+  // Seal DataMessage payloads for clients that offer a key (default: off)
+  encryption?: EncryptionConfig;
+  // Deflate large DataMessage payloads for clients that offer to (default: on, from 1 KB)
+  compression?: CompressionConfig;
+  // Flow control and memory budget for streams clients send (default: 256 KB window, 1 MB per session)
+  streams?: StreamConfig;
+  // Where files from client.sendFile() are stored; without one they are refused
+  uploadSink?: UploadSink;
+  // How much a session's socket may buffer, and what happens to messages for slow consumers (default: 1 MB, drop)
+  backpressure?: BackpressureConfig;
 }
 
 export interface RequiredSigmaSocketServerConfig {
@@ -29,9 +64,34 @@ export interface RequiredSigmaSocketServerConfig {
   qualityCheckInterval: number;
   adaptiveHeartbeatEnabled: boolean;
   connectionQualityThreshold: number;
+  replayBufferSize: number;
+  replayBufferBytes: number;
+  ackTimeout: number;
+  maxRetransmits: number;
+  sessionStore: SessionStore;
+  authTimeout: number;
+  resumeTokenTTL: number;
 }
 
 import { WebSocket } from 'ws';
+import type { IncomingMessage } from 'http';
+import type { ReplayBuffer } from './replay-buffer';
+import type { ReliableChannel } from './reliable-channel';
+import type { SessionStore } from './session-store';
+import type { ScalingAdapter } from './adapter';
+import type { JwtClaims } from './jwt';
+import type { AuthorizationPolicy } from './policy';
+import type { MessageSizeConfig } from './message-size';
+import type { AdmissionConfig } from './admission-control';
+import type { EncryptionConfig, PayloadCipher } from './payload-encryption';
+import type { CompressionConfig } from './payload-compression';
+import type { IncomingStream, StreamConfig } from './incoming-stream';
+import type { FileUpload, ReceivedFile, UploadSink } from './file-upload';
+import type { BackpressureConfig } from './backpressure';
+import type { Compression } from './generated/sigma-sockets/compression';
+import type { SecurityEvent } from './security-events';
+import type { SigmaSocketServer } from './index';
+import type { MaybePromise, ServerMiddleware as SharedServerMiddleware } from 'sigmasockets-types';
 
 export interface ClientSession {
   id: string;
@@ -40,7 +100,31 @@ export interface ClientSession {
   lastHeartbeat: Date;
   ws: WebSocket;
   isAlive: boolean;
-  messageBuffer: Uint8Array[];
+  // Outbound messages missed while disconnected, replayed on reconnect
+  messageBuffer: ReplayBuffer;
+  // Sequencing, acks and retransmission for reliable messages in both directions
+  reliable: ReliableChannel<InboundMessage>;
+  // Topics this session asked for via client.subscribe()
+  subscriptions: Set<string>;
+  // Who authenticate() said the client is; unset when no authenticate hook is configured
+  identity?: SessionIdentity;
+  // Claims of the JWT verified when the client's socket was upgraded
+  claims?: JwtClaims;
+  // Nonce of the resume token the client holds; a new one on every resume retires older tokens
+  resumeNonce?: string;
+  resumeTokenExpiresAt?: number;
+  // Seals and opens DataMessage payloads once the client has exchanged keys; unset for plaintext sessions
+  cipher?: PayloadCipher;
+  // Compression agreed with the client for DataMessage payloads; unset or None for uncompressed sessions
+  compression?: Compression;
+  // Streams the client is sending, by stream id
+  streams: Map<number, IncomingStream>;
+  // Files the client is sending; unlike streams they survive a reconnect
+  uploads: Map<number, FileUpload>;
+  // Set while the socket has reached its high-water mark, until it drains
+  slow: boolean;
+  // Newest message per coalesce key held back while slow, sent once the socket drains
+  coalesced: Map<string, { messageId: bigint; frame: Uint8Array }>;
   // Enhanced connection quality metrics
   connectionQuality: ConnectionQuality;
   latencyHistory: number[];
@@ -50,6 +134,34 @@ export interface ClientSession {
   connectionScore: number;
 }
 
+export interface InboundMessage {
+  payload: Uint8Array;
+  messageId: bigint;
+  timestamp: bigint;
+}
+
+/**
+ * Hooks added with server.use(), as defined in sigmasockets-types, for this
+ * server and its sessions
+ */
+export type ServerMiddleware = SharedServerMiddleware<SigmaSocketServer, ClientSession>;
+
+export interface SendOptions {
+  // Sequence, ack and retransmit the message; it is delivered once and in order
+  reliable?: boolean;
+  // Written even when the session is a slow consumer; reliable messages always are
+  critical?: boolean;
+  // Under the 'coalesce' policy, a newer message with the same key replaces this one while it is held back
+  coalesceKey?: string;
+}
+
+/**
+ * What became of a message: written to the socket; held to go out later (in
+ * the replay buffer, coalesced until the socket drains, or relayed to the
+ * node that has the session); or dropped
+ */
+export type SendResult = 'sent' | 'queued' | 'dropped';
+
 export interface ConnectionQuality {
   latency: number;
   jitter: number;
@@ -81,11 +193,46 @@ export interface DisconnectionHandler {
   (session: ClientSession, reason?: string): void;
 }
 
+export interface RequestHandler {
+  (payload: Uint8Array, session: ClientSession): Uint8Array | void | Promise<Uint8Array | void>;
+}
+
+export interface SessionIdentity {
+  // A reconnect must authenticate as the same user that owns the session
+  userId?: string;
+  claims?: Record<string, unknown>;
+}
+
+/**
+ * Return an identity (or true) to accept the token, false or null to refuse it with a 401
+ */
+export interface AuthenticateHandler {
+  (token: string | null, request: IncomingMessage): MaybePromise<SessionIdentity | boolean | null>;
+}
+
+export interface RoomHandler {
+  (session: ClientSession, room: string): void;
+}
+
 export interface SigmaSocketServerEvents {
   'connection': ConnectionHandler;
   'disconnection': DisconnectionHandler;
   'message': MessageHandler;
   'error': (error: Error) => void;
+  'securityEvent': (event: SecurityEvent) => void;
+  'join': RoomHandler;
+  'leave': RoomHandler;
+  'stream': (stream: IncomingStream, session: ClientSession) => void;
+  'file': (file: ReceivedFile, session: ClientSession) => void;
+  // A slow consumer's socket fell back under its high-water mark
+  'drain': (session: ClientSession) => void;
+}
+
+export interface RoomBroadcaster {
+  readonly name: string;
+  broadcast(data: Uint8Array, excludeClient?: string): number;
+  getMembers(): string[];
+  size(): number;
 }
 
 export interface ServerStats {
@@ -97,4 +244,8 @@ export interface ServerStats {
   messagesSent: bigint;
   messagesReceived: bigint;
   averageLatency: number;
+  // How often each slow-consumer policy fired
+  messagesDropped: number;
+  messagesCoalesced: number;
+  slowConsumerDisconnects: number;
 }
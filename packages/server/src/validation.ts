@@ -7,14 +7,31 @@ import { HeartbeatMessage } from './generated/sigma-sockets/heartbeat-message';
 import { ReconnectMessage } from './generated/sigma-sockets/reconnect-message';
 import { DisconnectMessage } from './generated/sigma-sockets/disconnect-message';
 import { ErrorMessage } from './generated/sigma-sockets/error-message';
+import { RequestMessage } from './generated/sigma-sockets/request-message';
+import { SubscribeMessage } from './generated/sigma-sockets/subscribe-message';
+import { UnsubscribeMessage } from './generated/sigma-sockets/unsubscribe-message';
+import { AckMessage } from './generated/sigma-sockets/ack-message';
+import { StreamOpenMessage } from './generated/sigma-sockets/stream-open-message';
+import { StreamChunkMessage } from './generated/sigma-sockets/stream-chunk-message';
+import { StreamEndMessage } from './generated/sigma-sockets/stream-end-message';
+import { MessageSizePolicy } from './message-size';
 
 // Security constants
-const MAX_MESSAGE_SIZE = 64 * 1024; // 64KB
-const MAX_PAYLOAD_SIZE = 32 * 1024; // 32KB
 const MAX_STRING_LENGTH = 1024; // 1KB
 const MAX_SESSION_ID_LENGTH = 128;
 const MAX_REASON_LENGTH = 256;
 const MAX_CLIENT_VERSION_LENGTH = 64;
+const MAX_AUTH_TOKEN_LENGTH = 8192;
+const MAX_RESUME_TOKEN_LENGTH = 512;
+const MAX_METHOD_LENGTH = 128;
+const MAX_TOPIC_LENGTH = 256;
+const MAX_STREAM_NAME_LENGTH = 256;
+const MAX_STREAM_METADATA_LENGTH = 4096;
+// More unfinished uploads than any session can have open at once
+const MAX_RESUMED_UPLOADS = 256;
+const SHA256_LENGTH = 32;
+// Uncompressed P-256 point, as exported by WebCrypto and node:crypto
+const PUBLIC_KEY_LENGTH = 65;
 
 // Rate limiting constants
 const MAX_MESSAGES_PER_SECOND = 100;
@@ -31,14 +48,14 @@ export class MessageValidator {
   /**
    * Validates a WebSocket message for security and structure
    */
-  static validateMessage(data: Buffer, clientId: string): ValidationResult {
+  static validateMessage(data: Buffer, clientId: string, sizes: MessageSizePolicy = new MessageSizePolicy()): ValidationResult {
     try {
       // Check message size
       if (data.length === 0) {
         return { isValid: false, error: 'Empty message' };
       }
 
-      if (data.length > MAX_MESSAGE_SIZE) {
+      if (data.length > sizes.maxMessageSize) {
         return { isValid: false, error: 'Message too large' };
       }
 
@@ -69,8 +86,12 @@ export class MessageValidator {
         return { isValid: false, error: 'Invalid message type' };
       }
 
+      if (data.length > sizes.limitFor(MessageType[messageType])) {
+        return { isValid: false, error: 'Message too large' };
+      }
+
       // Validate message data based on type
-      const dataValidation = this.validateMessageData(message);
+      const dataValidation = this.validateFields(message);
       if (!dataValidation.isValid) {
         return dataValidation;
       }
@@ -90,9 +111,10 @@ export class MessageValidator {
   }
 
   /**
-   * Validates message data based on message type
+   * Validates message data based on message type; the server runs this on
+   * every FlatBuffers message before dispatching it
    */
-  private static validateMessageData(message: Message): ValidationResult {
+  static validateFields(message: Message): ValidationResult {
     switch (message.type()) {
       case MessageType.Connect:
         return this.validateConnectMessage(message);
@@ -106,6 +128,20 @@ export class MessageValidator {
         return this.validateDisconnectMessage(message);
       case MessageType.Error:
         return this.validateErrorMessage(message);
+      case MessageType.Request:
+        return this.validateRequestMessage(message);
+      case MessageType.Subscribe:
+        return this.validateTopic(message.data(new SubscribeMessage())?.topic());
+      case MessageType.Unsubscribe:
+        return this.validateTopic(message.data(new UnsubscribeMessage())?.topic());
+      case MessageType.Ack:
+        return this.validateAckMessage(message);
+      case MessageType.StreamOpen:
+        return this.validateStreamOpenMessage(message);
+      case MessageType.StreamChunk:
+        return this.validateStreamChunkMessage(message);
+      case MessageType.StreamEnd:
+        return this.validateStreamEndMessage(message);
       default:
         return { isValid: false, error: 'Unknown message type' };
     }
@@ -141,6 +177,15 @@ export class MessageValidator {
       return { isValid: false, error: 'Client version too long' };
     }
 
+    const authToken = connectMsg.authToken();
+    if (authToken && authToken.length > MAX_AUTH_TOKEN_LENGTH) {
+      return { isValid: false, error: 'Auth token too long' };
+    }
+
+    if (!this.isValidPublicKey(connectMsg.publicKeyLength())) {
+      return { isValid: false, error: 'Invalid public key' };
+    }
+
     return { isValid: true };
   }
 
@@ -160,10 +205,6 @@ export class MessageValidator {
       return { isValid: false, error: 'Missing payload' };
     }
 
-    if (payload.length > MAX_PAYLOAD_SIZE) {
-      return { isValid: false, error: 'Payload too large' };
-    }
-
     // Validate message ID
     const messageId = dataMsg.messageId();
     if (messageId === undefined || messageId === null) {
@@ -246,6 +287,24 @@ export class MessageValidator {
       return { isValid: false, error: 'Missing last message ID' };
     }
 
+    const authToken = reconnectMsg.authToken();
+    if (authToken && authToken.length > MAX_AUTH_TOKEN_LENGTH) {
+      return { isValid: false, error: 'Auth token too long' };
+    }
+
+    const resumeToken = reconnectMsg.resumeToken();
+    if (resumeToken && resumeToken.length > MAX_RESUME_TOKEN_LENGTH) {
+      return { isValid: false, error: 'Resume token too long' };
+    }
+
+    if (!this.isValidPublicKey(reconnectMsg.publicKeyLength())) {
+      return { isValid: false, error: 'Invalid public key' };
+    }
+
+    if (reconnectMsg.uploadsLength() > MAX_RESUMED_UPLOADS) {
+      return { isValid: false, error: 'Too many uploads' };
+    }
+
     return { isValid: true };
   }
 
@@ -297,6 +356,120 @@ export class MessageValidator {
     return { isValid: true };
   }
 
+  /**
+   * Validates RequestMessage
+   */
+  private static validateRequestMessage(message: Message): ValidationResult {
+    const requestMsg = message.data(new RequestMessage());
+
+    if (!requestMsg) {
+      return { isValid: false, error: 'Invalid request message' };
+    }
+
+    // Request ID 0 is reserved for errors that are not tied to a request
+    if (requestMsg.requestId() === 0n) {
+      return { isValid: false, error: 'Missing request ID' };
+    }
+
+    const method = requestMsg.method();
+    if (!method) {
+      return { isValid: false, error: 'Missing method' };
+    }
+
+    if (method.length > MAX_METHOD_LENGTH) {
+      return { isValid: false, error: 'Method name too long' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validates AckMessage
+   */
+  private static validateAckMessage(message: Message): ValidationResult {
+    const ackMsg = message.data(new AckMessage());
+
+    // Reliable sequence numbers start at 1
+    if (!ackMsg || ackMsg.sequence() === 0n) {
+      return { isValid: false, error: 'Invalid ack message' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validates StreamOpenMessage
+   */
+  private static validateStreamOpenMessage(message: Message): ValidationResult {
+    const openMsg = message.data(new StreamOpenMessage());
+
+    // Stream ID 0 is reserved, so an unset field is never a stream
+    if (!openMsg || openMsg.streamId() === 0) {
+      return { isValid: false, error: 'Invalid stream open message' };
+    }
+
+    if ((openMsg.name()?.length ?? 0) > MAX_STREAM_NAME_LENGTH) {
+      return { isValid: false, error: 'Stream name too long' };
+    }
+
+    if ((openMsg.metadata()?.length ?? 0) > MAX_STREAM_METADATA_LENGTH) {
+      return { isValid: false, error: 'Stream metadata too long' };
+    }
+
+    // Only file uploads carry a hash, and then a whole one
+    const hashLength = openMsg.sha256Length();
+    if (hashLength !== 0 && hashLength !== SHA256_LENGTH) {
+      return { isValid: false, error: 'Invalid stream hash' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validates StreamChunkMessage
+   */
+  private static validateStreamChunkMessage(message: Message): ValidationResult {
+    const chunkMsg = message.data(new StreamChunkMessage());
+
+    if (!chunkMsg || chunkMsg.streamId() === 0 || chunkMsg.payloadLength() === 0) {
+      return { isValid: false, error: 'Invalid stream chunk message' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validates StreamEndMessage
+   */
+  private static validateStreamEndMessage(message: Message): ValidationResult {
+    const endMsg = message.data(new StreamEndMessage());
+
+    if (!endMsg || endMsg.streamId() === 0) {
+      return { isValid: false, error: 'Invalid stream end message' };
+    }
+
+    if ((endMsg.error()?.length ?? 0) > MAX_REASON_LENGTH) {
+      return { isValid: false, error: 'Stream error too long' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Validates the topic of a SubscribeMessage or UnsubscribeMessage
+   */
+  private static validateTopic(topic: string | null | undefined): ValidationResult {
+    if (!topic) {
+      return { isValid: false, error: 'Missing topic' };
+    }
+
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      return { isValid: false, error: 'Topic too long' };
+    }
+
+    return { isValid: true };
+  }
+
   /**
    * Validates session ID format
    */
@@ -306,6 +479,13 @@ export class MessageValidator {
     return sessionIdRegex.test(sessionId);
   }
 
+  /**
+   * A client either offers no key or a whole one
+   */
+  private static isValidPublicKey(length: number): boolean {
+    return length === 0 || length === PUBLIC_KEY_LENGTH;
+  }
+
   /**
    * Checks rate limiting for a client
    */
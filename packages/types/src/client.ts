@@ -132,6 +132,7 @@ export interface ClientMiddleware {
   onConnect?(client: SigmaSocketClient): void;
   onDisconnect?(client: SigmaSocketClient): void;
   onMessage?(client: SigmaSocketClient, message: Message): Message | null;
+  onSend?(client: SigmaSocketClient, message: Message): Message | null;
   onError?(client: SigmaSocketClient, error: Error): void;
 }
 
@@ -134,6 +134,9 @@ export type MessageCallback = (message: Message) => void;
 export type ErrorCallback = (error: Error) => void;
 export type ReconnectingCallback = (info: ReconnectingInfo) => void;
 
+// A hook's result, returned directly or once its async work settles
+export type MaybePromise<T> = T | Promise<T>;
+
 /**
  * Reconnecting information interface
  */
@@ -7,6 +7,7 @@ import type {
   ServerConfig,
   ClientSession,
   PerformanceMetrics,
+  MaybePromise,
   // ErrorCode,
 } from './common.js';
 
@@ -165,15 +166,20 @@ export interface ServerPlugin {
 }
 
 /**
- * Server middleware interface
+ * Hooks added with server.use(). This is the one definition of the middleware
+ * hooks: sigmasockets-server re-exports it bound to its own server and
+ * session types. Each hook may be async; middlewares run in registration
+ * order, each hook settling before the next starts.
  */
-export interface ServerMiddleware {
+export interface ServerMiddleware<Server = SigmaSocketServer, Session = ClientSession> {
   readonly name: string;
-  
-  onConnection?(server: SigmaSocketServer, clientId: string, session: ClientSession): boolean;
-  onDisconnection?(server: SigmaSocketServer, clientId: string, reason?: string): void;
-  onMessage?(server: SigmaSocketServer, clientId: string, message: Message): Message | null;
-  onError?(server: SigmaSocketServer, error: Error): void;
+
+  // Return false to refuse the connection (or reconnection) with a 403
+  onConnection?(server: Server, clientId: string, session: Session): MaybePromise<boolean>;
+  onDisconnection?(server: Server, clientId: string, reason?: string): MaybePromise<void>;
+  // Return the payload to pass on, a replacement, or null to drop the message
+  onMessage?(server: Server, clientId: string, data: Uint8Array, session: Session): MaybePromise<Uint8Array | null>;
+  onError?(server: Server, error: Error): MaybePromise<void>;
 }
 
 /**
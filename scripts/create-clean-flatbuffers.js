@@ -34,7 +34,29 @@ export enum MessageType {
   Data = 2,
   Heartbeat = 3,
   Reconnect = 4,
-  Error = 5
+  Error = 5,
+  Request = 6,
+  Response = 7,
+  Subscribe = 8,
+  Unsubscribe = 9,
+  Ack = 10,
+  ResumeToken = 11,
+  KeyExchange = 12,
+  StreamOpen = 13,
+  StreamChunk = 14,
+  StreamEnd = 15,
+  StreamAck = 16
+}
+`;
+
+// Create clean compression.ts
+const compressionContent = `// automatically generated by the FlatBuffers compiler, do not modify
+
+/* eslint-disable @typescript-eslint/no-unused-vars, @typescript-eslint/no-explicit-any, @typescript-eslint/no-non-null-assertion */
+
+export enum Compression {
+  None = 0,
+  Deflate = 1
 }
 `;
 
@@ -50,7 +72,18 @@ export enum MessageData {
   DataMessage = 3,
   HeartbeatMessage = 4,
   ReconnectMessage = 5,
-  ErrorMessage = 6
+  ErrorMessage = 6,
+  RequestMessage = 7,
+  ResponseMessage = 8,
+  SubscribeMessage = 9,
+  UnsubscribeMessage = 10,
+  AckMessage = 11,
+  ResumeTokenMessage = 12,
+  KeyExchangeMessage = 13,
+  StreamOpenMessage = 14,
+  StreamChunkMessage = 15,
+  StreamEndMessage = 16,
+  StreamAckMessage = 17
 }
 `;
 
@@ -144,6 +177,9 @@ const dataMessageContent = `// automatically generated by the FlatBuffers compil
 
 import * as flatbuffers from 'flatbuffers';
 
+import { Compression } from './compression.js';
+
+
 export class DataMessage {
   bb: flatbuffers.ByteBuffer|null = null;
   bb_pos = 0;
@@ -187,8 +223,30 @@ timestamp():bigint {
   return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
 }
 
+topic():string|null
+topic(optionalEncoding:flatbuffers.Encoding):string|Uint8Array|null
+topic(optionalEncoding?:any):string|Uint8Array|null {
+  const offset = this.bb!.__offset(this.bb_pos, 10);
+  return offset ? this.bb!.__string(this.bb_pos + offset, optionalEncoding) : null;
+}
+
+sequence():bigint {
+  const offset = this.bb!.__offset(this.bb_pos, 12);
+  return offset ? this.bb!.readUint64(this.bb_pos + offset) : BigInt('0');
+}
+
+keyId():number {
+  const offset = this.bb!.__offset(this.bb_pos, 14);
+  return offset ? this.bb!.readUint32(this.bb_pos + offset) : 0;
+}
+
+compression():Compression {
+  const offset = this.bb!.__offset(this.bb_pos, 16);
+  return offset ? this.bb!.readUint8(this.bb_pos + offset) : Compression.None;
+}
+
 static startDataMessage(builder:flatbuffers.Builder) {
-  builder.startObject(3);
+  builder.startObject(7);
 }
 
 static addPayload(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset) {
@@ -215,16 +273,36 @@ static addTimestamp(builder:flatbuffers.Builder, timestamp:bigint) {
   builder.addFieldInt64(2, timestamp, BigInt('0'));
 }
 
+static addTopic(builder:flatbuffers.Builder, topicOffset:flatbuffers.Offset) {
+  builder.addFieldOffset(3, topicOffset, 0);
+}
+
+static addSequence(builder:flatbuffers.Builder, sequence:bigint) {
+  builder.addFieldInt64(4, sequence, BigInt('0'));
+}
+
+static addKeyId(builder:flatbuffers.Builder, keyId:number) {
+  builder.addFieldInt32(5, keyId, 0);
+}
+
+static addCompression(builder:flatbuffers.Builder, compression:Compression) {
+  builder.addFieldInt8(6, compression, Compression.None);
+}
+
 static endDataMessage(builder:flatbuffers.Builder):flatbuffers.Offset {
   const offset = builder.endObject();
   return offset;
 }
 
-static createDataMessage(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset, messageId:bigint, timestamp:bigint):flatbuffers.Offset {
+static createDataMessage(builder:flatbuffers.Builder, payloadOffset:flatbuffers.Offset, messageId:bigint, timestamp:bigint, topicOffset:flatbuffers.Offset, sequence:bigint, keyId:number, compression:Compression):flatbuffers.Offset {
   DataMessage.startDataMessage(builder);
   DataMessage.addPayload(builder, payloadOffset);
   DataMessage.addMessageId(builder, messageId);
   DataMessage.addTimestamp(builder, timestamp);
+  DataMessage.addTopic(builder, topicOffset);
+  DataMessage.addSequence(builder, sequence);
+  DataMessage.addKeyId(builder, keyId);
+  DataMessage.addCompression(builder, compression);
   return DataMessage.endDataMessage(builder);
 }
 }
@@ -232,6 +310,7 @@ static createDataMessage(builder:flatbuffers.Builder, payloadOffset:flatbuffers.
 
 // Write all files
 writeFileSync(join(targetDir, 'message-type.ts'), messageTypeContent);
+writeFileSync(join(targetDir, 'compression.ts'), compressionContent);
 writeFileSync(join(targetDir, 'message-data.ts'), messageDataContent);
 writeFileSync(join(targetDir, 'message.ts'), messageContent);
 writeFileSync(join(targetDir, 'data-message.ts'), dataMessageContent);
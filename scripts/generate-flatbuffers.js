@@ -59,7 +59,7 @@ function generateFlatBuffers() {
       }
       
       // Fix import paths in all generated files
-      const files = ['message.ts', 'message-data.ts', 'connect-message.ts', 'data-message.ts', 'disconnect-message.ts', 'error-message.ts', 'heartbeat-message.ts', 'reconnect-message.ts'];
+      const files = ['message.ts', 'message-data.ts', 'connect-message.ts', 'data-message.ts', 'disconnect-message.ts', 'error-message.ts', 'heartbeat-message.ts', 'reconnect-message.ts', 'request-message.ts', 'response-message.ts', 'subscribe-message.ts', 'unsubscribe-message.ts', 'ack-message.ts', 'resume-token-message.ts', 'key-exchange-message.ts', 'compression.ts', 'stream-open-message.ts', 'stream-chunk-message.ts', 'stream-end-message.ts', 'stream-ack-message.ts'];
       files.forEach(file => {
         const filePath = join(dir, file);
         if (existsSync(filePath)) {